@@ -0,0 +1,129 @@
+/* ───────── MaiSpec collaboration relay ─────────
+ * A minimal WebSocket relay for real-time co-editing (see src/collab.js).
+ * Clients connect to ws://host:port/<room>; every text message is forwarded to
+ * the other clients in the same room. The relay keeps no document state: a peer
+ * that joins says "hello" and the others answer with the shared op log.
+ *
+ *   node relay/collab-relay.js            # port 8787
+ *   PORT=9000 node relay/collab-relay.js
+ *
+ * Node built-ins only, so it runs anywhere Node does.
+ */
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_MESSAGE = 8 * 1024 * 1024; // a full op log for a large spec fits comfortably; also caps fragmented messages
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const rooms = new Map(); // room → Set<client>
+
+/* ---- Framing (RFC 6455): text frames out, masked frames in ---- */
+function frame(opcode, payload) {
+  const len = payload.length;
+  if (len < 126) return Buffer.concat([Buffer.from([0x80 | opcode, len]), payload]);
+  if (len < 65536) return Buffer.concat([Buffer.from([0x80 | opcode, 126, len >> 8, len & 255]), payload]);
+  // 64-bit length as two 32-bit halves
+  const head = Buffer.from([0x80 | opcode, 127, 0, 0, 0, 0, 0, 0, 0, 0]);
+  head.writeUInt32BE(Math.floor(len / 2 ** 32), 2);
+  head.writeUInt32BE(len >>> 0, 6);
+  return Buffer.concat([head, payload]);
+}
+
+// Pulls complete frames off the front of the buffer; returns what is left
+function readFrames(buf, onFrame) {
+  while (buf.length >= 2) {
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let off = 2;
+    if (len === 126) { if (buf.length < 4) break; len = buf.readUInt16BE(2); off = 4; }
+    else if (len === 127) { if (buf.length < 10) break; len = buf.readUInt32BE(2) * 2 ** 32 + buf.readUInt32BE(6); off = 10; }
+    if (len > MAX_MESSAGE) throw new Error("message too large");
+    const maskOff = off;
+    if (masked) off += 4;
+    if (buf.length < off + len) break;
+    const payload = Buffer.from(buf.subarray(off, off + len));
+    if (masked) for (let i = 0; i < len; i++) payload[i] ^= buf[maskOff + (i % 4)];
+    onFrame({ fin, opcode, payload });
+    buf = buf.subarray(off + len);
+  }
+  return buf;
+}
+
+/* ---- Rooms ---- */
+function broadcast(from, text) {
+  const data = frame(0x1, Buffer.from(text));
+  rooms.get(from.room)?.forEach(c => { if (c !== from) c.socket.write(data); });
+}
+
+function leave(client) {
+  const peers = rooms.get(client.room);
+  if (!peers?.delete(client)) return;
+  if (!peers.size) rooms.delete(client.room);
+  // let the others drop this peer's presence
+  if (client.site) broadcast(client, JSON.stringify({ type: "bye", site: client.site }));
+  console.log(`[${client.room}] peer left (${peers.size} connected)`);
+}
+
+function roomOf(url) {
+  try {
+    return decodeURIComponent(new URL(url, "http://relay").pathname.replace(/^\/+/, "")) || "default";
+  } catch {
+    return null; // malformed escapes ("/%E0%A4%A") or an unparsable URL
+  }
+}
+
+function accept(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const room = roomOf(req.url);
+  if (!key || req.headers.upgrade?.toLowerCase() !== "websocket" || room === null) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const digest = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${digest}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  const client = { socket, room, site: "" };
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(client);
+  console.log(`[${room}] peer joined (${rooms.get(room).size} connected)`);
+
+  let pending = Buffer.alloc(0);
+  let parts = [];
+  let partsLen = 0;
+  socket.on("data", (chunk) => {
+    try {
+      pending = readFrames(Buffer.concat([pending, chunk]), ({ fin, opcode, payload }) => {
+        if (opcode === 0x8) { socket.end(frame(0x8, Buffer.alloc(0))); return; }
+        if (opcode === 0x9) { socket.write(frame(0xa, payload)); return; }
+        if (opcode !== 0x1 && opcode !== 0x0) return;
+        partsLen += payload.length;
+        if (partsLen > MAX_MESSAGE) throw new Error("message too large");
+        parts.push(payload);
+        if (!fin) return;
+        const text = Buffer.concat(parts).toString("utf8");
+        parts = [];
+        partsLen = 0;
+        if (!client.site) {
+          try { client.site = String(JSON.parse(text).site || ""); } catch { /* not JSON: relay as-is */ }
+        }
+        broadcast(client, text);
+      });
+    } catch (e) {
+      console.warn(`[${room}] dropping peer: ${e.message}`);
+      socket.destroy();
+    }
+  });
+  socket.on("close", () => leave(client));
+  socket.on("error", () => leave(client));
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end(`MaiSpec relay: ${rooms.size} active room(s)\n`);
+});
+server.on("upgrade", accept);
+server.listen(PORT, () => console.log(`MaiSpec relay listening on ws://localhost:${PORT}`));
@@ -1,31 +1,68 @@
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import "./App.css";
 import aiIcon from "./assets/icons/ai-powered.png";
 import customizableIcon from "./assets/icons/customizable.png";
 import efficientIcon from "./assets/icons/efficient.png";
 import consistentIcon from "./assets/icons/consistent.png";
+import {
+  listSpecs, loadSpec, createSpec, saveSpec, renameSpec, duplicateSpec, deleteSpec,
+  setActiveSpec, openInitialSpec, specFileJson,
+} from "./workspace";
+import { IMPORT_ACCEPT, importSpecText } from "./importers";
+import {
+  LEVELS, byLevel, asList, takeLines, nextReqId, normalizeFunctional,
+  deriveSections, pickTopN, withoutSelected, replaceNfrCategory, nfrSections,
+  levelItems, levelLabel, moveToLevel, prioritySettings, PRIORITY_SCHEMES, MAX_TOP_N, emptyLevels,
+} from "./requirements";
+import {
+  UNCATEGORISED, nfrSettings, normalizeNfrConfig, defaultNfrConfig, loadNfrProfile, saveNfrProfile, nfrPromptLine,
+} from "./nfrCategories";
+import {
+  BUILT_IN_PACKS, loadPacks, packFor, saveCustomPack, removeCustomPack, packFileJson, readPackFile,
+  packPromptLines, applyPackStandards,
+} from "./domainPacks";
+import {
+  emptyHistory, recordVersion, undo, redo, restoreVersion, currentSpec, canUndo, canRedo, diffSpecs,
+} from "./history";
+import { escapeHtml, topTitle, htmlForPdf, mdFromJson, specBlocks, blocksFromMarkdown } from "./exporters";
+import { buildDocx } from "./docxExport";
+import { buildPdf, unsupportedChars } from "./pdfExport";
+import { readGeneration, parsePartialJson } from "./streaming";
+import { repairRequirements, buildFixPrompt } from "./schema";
+import {
+  DEFAULT_MODEL, SECTION_OPTIONS, DETAIL_LEVELS, LANGUAGES,
+  loadSettings, saveSettings, fetchModels, appendSettings, settingsPromptLines, languageLine,
+} from "./settings";
+import { REFINE_ACTIONS, buildRefinePrompt, parseRefinement, applyRefinement } from "./refine";
+import { chatMessage, buildChatPrompt, parseChatReply, settleProposal } from "./chat";
+import { RULES, lintSpec, findingsOf, scoreGrade } from "./quality";
+import { traceMatrix, toggleTraceLink, addVerificationItem, suggestTraceLinks, traceCsv } from "./traceability";
+import { buildReqIf } from "./reqif";
+import { ISSUE_FORMATS, issueItems, issuePreview, issueExport } from "./issues";
+import { normalizeGlossary, extractTerms, checkTerminology, replaceTerm, definitionRows } from "./glossary";
+import {
+  REVIEW_STATES, REVIEW_LABELS, reviewOf, statusOf, reviewSummary, reviewLine, reviewTargets, targetLabel, stamp,
+  setReviewStatus, addThread, replyToThread, setThreadResolved, signOff, reviewFileJson, readReviewFile, mergeReview, approvalBlock,
+} from "./review";
+import {
+  ATTACH_ACCEPT, ATTACHMENT_BUNDLE_NAME, kindOf, estimateTokens, formatSize, formatTokens,
+  extractAttachment, attachmentTokens, attachmentBundle,
+} from "./attachments";
+import { coverageSettings, coverageStats, coverageCharts, coverageTable, coverageLine } from "./coverage";
+import {
+  DIAGRAM_KINDS, normalizeDiagrams, generateDiagrams, diagramSource, renderDiagram, renderDiagramSvgs, withDiagramImages,
+} from "./diagrams";
+import { DEFAULT_RELAY_URL, createDoc, applyOps, localOps, materialize, mergeEdit, connectRoom, peerColor } from "./collab";
+import {
+  normalizeAcceptance, parseGherkin, gherkinText, scenarioSteps,
+  buildAcceptancePrompt, parseAcceptance, applyAcceptance, featuresZip,
+} from "./gherkin";
 
 /* ───────── helpers + constants ───────── */
 
 const API_BASE = "http://localhost:8000";
 
-function tryParseRequirements(raw) {
-  // Accept object directly
-  if (raw && typeof raw === "object") return raw;
-  let s = String(raw ?? "").trim();
-  if (s.startsWith("```")) {
-    s = s.replace(/^```(?:json)?\s*/i, "").replace(/```$/i, "").trim();
-  }
-  try { return JSON.parse(s); } catch {}
-  const first = s.indexOf("{");
-  const last = s.lastIndexOf("}");
-  if (first !== -1 && last !== -1 && last > first) {
-    try { return JSON.parse(s.slice(first, last + 1)); } catch {}
-  }
-  return null;
-}
-
 const JSON_GUIDE = `
 You are producing a requirements document as pure JSON.
 Do NOT include Markdown, code fences, or any explanatory text.
@@ -37,11 +74,13 @@ Return ONLY a single JSON object with this schema:
   "functional": [
     {
       "id": "FR001",
-      "level": "MUST" | "SHOULD" | "COULD",
+      "level": "MUST" | "SHOULD" | "COULD" | "WONT",
       "statement": string,
       "bullets": [string],
       "rationale": string,
-      "standards": [string]
+      "standards": [string],
+      "tracesTo": [string],
+      "verifiedBy": [string]
     }
   ],
   "nonFunctional": [string],
@@ -55,10 +94,13 @@ Return ONLY a single JSON object with this schema:
 Rules:
 - Keep sentences concise.
 - Prefer MUST/SHOULD appropriately.
+- tracesTo repeats the useCases entries a requirement serves; verifiedBy names the tests or Verification items that cover it.
 - Ensure valid JSON (no trailing commas, no comments).
 `;
 
-const DEFAULT_MODEL = "models/gemini-2.5-flash";
+const GENERATE_TIMEOUT_MS = 180000;
+const EXPORT_ENGINE_KEY = "maispec.exportEngine"; // "browser" | "server"
+const COLLAB_KEY = "maispec.collab"; // last relay URL + display name
 
 /* ───────── Icons ───────── */
 const Paperclip = () => (
@@ -75,24 +117,9 @@ const Mic = ({ on, size = 22 }) => (
 
 /* ───────── Constants ───────── */
 const GREETINGS = new Set(["hi","hello","hey","hola","greetings","good morning","good afternoon","good evening"]);
-const PROJECT_TYPES = ["Mechanical","Electrical","Civil","Software","Other"];
-const STARTER_TEMPLATES = ["Inventory Tracker","Event Booking System","Recipe Planner","Fitness & Habit Coach","Travel Itinerary Builder"];
+const DEFAULT_PROJECT_TYPE = BUILT_IN_PACKS[0].projectType;
 
 /* ───────── Utilities ───────── */
-const escapeHtml = (s = "") => String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
-const norm = (s="") => s.toLowerCase().replace(/\s+/g," ").trim();
-const levelOf = (txt="") => {
-  const t = txt.toUpperCase();
-  if (t.includes("MUST")) return "MUST";
-  if (t.includes("SHOULD")) return "SHOULD";
-  if (t.includes("COULD")) return "COULD";
-  return "SHOULD";
-};
-const byLevel = (items, pick=(x)=>x.level) => {
-  const b = { MUST:[], SHOULD:[], COULD:[] };
-  (items||[]).forEach(it => b[(pick(it)||"SHOULD").toUpperCase()]?.push(it));
-  return b;
-};
 function downloadBlob(content, filename, mime) {
   const blob = new Blob([content], { type: mime });
   const url = URL.createObjectURL(blob);
@@ -100,238 +127,32 @@ function downloadBlob(content, filename, mime) {
   a.href = url; a.download = filename; a.click();
   URL.revokeObjectURL(url);
 }
-function splitSentences(text="") {
-  return text.replace(/\s+/g, " ").trim().split(/(?<=[.!?])\s+/).filter(Boolean);
-}
-function takeLines(text="", n=3) {
-  const s = splitSentences(text);
-  return s.slice(0, n).join(" ");
-}
-
-/* ---- NFR bucketing with MVP defaults ---- */
-function bucketNFR(nonFunctional = []) {
-  const mk = () => ({ MUST: [], SHOULD: [], COULD: [] });
-  const b = {
-    reliability: mk(),
-    performance: mk(),
-    maintainability: mk(),
-    compliance: mk(),
-    verification: mk(),
-  };
-
-  nonFunctional.forEach(n => {
-    const lvl = levelOf(n);
-    const t = n.toLowerCase();
-
-    if (/(gdpr|ccpa|hipaa|pci|soc\s*2|iso\/?iec|iso\s*2700|wcag|accessibil|compliance|regulat)/.test(t)) {
-      b.compliance[lvl].push(n);
-    } else if (/(test|qa|u[a]?t|unit|integration|e2e|acceptance|verification|validation|ci\/?cd|pipeline)/.test(t)) {
-      b.verification[lvl].push(n);
-    } else if (/(performance|latency|throughput|response|load\s*time|scalab|concurren|benchmark)/.test(t)) {
-      b.performance[lvl].push(n);
-    } else if (/(reliab|uptime|availability|failover|redundan|recover|backup|disaster\s*recovery|fault[- ]toler|resilien)/.test(t)) {
-      b.reliability[lvl].push(n);
-    } else if (/(maintain|refactor|modular|document|readab|extensib|configurab|observab|monitorab|logging)/.test(t)) {
-      b.maintainability[lvl].push(n);
-    }
-  });
-
-  // Small defaults so the PDF/DOCX never looks empty
-  const add = (k, lvl, text) => b[k][lvl].push(text);
-  if (!b.reliability.MUST.length && !b.reliability.SHOULD.length)
-    add("reliability","MUST","Reliability: Maintain 99.9% monthly uptime and daily automated backups with restore tests.");
-  if (!b.performance.MUST.length && !b.performance.SHOULD.length)
-    add("performance","SHOULD","Performance: p95 page load ≤ 3s for typical users under normal load.");
-  if (!b.maintainability.MUST.length && !b.maintainability.SHOULD.length)
-    add("maintainability","SHOULD","Maintainability: Modular code with basic docs and lint/tests enforced in CI.");
-  if (!b.compliance.MUST.length && !b.compliance.SHOULD.length)
-    add("compliance","SHOULD","Compliance: Core flows align with WCAG 2.1 AA accessibility guidelines.");
-  if (!b.verification.MUST.length && !b.verification.SHOULD.length)
-    add("verification","SHOULD","Verification: Automated unit tests for critical logic and smoke tests in CI.");
-
-  return b;
-}
-
-/* ---- Build sections (MUST + SHOULD) ---- */
-function deriveSections(data) {
-  const d = data || {};
-  const functionality = byLevel(d.functional || [], (x)=> (x.level || levelOf(x.statement)));
-  const { reliability, performance, maintainability, compliance, verification } = bucketNFR(d.nonFunctional || []);
-  const useCases = Array.isArray(d.useCases) && d.useCases.length
-    ? d.useCases
-    : (d.functional||[]).slice(0,5).map(r => {
-        const s = (r.statement||"").replace(/^The system\s+(MUST|SHOULD|COULD)\s+/i,"");
-        return s || r.statement || "";
-      }).filter(Boolean);
 
-  return {
-    title: d.title || "Requirements",
-    summary: d.summary || "",
-    functionality, reliability, performance, maintainability, compliance, verification,
-    useCases
-  };
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error || new Error("Could not read the file."));
+    reader.readAsText(file);
+  });
 }
 
-function pickTop4(functionality) {
-  const must = functionality.MUST || [];
-  const should = functionality.SHOULD || [];
-  return [...must, ...should].slice(0, 4);
+function readFileBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error || new Error("Could not read the file."));
+    reader.readAsArrayBuffer(file);
+  });
 }
 
-/* Avoid repeating the Top 4 */
-function withoutSelected(funcGroups, selected = []) {
-  const keys = new Set(
-    selected.map(r => (r?.id ? `id:${r.id}` : `s:${norm(r?.statement||"")}`))
-  );
-  const keep = (r) => {
-    if (typeof r === "string") return true;
-    const k = r?.id ? `id:${r.id}` : `s:${norm(r?.statement||"")}`;
-    return !keys.has(k);
-  };
-  return {
-    MUST: (funcGroups.MUST || []).filter(keep),
-    SHOULD: (funcGroups.SHOULD || []).filter(keep),
-    COULD: (funcGroups.COULD || []).filter(keep),
-  };
-}
-
-/* ---- Simple, Bullet Point PDF HTML ---- */
-function htmlForPdf(d) {
-  const S = deriveSections(d);
-  const intro3 = takeLines(S.summary, 3);
-  const summary4 = takeLines(S.summary, 4);
-  const top4 = pickTop4(S.functionality);
-  const funcMinusTop4 = withoutSelected(S.functionality, top4);
-
-  const H1 = (t)=>`<h1>${escapeHtml(t)}</h1>`;
-  const H2 = (t)=>`<h2>${escapeHtml(t)}</h2>`;
-  const H3 = (t)=>`<h3>${escapeHtml(t)}</h3>`;
-
-  const listByLevel = (title, groups) => {
-    const must = groups?.MUST || [];
-    const should = groups?.SHOULD || [];
-    if (!must.length && !should.length) return "";
-
-    let out = `${H2(title)}`;
-    if (must.length) {
-      out += `${H3("MUST")}<ul>` + must.map(x =>
-        typeof x === "string"
-          ? `<li>${escapeHtml(x)}</li>`
-          : `<li><strong>${escapeHtml(x.statement||"")}</strong>${
-              x.bullets?.length ? `<ul>${x.bullets.map(b=>`<li>${escapeHtml(b)}</li>`).join("")}</ul>` : ""
-            }</li>`
-      ).join("") + `</ul>`;
-    }
-    if (should.length) {
-      out += `${H3("SHOULD")}<ul>` + should.map(x =>
-        typeof x === "string"
-          ? `<li>${escapeHtml(x)}</li>`
-          : `<li><strong>${escapeHtml(x.statement||"")}</strong>${
-              x.bullets?.length ? `<ul>${x.bullets.map(b=>`<li>${escapeHtml(b)}</li>`).join("")}</ul>` : ""
-            }</li>`
-      ).join("") + `</ul>`;
-    }
-    return out;
-  };
-
-  const css = `
-    @page { margin: 28pt; }
-    body { font-family: -apple-system, Segoe UI, Roboto, Arial, sans-serif; font-size: 11pt; color: #0f172a; line-height: 1.45; }
-    h1 { font-size: 20pt; margin: 0 0 8pt; padding-bottom: 6pt; border-bottom: 1px solid #e5e7eb; }
-    h2 { font-size: 14pt; margin: 14pt 0 6pt; }
-    h3 { font-size: 11.5pt; margin: 8pt 0 4pt; color: #0b225b; }
-    p  { margin: 6pt 0; }
-    ul { margin: 0 0 6pt 16pt; padding: 0; }
-    li { margin: 3pt 0; }
-    strong { font-weight: 700; }
-  `;
-
-  return `<!doctype html>
-<html><head><meta charset="utf-8"/><title>${escapeHtml(S.title)}</title><style>${css}</style></head>
-<body>
-  ${H1(S.title)}
-  ${intro3 ? `<p>${escapeHtml(intro3)}</p>` : ""}
-
-  ${top4.length ? `${H2("Key MUST/SHOULD (Top 4)")}
-    <ul>${top4.map(r=>`<li><strong>${escapeHtml((r.level||"").toUpperCase())}</strong> — ${escapeHtml(r.statement||"")}</li>`).join("")}</ul>` : ""}
-
-  ${listByLevel("Functional", funcMinusTop4)}
-  ${listByLevel("Reliability", S.reliability)}
-  ${listByLevel("Performance", S.performance)}
-  ${listByLevel("Maintainability", S.maintainability)}
-  ${listByLevel("Compliance", S.compliance)}
-  ${listByLevel("Verification", S.verification)}
-
-  ${S.useCases?.length ? `${H2("Use Cases")}<ul>${S.useCases.map(u=>`<li>${escapeHtml(u)}</li>`).join("")}</ul>` : ""}
-
-  ${summary4 ? `${H2("Summary")}<p>${escapeHtml(summary4)}</p>` : ""}
-</body></html>`;
-}
-
-/* ---- Markdown export ---- */
-function mdFromJson(d) {
-  const S = deriveSections(d);
-  const intro3 = takeLines(S.summary, 3);
-  const summary4 = takeLines(S.summary, 4);
-  const top4 = pickTop4(S.functionality);
-  const funcMinusTop4 = withoutSelected(S.functionality, top4);
-
-  const lines = [];
-  lines.push(`# ${S.title}`, "");
-  if (intro3) lines.push(intro3, "");
-
-  if (top4.length) {
-    lines.push("## Key MUST/SHOULD (Top 4)");
-    top4.forEach(r => lines.push(`- **${(r.level||"").toUpperCase()}** — ${r.statement||""}`));
-    lines.push("");
-  }
-
-  const dumpLvl = (title, grp, structured=false) => {
-    const must = grp?.MUST || [];
-    const should = grp?.SHOULD || [];
-    if (!must.length && !should.length) return;
-
-    lines.push(`## ${title}`);
-    if (must.length) {
-      lines.push(`### MUST`);
-      must.forEach(x=>{
-        if (structured) {
-          lines.push(`- **${x.statement||""}**`);
-          x.bullets?.forEach(b=>lines.push(`  - ${b}`));
-        } else {
-          lines.push(`- ${x}`);
-        }
-      });
-      lines.push("");
-    }
-    if (should.length) {
-      lines.push(`### SHOULD`);
-      should.forEach(x=>{
-        if (structured) {
-          lines.push(`- **${x.statement||""}**`);
-          x.bullets?.forEach(b=>lines.push(`  - ${b}`));
-        } else {
-          lines.push(`- ${x}`);
-        }
-      });
-      lines.push("");
-    }
-  };
-
-  dumpLvl("Functional", funcMinusTop4, true);
-  dumpLvl("Reliability", S.reliability);
-  dumpLvl("Performance", S.performance);
-  dumpLvl("Maintainability", S.maintainability);
-  dumpLvl("Compliance", S.compliance);
-  dumpLvl("Verification", S.verification);
-
-  if (S.useCases?.length) {
-    lines.push("## Use Cases");
-    S.useCases.forEach(u=>lines.push(`- ${u}`));
-    lines.push("");
-  }
-  if (summary4) { lines.push("## Summary", summary4); }
-  return lines.join("\n");
+/* User-facing message for a failed follow-up model call */
+function failureMessage(what, ex) {
+  if (ex?.name === "TimeoutError") return `${what} timed out after ${GENERATE_TIMEOUT_MS / 1000}s.`;
+  if (ex?.name === "AbortError") return `${what} cancelled.`;
+  if (/^HTTP \d+/.test(ex?.message || "")) return `${what} failed: ${ex.message}`;
+  if (ex instanceof TypeError) return "Could not reach the backend. Is it running?";
+  return `${what} failed: ${ex?.message || "unknown error"}`;
 }
 
 /* ───────── Features ───────── */
@@ -365,131 +186,1341 @@ function FeaturesSection() {
   );
 }
 
-/* ───────── MUST/SHOULD cards for the Top 4  ───────── */
-function RequirementCard({ req }) {
+/* ───────── Rationale + standards under a requirement ───────── */
+function ReqMeta({ req }) {
+  const standards = asList(req?.standards);
+  if (!req?.rationale && !standards.length) return null;
+  return (
+    <div className="req-meta">
+      {req.rationale && <div><em>Rationale:</em> {req.rationale}</div>}
+      {standards.length > 0 && <div><em>Standards:</em> {standards.join("; ")}</div>}
+    </div>
+  );
+}
+
+/* ───────── Quality findings under a requirement (rules in quality.js) ───────── */
+function QualityFindings({ findings, onApply }) {
+  if (!findings?.length) return null;
+  return (
+    <ul className="qa-findings">
+      {findings.map((f, i) => (
+        <li key={i} className={`qa-finding qa-${f.rule}`}>
+          <span className="qa-rule">{RULES[f.rule].label}</span> {f.message}
+          {f.rewrite && (
+            <div className="qa-rewrite">
+              Suggested: <em>{f.rewrite}</em>
+              {/* rewrites with [placeholders] still need the author's numbers */}
+              {onApply && !f.rewrite.includes("[") && (
+                <button type="button" className="refine-btn" onClick={() => onApply(f.rewrite)}>Apply</button>
+              )}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function QualitySummary({ quality, show, onToggle }) {
+  if (!quality?.checked) return null;
+  const grade = scoreGrade(quality.score);
+  const issues = Object.entries(quality.counts)
+    .filter(([, n]) => n > 0)
+    .map(([rule, n]) => `${RULES[rule].label}: ${n}`);
+  return (
+    <div className="qa-summary">
+      <div className={`qa-score qa-${grade.replace(/\s+/g, "-").toLowerCase()}`} aria-label="Quality score">
+        <strong>{quality.score}</strong>/100
+      </div>
+      <div className="qa-detail">
+        <div className="qa-grade">Requirement quality: {grade}</div>
+        <div className="qa-counts">
+          {issues.length ? issues.join(" · ") : "No issues found"} — {quality.checked} requirements checked
+        </div>
+      </div>
+      <label className="qa-toggle">
+        <input type="checkbox" checked={show} onChange={(e)=>onToggle(e.target.checked)} /> Show findings inline
+      </label>
+    </div>
+  );
+}
+
+/* ───────── Coverage dashboard: balance by level, NFR category, review, quality, use cases ───────── */
+function CoverageChart({ title, bars }) {
+  const max = Math.max(0, ...bars.map(b => b.count));
+  return (
+    <div className="coverage-chart">
+      <div className="coverage-title">{title}</div>
+      {bars.map(b => (
+        <div key={b.key} className="coverage-row" aria-label={`${title}: ${b.label} ${b.count}`}>
+          <span className="coverage-label">
+            {b.label}
+            {b.defaultOnly && <span className="coverage-default" title="Only the category's default text"> default only</span>}
+          </span>
+          <span className="coverage-track">
+            <span className={`coverage-fill coverage-${b.key}`} style={{ width: `${max ? (b.count / max) * 100 : 0}%` }} />
+          </span>
+          <span className="coverage-count">{b.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function CoveragePanel({ data, onAppendix }) {
+  const [open, setOpen] = useState(false);
+  const stats = coverageStats(data);
+  const table = coverageTable(stats);
+  const { appendix } = coverageSettings(data);
+
+  return (
+    <div className="coverage">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={()=>setOpen(o=>!o)} aria-expanded={open}>
+          Coverage
+        </button>
+        <span className="issues-count">{coverageLine(stats)}</span>
+      </div>
+      {open && (
+        <>
+          <div className="coverage-charts">
+            {coverageCharts(stats).map(c => <CoverageChart key={c.key} title={c.title} bars={c.bars} />)}
+          </div>
+          {stats.defaultOnly.length > 0 && (
+            <p className="trace-flag">Only default text in {stats.defaultOnly.join(", ")}; replace it with requirements for this project.</p>
+          )}
+          {stats.unlinked.length > 0 && (
+            <p className="trace-flag">Use cases without requirements: {stats.unlinked.join("; ")}</p>
+          )}
+          <table className="md-table coverage-table" aria-label="Coverage summary">
+            <thead><tr>{table.head.map(h => <th key={h}>{h}</th>)}</tr></thead>
+            <tbody>{table.rows.map((r, i) => <tr key={i}>{r.map((c, j) => <td key={j}>{c}</td>)}</tr>)}</tbody>
+          </table>
+          <label className="qa-toggle">
+            <input type="checkbox" checked={appendix} onChange={(e)=>onAppendix(e.target.checked)} /> Add as an appendix to exports
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Regenerate / Expand / Tighten one section or requirement ───────── */
+function RefineActions({ name, onRefine, refining }) {
+  if (!onRefine) return null;
+  return (
+    <span className="refine-actions">
+      {Object.entries(REFINE_ACTIONS).map(([key, a]) => (
+        <button
+          key={key}
+          type="button"
+          className="refine-btn"
+          aria-label={`${a.label} ${name}`}
+          disabled={!!refining}
+          onClick={() => onRefine(key)}
+        >
+          {refining?.title === name && refining.action === key ? "Working…" : a.label}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+/* ───────── Given/When/Then scenarios under a requirement ───────── */
+function AcceptanceCriteria({ req }) {
+  const scenarios = normalizeAcceptance(req?.acceptance);
+  if (!scenarios.length) return null;
+  return (
+    <div className="ac">
+      {scenarios.map((sc, i) => (
+        <div className="ac-scenario" key={i}>
+          <div className="ac-name">Scenario: {sc.name}</div>
+          {scenarioSteps(sc).map((st, j) => (
+            <div className="ac-step" key={j}><span className="ac-kw">{st.keyword}</span> {st.text}</div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ───────── MUST/SHOULD cards for the Top N  ───────── */
+function RequirementCard({ req, scheme, review, findings, onApplyRewrite, onRefine, refining }) {
   const level = (req.level || "MUST").toLowerCase();
   return (
     <div className="req-card">
-      <div className={`req-pill req-${level}`}>{req.level || "MUST"}</div>
+      <div className={`req-pill req-${level}`}>{levelLabel(req.level || "MUST", scheme)}</div>
       <div className="req-content">
-        <div className="req-title"><strong>{req.statement}</strong></div>
+        <div className="req-title"><strong>{req.statement}</strong> <ReviewBadge review={review} /></div>
         {Array.isArray(req.bullets) && req.bullets.length > 0 && (
           <ul className="req-bullets">{req.bullets.map((b,i)=><li key={i}>{b}</li>)}</ul>
         )}
+        <ReqMeta req={req} />
+        <AcceptanceCriteria req={req} />
+        <QualityFindings findings={findings} onApply={onApplyRewrite} />
+        <RefineActions name={req.id} onRefine={onRefine} refining={refining} />
       </div>
     </div>
   );
 }
 
-function BulletedGroup({ title, groups }) {
-  const must = groups?.MUST || [];
-  const should = groups?.SHOULD || [];
-  if (must.length === 0 && should.length === 0) return null;
+/* Items grouped by level; with onMove, items can be dragged to another level */
+function BulletedGroup({ title, groups, scheme, findingsFor = () => [], reviewFor = () => null, onApplyRewrite, onMove }) {
+  const [dragged, setDragged] = useState(null);
+  const [over, setOver] = useState("");
+  if (!levelItems(groups).length) return null;
+
+  // while dragging, empty levels show up as drop targets too
+  const shown = LEVELS.filter(l => groups?.[l]?.length || (dragged && onMove));
+  const drop = (level) => (e) => {
+    e.preventDefault();
+    if (dragged && dragged.level !== level) onMove(dragged.item, level);
+    setDragged(null);
+    setOver("");
+  };
 
   return (
     <>
       <h4 className="req-section">{title}</h4>
 
-      {must.length > 0 && (
-        <div style={{marginBottom: 8}}>
-          <div style={{fontWeight: 800, color: "var(--night)", marginBottom: 4}}>MUST</div>
+      {shown.map(level => (
+        <div
+          key={level}
+          className={`level-group${dragged && onMove ? " level-drop" : ""}${over === level ? " level-over" : ""}`}
+          data-testid={`${title}-${level}`}
+          onDragOver={onMove ? (e) => { e.preventDefault(); setOver(level); } : undefined}
+          onDragLeave={onMove ? () => setOver("") : undefined}
+          onDrop={onMove ? drop(level) : undefined}
+        >
+          <div className="level-name">{levelLabel(level, scheme)}</div>
           <ul className="req-bullets">
-            {must.map((item, idx) =>
-              typeof item === "string" ? (
-                <li key={`m-${idx}`}>{item}</li>
+            {(groups[level] || []).map((item, idx) => {
+              const drag = onMove && {
+                draggable: true,
+                title: "Drag to another level",
+                onDragStart: (e) => { e.dataTransfer?.setData("text/plain", ""); setDragged({ item, level }); },
+                onDragEnd: () => { setDragged(null); setOver(""); },
+              };
+              return typeof item === "string" ? (
+                <li key={`${level}-${idx}`} {...drag}>{item}
+                  <QualityFindings findings={findingsFor(item)} onApply={onApplyRewrite && ((text) => onApplyRewrite(item, text))} />
+                </li>
               ) : (
-                <li key={item.id || item.statement}><strong>{item.statement}</strong>
+                <li key={item.id || item.statement} {...drag}><strong>{item.statement}</strong> <ReviewBadge review={reviewFor(item)} />
                   {item.bullets?.length ? (
                     <ul className="req-bullets">
                       {item.bullets.map((b,i)=><li key={i}>{b}</li>)}
                     </ul>
                   ) : null}
+                  <ReqMeta req={item} />
+                  <AcceptanceCriteria req={item} />
+                  <QualityFindings findings={findingsFor(item)} onApply={onApplyRewrite && ((text) => onApplyRewrite(item, text))} />
                 </li>
-              )
-            )}
+              );
+            })}
           </ul>
         </div>
+      ))}
+    </>
+  );
+}
+
+function PlainList({ title, items }) {
+  if (!items?.length) return null;
+  return (
+    <>
+      <h4 className="req-section">{title}</h4>
+      <ul className="req-bullets">
+        {items.map((x,i)=><li key={i}>{x}</li>)}
+      </ul>
+    </>
+  );
+}
+
+function RisksTable({ risks }) {
+  if (!risks?.length) return null;
+  return (
+    <>
+      <h4 className="req-section">Risks &amp; Mitigations</h4>
+      <table className="md-table">
+        <thead><tr><th className="md-th">Risk</th><th className="md-th">Mitigation</th></tr></thead>
+        <tbody>
+          {risks.map((r,i)=>(
+            <tr key={i}><td className="md-td">{r.risk}</td><td className="md-td">{r.mitigation}</td></tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+/* ───────── Structured editor for functional requirements ───────── */
+const linesOf = (text="") => text.split("\n").map(s=>s.trim()).filter(Boolean);
+
+const savedItems = (list) => list
+  .map(({ acceptanceText, ...r }) => ({
+    ...r,
+    statement: r.statement.trim(),
+    bullets: linesOf(r.bullets.join("\n")),
+    standards: linesOf(asList(r.standards).join("\n")),
+    ...(acceptanceText !== undefined && { acceptance: parseGherkin(acceptanceText) }),
+  }))
+  .filter(r => r.statement);
+
+function RequirementEditor({ title, items, reserved = [], scheme, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => normalizeFunctional(items));
+  // what the list looked like when editing started, so a save only replays this editor's changes
+  const [base] = useState(() => savedItems(normalizeFunctional(items)));
+
+  const update = (idx, patch) => setDraft(d => d.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  const move = (idx, dir) => setDraft(d => {
+    const j = idx + dir;
+    if (j < 0 || j >= d.length) return d;
+    const next = [...d];
+    [next[idx], next[j]] = [next[j], next[idx]];
+    return next;
+  });
+  const remove = (idx) => setDraft(d => d.filter((_, i) => i !== idx));
+  const duplicate = (idx) => setDraft(d => {
+    const copy = { ...d[idx], id: nextReqId([...reserved, ...d]) };
+    return [...d.slice(0, idx + 1), copy, ...d.slice(idx + 1)];
+  });
+  const add = () => setDraft(d => [
+    ...d,
+    { id: nextReqId([...reserved, ...d]), level: "SHOULD", statement: "", bullets: [], rationale: "", standards: [] },
+  ]);
+
+  return (
+    <div className="editor" style={{ marginTop: 12 }}>
+      <h4 className="req-section">Editing: {title}</h4>
+      {draft.map((r, idx) => (
+        <div className="req-edit" key={r.id}>
+          <div className="req-edit-head">
+            <span className="req-edit-id">{r.id}</span>
+            <select
+              aria-label={`Level for ${r.id}`}
+              value={r.level}
+              onChange={(e)=>update(idx, { level: e.target.value })}
+            >
+              {LEVELS.map(l => <option key={l} value={l}>{levelLabel(l, scheme)}</option>)}
+            </select>
+            <div className="req-edit-actions">
+              <button type="button" title="Move up" onClick={()=>move(idx, -1)} disabled={idx === 0}>↑</button>
+              <button type="button" title="Move down" onClick={()=>move(idx, 1)} disabled={idx === draft.length - 1}>↓</button>
+              <button type="button" aria-label={`Duplicate ${r.id}`} onClick={()=>duplicate(idx)}>Duplicate</button>
+              <button type="button" aria-label={`Delete ${r.id}`} onClick={()=>remove(idx)}>Delete</button>
+            </div>
+          </div>
+          <label className="pd-label">Statement
+            <textarea
+              className="pd-textarea req-edit-statement"
+              rows={2}
+              value={r.statement}
+              onChange={(e)=>update(idx, { statement: e.target.value })}
+            />
+          </label>
+          <label className="pd-label">Bullets (one per line)
+            <textarea
+              className="pd-textarea"
+              rows={3}
+              value={(r.bullets || []).join("\n")}
+              onChange={(e)=>update(idx, { bullets: e.target.value.split("\n") })}
+            />
+          </label>
+          <label className="pd-label">Rationale
+            <input
+              className="req-edit-input"
+              value={r.rationale || ""}
+              onChange={(e)=>update(idx, { rationale: e.target.value })}
+            />
+          </label>
+          <label className="pd-label">Standards (one per line)
+            <textarea
+              className="pd-textarea"
+              rows={2}
+              value={asList(r.standards).join("\n")}
+              onChange={(e)=>update(idx, { standards: e.target.value.split("\n") })}
+            />
+          </label>
+          <label className="pd-label">Acceptance criteria (Gherkin)
+            <textarea
+              className="pd-textarea ac-edit"
+              rows={4}
+              placeholder={"Scenario: …\n  Given …\n  When …\n  Then …"}
+              value={r.acceptanceText ?? gherkinText(r.acceptance)}
+              onChange={(e)=>update(idx, { acceptanceText: e.target.value })}
+            />
+          </label>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 10, marginTop: 10, flexWrap: "wrap" }}>
+        <button className="download" type="button" onClick={add}>Add requirement</button>
+        <button
+          className="download"
+          type="button"
+          onClick={() => onSave(savedItems(draft), base)}
+        >
+          Save Changes
+        </button>
+        <button className="download" type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+/* Teammates with this section's editor open */
+function PresenceNote({ presence, section }) {
+  const here = (presence?.peers || []).filter(p => p.section === section);
+  if (!here.length) return null;
+  return (
+    <div className="presence">
+      {here.map(p => (
+        <span key={p.site} className="presence-peer" style={{ borderColor: p.color, color: p.color }}>
+          {p.name} is editing
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/* Functional list + Top N share the same editor */
+function EditableRequirements({ title, items, reserved, scheme, onSave, onRefine, refining, readOnly, presence, children }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const editing = (on) => { setIsEditing(on); presence?.onEditing(on ? title : null); };
+  return (
+    <div className="editable-section" style={{ marginTop: 8 }}>
+      <PresenceNote presence={presence} section={title} />
+      {!isEditing ? (
+        <>
+          {children}
+          {!readOnly && (
+            <div className="section-actions">
+              <button className="download" type="button" onClick={() => editing(true)}>
+                Edit {title}
+              </button>
+              <RefineActions name={title} onRefine={onRefine} refining={refining} />
+            </div>
+          )}
+        </>
+      ) : (
+        <RequirementEditor
+          title={title}
+          items={items}
+          reserved={reserved}
+          scheme={scheme}
+          onSave={(next, base) => { onSave(next, base); editing(false); }}
+          onCancel={() => editing(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+/* ───────── Reusable per-section editor  ───────── */
+const sectionLines = (groups) => Object.values(groups || {})
+  .flat()
+  .map(item => (typeof item === "string" ? item : (item.statement || "")))
+  .filter(Boolean);
+
+function EditableSection({ title, groups, scheme, onSave, onRefine, refining, findingsFor, onApplyRewrite, onMove, readOnly, presence }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [text, setText] = useState(() => sectionLines(groups).join("\n"));
+  const [base, setBase] = useState([]);
+
+  // follow the spec while not editing; an open editor keeps its draft when others edit
+  React.useEffect(() => {
+    if (!isEditing) setText(sectionLines(groups).join("\n"));
+  }, [groups, isEditing]);
+
+  const editing = (on) => {
+    if (on) setBase(sectionLines(groups));
+    setIsEditing(on);
+    presence?.onEditing(on ? title : null);
+  };
+
+  return (
+    <div className="editable-section" style={{ marginTop: 8 }}>
+      <PresenceNote presence={presence} section={title} />
+      {!isEditing ? (
+        <>
+          <BulletedGroup
+            title={title}
+            groups={groups}
+            scheme={scheme}
+            findingsFor={findingsFor}
+            onApplyRewrite={onApplyRewrite}
+            onMove={onMove}
+          />
+          {!readOnly && (
+            <div className="section-actions">
+              <button
+                className="download"
+                type="button"
+                onClick={() => editing(true)}
+              >
+                Edit {title}
+              </button>
+              <RefineActions name={title} onRefine={onRefine} refining={refining} />
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="editor" style={{ marginTop: 12 }}>
+          <h4 className="req-section">Editing: {title}</h4>
+          <textarea
+            className="pd-textarea"
+            rows={10}
+            value={text}
+            onChange={(e)=>setText(e.target.value)}
+            placeholder={`One item per line…`}
+          />
+          <div style={{ display: "flex", gap: 10, marginTop: 10, flexWrap: "wrap" }}>
+            <button
+              className="download"
+              type="button"
+              onClick={() => { onSave(linesOf(text), base); editing(false); }}
+            >
+              Save Changes
+            </button>
+            <button className="download" type="button" onClick={()=>editing(false)}>Cancel</button>
+          </div>
+        </div>
       )}
+    </div>
+  );
+}
 
-      {should.length > 0 && (
-        <div style={{marginBottom: 8}}>
-          <div style={{fontWeight: 800, color: "var(--night)", marginBottom: 4}}>SHOULD</div>
+/* ───────── Domain pack for the project type: standards and examples fed to the prompt ───────── */
+function DomainPackBar({ pack, onImport, onExport, onRestore }) {
+  const importRef = useRef(null);
+  return (
+    <details className="pack">
+      <summary>
+        Domain pack: {pack.name}{pack.custom ? " (team pack)" : ""}
+        <span className="pack-count"> · {pack.standards.length} standards · {pack.nfr.categories.length} NFR categories</span>
+      </summary>
+      {pack.standards.length > 0 && (
+        <>
+          <div className="pd-label">Standards</div>
           <ul className="req-bullets">
-            {should.map((item, idx) =>
-              typeof item === "string" ? (
-                <li key={`s-${idx}`}>{item}</li>
-              ) : (
-                <li key={item.id || item.statement}><strong>{item.statement}</strong>
-                  {item.bullets?.length ? (
-                    <ul className="req-bullets">
-                      {item.bullets.map((b,i)=><li key={i}>{b}</li>)}
-                    </ul>
-                  ) : null}
-                </li>
-              )
-            )}
+            {pack.standards.map(st => <li key={st.id}><strong>{st.id}</strong>{st.title && ` — ${st.title}`}</li>)}
           </ul>
-        </div>
+        </>
       )}
+      {pack.examples.length > 0 && (
+        <>
+          <div className="pd-label">Example requirements</div>
+          <ul className="req-bullets">{pack.examples.map((e, i) => <li key={i}>{e}</li>)}</ul>
+        </>
+      )}
+      <div className="trace-actions">
+        <button className="ws-btn" type="button" onClick={onExport}>Export pack</button>
+        <button className="ws-btn" type="button" onClick={()=>importRef.current?.click()}>Import pack</button>
+        {pack.custom && <button className="ws-btn" type="button" onClick={onRestore}>Remove team pack</button>}
+        <input
+          ref={importRef}
+          type="file"
+          accept=".json"
+          aria-label="Import domain pack"
+          hidden
+          onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) onImport(f); }}
+        />
+      </div>
+    </details>
+  );
+}
+
+/* ───────── Generation settings ───────── */
+function SettingsPanel({ settings, models, onChange }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const modelList = Array.from(new Set([...(models || [DEFAULT_MODEL]), settings.model]));
+  const toggleSection = (name) => set({
+    sections: settings.sections.includes(name)
+      ? settings.sections.filter(x => x !== name)
+      : SECTION_OPTIONS.filter(x => x === name || settings.sections.includes(x)),
+  });
+
+  return (
+    <details className="settings">
+      <summary>Generation settings</summary>
+      <div className="settings-grid">
+        <label className="pd-label">Model
+          <select value={settings.model} onChange={(e)=>set({ model: e.target.value })}>
+            {modelList.map(m => <option key={m} value={m}>{m.replace(/^models\//, "")}</option>)}
+          </select>
+          {!models && <span className="settings-hint">Backend model list unavailable; using saved choice.</span>}
+        </label>
+        <label className="pd-label">Functional requirements (target)
+          <input
+            type="number" min={1} max={100}
+            value={settings.targetFunctional}
+            onChange={(e)=>set({ targetFunctional: Math.max(1, Math.min(100, Number(e.target.value) || 1)) })}
+          />
+        </label>
+        <label className="pd-label">Level of detail
+          <select value={settings.detail} onChange={(e)=>set({ detail: e.target.value })}>
+            {DETAIL_LEVELS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+          </select>
+        </label>
+        <label className="pd-label">Output language
+          <input list="maispec-languages" value={settings.language} onChange={(e)=>set({ language: e.target.value })} />
+          <datalist id="maispec-languages">{LANGUAGES.map(l => <option key={l} value={l} />)}</datalist>
+        </label>
+      </div>
+      <fieldset className="settings-sections">
+        <legend className="pd-label">Sections to request</legend>
+        {SECTION_OPTIONS.map(name => (
+          <label key={name} className="settings-check">
+            <input type="checkbox" checked={settings.sections.includes(name)} onChange={()=>toggleSection(name)} />
+            {name}
+          </label>
+        ))}
+      </fieldset>
+    </details>
+  );
+}
+
+/* ───────── What repairRequirements fixed, or why it could not ───────── */
+function ParseReport({ report, onFix, busy }) {
+  if (!report) return null;
+  if (!report.data) {
+    return (
+      <div className="parse-report is-error">
+        <strong>Couldn’t read a structured spec from the model output.</strong> {report.error}
+        {report.fixes.length > 0 && <div className="parse-report-sub">Tried: {report.fixes.join("; ")}</div>}
+        <div>
+          <button className="ws-btn" type="button" onClick={onFix} disabled={busy}>Ask the model to fix this JSON</button>
+        </div>
+      </div>
+    );
+  }
+  return (
+    <details className="parse-report">
+      <summary>
+        {report.fixes.length > 0 && `Repaired the model output (${report.fixes.length} fix${report.fixes.length === 1 ? "" : "es"})`}
+        {report.fixes.length > 0 && report.missing.length > 0 && " · "}
+        {report.missing.length > 0 && `Missing: ${report.missing.join(", ")}`}
+      </summary>
+      {report.fixes.length > 0 && <ul className="req-bullets">{report.fixes.map((f, i) => <li key={i}>{f}</li>)}</ul>}
+    </details>
+  );
+}
+
+/* ───────── Prioritisation: MoSCoW or P0–P3 labels, size of the Key section ───────── */
+function PriorityControls({ scheme, topN, onChange }) {
+  const [count, setCount] = useState(String(topN));
+  useEffect(() => { setCount(String(topN)); }, [topN]);
+
+  const commitCount = () => {
+    const n = Math.min(Number(count), MAX_TOP_N);
+    const valid = count.trim() !== "" && Number.isInteger(n) && n >= 0;
+    setCount(String(valid ? n : topN));
+    if (valid && n !== topN) onChange({ topN: n });
+  };
+
+  return (
+    <div className="priority-bar">
+      <label>
+        Prioritisation
+        <select aria-label="Prioritisation scheme" value={scheme} onChange={(e)=>onChange({ scheme: e.target.value })}>
+          {Object.entries(PRIORITY_SCHEMES).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+        </select>
+      </label>
+      <label>
+        Key requirements
+        <input
+          type="number"
+          min={0}
+          max={MAX_TOP_N}
+          aria-label="Key requirements shown"
+          value={count}
+          onChange={(e)=>setCount(e.target.value)}
+          onBlur={commitCount}
+          onKeyDown={(e)=>{ if (e.key === "Enter") commitCount(); }}
+        />
+      </label>
+      <span className="priority-hint">Drag a requirement onto another level to reprioritise it.</span>
+    </div>
+  );
+}
+
+/* ───────── Export buttons + where PDF/DOCX are built ───────── */
+function ExportBar({ onPdf, onDocx, onMd, onReqIf, onJson, engine, onEngine, notice }) {
+  return (
+    <>
+    <div className="export-bar">
+      <button className="download" type="button" onClick={onPdf}>Export PDF</button>
+      <button className="download" type="button" onClick={onDocx}>Export DOCX</button>
+      <button className="download" type="button" onClick={onMd}>Export Markdown</button>
+      {onReqIf && <button className="download" type="button" onClick={onReqIf}>Export ReqIF</button>}
+      {onJson && <button className="download" type="button" onClick={onJson} title="Lossless MaiSpec file; import it again from Saved specs">Export JSON</button>}
+      <label className="export-engine">
+        PDF/DOCX built
+        <select aria-label="Export engine" value={engine} onChange={(e)=>onEngine(e.target.value)}>
+          <option value="browser">In browser</option>
+          <option value="server">On server (FastAPI)</option>
+        </select>
+      </label>
+    </div>
+    {notice && <p className="note export-notice" role="status">{notice}</p>}
     </>
   );
 }
 
-/* ───────── Reusable per-section editor  ───────── */
-function EditableSection({ title, groups, onSave }) {
-  const [isEditing, setIsEditing] = useState(false);
-  const initialText = Object.values(groups || {})
-    .flat()
-    .map(item => (typeof item === "string" ? item : (item.statement || "")))
-    .filter(Boolean)
-    .join("\n");
-
-  const [text, setText] = useState(initialText);
-
-  
-  React.useEffect(() => {
-    const t = Object.values(groups || {})
-      .flat()
-      .map(item => (typeof item === "string" ? item : (item.statement || "")))
-      .filter(Boolean)
-      .join("\n");
-    setText(t);
-  }, [groups]);
+/* ───────── Issue-tracker export: pick a format, preview the mapping, download ───────── */
+function IssueExportPanel({ data, onDownload }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("jira");
+  const items = issueItems(data);
+  if (!items.length) return null;
+
+  const nfrCount = items.filter(x => x.labels.includes("non-functional")).length;
+  const preview = open ? issuePreview(data, format) : null;
+
+  return (
+    <div className="issues">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={()=>setOpen(o=>!o)} aria-expanded={open}>
+          Export to issue tracker
+        </button>
+        <span className="issues-count">
+          {items.length - nfrCount} functional · {nfrCount} non-functional
+        </span>
+      </div>
+
+      {open && (
+        <>
+          <div className="trace-actions">
+            <select aria-label="Issue format" value={format} onChange={(e)=>setFormat(e.target.value)}>
+              {Object.entries(ISSUE_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+            </select>
+            <button className="ws-btn" type="button" onClick={()=>onDownload(format)}>
+              Download {ISSUE_FORMATS[format].label}
+            </button>
+          </div>
+          <div className="trace-scroll">
+            <table className="md-table issues-table" aria-label="Issue mapping preview">
+              <thead>
+                <tr>{preview.head.map((h, i) => <th key={i} className="md-th">{h}</th>)}</tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row, i) => (
+                  <tr key={i}>{row.map((cell, j) => <td key={j} className="md-td">{cell}</td>)}</tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ───────── NFR categories: titles, keywords and starter lines, saved per project type ───────── */
+function NfrCategoryPanel({ config, projType, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(config);
+  const [note, setNote] = useState("");
+
+  const toggle = () => { setDraft(config); setNote(""); setOpen(o => !o); };
+  const update = (idx, patch) => setDraft(d => ({ ...d, categories: d.categories.map((c, i) => (i === idx ? { ...c, ...patch } : c)) }));
+  const remove = (idx) => setDraft(d => ({ ...d, categories: d.categories.filter((_, i) => i !== idx) }));
+  const add = () => setDraft(d => ({ ...d, categories: [...d.categories, { key: "", title: "", keywords: "" }] }));
+
+  const apply = () => { onApply(normalizeNfrConfig(draft)); setNote("Applied to this spec."); };
+  const saveProfile = () => {
+    setNote(saveNfrProfile(projType, draft)
+      ? `Saved as the default for ${projType} projects.`
+      : "Could not save: browser storage is full or disabled.");
+  };
+
+  return (
+    <div className="nfr-cats">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={toggle} aria-expanded={open}>
+          NFR categories
+        </button>
+        <span className="issues-count">
+          {config.categories.length} categories{config.defaults ? " · starter NFRs on" : ""}
+        </span>
+      </div>
+
+      {open && (
+        <div className="editor">
+          <p className="nfr-cats-hint">
+            An NFR goes to the category named by its “Title:” prefix, otherwise to the first category with a matching keyword, otherwise to Uncategorised.
+          </p>
+          {draft.categories.map((c, idx) => (
+            <div className="nfr-cat-row" key={idx}>
+              <input
+                className="req-edit-input"
+                aria-label={`Category ${idx + 1} title`}
+                placeholder="Title"
+                value={c.title}
+                onChange={(e)=>update(idx, { title: e.target.value })}
+              />
+              <input
+                className="req-edit-input"
+                aria-label={`Category ${idx + 1} keywords`}
+                placeholder="Keywords, comma-separated"
+                value={c.keywords}
+                onChange={(e)=>update(idx, { keywords: e.target.value })}
+              />
+              <input
+                className="req-edit-input"
+                aria-label={`Category ${idx + 1} starter NFR`}
+                placeholder="Starter NFR (optional)"
+                value={c.defaultText || ""}
+                onChange={(e)=>update(idx, { defaultText: e.target.value })}
+              />
+              <button type="button" aria-label={`Remove category ${idx + 1}`} onClick={()=>remove(idx)}>Remove</button>
+            </div>
+          ))}
+          <label className="qa-toggle">
+            <input
+              type="checkbox"
+              checked={draft.defaults}
+              onChange={(e)=>setDraft(d => ({ ...d, defaults: e.target.checked }))}
+            /> Add starter NFRs to categories that have no MUST/SHOULD items
+          </label>
+          <div className="trace-actions">
+            <button className="ws-btn" type="button" onClick={add}>Add category</button>
+            <button className="ws-btn" type="button" onClick={()=>setDraft(defaultNfrConfig())}>Reset to built-in</button>
+            <button className="ws-btn" type="button" onClick={apply}>Apply to this spec</button>
+            <button className="ws-btn" type="button" onClick={saveProfile}>Save as default for {projType}</button>
+          </div>
+          {note && <p className="note">{note}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Glossary: defined terms, suggested terms, synonym clean-up ───────── */
+function GlossaryPanel({ data, onSave, onReplace }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [note, setNote] = useState("");
+  const saved = normalizeGlossary(data?.glossary);
+  const { variants, mixed } = checkTerminology(data);
+  const problems = variants.length + mixed.length;
+  const candidates = extractTerms({ ...data, glossary: draft });
+
+  const toggle = () => {
+    setDraft(saved.map(e => ({ ...e, synonyms: e.synonyms.join(", ") })));
+    setNote("");
+    setOpen(o => !o);
+  };
+  const update = (idx, patch) => setDraft(d => d.map((e, i) => (i === idx ? { ...e, ...patch } : e)));
+  const remove = (idx) => setDraft(d => d.filter((_, i) => i !== idx));
+  const add = (term = "") => setDraft(d => [...d, { term, definition: "", synonyms: "" }]);
+  const save = () => { onSave(normalizeGlossary(draft)); setNote("Glossary saved."); };
+  const replace = (from, to) => {
+    const n = onReplace(from, to);
+    setNote(n ? `Replaced ${n} use${n > 1 ? "s" : ""} of “${from}” with “${to}”.` : `“${from}” is no longer used.`);
+  };
+
+  return (
+    <div className="glossary">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={toggle} aria-expanded={open}>
+          Glossary
+        </button>
+        <span className={problems ? "trace-flag" : "issues-count"}>
+          {saved.length} term{saved.length === 1 ? "" : "s"}
+          {problems ? ` · ${problems} terminology issue${problems > 1 ? "s" : ""}` : ""}
+        </span>
+      </div>
+
+      {open && (
+        <div className="editor">
+          {draft.map((e, idx) => (
+            <div className="glossary-row" key={idx}>
+              <input
+                className="req-edit-input"
+                aria-label={`Term ${idx + 1}`}
+                placeholder="Term"
+                value={e.term}
+                onChange={(ev)=>update(idx, { term: ev.target.value })}
+              />
+              <input
+                className="req-edit-input"
+                aria-label={`Term ${idx + 1} definition`}
+                placeholder="Definition"
+                value={e.definition}
+                onChange={(ev)=>update(idx, { definition: ev.target.value })}
+              />
+              <input
+                className="req-edit-input"
+                aria-label={`Term ${idx + 1} synonyms`}
+                placeholder="Synonyms to avoid, comma-separated"
+                value={e.synonyms}
+                onChange={(ev)=>update(idx, { synonyms: ev.target.value })}
+              />
+              <button type="button" aria-label={`Remove term ${idx + 1}`} onClick={()=>remove(idx)}>Remove</button>
+            </div>
+          ))}
+          <div className="trace-actions">
+            <button className="ws-btn" type="button" onClick={()=>add()}>Add term</button>
+            <button className="ws-btn" type="button" onClick={save}>Save glossary</button>
+          </div>
+
+          {candidates.length > 0 && (
+            <div className="glossary-suggest">
+              <span className="glossary-label">Suggested terms</span>
+              {candidates.map(c => (
+                <button key={c.term} type="button" className="refine-btn" aria-label={`Add ${c.term}`} onClick={()=>add(c.term)}>
+                  {c.term} <span className="issues-count">×{c.count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {variants.length > 0 && (
+            <ul className="req-bullets">
+              {variants.map(v => (
+                <li key={`${v.term}/${v.word}`}>
+                  “{v.word}” is a synonym of <strong>{v.term}</strong> ({v.where.join(", ")}){" "}
+                  <button type="button" className="refine-btn" onClick={()=>replace(v.word, v.term)}>Replace all with “{v.term}”</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {mixed.length > 0 && (
+            <ul className="req-bullets">
+              {mixed.map(g => (
+                <li key={g.words.map(w => w.word).join("/")}>
+                  Mixed terms: {g.words.map(w => `“${w.word}” ×${w.count}`).join(", ")}{" "}
+                  {g.words.map(w => (
+                    <button key={w.word} type="button" className="refine-btn" onClick={()=>g.words.filter(o => o !== w).forEach(o => replace(o.word, w.word))}>
+                      Use “{w.word}”
+                    </button>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          )}
+          {!problems && <p className="note">No inconsistent synonyms found.</p>}
+          {note && <p className="note">{note}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Diagrams: editable Mermaid sources with a live preview ───────── */
+function DiagramPreview({ source }) {
+  const [svg, setSvg] = useState("");
+  const [error, setError] = useState("");
+
+  // re-render once typing pauses; a slower earlier render must not win
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      renderDiagram(source)
+        .then(out => { if (!cancelled) { setSvg(out); setError(""); } })
+        .catch(e => { if (!cancelled) setError(e?.message || String(e)); });
+    }, 300);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [source]);
+
+  return (
+    <div className="diagram-preview">
+      {error && <p className="trace-flag">Diagram error: {error}</p>}
+      {svg && <div className={error ? "diagram-svg diagram-stale" : "diagram-svg"} dangerouslySetInnerHTML={{ __html: svg }} />}
+    </div>
+  );
+}
+
+function DiagramPanel({ data, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [note, setNote] = useState("");
+  const saved = normalizeDiagrams(data?.diagrams);
+
+  const toggle = () => {
+    setDraft(saved);
+    setNote("");
+    setOpen(o => !o);
+  };
+  const update = (idx, patch) => setDraft(d => d.map((g, i) => (i === idx ? { ...g, ...patch } : g)));
+  const remove = (idx) => setDraft(d => d.filter((_, i) => i !== idx));
+  const generate = () => { setDraft(generateDiagrams(data)); setNote("Diagrams generated from the use cases and requirements. Save to keep them."); };
+  const add = (kind) => setDraft(d => {
+    const n = Math.max(0, ...d.map(g => Number(g.id.slice(1)) || 0)) + 1;
+    return [...d, { id: `D${n}`, kind, title: DIAGRAM_KINDS[kind], source: diagramSource(data, kind) }];
+  });
+  const save = () => { onSave(normalizeDiagrams(draft)); setNote("Diagrams saved."); };
+
+  return (
+    <div className="diagrams">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={toggle} aria-expanded={open}>
+          Diagrams
+        </button>
+        <span className="issues-count">
+          {saved.length ? `${saved.length} diagram${saved.length === 1 ? "" : "s"}` : "None yet"}
+        </span>
+      </div>
+
+      {open && (
+        <div className="editor">
+          <div className="trace-actions">
+            <button className="ws-btn" type="button" onClick={generate}>
+              {draft.length ? "Regenerate from requirements" : "Generate diagrams"}
+            </button>
+            {Object.entries(DIAGRAM_KINDS).map(([kind, name]) => (
+              <button key={kind} className="refine-btn" type="button" onClick={()=>add(kind)}>Add {name.toLowerCase()}</button>
+            ))}
+          </div>
+
+          {draft.map((g, idx) => (
+            <div className="diagram-item" key={g.id}>
+              <div className="diagram-head">
+                <input
+                  className="req-edit-input"
+                  aria-label={`${g.id} title`}
+                  value={g.title}
+                  onChange={(ev)=>update(idx, { title: ev.target.value })}
+                />
+                <button type="button" aria-label={`Remove ${g.title || g.id}`} onClick={()=>remove(idx)}>Remove</button>
+              </div>
+              <div className="diagram-body">
+                <textarea
+                  className="diagram-source"
+                  aria-label={`${g.title || g.id} source`}
+                  spellCheck={false}
+                  value={g.source}
+                  onChange={(ev)=>update(idx, { source: ev.target.value })}
+                />
+                <DiagramPreview source={g.source} />
+              </div>
+            </div>
+          ))}
+
+          {draft.length > 0 && (
+            <div className="trace-actions">
+              <button className="ws-btn" type="button" onClick={save}>Save diagrams</button>
+            </div>
+          )}
+          {note && <p className="note">{note}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Review: per-requirement states, comment threads, document sign-off ───────── */
+function ReviewBadge({ review }) {
+  if (!review) return null;
+  return (
+    <span className="review-badge">
+      <span className={`review-pill review-${review.status}`}>{REVIEW_LABELS[review.status]}</span>
+      {review.open > 0 && <span className="review-open">{review.open} open comment{review.open > 1 ? "s" : ""}</span>}
+    </span>
+  );
+}
+
+function ReviewThread({ thread, onReply, onResolve }) {
+  const [reply, setReply] = useState("");
+  const send = () => { if (!reply.trim()) return; onReply(thread.id, reply.trim()); setReply(""); };
+  return (
+    <li className={`review-thread${thread.resolved ? " review-resolved" : ""}`}>
+      <div className="review-thread-head">
+        <strong>{targetLabel(thread.target)}</strong>
+        {thread.resolved && <span className="issues-count">Resolved</span>}
+        <button type="button" className="refine-btn" aria-label={`${thread.resolved ? "Reopen" : "Resolve"} ${thread.id}`} onClick={()=>onResolve(thread.id, !thread.resolved)}>
+          {thread.resolved ? "Reopen" : "Resolve"}
+        </button>
+      </div>
+      {thread.comments.map((c, i) => (
+        <div className="review-comment" key={i}>
+          <span className="review-author">{c.author}</span> <span className="issues-count">{stamp(c.at)}</span>
+          <div>{c.text}</div>
+        </div>
+      ))}
+      <div className="trace-actions">
+        <input
+          className="ws-name-input"
+          placeholder="Reply…"
+          aria-label={`Reply to ${thread.id}`}
+          value={reply}
+          onChange={(e)=>setReply(e.target.value)}
+          onKeyDown={(e)=>{ if (e.key === "Enter") { e.preventDefault(); send(); } }}
+        />
+        <button className="ws-btn" type="button" onClick={send} disabled={!reply.trim()}>Reply</button>
+      </div>
+    </li>
+  );
+}
+
+function ReviewPanel({ data, onStatus, onComment, onReply, onResolve, onSignOff, onExport, onImport }) {
+  const [open, setOpen] = useState(false);
+  const [reviewer, setReviewer] = useState("");
+  const [target, setTarget] = useState("");
+  const [text, setText] = useState("");
+  const [note, setNote] = useState("");
+  const importRef = useRef(null);
+  const review = reviewOf(data);
+  const { counts, total, open: unresolved, signoffs } = reviewSummary(data);
+  const targets = reviewTargets(data);
+  const reqs = normalizeFunctional(data?.functional);
+  const last = signoffs[signoffs.length - 1];
+  const author = reviewer.trim() || "Anonymous";
+
+  const comment = () => {
+    if (!text.trim()) return;
+    onComment(target || targets[0]?.key, author, text.trim());
+    setText("");
+  };
+  const sign = (decision) => {
+    onSignOff(reviewer.trim(), decision);
+    const pending = total - counts.approved;
+    setNote(decision === "approved" && pending
+      ? `Signed off with ${pending} requirement${pending > 1 ? "s" : ""} not yet approved.`
+      : `${decision === "approved" ? "Approved" : "Rejected"} by ${reviewer.trim()}.`);
+  };
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) setNote(await onImport(file));
+  };
+
+  return (
+    <div className="review">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={()=>setOpen(o=>!o)} aria-expanded={open}>
+          Review &amp; sign-off
+        </button>
+        <span className={unresolved.length || counts.rejected ? "trace-flag" : "issues-count"}>
+          {reviewLine(data)}
+          {last ? ` · ${REVIEW_LABELS[last.decision]} by ${last.name}` : " · not signed off"}
+        </span>
+      </div>
+
+      {open && (
+        <div className="editor">
+          <input
+            className="ws-name-input"
+            placeholder="Your name"
+            aria-label="Reviewer name"
+            value={reviewer}
+            onChange={(e)=>setReviewer(e.target.value)}
+          />
+
+          <table className="md-table review-table">
+            <tbody>
+              {reqs.map(r => (
+                <tr key={r.id}>
+                  <td className="md-td"><strong>{r.id}</strong> {r.statement}</td>
+                  <td className="md-td">
+                    <select
+                      aria-label={`${r.id} review status`}
+                      value={review.status[r.id] || "draft"}
+                      onChange={(e)=>onStatus(r.id, e.target.value)}
+                    >
+                      {REVIEW_STATES.map(st => <option key={st} value={st}>{REVIEW_LABELS[st]}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="trace-actions">
+            <select aria-label="Comment on" value={target || targets[0]?.key || ""} onChange={(e)=>setTarget(e.target.value)}>
+              {targets.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+            </select>
+            <input
+              className="ws-name-input"
+              placeholder="Add a comment…"
+              aria-label="New comment"
+              value={text}
+              onChange={(e)=>setText(e.target.value)}
+              onKeyDown={(e)=>{ if (e.key === "Enter") { e.preventDefault(); comment(); } }}
+            />
+            <button className="ws-btn" type="button" onClick={comment} disabled={!text.trim()}>Add comment</button>
+          </div>
+          {review.threads.length > 0 && (
+            <ul className="review-threads">
+              {review.threads.map(t => (
+                <ReviewThread
+                  key={t.id}
+                  thread={t}
+                  onReply={(id, reply) => onReply(id, author, reply)}
+                  onResolve={onResolve}
+                />
+              ))}
+            </ul>
+          )}
+
+          {signoffs.length > 0 && (
+            <ul className="req-bullets">
+              {signoffs.map((so, i) => <li key={i}><strong>{REVIEW_LABELS[so.decision]}</strong> by {so.name} · {stamp(so.at)}</li>)}
+            </ul>
+          )}
+          <div className="trace-actions">
+            <button className="ws-btn" type="button" onClick={()=>sign("approved")} disabled={!reviewer.trim()}>Approve document</button>
+            <button className="ws-btn" type="button" onClick={()=>sign("rejected")} disabled={!reviewer.trim()}>Reject document</button>
+            <button className="ws-btn" type="button" onClick={onExport}>Export review</button>
+            <button className="ws-btn" type="button" onClick={()=>importRef.current?.click()}>Import review</button>
+            <input ref={importRef} type="file" accept=".json,application/json" hidden aria-label="Import review file" onChange={importFile} />
+          </div>
+          {note && <p className="note">{note}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Live collaboration: share or join a room on a WebSocket relay ───────── */
+const COLLAB_STATUS = {
+  connecting: (c) => `Connecting to “${c.room}”…`,
+  waiting: (c) => `Waiting for someone in “${c.room}” to share their spec…`,
+  live: (c) => `Live in “${c.room}”`,
+  closed: () => "Disconnected from the relay.",
+  error: (c) => `Could not reach the relay at ${c.url}.`,
+};
+
+function CollabPanel({ collab, canShare, defaults, onStart, onLeave }) {
+  const [open, setOpen] = useState(false);
+  const [url, setUrl] = useState(defaults.url);
+  const [room, setRoom] = useState("");
+  const [name, setName] = useState(defaults.name);
+  const ready = url.trim() && room.trim() && name.trim();
+  const start = (join) => onStart({ url: url.trim(), room: room.trim(), name: name.trim() }, join);
+
+  if (collab) {
+    const peers = Object.entries(collab.peers).map(([site, p]) => ({ site, ...p }));
+    return (
+      <div className="collab">
+        <div className="hist-bar">
+          <span className={`collab-dot collab-${collab.status}`} aria-hidden="true" />
+          <span className="issues-count">{COLLAB_STATUS[collab.status](collab)}</span>
+          {peers.map(p => (
+            <span key={p.site} className="presence-peer" style={{ borderColor: peerColor(p.site), color: peerColor(p.site) }}>
+              {p.name}{p.section ? ` · ${p.section}` : ""}
+            </span>
+          ))}
+          <button className="ws-btn" type="button" onClick={onLeave}>Leave</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="collab">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={()=>setOpen(o=>!o)} aria-expanded={open}>
+          Collaborate
+        </button>
+        <span className="issues-count">Edit this spec live with teammates</span>
+      </div>
+      {open && (
+        <div className="trace-actions">
+          <input className="ws-name-input" aria-label="Relay URL" placeholder="ws://…" value={url} onChange={(e)=>setUrl(e.target.value)} />
+          <input className="ws-name-input" aria-label="Room name" placeholder="Room" value={room} onChange={(e)=>setRoom(e.target.value)} />
+          <input className="ws-name-input" aria-label="Your name" placeholder="Your name" value={name} onChange={(e)=>setName(e.target.value)} />
+          <button className="ws-btn" type="button" onClick={()=>start(false)} disabled={!ready || !canShare}>Share this spec</button>
+          <button className="ws-btn" type="button" onClick={()=>start(true)} disabled={!ready}>Join room</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Traceability matrix: use cases × requirements × verification ───────── */
+function TraceabilityPanel({ data, onToggle, onAddVerification, onSuggest, onCsv }) {
+  const [open, setOpen] = useState(false);
+  const [newItem, setNewItem] = useState("");
+  const [note, setNote] = useState("");
+  const m = traceMatrix(data);
+  if (!m.rows.length) return null;
+
+  const linked = (row, kind, id) => (kind === "tracesTo" ? row.useCases : row.verification).includes(id);
+  const flags = [
+    m.orphanUseCases.length && `${m.orphanUseCases.length} use case${m.orphanUseCases.length > 1 ? "s" : ""} without requirements`,
+    m.unverified.length && `${m.unverified.length} requirement${m.unverified.length > 1 ? "s" : ""} without verification`,
+  ].filter(Boolean);
+  const suggest = () => { const added = onSuggest(); setNote(added ? `Linked ${added} use case references.` : "No new links found."); };
+  const add = () => { if (!newItem.trim()) return; onAddVerification(newItem); setNewItem(""); };
 
   return (
-    <div className="editable-section" style={{ marginTop: 8 }}>
-      {!isEditing ? (
+    <div className="trace">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={()=>setOpen(o=>!o)} aria-expanded={open}>
+          Traceability matrix
+        </button>
+        <span className={flags.length ? "trace-flag" : "trace-ok"}>{flags.length ? flags.join(" · ") : "Every requirement is traced and verified"}</span>
+      </div>
+
+      {open && (
         <>
-          <BulletedGroup title={title} groups={groups} />
-          <button
-            className="download"
-            type="button"
-            onClick={() => setIsEditing(true)}
-          >
-            Edit {title}
-          </button>
-        </>
-      ) : (
-        <div className="editor" style={{ marginTop: 12 }}>
-          <h4 className="req-section">Editing: {title}</h4>
-          <textarea
-            className="pd-textarea"
-            rows={10}
-            value={text}
-            onChange={(e)=>setText(e.target.value)}
-            placeholder={`One item per line…`}
-          />
-          <div style={{ display: "flex", gap: 10, marginTop: 10, flexWrap: "wrap" }}>
-            <button
-              className="download"
-              type="button"
-              onClick={() => { onSave(text.split("\n").map(s=>s.trim()).filter(Boolean)); setIsEditing(false); }}
-            >
-              Save Changes
-            </button>
-            <button className="download" type="button" onClick={()=>setIsEditing(false)}>Cancel</button>
+          <div className="trace-scroll">
+            <table className="md-table trace-table">
+              <thead>
+                <tr>
+                  <th className="md-th" rowSpan={2}>Requirement</th>
+                  {m.useCases.length > 0 && <th className="md-th" colSpan={m.useCases.length}>Use cases</th>}
+                  <th className="md-th" colSpan={m.verification.length}>Verification</th>
+                  <th className="md-th" rowSpan={2}>Status</th>
+                </tr>
+                <tr>
+                  {m.useCases.map(u => (
+                    <th key={u.id} className={`md-th trace-col${u.reqIds.length ? "" : " trace-orphan"}`} title={u.text}>{u.id}</th>
+                  ))}
+                  {m.verification.map(v => <th key={v.id} className="md-th trace-col" title={v.text}>{v.id}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {m.rows.map(row => (
+                  <tr key={row.req.id}>
+                    <td className="md-td"><strong>{row.req.id}</strong> {row.req.statement}</td>
+                    {[...m.useCases.map(u => ["tracesTo", u]), ...m.verification.map(v => ["verifiedBy", v])].map(([kind, x]) => (
+                      <td key={x.id} className="md-td trace-cell">
+                        <input
+                          type="checkbox"
+                          aria-label={`${row.req.id} → ${x.id}`}
+                          checked={linked(row, kind, x.id)}
+                          onChange={()=>onToggle(row.req.id, kind, x.text)}
+                        />
+                      </td>
+                    ))}
+                    <td className={`md-td ${row.status === "Covered" ? "trace-ok" : "trace-flag"}`}>{row.status}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
-        </div>
+
+          <div className="trace-legend">
+            {m.useCases.length > 0 ? (
+              <ul className="req-bullets">
+                {m.useCases.map(u => (
+                  <li key={u.id}><strong>{u.id}</strong> {u.text}{!u.reqIds.length && <span className="trace-flag"> — no requirement</span>}</li>
+                ))}
+              </ul>
+            ) : <p className="note">This spec has no use cases to trace to.</p>}
+            <ul className="req-bullets">
+              {m.verification.map(v => <li key={v.id}><strong>{v.id}</strong> {v.text}</li>)}
+            </ul>
+          </div>
+
+          <div className="trace-actions">
+            {m.useCases.length > 0 && <button className="ws-btn" type="button" onClick={suggest}>Suggest use-case links</button>}
+            <input
+              className="ws-name-input"
+              placeholder="New test or verification item…"
+              aria-label="New verification item"
+              value={newItem}
+              onChange={(e)=>setNewItem(e.target.value)}
+              onKeyDown={(e)=>{ if (e.key === "Enter") { e.preventDefault(); add(); } }}
+            />
+            <button className="ws-btn" type="button" onClick={add} disabled={!newItem.trim()}>Add</button>
+            <button className="ws-btn" type="button" onClick={onCsv}>Download CSV</button>
+          </div>
+          {note && <p className="note">{note}</p>}
+        </>
       )}
     </div>
   );
@@ -501,70 +1532,187 @@ function RequirementsView({
   onPdf,
   onDocx,
   onMd,
+  onReqIf,
+  onJson,
+  exportEngine,
+  onExportEngine,
+  exportNotice,
+  onEditTop,
   onEditFunctionalRest,
-  onEditNfrCategory
+  onPriority,
+  onMoveLevel,
+  onEditNfrCategory,
+  onNfrCategories,
+  onRefine,
+  refining,
+  onApplyRewrite,
+  onTrace,
+  onGlossary,
+  onReview,
+  onCoverage,
+  onDiagrams,
+  collab,
+  onAcceptance,
+  onIssues,
+  readOnly = false
 }) {
   const S = deriveSections(data);
   const intro3 = takeLines(S.summary, 3);
   const summary4 = takeLines(S.summary, 4);
-  const top4 = pickTop4(S.functionality);
-  const funcMinusTop4 = withoutSelected(S.functionality, top4);
+  const { scheme, topN } = prioritySettings(data);
+  const top = pickTopN(S.functionality, topN);
+  const funcMinusTop = withoutSelected(S.functionality, top);
+  const moveLevel = readOnly ? undefined : onMoveLevel;
+  const allFunctional = normalizeFunctional(data?.functional);
+  const withCriteria = allFunctional.filter(r => normalizeAcceptance(r.acceptance).length).length;
+
+  const [showFindings, setShowFindings] = useState(true);
+  const quality = readOnly ? null : lintSpec(data);
+  const findingsFor = (item) => (showFindings ? findingsOf(quality, item) : []);
+  const applyRewrite = readOnly ? undefined : onApplyRewrite;
+  const openThreads = reviewSummary(data).open;
+  const reviewFor = (item) => (!readOnly && onReview && item?.id
+    ? { status: statusOf(data, item.id), open: openThreads.filter(t => t.target === item.id).length }
+    : null);
+
+  // AI actions target either a set of functional ids or one NFR category
+  const canRefine = !readOnly && onRefine;
+  const refineReqs = (title, items) => canRefine && ((action) =>
+    onRefine(action, { kind: "functional", title, ids: items.map(r => r.id) }));
+  const refineNfr = (category, title, groups) => canRefine && ((action) => {
+    onRefine(action, { kind: "nfr", category, title, items: levelItems(groups) });
+  });
+  // Uncategorised stays editable when empty so there is always somewhere to add an NFR
+  const nfrList = readOnly || S.nfr.some(c => c.key === UNCATEGORISED.key)
+    ? S.nfr
+    : [...S.nfr, { ...UNCATEGORISED, groups: emptyLevels() }];
+  const nfrSection = ({ key: category, title, groups }) => (
+    <EditableSection
+      key={category}
+      title={title}
+      groups={groups}
+      scheme={scheme}
+      onSave={(lines, base)=>onEditNfrCategory(category, title, lines, base)}
+      onRefine={refineNfr(category, title, groups)}
+      refining={refining}
+      findingsFor={findingsFor}
+      onApplyRewrite={applyRewrite}
+      onMove={moveLevel}
+      readOnly={readOnly}
+      presence={collab}
+    />
+  );
 
   return (
     <div className="req-view">
-      <h3 className="outTitle">Generated Requirements</h3>
+      <h3 className="outTitle">{readOnly ? "Drafting requirements…" : "Generated Requirements"}</h3>
 
       <h2 style={{margin:"0 0 6px"}}>{S.title}</h2>
       {intro3 && <p className="req-summary">{intro3}</p>}
 
-      <div style={{ display: "flex", gap: 12, margin: "6px 0 10px" }}>
-        <button className="download" type="button" onClick={onPdf}>Export PDF</button>
-        <button className="download" type="button" onClick={onDocx}>Export DOCX</button>
-        <button className="download" type="button" onClick={onMd}>Export Markdown</button>
-      </div>
+      {!readOnly && (
+        <ExportBar
+          onPdf={onPdf}
+          onDocx={onDocx}
+          onMd={onMd}
+          onReqIf={onReqIf}
+          onJson={onJson}
+          engine={exportEngine}
+          onEngine={onExportEngine}
+          notice={exportNotice}
+        />
+      )}
+      {!readOnly && onIssues && <IssueExportPanel data={data} onDownload={onIssues} />}
+
+      <QualitySummary quality={quality} show={showFindings} onToggle={setShowFindings} />
+      {!readOnly && onCoverage && <CoveragePanel data={data} onAppendix={onCoverage} />}
+      {!readOnly && onGlossary && <GlossaryPanel data={data} {...onGlossary} />}
+      {!readOnly && onDiagrams && <DiagramPanel data={data} onSave={onDiagrams} />}
+      {!readOnly && onReview && <ReviewPanel data={data} {...onReview} />}
+
+      {!readOnly && onAcceptance && (
+        <div className="ac-bar">
+          <button className="ws-btn" type="button" onClick={onAcceptance.onGenerate} disabled={onAcceptance.busy}>
+            {onAcceptance.busy ? "Writing acceptance criteria…"
+              : withCriteria && withCriteria === allFunctional.length
+                ? "Regenerate acceptance criteria" : "Generate acceptance criteria"}
+          </button>
+          <button
+            className="ws-btn"
+            type="button"
+            onClick={onAcceptance.onFeatures}
+            disabled={!withCriteria}
+          >
+            Download .feature files (zip)
+          </button>
+        </div>
+      )}
 
-      {top4.length ? (
-        <>
-          <h4 className="req-section">Key MUST/SHOULD (Top 4)</h4>
+      {!readOnly && onPriority && <PriorityControls scheme={scheme} topN={topN} onChange={onPriority} />}
+
+      {top.length ? (
+        <EditableRequirements
+          title={`Top ${topN}`}
+          items={top}
+          reserved={allFunctional}
+          scheme={scheme}
+          onSave={onEditTop}
+          onRefine={refineReqs(`Top ${topN}`, top)}
+          refining={refining}
+          readOnly={readOnly}
+          presence={collab}
+        >
+          <h4 className="req-section">{topTitle(scheme, topN)}</h4>
           <div className="req-grid">
-            {top4.map((r, i) => <RequirementCard key={(r.id||r.statement||"")+i} req={r} />)}
+            {top.map((r, i) => (
+              <RequirementCard
+                key={(r.id||r.statement||"")+i}
+                req={r}
+                scheme={scheme}
+                review={reviewFor(r)}
+                findings={findingsFor(r)}
+                onApplyRewrite={applyRewrite && ((text) => applyRewrite(r, text))}
+                onRefine={refineReqs(r.id, [r])}
+                refining={refining}
+              />
+            ))}
           </div>
-        </>
+        </EditableRequirements>
       ) : null}
 
-      {/* Functional (editable excluding Top 4) */}
-      <EditableSection
+      {/* Functional (editable excluding Top N) */}
+      <EditableRequirements
         title="Functional"
-        groups={funcMinusTop4}
+        items={levelItems(funcMinusTop)}
+        reserved={allFunctional}
+        scheme={scheme}
         onSave={onEditFunctionalRest}
-      />
+        onRefine={refineReqs("Functional", levelItems(funcMinusTop))}
+        refining={refining}
+        readOnly={readOnly}
+        presence={collab}
+      >
+        <BulletedGroup
+          title="Functional"
+          groups={funcMinusTop}
+          scheme={scheme}
+          findingsFor={findingsFor}
+          reviewFor={reviewFor}
+          onApplyRewrite={applyRewrite}
+          onMove={moveLevel}
+        />
+      </EditableRequirements>
 
       {/* NFR sections (each with single edit button) */}
-      <EditableSection
-        title="Reliability"
-        groups={S.reliability}
-        onSave={(lines)=>onEditNfrCategory("reliability", lines)}
-      />
-      <EditableSection
-        title="Performance"
-        groups={S.performance}
-        onSave={(lines)=>onEditNfrCategory("performance", lines)}
-      />
-      <EditableSection
-        title="Maintainability"
-        groups={S.maintainability}
-        onSave={(lines)=>onEditNfrCategory("maintainability", lines)}
-      />
-      <EditableSection
-        title="Compliance"
-        groups={S.compliance}
-        onSave={(lines)=>onEditNfrCategory("compliance", lines)}
-      />
-      <EditableSection
-        title="Verification"
-        groups={S.verification}
-        onSave={(lines)=>onEditNfrCategory("verification", lines)}
-      />
+      {!readOnly && onNfrCategories && (
+        <NfrCategoryPanel config={nfrSettings(data)} projType={onNfrCategories.projType} onApply={onNfrCategories.onApply} />
+      )}
+      {nfrList.map(nfrSection)}
+
+      <PlainList title="Constraints" items={S.constraints} />
+      <PlainList title="Out of Scope" items={S.outOfScope} />
+      <RisksTable risks={S.risks} />
+      <PlainList title="Open Questions" items={S.openQuestions} />
 
       {S.useCases?.length ? (
         <>
@@ -575,6 +1723,8 @@ function RequirementsView({
         </>
       ) : null}
 
+      {!readOnly && onTrace && <TraceabilityPanel data={data} {...onTrace} />}
+
       {summary4 && (
         <>
           <h4 className="req-section">Summary</h4>
@@ -585,20 +1735,532 @@ function RequirementsView({
   );
 }
 
+/* ───────── Version history: undo/redo, restore, side-by-side diff ───────── */
+const reqLine = (r) => `${r.id} · ${r.level} — ${r.statement}`;
+
+function VersionDiff({ before, after, leftLabel, rightLabel }) {
+  const d = diffSpecs(before, after);
+  if (d.empty) return <p className="note">No differences.</p>;
+
+  return (
+    <table className="md-table diff-table">
+      <thead><tr><th className="md-th">{leftLabel}</th><th className="md-th">{rightLabel}</th></tr></thead>
+      <tbody>
+        {d.meta.map(k => (
+          <tr key={k} className="diff-changed">
+            <td className="md-td"><em>{k}:</em> {before?.[k]}</td>
+            <td className="md-td"><em>{k}:</em> {after?.[k]}</td>
+          </tr>
+        ))}
+        {d.removed.map(r => (
+          <tr key={`rm-${r.id}`} className="diff-removed">
+            <td className="md-td">{reqLine(r)}</td><td className="md-td">— removed</td>
+          </tr>
+        ))}
+        {d.added.map(r => (
+          <tr key={`add-${r.id}`} className="diff-added">
+            <td className="md-td">— added</td><td className="md-td">{reqLine(r)}</td>
+          </tr>
+        ))}
+        {d.changed.map(c => (
+          <tr key={`ch-${c.id}`} className="diff-changed">
+            <td className="md-td">{reqLine(c.before)}</td>
+            <td className="md-td">
+              {reqLine(c.after)}
+              <div className="diff-fields">
+                {c.levelChange && <span className="diff-level">{c.levelChange.from} → {c.levelChange.to}</span>}
+                changed: {c.fields.join(", ")}
+              </div>
+            </td>
+          </tr>
+        ))}
+        {d.lists.map(l => (
+          <tr key={`ls-${l.key}`} className="diff-changed">
+            <td className="md-td"><em>{l.title}</em>{l.removed.map((x,i)=><div key={i} className="diff-removed">− {x}</div>)}</td>
+            <td className="md-td"><em>{l.title}</em>{l.added.map((x,i)=><div key={i} className="diff-added">+ {x}</div>)}</td>
+          </tr>
+        ))}
+        {d.riskChanged && (
+          <tr className="diff-changed"><td className="md-td" colSpan={2}><em>Risks &amp; Mitigations changed</em></td></tr>
+        )}
+        {d.other.length > 0 && (
+          <tr className="diff-changed"><td className="md-td" colSpan={2}><em>Also changed: {d.other.join(", ")}</em></td></tr>
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+function HistoryPanel({ history, onUndo, onRedo, onRestore }) {
+  const [open, setOpen] = useState(false);
+  const versions = history.versions;
+  const current = history.currentId;
+  const [leftId, setLeftId] = useState("");
+  const [rightId, setRightId] = useState("");
+
+  // Default comparison: the version before the current one vs the current one
+  const idx = versions.findIndex(v => v.id === current);
+  const left = versions.find(v => v.id === leftId) || versions[Math.max(idx - 1, 0)];
+  const right = versions.find(v => v.id === rightId) || versions[idx];
+  const name = (v) => `v${v.n} · ${v.label}`;
+
+  return (
+    <div className="hist">
+      <div className="hist-bar">
+        <button className="ws-btn" type="button" onClick={onUndo} disabled={!canUndo(history)}>Undo</button>
+        <button className="ws-btn" type="button" onClick={onRedo} disabled={!canRedo(history)}>Redo</button>
+        <button className="ws-btn" type="button" onClick={()=>setOpen(o=>!o)} disabled={!versions.length}>
+          History ({versions.length})
+        </button>
+      </div>
+
+      {open && versions.length > 0 && (
+        <>
+          <ul className="ws-list">
+            {[...versions].reverse().map(v => (
+              <li key={v.id} className={`ws-item ${v.id === current ? "is-active" : ""}`}>
+                <span className="ws-name">{name(v)}</span>
+                <span className="ws-date">{new Date(v.at).toLocaleString()}{v.pinned && " · kept"}</span>
+                <span className="ws-actions">
+                  {v.id === current
+                    ? <span className="ws-date">current</span>
+                    : <button type="button" onClick={()=>onRestore(v.id)}>Restore v{v.n}</button>}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="hist-compare">
+            <label>Compare{" "}
+              <select aria-label="Compare from" value={left?.id || ""} onChange={(e)=>setLeftId(e.target.value)}>
+                {versions.map(v => <option key={v.id} value={v.id}>{name(v)}</option>)}
+              </select>
+            </label>
+            <label>with{" "}
+              <select aria-label="Compare to" value={right?.id || ""} onChange={(e)=>setRightId(e.target.value)}>
+                {versions.map(v => <option key={v.id} value={v.id}>{name(v)}</option>)}
+              </select>
+            </label>
+          </div>
+          {left && right && (
+            <VersionDiff before={left.reqJson} after={right.reqJson} leftLabel={name(left)} rightLabel={name(right)} />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ───────── Follow-up chat; each answer is a proposed diff to accept or reject ───────── */
+function ChatPanel({ thread, current, currentId, busy, disabled, onSend, onCancel, onAccept, onReject }) {
+  const [text, setText] = useState("");
+  const send = () => {
+    if (!text.trim() || busy || disabled) return;
+    onSend(text); setText("");
+  };
+
+  return (
+    <aside className="chat" aria-label="Refinement chat">
+      <h4 className="req-section">Refine with follow-ups</h4>
+      {!thread.length && (
+        <p className="note">Ask for changes such as “add offline mode” or “make auth MUST-level and add SSO”. Each answer comes back as a proposed diff.</p>
+      )}
+      <ol className="chat-thread">
+        {thread.map(m => (
+          <li key={m.id} className={`chat-msg chat-${m.role}${m.failed ? " chat-failed" : ""}`}>
+            <div>{m.text}</div>
+            {m.proposal && m.status === "pending" && (
+              <div className="chat-proposal">
+                {m.baseId !== currentId && (
+                  <p className="note">The spec changed since this was proposed. Accepting replaces it with this version.</p>
+                )}
+                <VersionDiff before={current} after={m.proposal} leftLabel="Current" rightLabel="Proposed" />
+                <div className="chat-actions">
+                  <button className="ws-btn" type="button" onClick={() => onAccept(m)} disabled={busy || disabled}>Accept</button>
+                  <button className="ws-btn chat-reject" type="button" onClick={() => onReject(m)}>Reject</button>
+                </div>
+              </div>
+            )}
+            {m.status && m.status !== "pending" && (
+              <span className={`chat-status chat-${m.status}`}>{m.status === "accepted" ? "Accepted" : "Rejected"}</span>
+            )}
+          </li>
+        ))}
+        {busy && (
+          <li className="chat-msg chat-assistant chat-typing">
+            Working on it… <button className="ws-btn" type="button" onClick={onCancel}>Cancel</button>
+          </li>
+        )}
+      </ol>
+      <div className="chat-input">
+        <textarea
+          className="pd-textarea"
+          rows={2}
+          aria-label="Follow-up instruction"
+          placeholder="Add offline mode…"
+          value={text}
+          onChange={(e)=>setText(e.target.value)}
+          onKeyDown={(e)=>{ if (e.key==="Enter" && !e.shiftKey){ e.preventDefault(); send(); } }}
+        />
+        <button className="ws-btn" type="button" onClick={send} disabled={busy || disabled || !text.trim()}>Send</button>
+      </div>
+    </aside>
+  );
+}
+
+/* ───────── Attachments: extracted text, excerpt selection, token estimates ───────── */
+const PREVIEW_CHARS = 1200;
+
+function AttachmentsPanel({ attachments, onRemove, onInclude }) {
+  const [openId, setOpenId] = useState(null);
+  const total = attachments.reduce((n, a) => n + attachmentTokens(a), 0);
+
+  return (
+    <div className="attach">
+      {attachments.map(att => {
+        const all = att.excerpts.reduce((n, e) => n + estimateTokens(e.text), 0);
+        const open = openId === att.id;
+        return (
+          <div key={att.id} className="attach-file">
+            <div className="hist-bar">
+              <span className="attach-name">📎 {att.name}</span>
+              <span className="issues-count">
+                {(att.kind || "file").toUpperCase()} · {formatSize(att.size)}
+                {att.status === "ready" && ` · ≈${formatTokens(attachmentTokens(att))} of ${formatTokens(all)} tokens selected`}
+              </span>
+              {att.status === "ready" && (
+                <button className="ws-btn" type="button" onClick={()=>setOpenId(open ? null : att.id)} aria-expanded={open}>
+                  {open ? "Hide excerpts" : `Excerpts (${att.excerpts.filter(e => e.include).length}/${att.excerpts.length})`}
+                </button>
+              )}
+              <button className="ws-btn" type="button" onClick={()=>onRemove(att.id)} aria-label={`Remove ${att.name}`}>Remove</button>
+            </div>
+            {att.status === "reading" && <p className="note">Extracting text…</p>}
+            {att.status === "error" && <p className="trace-flag">{att.error} This file won’t be sent.</p>}
+            {open && (
+              <div className="attach-excerpts">
+                <div className="trace-actions">
+                  <button className="ws-btn" type="button" onClick={()=>onInclude(att.id, null, true)}>Select all</button>
+                  <button className="ws-btn" type="button" onClick={()=>onInclude(att.id, null, false)}>Select none</button>
+                </div>
+                {att.excerpts.map((ex, i) => (
+                  <div key={i} className={`attach-excerpt ${ex.include ? "" : "is-off"}`}>
+                    <label className="attach-label">
+                      <input type="checkbox" checked={ex.include} onChange={()=>onInclude(att.id, i, !ex.include)} aria-label={`Include ${ex.label} of ${att.name}`} />
+                      {ex.label}
+                      <span className="issues-count">≈{formatTokens(estimateTokens(ex.text))} tokens</span>
+                    </label>
+                    <pre className="attach-text">{ex.text.length > PREVIEW_CHARS ? `${ex.text.slice(0, PREVIEW_CHARS)}…` : ex.text}</pre>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <p className="note">
+        {total
+          ? `≈${formatTokens(total)} tokens of attachment text will be sent with the next generation.`
+          : "No attachment text selected; nothing will be sent with the next generation."}
+      </p>
+    </div>
+  );
+}
+
+/* ───────── Saved specs (workspace) ───────── */
+function WorkspacePanel({ specs, activeId, onNew, onImport, onOpen, onRename, onDuplicate, onDelete }) {
+  const [renaming, setRenaming] = useState(null);
+  const [name, setName] = useState("");
+  const importRef = useRef(null);
+
+  const commit = () => { if (renaming) onRename(renaming, name); setRenaming(null); };
+
+  return (
+    <div className="ws">
+      <div className="ws-head">
+        <span className="pd-label">Saved specs</span>
+        <span className="ws-head-actions">
+          <button className="ws-btn" type="button" onClick={onNew}>New spec</button>
+          <button
+            className="ws-btn"
+            type="button"
+            title="Open an existing Markdown, CSV or JSON spec for editing"
+            onClick={()=>importRef.current?.click()}
+          >
+            Import spec
+          </button>
+          <input
+            ref={importRef}
+            type="file"
+            accept={IMPORT_ACCEPT}
+            aria-label="Import spec file"
+            hidden
+            onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) onImport(f); }}
+          />
+        </span>
+      </div>
+      <ul className="ws-list">
+        {specs.map(sp => (
+          <li key={sp.id} className={`ws-item ${sp.id === activeId ? "is-active" : ""}`}>
+            {renaming === sp.id ? (
+              <input
+                className="ws-name-input"
+                aria-label="Spec name"
+                autoFocus
+                value={name}
+                onChange={(e)=>setName(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e)=>{ if (e.key === "Enter") { e.preventDefault(); commit(); } if (e.key === "Escape") setRenaming(null); }}
+              />
+            ) : (
+              <button type="button" className="ws-name" onClick={()=>onOpen(sp.id)} title="Open">
+                {sp.name}
+              </button>
+            )}
+            <span className="ws-date">{new Date(sp.updatedAt).toLocaleString()}</span>
+            <span className="ws-actions">
+              <button type="button" onClick={()=>{ setRenaming(sp.id); setName(sp.name); }}>Rename</button>
+              <button type="button" onClick={()=>onDuplicate(sp.id)}>Duplicate</button>
+              <button type="button" onClick={()=>onDelete(sp.id)}>Delete</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 /* ───────── App ───────── */
 export default function App() {
-  const [projType, setProjType] = useState(PROJECT_TYPES[0]);
-  const [projDesc, setProjDesc] = useState("");
+  // Restore the last spec the user worked on (refresh-safe)
+  const [boot] = useState(() => openInitialSpec({ projType: DEFAULT_PROJECT_TYPE }));
+  const [activeId, setActiveId] = useState(boot.id);
+  const [specs, setSpecs] = useState(() => listSpecs());
+
+  const [projType, setProjType] = useState(boot.projType || DEFAULT_PROJECT_TYPE);
+  const [projDesc, setProjDesc] = useState(boot.projDesc || "");
   const [ideaText, setIdeaText] = useState("");
-  const [file, setFile] = useState(null);
+  const [attachments, setAttachments] = useState([]);
+  const [fileName, setFileName] = useState(boot.fileName || "");
   const [listening, setListening] = useState(false);
   const fileRef = useRef(null);
   const inputRef = useRef(null);
+  const abortRef = useRef(null);
 
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState("");
-  const [md, setMd] = useState("");
-  const [reqJson, setReqJson] = useState(null);
+  const [stream, setStream] = useState(null); // { chars, partial } while generating
+  const [parseReport, setParseReport] = useState(null); // { fixes, missing, error?, raw? } from repairRequirements
+  const [refining, setRefining] = useState(null); // { title, action } while a section/requirement is being refined
+  const [chat, setChat] = useState(boot.chat || []); // follow-up thread, see chat.js
+  const [chatting, setChatting] = useState(false);
+  const [acBusy, setAcBusy] = useState(false); // acceptance criteria request running
+  const [importNote, setImportNote] = useState(""); // what the last import found
+
+  /* ---- Generation settings (persisted) + models reported by the backend ---- */
+  const [settings, setSettings] = useState(loadSettings);
+  const [packs, setPacks] = useState(loadPacks);
+  const pack = packFor(packs, projType);
+  const [models, setModels] = useState(null); // null = not loaded / unavailable
+  useEffect(() => { saveSettings(settings); }, [settings]);
+  useEffect(() => {
+    let live = true;
+    fetchModels(API_BASE).then(list => { if (live && list.length) setModels(list); }).catch(() => {});
+    return () => { live = false; };
+  }, []);
+  const [md, setMd] = useState(boot.md || "");
+  const [reqJson, setReqJson] = useState(boot.reqJson || null);
+  const [history, setHistory] = useState(() => boot.history || emptyHistory(boot.reqJson));
+  const reqRef = useRef(reqJson);
+  reqRef.current = reqJson;
+  const [exportEngine, setExportEngine] = useState(() => {
+    try { return window.localStorage.getItem(EXPORT_ENGINE_KEY) || "browser"; } catch { return "browser"; }
+  });
+  const [exportNotice, setExportNotice] = useState("");
+
+  /* ---- Every committed change to reqJson becomes a version ---- */
+  const commitReq = (next, label, opts) => {
+    setReqJson(next);
+    setHistory(h => recordVersion(h, next, label, opts));
+  };
+  const updateReq = (fn, label, opts) => { if (reqJson) commitReq(fn(reqJson), label, opts); };
+  const moveHistory = (h) => { setHistory(h); setReqJson(currentSpec(h)); setMd(""); };
+  const handleUndo = () => moveHistory(undo(history));
+  const handleRedo = () => moveHistory(redo(history));
+  const handleRestore = (versionId) => moveHistory(restoreVersion(history, versionId));
+
+  /* ---- Workspace: autosave + saved spec actions ---- */
+  useEffect(() => {
+    const saved = saveSpec(activeId, { projType, projDesc, fileName, reqJson, md, history, chat });
+    if (!saved.ok) setErr("Autosave failed: browser storage is full or disabled. Export the spec as JSON to keep a copy.");
+    else if (saved.history) {
+      setHistory(saved.history);
+      setErr("Browser storage is full: the oldest versions of this spec's history were dropped so it could be saved.");
+    }
+    setSpecs(listSpecs());
+  }, [activeId, projType, projDesc, fileName, reqJson, md, history, chat]);
+
+  const showSpec = (rec) => {
+    abortRef.current?.abort();
+    setActiveSpec(rec.id);
+    setActiveId(rec.id);
+    setProjType(rec.projType || DEFAULT_PROJECT_TYPE);
+    setProjDesc(rec.projDesc || "");
+    setFileName(rec.fileName || "");
+    setAttachments([]);
+    setReqJson(rec.reqJson || null);
+    setHistory(rec.history || emptyHistory(rec.reqJson));
+    setMd(rec.md || "");
+    setChat(rec.chat || []);
+    setIdeaText(""); setErr(""); setParseReport(null); setImportNote("");
+    setSpecs(listSpecs());
+  };
+
+  const handleNewSpec = () => showSpec(createSpec({ projType: DEFAULT_PROJECT_TYPE }));
+  const handleOpenSpec = (id) => { const rec = loadSpec(id); if (rec) showSpec(rec); };
+  const handleRenameSpec = (id, name) => { renameSpec(id, name); setSpecs(listSpecs()); };
+  const handleDuplicateSpec = (id) => { const rec = duplicateSpec(id); if (rec) showSpec(rec); };
+  const handleImportSpec = async (importFile) => {
+    try {
+      const { fields, summary } = importSpecText(importFile.name, await readFileText(importFile));
+      showSpec(createSpec({ projType: DEFAULT_PROJECT_TYPE, ...fields }));
+      setImportNote(summary);
+    } catch (ex) {
+      setErr(`Import failed: ${ex?.message || ex}`);
+    }
+  };
+  /* ---- Live collaboration: one CRDT doc per session, ops relayed over WebSocket ---- */
+  const [collab, setCollab] = useState(null); // { url, room, status, peers: { site: { name, section } } }
+  const sessionRef = useRef(null);            // { doc, conn, name, specId, synced, editing }
+  const roomMessageRef = useRef(() => {});
+  const collabDefaults = () => {
+    try { return { url: DEFAULT_RELAY_URL, name: "", ...JSON.parse(window.localStorage.getItem(COLLAB_KEY) || "{}") }; }
+    catch { return { url: DEFAULT_RELAY_URL, name: "" }; }
+  };
+
+  const handleLeaveCollab = () => {
+    sessionRef.current?.conn.close();
+    sessionRef.current = null;
+    setCollab(null);
+  };
+
+  // join = take the room's spec as a new saved spec; otherwise share the open one
+  const handleStartCollab = ({ url, room, name }, join) => {
+    sessionRef.current?.conn.close();
+    try { window.localStorage.setItem(COLLAB_KEY, JSON.stringify({ url, name })); } catch {}
+    const doc = createDoc();
+    if (!join) localOps(doc, reqJson);
+    const session = { doc, name, specId: join ? null : activeId, synced: !join, editing: null };
+    session.conn = connectRoom({
+      url,
+      room,
+      site: doc.site,
+      onMessage: (msg) => roomMessageRef.current(msg),
+      onStatus: (status) => {
+        if (sessionRef.current !== session) return;
+        if (status === "live") session.conn.send({ type: "hello", name });
+        setCollab(c => c && { ...c, status: status === "live" && !session.synced ? "waiting" : status });
+      },
+    });
+    sessionRef.current = session;
+    setCollab({ url, room, status: "connecting", peers: {} });
+  };
+
+  const handleEditing = (section) => {
+    const session = sessionRef.current;
+    if (!session) return;
+    session.editing = section;
+    session.conn.send({ type: "presence", name: session.name, section });
+  };
+
+  useEffect(() => {
+    roomMessageRef.current = (msg) => {
+      const session = sessionRef.current;
+      if (!session) return;
+      const { doc, conn } = session;
+      const peer = (patch) => setCollab(c => c && { ...c, peers: { ...c.peers, [msg.site]: { ...c.peers[msg.site], ...patch } } });
+
+      if (msg.type === "hello") {
+        if (session.synced) conn.send({ type: "sync", to: msg.site, ops: doc.log });
+        conn.send({ type: "presence", name: session.name, section: session.editing });
+        peer({ name: msg.name, section: null });
+      } else if (msg.type === "presence") {
+        peer({ name: msg.name, section: msg.section || null });
+      } else if (msg.type === "bye") {
+        setCollab(c => c && { ...c, peers: Object.fromEntries(Object.entries(c.peers).filter(([site]) => site !== msg.site)) });
+      } else if (msg.type === "sync" || msg.type === "ops") {
+        if (!applyOps(doc, msg.ops || []).length) return;
+        const next = materialize(doc);
+        if (!session.synced) {
+          const rec = createSpec({ projType, reqJson: next, name: `${next.title || "Shared spec"} (shared)` });
+          session.synced = true;
+          session.specId = rec.id;
+          showSpec(rec);
+          setCollab(c => c && { ...c, status: "live" });
+          return;
+        }
+        const from = collab?.peers[msg.site]?.name || "a teammate";
+        if (JSON.stringify(next) !== JSON.stringify(reqRef.current)) commitReq(next, `Edits from ${from}`);
+      }
+    };
+  });
+
+  // local edits → ops; opening another spec ends the session
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (!session?.synced) return;
+    if (session.specId !== activeId) {
+      session.conn.close();
+      sessionRef.current = null;
+      setCollab(null);
+      return;
+    }
+    if (!reqJson) return;
+    const ops = localOps(session.doc, reqJson);
+    if (ops.length) session.conn.send({ type: "ops", ops });
+  }, [reqJson, activeId]);
+
+  /* ---- Domain packs: pick a type or template, share packs as files ---- */
+  const handleProjectType = (type) => {
+    setProjType(type);
+    setSettings(s => ({ ...s, sections: packFor(packs, type).sections }));
+  };
+  const handleTemplate = (t) => {
+    setIdeaText(t.idea);
+    setProjDesc(t.description);
+    setSettings(s => ({ ...s, sections: t.sections || pack.sections }));
+    setTimeout(()=>inputRef.current?.focus(),0);
+  };
+  const handleImportPack = async (packFile) => {
+    try {
+      const next = readPackFile(await readFileText(packFile));
+      if (!saveCustomPack(next)) throw new Error("browser storage is full or disabled.");
+      setPacks(loadPacks());
+      handleProjectType(next.projectType);
+      setImportNote(`Imported the “${next.name}” pack for ${next.projectType} projects.`);
+    } catch (ex) {
+      setErr(`Pack import failed: ${ex?.message || ex}`);
+    }
+  };
+  const handleExportPack = () => {
+    const name = pack.projectType.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    downloadBlob(packFileJson({ ...pack, nfr: loadNfrProfile(pack.projectType, pack.nfr) }), `maispec-pack-${name}.json`, "application/json");
+  };
+  const handleRestorePack = () => {
+    removeCustomPack(pack.projectType);
+    const next = loadPacks();
+    setPacks(next);
+    if (!next.some(p => p.projectType === projType)) handleProjectType(DEFAULT_PROJECT_TYPE);
+  };
+
+  const handleDeleteSpec = (id) => {
+    const rec = loadSpec(id);
+    if (!rec || !window.confirm(`Delete "${rec.name}"? This cannot be undone.`)) return;
+    deleteSpec(id);
+    if (id !== activeId) { setSpecs(listSpecs()); return; }
+    const next = listSpecs()[0];
+    showSpec(next || createSpec({ projType: DEFAULT_PROJECT_TYPE }));
+  };
 
   const startMic = () => {
     const SR = window.webkitSpeechRecognition || window.SpeechRecognition;
@@ -616,6 +2278,10 @@ export default function App() {
     if (ideaText.trim()) lines.push(`Idea: ${ideaText.trim()}`);
     if (projType.trim()) lines.push(`Project Type: ${projType.trim()}`);
     if (projDesc.trim()) lines.push(`Description: ${projDesc.trim()}`);
+    lines.push(...packPromptLines(pack));
+    const nfrLine = nfrPromptLine(reqJson?.nfr || loadNfrProfile(projType, pack.nfr));
+    if (nfrLine) lines.push(nfrLine);
+    lines.push(...settingsPromptLines(settings));
     lines.push(JSON_GUIDE);
     return lines.join("\n\n");
   };
@@ -627,39 +2293,148 @@ export default function App() {
     if (!ideaText.trim() && !projDesc.trim()) { setErr("Tell me a bit about the project first 🙂"); return; }
     if (GREETINGS.has(ideaText.trim().toLowerCase())) { setMd("👋 Add a short description and I’ll draft a structured requirements doc."); setIdeaText(""); return; }
 
-    setLoading(true); setErr(""); setMd(""); setReqJson(null);
+    if (attachments.some(a => a.status === "reading")) { setErr("Still reading the attachments; try again in a moment."); return; }
+    const bundle = attachmentBundle(attachments);
+    const attachment = bundle ? new File([bundle], ATTACHMENT_BUNDLE_NAME, { type: "text/plain" }) : null;
+    await runGeneration({ idea, attachment, label: "Generated" });
+  };
+
+  /* ---- Attachments: text is extracted in the browser, only selected excerpts are sent ---- */
+  // fileName follows the latest list, even when attach/remove calls overlap an extraction
+  const changeAttachments = (fn) => setAttachments(list => {
+    const next = fn(list);
+    setFileName(next.map(a => a.name).join(", "));
+    return next;
+  });
+  const handleAttach = async (files) => {
+    const added = files.map((f, i) => ({
+      id: `${Date.now()}-${i}-${f.name}`, name: f.name, size: f.size, kind: kindOf(f.name), status: "reading", excerpts: [],
+    }));
+    changeAttachments(list => [...list, ...added]);
+    await Promise.all(added.map(async (att, i) => {
+      let patch;
+      try {
+        patch = { status: "ready", ...extractAttachment(att.name, await readFileBytes(files[i])) };
+      } catch (ex) {
+        patch = { status: "error", error: ex?.message || "Could not read the file." };
+      }
+      setAttachments(list => list.map(a => (a.id === att.id ? { ...a, ...patch } : a)));
+    }));
+  };
+
+  const handleRemoveAttachment = (id) => changeAttachments(list => list.filter(a => a.id !== id));
+
+  // index null = every excerpt of the file
+  const handleIncludeExcerpt = (id, index, include) => {
+    setAttachments(list => list.map(a => (a.id !== id ? a : {
+      ...a, excerpts: a.excerpts.map((e, i) => (index === null || i === index ? { ...e, include } : e)),
+    })));
+  };
+
+  /* Shared by the first draft and the "fix this JSON" retry */
+  const runGeneration = async ({ idea, attachment, label }) => {
+    abortRef.current?.abort();
+    // The last spec stays (and stays saved) until the first partial result replaces it on screen
+    setLoading(true); setErr(""); setParseReport(null);
+    setStream({ chars: 0, partial: null });
 
     const form = new FormData();
     form.append("project_idea", idea);
-    form.append("model_choice", DEFAULT_MODEL);
-    form.append("sections", "Purpose, Functional Requirements, Non-Functional Requirements, Constraints, Out of Scope, Risks & Mitigations, Open Questions, Use Cases");
-    if (file) form.append("file", file);
+    appendSettings(form, settings);
+    form.append("stream", "true");
+    if (attachment) form.append("file", attachment);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, GENERATE_TIMEOUT_MS);
 
     try {
-      const res = await fetch(`${API_BASE}/generate-requirements/`, { method: "POST", body: form });
-      const data = await res.json();
-      const raw = data?.requirements ?? "";
-      const parsed = tryParseRequirements(raw);
-      if (parsed && Array.isArray(parsed.functional)) { setReqJson(parsed); setMd(""); }
-      else { setReqJson(null); setMd(typeof raw === "string" ? raw : JSON.stringify(raw, null, 2)); }
-    } catch {
-      setErr("Could not reach the backend. Is it running?");
+      const res = await fetch(`${API_BASE}/generate-requirements/`, {
+        method: "POST",
+        body: form,
+        headers: { Accept: "text/event-stream, application/json" },
+        signal: controller.signal,
+      });
+      if (res.ok === false) throw new Error(`HTTP ${res.status}`);
+      const raw = await readGeneration(res, (text) => setStream({ chars: text.length, partial: parsePartialJson(text) }));
+      const report = repairRequirements(raw);
+      if (report.data) {
+        // the project type's category set travels with the spec (exports, JSON files)
+        const nfr = report.data.nfr || currentSpec(history)?.nfr || loadNfrProfile(projType, pack.nfr);
+        commitReq({ ...applyPackStandards(report.data, pack).spec, nfr }, label, { pin: true }); setMd("");
+        setParseReport(report.fixes.length || report.missing.length ? report : null);
+      } else {
+        const text = typeof raw === "string" ? raw : JSON.stringify(raw, null, 2);
+        setReqJson(null); setMd(text);
+        setParseReport({ ...report, raw: text });
+      }
+    } catch (ex) {
+      if (timedOut) setErr(`Generation timed out after ${GENERATE_TIMEOUT_MS / 1000}s. Try a shorter description or fewer attachments.`);
+      else if (ex?.name === "AbortError") setErr("Generation cancelled.");
+      else if (/^HTTP \d+/.test(ex?.message || "")) setErr(`Generation failed: ${ex.message}`);
+      else setErr("Could not reach the backend. Is it running?");
     } finally {
+      clearTimeout(timer);
+      abortRef.current = null;
+      setStream(null);
       setLoading(false); setIdeaText("");
     }
   };
 
+  const handleFixJson = () => {
+    if (!parseReport?.raw) return;
+    runGeneration({ idea: buildFixPrompt(parseReport.raw, JSON_GUIDE, parseReport.error), label: "Repaired by model" });
+  };
+
+  const handleCancelGenerate = () => abortRef.current?.abort();
+
   /* ---- Exports (PDF, DOCX/MD) ---- */
   const handleExportMarkdown = () => {
     const content = reqJson ? mdFromJson(reqJson) : md || "# Requirements\n\n(No data)";
     downloadBlob(content, "requirements.md", "text/markdown;charset=utf-8");
   };
 
+  const exportTitle = reqJson?.title || "Requirements";
+  const exportName = (ext) => `${(reqJson?.title || "requirements").replace(/[^\w-]+/g, "_")}.${ext}`;
+  // diagrams are rendered to images here, so the browser builders stay synchronous
+  const exportBlocks = async () => (reqJson ? withDiagramImages(specBlocks(reqJson)) : blocksFromMarkdown(md, exportTitle));
+
+  const handleExportReqIf = () => {
+    if (reqJson) downloadBlob(buildReqIf(reqJson), exportName("reqif"), "application/xml;charset=utf-8");
+  };
+
+  const handleExportJson = () => {
+    const name = specs.find(sp => sp.id === activeId)?.name;
+    const rec = { name, projType, projDesc, fileName, reqJson, md, history, chat };
+    downloadBlob(specFileJson(rec), exportName("maispec.json"), "application/json;charset=utf-8");
+  };
+
+  const handleExportEngine = (engine) => {
+    setExportEngine(engine);
+    try { window.localStorage.setItem(EXPORT_ENGINE_KEY, engine); } catch {}
+  };
+
   const handleExportPDF = async () => {
+    setExportNotice("");
+    if (exportEngine === "browser") {
+      try {
+        const blocks = await exportBlocks();
+        const missing = unsupportedChars(blocks, exportTitle);
+        downloadBlob(buildPdf(blocks, exportTitle), exportName("pdf"), "application/pdf");
+        if (missing.length) {
+          const sample = missing.slice(0, 6).map(ch => `“${ch}”`).join(" ");
+          setExportNotice(`The in-browser PDF fonts cannot show some characters (${sample}${missing.length > 6 ? " …" : ""}); they are printed as a plain letter or “?”. Export DOCX, or switch export to "Server", to keep them.`);
+        }
+      } catch (e) {
+        setErr(`PDF export failed: ${e?.message || e}`);
+      }
+      return;
+    }
     try {
       let html;
       if (reqJson) {
-        html = htmlForPdf(reqJson);
+        html = htmlForPdf(reqJson, { diagramSvgs: await renderDiagramSvgs(reqJson) });
       } else {
         html = `<html><body><pre style="white-space:pre-wrap;font-family:ui-monospace,Consolas,monospace">${escapeHtml(md || "")}</pre></body></html>`;
       }
@@ -680,14 +2455,32 @@ export default function App() {
       a.click();
       URL.revokeObjectURL(url);
     } catch (e) {
-      setErr(`PDF export failed: ${e?.message || e}`);
+      setErr(`PDF export failed: ${e?.message || e}. Switch export to "In browser" to export without the backend.`);
     }
   };
 
   const handleExportDocx = async () => {
+    if (exportEngine === "browser") {
+      try {
+        downloadBlob(
+          buildDocx(await exportBlocks(), exportTitle),
+          exportName("docx"),
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+        );
+      } catch (e) {
+        setErr(`DOCX export failed: ${e?.message || e}`);
+      }
+      return;
+    }
     try {
+      const svgs = reqJson ? await renderDiagramSvgs(reqJson) : {};
       const payload = reqJson
-        ? { json: reqJson }                                   // structured JSON path
+        ? {
+            json: reqJson,
+            definitions: definitionRows(reqJson),
+            approval: approvalBlock(reqJson),
+            diagrams: normalizeDiagrams(reqJson.diagrams).map(g => ({ ...g, svg: svgs[g.id] || "" })),
+          } // structured JSON path
         : { markdown: md || "", title: "Requirements" };      // markdown fallback
 
       const res = await fetch(`${API_BASE}/export/docx`, {
@@ -706,7 +2499,7 @@ export default function App() {
       a.click();
       URL.revokeObjectURL(url);
     } catch (e) {
-      setErr(`DOCX export failed: ${e?.message || e}`);
+      setErr(`DOCX export failed: ${e?.message || e}. Switch export to "In browser" to export without the backend.`);
     }
   };
 
@@ -716,36 +2509,216 @@ export default function App() {
   };
 
   /* ───── Handlers for per-section editing ───── */
-  const handleEditFunctionalRest = (newLines) => {
-    setReqJson(prev => {
-      if (!prev) return prev;
-      const grouped = byLevel(prev.functional || [], (x)=> (x.level || levelOf(x.statement)));
-      const top4 = pickTop4(grouped);
-      const updated = [...top4, ...newLines];
-      return { ...prev, functional: updated };
-    });
+  const splitTop = (spec) => {
+    const grouped = byLevel(normalizeFunctional(spec.functional));
+    const top = pickTopN(grouped, prioritySettings(spec).topN);
+    return { top, rest: levelItems(withoutSelected(grouped, top)) };
+  };
+
+  // base = the list when the editor opened; edits made meanwhile (e.g. by a teammate) are kept
+  const handleEditFunctionalRest = (newItems, base = newItems) => {
+    updateReq(prev => {
+      const { top, rest } = splitTop(prev);
+      return { ...prev, functional: [...top, ...mergeEdit(base, newItems, rest)] };
+    }, "Edited Functional");
+  };
+
+  const handleEditTop = (newItems, base = newItems) => {
+    updateReq(prev => {
+      const { top, rest } = splitTop(prev);
+      return { ...prev, functional: [...mergeEdit(base, newItems, top), ...rest] };
+    }, `Edited Top ${prioritySettings(reqJson).topN}`);
+  };
+
+  /* ---- Prioritisation: scheme, Top N and drag between levels ---- */
+  const handlePriority = (patch) => {
+    updateReq(prev => ({ ...prev, priority: { ...prioritySettings(prev), ...patch } }), "Changed prioritisation");
+  };
+  const handleCoverageAppendix = (appendix) => {
+    updateReq(prev => ({ ...prev, coverage: { ...coverageSettings(prev), appendix } }), appendix ? "Added coverage appendix" : "Removed coverage appendix");
+  };
+  const handleMoveLevel = (item, level) => {
+    const name = typeof item === "string" ? "NFR" : item.id;
+    updateReq(prev => moveToLevel(prev, item, level), `Moved ${name} to ${levelLabel(level, prioritySettings(reqJson).scheme)}`);
   };
 
   // one NFR category 
-  const handleEditNfrCategory = (categoryKey, newLines) => {
-    setReqJson(prev => {
-      if (!prev) return prev;
-      const current = prev.nonFunctional || [];
-      const buckets = bucketNFR(current);
-
-      const existingCategoryItems = [
-        ...buckets[categoryKey].MUST,
-        ...buckets[categoryKey].SHOULD,
-        ...buckets[categoryKey].COULD
-      ].map(String);
-
-      const keep = current.filter(n => !new Set(existingCategoryItems).has(String(n)));
-      const cleaned = (newLines || []).map(s => s.trim()).filter(Boolean);
-
-      return { ...prev, nonFunctional: [...keep, ...cleaned] };
-    });
+  const handleEditNfrCategory = (categoryKey, title, newLines, base = newLines) => {
+    updateReq(prev => {
+      const current = levelItems(nfrSections(prev, { keepEmpty: true }).find(c => c.key === categoryKey)?.groups);
+      const lines = mergeEdit(base, newLines, current);
+      return { ...prev, nonFunctional: replaceNfrCategory(prev.nonFunctional || [], categoryKey, lines, nfrSettings(prev)) };
+    }, `Edited ${title}`);
+  };
+  const handleNfrCategories = (config) => updateReq(prev => ({ ...prev, nfr: config }), "Changed NFR categories");
+
+  /* ---- Quality suggestions: swap in the rewritten statement ---- */
+  const handleApplyRewrite = (item, text) => {
+    if (typeof item === "string") {
+      updateReq(prev => ({ ...prev, nonFunctional: (prev.nonFunctional || []).map(n => (n === item ? text : n)) }), "Applied quality suggestion");
+    } else {
+      updateReq(prev => ({
+        ...prev,
+        functional: normalizeFunctional(prev.functional).map(r => (r.id === item.id ? { ...r, statement: text } : r)),
+      }), `Reworded ${item.id}`);
+    }
+  };
+
+  /* ---- Glossary + bulk terminology replace ---- */
+  const handleSaveGlossary = (glossary) => updateReq(prev => ({ ...prev, glossary }), "Edited glossary");
+  const handleSaveDiagrams = (diagrams) => updateReq(prev => ({ ...prev, diagrams }), diagrams.length ? "Edited diagrams" : "Removed diagrams");
+  const handleReplaceTerm = (from, to) => {
+    if (!reqJson) return 0;
+    const { spec, count } = replaceTerm(reqJson, from, to);
+    if (count) commitReq(spec, `Replaced “${from}” with “${to}”`);
+    return count;
+  };
+
+  /* ---- Review: statuses, comment threads, sign-off, review files ---- */
+  // review metadata folds into one version per review pass instead of one per click
+  const reviewEdit = { fold: true };
+  const handleReviewStatus = (id, status) => updateReq(prev => setReviewStatus(prev, id, status), `Marked ${id} ${REVIEW_LABELS[status]}`, reviewEdit);
+  const handleComment = (target, author, text) => updateReq(prev => addThread(prev, target, author, text), `Commented on ${targetLabel(target)}`, reviewEdit);
+  const handleReply = (id, author, text) => updateReq(prev => replyToThread(prev, id, author, text), `Replied to comment ${id}`, reviewEdit);
+  const handleResolveComment = (id, resolved) => updateReq(prev => setThreadResolved(prev, id, resolved), `${resolved ? "Resolved" : "Reopened"} comment ${id}`, reviewEdit);
+  const handleSignOff = (name, decision) => updateReq(prev => signOff(prev, name, decision), `${REVIEW_LABELS[decision]} by ${name}`, reviewEdit);
+  const handleExportReview = () => {
+    if (reqJson) downloadBlob(reviewFileJson(reqJson), exportName("review.json"), "application/json;charset=utf-8");
+  };
+  const handleImportReview = async (file) => {
+    try {
+      const review = readReviewFile(await readFileText(file));
+      commitReq(mergeReview(reqJson, review), `Imported review from ${file.name}`);
+      return `Imported ${review.threads.length} comment thread${review.threads.length === 1 ? "" : "s"} and ${review.signoffs.length} sign-off${review.signoffs.length === 1 ? "" : "s"}.`;
+    } catch (ex) {
+      return `Review import failed: ${ex?.message || ex}`;
+    }
+  };
+
+  /* ---- Traceability links + CSV ---- */
+  const handleTraceToggle = (reqId, kind, text) => updateReq(prev => toggleTraceLink(prev, reqId, kind, text), "Edited traceability");
+  const handleAddVerification = (text) => updateReq(prev => addVerificationItem(prev, text), "Added verification item");
+  const handleSuggestTrace = () => {
+    if (!reqJson) return 0;
+    const { spec, added } = suggestTraceLinks(reqJson);
+    if (added) commitReq(spec, "Suggested use-case links");
+    return added;
+  };
+  const handleTraceCsv = () => {
+    if (reqJson) downloadBlob(traceCsv(reqJson), exportName("traceability.csv"), "text/csv;charset=utf-8");
+  };
+
+  /* ---- Follow-up model calls (refine, chat): one request, cancel + timeout ---- */
+  const followUpContext = () => [
+    projType.trim() && `Project Type: ${projType.trim()}`,
+    projDesc.trim() && `Description: ${projDesc.trim()}`,
+    languageLine(settings.language),
+  ].filter(Boolean);
+
+  const callModel = async (prompt) => {
+    const form = new FormData();
+    form.append("project_idea", prompt);
+    appendSettings(form, settings);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, GENERATE_TIMEOUT_MS);
+    try {
+      const res = await fetch(`${API_BASE}/generate-requirements/`, {
+        method: "POST",
+        body: form,
+        headers: { Accept: "text/event-stream, application/json" },
+        signal: controller.signal,
+      });
+      if (res.ok === false) throw new Error(`HTTP ${res.status}`);
+      return await readGeneration(res);
+    } catch (ex) {
+      if (timedOut) { const t = new Error("timed out"); t.name = "TimeoutError"; throw t; }
+      throw ex;
+    } finally {
+      clearTimeout(timer);
+      if (abortRef.current === controller) abortRef.current = null;
+    }
+  };
+
+  /* ---- Regenerate / expand / tighten one part; the rest of the spec is kept ---- */
+  const handleRefine = async (action, target) => {
+    if (!reqJson || refining || chatting || acBusy || loading) return;
+    setRefining({ title: target.title, action }); setErr("");
+    try {
+      const raw = await callModel(buildRefinePrompt(action, target, reqJson, followUpContext()));
+      const result = parseRefinement(raw, target);
+      if (!result.items) throw new Error(result.error);
+      // merge into whatever is on screen now, so edits made meanwhile survive
+      const latest = reqRef.current;
+      if (latest) commitReq(applyRefinement(latest, target, result.items), `${REFINE_ACTIONS[action].done} ${target.title}`);
+    } catch (ex) {
+      setErr(failureMessage(`${REFINE_ACTIONS[action].label} ${target.title}`, ex));
+    } finally {
+      setRefining(null);
+    }
+  };
+
+  /* ---- Acceptance criteria: fill the requirements that have none (or redo all) ---- */
+  const handleGenerateAcceptance = async () => {
+    if (!reqJson || refining || chatting || acBusy || loading) return;
+    const all = normalizeFunctional(reqJson.functional);
+    const missing = all.filter(r => !normalizeAcceptance(r.acceptance).length);
+    const ids = (missing.length ? missing : all).map(r => r.id);
+    if (!ids.length) return;
+    setAcBusy(true); setErr("");
+    try {
+      const result = parseAcceptance(await callModel(buildAcceptancePrompt(reqJson, ids, followUpContext())));
+      if (!result.byId) throw new Error(result.error);
+      const latest = reqRef.current;
+      if (latest) commitReq(applyAcceptance(latest, result.byId), "Generated acceptance criteria");
+    } catch (ex) {
+      setErr(failureMessage("Acceptance criteria", ex));
+    } finally {
+      setAcBusy(false);
+    }
+  };
+
+  const handleExportIssues = (format) => {
+    const f = ISSUE_FORMATS[format];
+    if (reqJson && f) downloadBlob(issueExport(reqJson, format), exportName(f.file), f.mime);
+  };
+
+  const handleDownloadFeatures = () => {
+    const bytes = reqJson && featuresZip(reqJson);
+    if (bytes) downloadBlob(bytes, exportName("features.zip"), "application/zip");
+  };
+
+  /* ---- Chat thread: follow-up instructions → proposed revision to accept/reject ---- */
+  const handleChatSend = async (text) => {
+    const instruction = text.trim();
+    if (!instruction || !reqJson || refining || chatting || acBusy || loading) return;
+    const userMsg = chatMessage("user", instruction);
+    const baseId = history.currentId;
+    setChat(c => [...c, userMsg]); setChatting(true); setErr("");
+    try {
+      const raw = await callModel(buildChatPrompt(reqJson, chat, instruction, JSON_GUIDE, followUpContext()));
+      const reply = parseChatReply(raw, reqJson);
+      if (!reply.proposal) throw new Error(reply.error);
+      const changed = JSON.stringify(reqJson) !== JSON.stringify(reply.proposal);
+      setChat(c => [...c, chatMessage("assistant", changed ? reply.summary : "No changes to the spec were needed.", changed
+        ? { proposal: reply.proposal, baseId, status: "pending", request: instruction }
+        : {})]);
+    } catch (ex) {
+      setChat(c => [...c, chatMessage("assistant", failureMessage("Request", ex), { failed: true })]);
+    } finally {
+      setChatting(false);
+    }
   };
 
+  const handleAcceptProposal = (msg) => {
+    const label = msg.request.length > 48 ? `${msg.request.slice(0, 47)}…` : msg.request;
+    commitReq(msg.proposal, `Chat: ${label}`); setMd("");
+    setChat(c => settleProposal(c, msg.id, "accepted"));
+  };
+  const handleRejectProposal = (msg) => setChat(c => settleProposal(c, msg.id, "rejected"));
+
   return (
     <div className="shell">
       {/* HERO */}
@@ -774,10 +2747,29 @@ export default function App() {
       <section id="generator" className="card generator pd">
         <h2>Project Details</h2>
 
+        <WorkspacePanel
+          specs={specs}
+          activeId={activeId}
+          onNew={handleNewSpec}
+          onImport={handleImportSpec}
+          onOpen={handleOpenSpec}
+          onRename={handleRenameSpec}
+          onDuplicate={handleDuplicateSpec}
+          onDelete={handleDeleteSpec}
+        />
+        {importNote && <p className="note">{importNote}</p>}
+        <CollabPanel
+          collab={collab}
+          canShare={!!reqJson}
+          defaults={collabDefaults()}
+          onStart={handleStartCollab}
+          onLeave={handleLeaveCollab}
+        />
+
         <form onSubmit={handleGenerate} className="pd-form">
           <div className={`bar ${loading ? "bar-disabled" : ""}`}>
-            <button type="button" className="icon-btn" title="Attach file" onClick={()=>fileRef.current?.click()} disabled={loading}><Paperclip/></button>
-            <input type="file" accept=".pdf,.docx,.pptx,.xlsx,.txt" ref={fileRef} onChange={(e)=>setFile(e.target.files[0])} style={{display:"none"}}/>
+            <button type="button" className="icon-btn" title="Attach files" onClick={()=>fileRef.current?.click()} disabled={loading}><Paperclip/></button>
+            <input type="file" multiple accept={ATTACH_ACCEPT} ref={fileRef} aria-label="Attach files" onChange={(e)=>{ handleAttach([...e.target.files]); e.target.value = ""; }} style={{display:"none"}}/>
 
             <button type="button" className={`icon-btn ${listening?"on":""}`} title="Speak" onClick={startMic} disabled={loading}><Mic on={listening}/></button>
 
@@ -794,21 +2786,37 @@ export default function App() {
             <button type="submit" className="send" disabled={loading}>{loading ? <span className="spin"/> : "→"}</button>
           </div>
 
-          {file && !loading && <div className="filechip">📎 {file.name}</div>}
-          {loading && <div className="note">Generating requirements…</div>}
+          {attachments.length > 0 && !loading && (
+            <AttachmentsPanel attachments={attachments} onRemove={handleRemoveAttachment} onInclude={handleIncludeExcerpt} />
+          )}
+          {fileName && !attachments.length && !loading && (
+            <div className="filechip">📎 {fileName}<span className="filechip-note"> (re-attach to include it)</span></div>
+          )}
+          {loading && (
+            <div className="note gen-progress">
+              <span>
+                Generating requirements…
+                {stream?.chars > 0 && ` ${(stream.chars / 1024).toFixed(1)} KB received`}
+                {stream?.partial?.functional?.length > 0 && ` · ${stream.partial.functional.length} functional requirements so far`}
+              </span>
+              <button className="ws-btn" type="button" onClick={handleCancelGenerate}>Cancel</button>
+            </div>
+          )}
           {err && <div className="err">{err}</div>}
 
           <div className="pd-row">
             <div className="pd-col">
               <span className="pd-label">Project type</span>
               <div className="pd-seg">
-                {PROJECT_TYPES.map((t)=>(
-                  <button key={t} type="button" className={`pd-seg-btn ${projType===t?"is-active":""}`} onClick={()=>setProjType(t)}>{t}</button>
+                {packs.map(({ projectType: t })=>(
+                  <button key={t} type="button" className={`pd-seg-btn ${projType===t?"is-active":""}`} onClick={()=>handleProjectType(t)}>{t}</button>
                 ))}
               </div>
             </div>
           </div>
 
+          <DomainPackBar pack={pack} onImport={handleImportPack} onExport={handleExportPack} onRestore={handleRestorePack} />
+
           <label className="pd-label" htmlFor="projDesc">Short description</label>
           <textarea
             id="projDesc"
@@ -819,34 +2827,116 @@ export default function App() {
             onChange={(e)=>setProjDesc(e.target.value)}
           />
 
-          <div className="pd-suggest">
-            <p className="pd-suggest-title">Not sure where to start? Try one of these:</p>
-            <div className="pd-chips">
-              {STARTER_TEMPLATES.map((s)=>(
-                <button key={s} type="button" className="pd-chip" onClick={()=>{ setIdeaText(s); setTimeout(()=>inputRef.current?.focus(),0); }}>{s}</button>
-              ))}
+          <SettingsPanel settings={settings} models={models} onChange={setSettings} />
+
+          {pack.templates.length > 0 && (
+            <div className="pd-suggest">
+              <p className="pd-suggest-title">Not sure where to start? Try one of these:</p>
+              <div className="pd-chips">
+                {pack.templates.map((t)=>(
+                  <button key={t.name} type="button" className="pd-chip" title={t.description} onClick={()=>handleTemplate(t)}>{t.name}</button>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
         </form>
 
-        {reqJson ? (
-          <RequirementsView
-            data={reqJson}
-            onPdf={handleExportPDF}
-            onDocx={handleExportDocx}
-            onMd={handleExportMarkdown}
-            onEditFunctionalRest={handleEditFunctionalRest}
-            onEditNfrCategory={handleEditNfrCategory}
-          />
+        {!loading && <ParseReport report={parseReport} onFix={handleFixJson} busy={loading} />}
+
+        {history.versions.length > 0 && !loading && (
+          <HistoryPanel history={history} onUndo={handleUndo} onRedo={handleRedo} onRestore={handleRestore} />
+        )}
+
+        {refining && (
+          <div className="note gen-progress">
+            <span>{REFINE_ACTIONS[refining.action].label}: {refining.title}… the rest of the spec stays as it is.</span>
+            <button className="ws-btn" type="button" onClick={handleCancelGenerate}>Cancel</button>
+          </div>
+        )}
+
+        {acBusy && (
+          <div className="note gen-progress">
+            <span>Writing Given/When/Then scenarios…</span>
+            <button className="ws-btn" type="button" onClick={handleCancelGenerate}>Cancel</button>
+          </div>
+        )}
+
+        {loading && stream?.partial ? (
+          <RequirementsView data={stream.partial} readOnly />
+        ) : reqJson ? (
+          <div className="spec-layout">
+            <RequirementsView
+              data={reqJson}
+              onPdf={handleExportPDF}
+              onDocx={handleExportDocx}
+              onMd={handleExportMarkdown}
+              onReqIf={handleExportReqIf}
+              onJson={handleExportJson}
+              exportEngine={exportEngine}
+              exportNotice={exportNotice}
+              onExportEngine={handleExportEngine}
+              onEditTop={handleEditTop}
+              onEditFunctionalRest={handleEditFunctionalRest}
+              onPriority={handlePriority}
+              onMoveLevel={handleMoveLevel}
+              onEditNfrCategory={handleEditNfrCategory}
+              onNfrCategories={{ projType, onApply: handleNfrCategories }}
+              onRefine={handleRefine}
+              refining={refining}
+              onApplyRewrite={handleApplyRewrite}
+              onIssues={handleExportIssues}
+              onAcceptance={{
+                busy: acBusy,
+                onGenerate: handleGenerateAcceptance,
+                onFeatures: handleDownloadFeatures,
+              }}
+              onGlossary={{ onSave: handleSaveGlossary, onReplace: handleReplaceTerm }}
+              onCoverage={handleCoverageAppendix}
+              onDiagrams={handleSaveDiagrams}
+              collab={collab && {
+                peers: Object.entries(collab.peers).map(([site, p]) => ({ site, ...p, color: peerColor(site) })),
+                onEditing: handleEditing,
+              }}
+              onReview={{
+                onStatus: handleReviewStatus,
+                onComment: handleComment,
+                onReply: handleReply,
+                onResolve: handleResolveComment,
+                onSignOff: handleSignOff,
+                onExport: handleExportReview,
+                onImport: handleImportReview,
+              }}
+              onTrace={{
+                onToggle: handleTraceToggle,
+                onAddVerification: handleAddVerification,
+                onSuggest: handleSuggestTrace,
+                onCsv: handleTraceCsv,
+              }}
+            />
+            <ChatPanel
+              thread={chat}
+              current={reqJson}
+              currentId={history.currentId}
+              busy={chatting}
+              disabled={!!refining}
+              onSend={handleChatSend}
+              onCancel={handleCancelGenerate}
+              onAccept={handleAcceptProposal}
+              onReject={handleRejectProposal}
+            />
+          </div>
         ) : (
           md && (
             <>
               <h3 className="outTitle">Generated Requirements</h3>
-              <div style={{ display: "flex", gap: 12, margin: "6px 0 10px" }}>
-                <button className="download" type="button" onClick={handleExportPDF}>Export PDF</button>
-                <button className="download" type="button" onClick={handleExportDocx}>Export DOCX</button>
-                <button className="download" type="button" onClick={handleExportMarkdown}>Export Markdown</button>
-              </div>
+              <ExportBar
+                onPdf={handleExportPDF}
+                onDocx={handleExportDocx}
+                onMd={handleExportMarkdown}
+                onJson={handleExportJson}
+                engine={exportEngine}
+                onEngine={handleExportEngine}
+              />
               <div className="out">
                 <ReactMarkdown
                   children={md}
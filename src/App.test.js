@@ -1,12 +1,60 @@
 //App.test.js
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
 import App from './App';
+import { createDoc, applyOps, localOps, materialize } from './collab';
+
+// Mermaid is loaded lazily in the browser; tests get a stand-in renderer
+jest.mock('mermaid', () => ({
+  __esModule: true,
+  default: {
+    initialize: jest.fn(),
+    render: jest.fn(async (id, source) => {
+      if (source.includes('oops')) throw new Error('Parse error on line 2');
+      return { svg: `<svg viewBox="0 0 100 50"><text>${source.split('\n')[0]}</text></svg>` };
+    }),
+  },
+}));
+
+const SAMPLE_SPEC = {
+  title: 'Inventory Tracker',
+  summary: 'Tracks stock levels across stores.',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The system MUST record stock movements.', bullets: ['Inbound and outbound'], rationale: 'Audit trail for stock.', standards: ['ISO 9001'] },
+    { id: 'FR002', level: 'SHOULD', statement: 'The system SHOULD send low-stock alerts.', bullets: [] },
+  ],
+  nonFunctional: [],
+  constraints: ['Runs on existing store tablets'],
+  outOfScope: ['Supplier invoicing'],
+  risks: [{ risk: 'Barcode scanner drift', mitigation: 'Weekly calibration' }],
+  openQuestions: ['Which stores pilot first?'],
+  useCases: ['Clerk receives a delivery'],
+};
+
+function mockGenerate(spec) {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve({ requirements: JSON.stringify(spec) }),
+  }));
+}
+
+async function generate(idea = 'Inventory app') {
+  const input = screen.getByPlaceholderText(/Describe your main idea/i);
+  fireEvent.change(input, { target: { value: idea } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  await screen.findByText(/Generated Requirements/i);
+}
+
+// No backend in tests: anything not mocked explicitly fails like an offline server
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+});
 
 describe('MaiSpec UI smoke tests', () => {
   test('renders hero title and CTA', () => {
     render(<App />);
     expect(screen.getByText(/AI-Assisted Project/i)).toBeInTheDocument();
-    expect(screen.getByRole('link', { name: /get started/i })).toBeInTheDocument();
+    // the footer has its own "Get started" link; this is the hero's call to action
+    expect(screen.getByRole('link', { name: 'Get Started' })).toHaveAttribute('href', '#generator');
   });
 
   test('renders Project Details form pieces', () => {
@@ -16,3 +64,529 @@ describe('MaiSpec UI smoke tests', () => {
     expect(screen.getByLabelText(/Short description/i)).toBeInTheDocument();
   });
 });
+
+describe('Generated requirements view', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('shows constraints, scope, risks, questions, rationale and standards', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    expect(screen.getByText('Runs on existing store tablets')).toBeInTheDocument();
+    expect(screen.getByText('Supplier invoicing')).toBeInTheDocument();
+    expect(screen.getByRole('columnheader', { name: 'Mitigation' })).toBeInTheDocument();
+    expect(screen.getByText('Weekly calibration')).toBeInTheDocument();
+    expect(screen.getByText('Which stores pilot first?')).toBeInTheDocument();
+    expect(screen.getByText(/Audit trail for stock/)).toBeInTheDocument();
+    expect(screen.getByText(/ISO 9001/)).toBeInTheDocument();
+  });
+
+  test('structured editor keeps ids, bullets and rationale while changing levels', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Edit Top 4' }));
+    fireEvent.change(screen.getByLabelText('Level for FR002'), { target: { value: 'MUST' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Duplicate FR001' }));
+    expect(screen.getByText('FR003')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+    expect(screen.getAllByText('MUST', { selector: '.req-pill' })).toHaveLength(3);
+    expect(screen.getAllByText(/Audit trail for stock/)).toHaveLength(2);
+    expect(screen.getAllByText('Inbound and outbound')).toHaveLength(2);
+  });
+
+  test('generated spec survives a page refresh', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    const { unmount } = render(<App />);
+    await generate();
+    unmount();
+
+    render(<App />);
+    expect(screen.getByText('Generated Requirements')).toBeInTheDocument();
+    expect(screen.getByText('Inventory Tracker', { selector: '.ws-name' })).toBeInTheDocument();
+  });
+
+  test('edits are versioned with undo and a level diff', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Edit Top 4' }));
+    fireEvent.change(screen.getByLabelText('Level for FR002'), { target: { value: 'MUST' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'History (2)' }));
+    expect(screen.getByText('SHOULD → MUST')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(screen.getAllByText('MUST', { selector: '.req-pill' })).toHaveLength(1);
+    expect(screen.getByRole('button', { name: 'Redo' })).toBeEnabled();
+  });
+
+  test('a running generation can be cancelled and keeps the previous spec', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const input = screen.getByPlaceholderText(/Describe your main idea/i);
+    fireEvent.change(input, { target: { value: 'Second draft' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText(/Generating requirements/)).toBeInTheDocument();
+    // nothing streamed yet: the saved spec is left alone
+    expect(window.localStorage.getItem('maispec.workspace.v1')).toContain('Runs on existing store tablets');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(await screen.findByText('Generation cancelled.')).toBeInTheDocument();
+    expect(screen.getByText('Runs on existing store tablets')).toBeInTheDocument();
+  });
+
+  test('unreadable output offers a model retry with the raw text', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ requirements: '# Inventory\n- MUST log stock' }) }));
+    render(<App />);
+    await generate();
+    mockGenerate(SAMPLE_SPEC);
+    fireEvent.click(screen.getByRole('button', { name: 'Ask the model to fix this JSON' }));
+    expect(await screen.findByText('Runs on existing store tablets')).toBeInTheDocument();
+    expect(global.fetch.mock.calls[0][1].body.get('project_idea')).toContain('- MUST log stock');
+  });
+
+  test('generation settings are sent with the request and persist', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    const { unmount } = render(<App />);
+    fireEvent.change(screen.getByLabelText(/Functional requirements \(target\)/), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText(/Level of detail/), { target: { value: 'detailed' } });
+    fireEvent.click(screen.getByLabelText('Risks & Mitigations'));
+    await generate();
+
+    const body = global.fetch.mock.calls.find(([url]) => url.endsWith('/generate-requirements/'))[1].body;
+    expect(body.get('target_functional')).toBe('5');
+    expect(body.get('detail_level')).toBe('detailed');
+    expect(body.get('sections')).not.toContain('Risks');
+    expect(body.get('project_idea')).toContain('about 5 functional requirements');
+
+    unmount();
+    render(<App />);
+    expect(screen.getByLabelText(/Level of detail/)).toHaveValue('detailed');
+  });
+
+  test('tightening one requirement keeps manual edits elsewhere', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Edit Top 4' }));
+    fireEvent.change(screen.getByLabelText('Level for FR001'), { target: { value: 'SHOULD' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    const reply = { functional: [{ id: 'FR002', level: 'SHOULD', statement: 'The system SHOULD alert managers below 10 units.' }] };
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ requirements: JSON.stringify(reply) }) }));
+    fireEvent.click(screen.getByRole('button', { name: 'Tighten wording FR002' }));
+
+    expect(await screen.findByText('The system SHOULD alert managers below 10 units.')).toBeInTheDocument();
+    expect(screen.queryByText('The system SHOULD send low-stock alerts.')).not.toBeInTheDocument();
+    expect(screen.getAllByText('SHOULD', { selector: '.req-pill' })).toHaveLength(2);
+    const prompt = global.fetch.mock.calls[0][1].body.get('project_idea');
+    expect(prompt).toContain('Supplier invoicing');
+    expect(prompt).toContain('Return exactly one requirement with the same id.');
+    fireEvent.click(screen.getByRole('button', { name: 'History (3)' }));
+    expect(screen.getByText('v3 · Tightened FR002', { selector: '.ws-name' })).toBeInTheDocument();
+  });
+
+  test('follow-up instructions come back as a diff to accept or reject', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+
+    const revised = {
+      ...SAMPLE_SPEC,
+      changeSummary: 'Added offline mode.',
+      functional: [...SAMPLE_SPEC.functional, { id: 'FR003', level: 'MUST', statement: 'The system MUST work offline.' }],
+    };
+    mockGenerate(revised);
+    const box = screen.getByLabelText('Follow-up instruction');
+    fireEvent.change(box, { target: { value: 'add offline mode' } });
+    fireEvent.keyDown(box, { key: 'Enter' });
+
+    expect(await screen.findByText('Added offline mode.')).toBeInTheDocument();
+    expect(screen.getByText('FR003 · MUST — The system MUST work offline.')).toBeInTheDocument();
+    expect(screen.queryByText('The system MUST work offline.')).not.toBeInTheDocument();
+    expect(global.fetch.mock.calls[0][1].body.get('project_idea')).toContain('Instruction: add offline mode');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Accept' }));
+    expect(screen.getByText('The system MUST work offline.')).toBeInTheDocument();
+    expect(screen.getByText('Accepted')).toBeInTheDocument();
+
+    mockGenerate({ ...SAMPLE_SPEC, changeSummary: 'Dropped offline mode.' });
+    fireEvent.change(box, { target: { value: 'actually, no offline mode' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+    await screen.findByText('Dropped offline mode.');
+    fireEvent.click(screen.getByRole('button', { name: 'Reject' }));
+    expect(screen.getByText('The system MUST work offline.')).toBeInTheDocument();
+    expect(screen.getByText('Rejected')).toBeInTheDocument();
+  });
+
+  test('quality findings show inline with a score and suggestions can be applied', async () => {
+    mockGenerate({
+      ...SAMPLE_SPEC,
+      functional: [...SAMPLE_SPEC.functional, { id: 'FR003', level: 'MUST', statement: 'Stock counts MUST be updated nightly.' }],
+    });
+    render(<App />);
+    await generate();
+    expect(screen.getByLabelText('Quality score')).toHaveTextContent('97/100');
+    expect(screen.getByText('Passive voice')).toBeInTheDocument();
+    expect(screen.getByText('The system MUST update stock counts nightly.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+    expect(screen.queryByText('Passive voice')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Quality score')).toHaveTextContent('100/100');
+    expect(screen.getByText('The system MUST update stock counts nightly.', { selector: 'strong' })).toBeInTheDocument();
+  });
+
+  test('traceability matrix links requirements and flags gaps', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    expect(screen.getByText('1 use case without requirements · 2 requirements without verification')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Traceability matrix' }));
+    fireEvent.click(screen.getByLabelText('FR001 → UC1'));
+    fireEvent.change(screen.getByLabelText('New verification item'), { target: { value: 'Stock count test' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    fireEvent.click(screen.getByLabelText('FR001 → V1'));
+
+    expect(screen.getByText('1 requirement without verification')).toBeInTheDocument();
+    expect(screen.getByLabelText('FR001 → UC1')).toBeChecked();
+    expect(screen.getAllByText('Covered')).toHaveLength(1);
+  });
+
+  test('acceptance criteria are generated per requirement and exported as feature files', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    expect(screen.getByRole('button', { name: 'Download .feature files (zip)' })).toBeDisabled();
+
+    const reply = { acceptance: [
+      { id: 'FR001', scenarios: [{ name: 'Delivery booked in', given: ['a clerk at the back door'], when: ['a pallet is scanned'], then: ['stock goes up'] }] },
+      { id: 'FR002', scenarios: [{ name: 'Shelf runs low', given: ['10 units left'], when: ['one is sold'], then: ['the manager is alerted'] }] },
+    ] };
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ requirements: JSON.stringify(reply) }) }));
+    fireEvent.click(screen.getByRole('button', { name: 'Generate acceptance criteria' }));
+
+    expect(await screen.findByText('Scenario: Delivery booked in')).toBeInTheDocument();
+    expect(screen.getByText('Scenario: Shelf runs low')).toBeInTheDocument();
+    expect(screen.getByText('a pallet is scanned')).toBeInTheDocument();
+    expect(global.fetch.mock.calls[0][1].body.get('project_idea')).toContain('"id": "FR002"');
+    expect(screen.getByRole('button', { name: 'Regenerate acceptance criteria' })).toBeEnabled();
+    expect(screen.getByRole('button', { name: 'Download .feature files (zip)' })).toBeEnabled();
+  });
+
+  test('issue tracker export previews the mapping and downloads the chosen format', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Export to issue tracker' }));
+
+    const preview = screen.getByRole('table', { name: 'Issue mapping preview' });
+    expect(within(preview).getByText('FR001 The system MUST record stock movements.')).toBeInTheDocument();
+    expect(within(preview).getByText('* Inbound and outbound')).toBeInTheDocument();
+    expect(within(preview).getByText('High')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Issue format'), { target: { value: 'azure' } });
+    expect(within(preview).getByText('Work Item Type')).toBeInTheDocument();
+
+    URL.createObjectURL = jest.fn(() => 'blob:issues');
+    URL.revokeObjectURL = jest.fn();
+    fireEvent.click(screen.getByRole('button', { name: 'Download Azure DevOps (CSV)' }));
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/csv;charset=utf-8');
+  });
+
+  test('COULD requirements can be dragged to another level, with P0–P3 labels and a configurable top N', async () => {
+    mockGenerate({ ...SAMPLE_SPEC, functional: [...SAMPLE_SPEC.functional, { id: 'FR003', level: 'COULD', statement: 'The system COULD print shelf labels.' }] });
+    render(<App />);
+    await generate();
+    expect(screen.getByText('COULD')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Key requirements shown'), { target: { value: '1' } });
+    fireEvent.blur(screen.getByLabelText('Key requirements shown'));
+    expect(screen.getByText('Key MUST/SHOULD (Top 1)')).toBeInTheDocument();
+    expect(screen.getByText('The system SHOULD send low-stock alerts.', { selector: 'strong' })).toBeInTheDocument();
+
+    fireEvent.dragStart(screen.getByText('The system COULD print shelf labels.'));
+    fireEvent.dragOver(screen.getByTestId('Functional-MUST'));
+    fireEvent.drop(screen.getByTestId('Functional-MUST'));
+    expect(screen.getByText('The system MUST print shelf labels.')).toBeInTheDocument();
+    expect(screen.queryByText('COULD')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Prioritisation scheme'), { target: { value: 'numeric' } });
+    expect(screen.getByText('Key P0/P1 (Top 1)')).toBeInTheDocument();
+    expect(screen.getByText('P0', { selector: '.req-pill' })).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'History (4)' }));
+    expect(screen.getAllByText(/Moved FR003 to MUST/).length).toBeGreaterThan(0);
+
+    // past the cap the input snaps back to it, and the same cap again records nothing
+    const count = screen.getByLabelText('Key requirements shown');
+    fireEvent.change(count, { target: { value: '50' } });
+    fireEvent.blur(count);
+    expect(count).toHaveValue(20);
+    expect(screen.getByText('Key P0/P1 (Top 20)')).toBeInTheDocument();
+    fireEvent.change(count, { target: { value: '99' } });
+    fireEvent.blur(count);
+    expect(count).toHaveValue(20);
+    expect(screen.getByRole('button', { name: 'History (5)' })).toBeInTheDocument();
+  });
+
+  test('NFRs outside the built-in categories are kept and categories can be customised per project type', async () => {
+    mockGenerate({ ...SAMPLE_SPEC, nonFunctional: ['Security: MUST hash passwords.', 'Labels SHOULD use the store font.'] });
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Software' }));
+    await generate();
+    expect(screen.getByRole('heading', { name: 'Security' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Uncategorised' })).toBeInTheDocument();
+    expect(screen.queryByText(/99\.9% monthly uptime/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'NFR categories' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add category' }));
+    fireEvent.change(screen.getByLabelText('Category 10 title'), { target: { value: 'Branding' } });
+    fireEvent.change(screen.getByLabelText('Category 10 keywords'), { target: { value: 'font, logo' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply to this spec' }));
+    expect(screen.getByRole('heading', { name: 'Branding' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Edit Uncategorised' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save as default for Software' }));
+    expect(screen.getByText('Saved as the default for Software projects.')).toBeInTheDocument();
+  });
+
+  test('glossary terms are defined by hand and inconsistent synonyms replaced in bulk', async () => {
+    mockGenerate({ ...SAMPLE_SPEC, nonFunctional: ['Security: Employees MUST sign in with a badge.'] });
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Glossary' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add term' }));
+    fireEvent.change(screen.getByLabelText('Term 1'), { target: { value: 'Clerk' } });
+    fireEvent.change(screen.getByLabelText('Term 1 definition'), { target: { value: 'Store staff member using a tablet.' } });
+    fireEvent.change(screen.getByLabelText('Term 1 synonyms'), { target: { value: 'employee, staff member' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save glossary' }));
+    expect(screen.getByText('1 term · 1 terminology issue')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Replace all with “Clerk”' }));
+    expect(screen.getByText('Security: Clerks MUST sign in with a badge.')).toBeInTheDocument();
+    expect(screen.getByText('Replaced 1 use of “employee” with “Clerk”.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'History (3)' }));
+    expect(screen.getAllByText(/Edited glossary/).length).toBeGreaterThan(0);
+  });
+
+  test('requirements are reviewed, commented on and signed off, with the review exported as JSON', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Review & sign-off' }));
+    fireEvent.change(screen.getByLabelText('Reviewer name'), { target: { value: 'Priya' } });
+    fireEvent.change(screen.getByLabelText('FR001 review status'), { target: { value: 'approved' } });
+    expect(screen.getByText('Approved', { selector: '.review-pill' })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Comment on'), { target: { value: 'FR002' } });
+    fireEvent.change(screen.getByLabelText('New comment'), { target: { value: 'Alert by email or SMS?' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add comment' }));
+    expect(screen.getByText('1 open comment')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Reply to C1'), { target: { value: 'Email first.' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Reply' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Resolve C1' }));
+    expect(screen.queryByText('1 open comment')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Approve document' }));
+    expect(screen.getByText('Signed off with 1 requirement not yet approved.')).toBeInTheDocument();
+    expect(screen.getByText(/Approved by Priya$/)).toBeInTheDocument();
+
+    URL.createObjectURL = jest.fn(() => 'blob:review');
+    URL.revokeObjectURL = jest.fn();
+    fireEvent.click(screen.getByRole('button', { name: 'Export review' }));
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    const file = JSON.parse(await new Promise(resolve => { const fr = new FileReader(); fr.onload = () => resolve(fr.result); fr.readAsText(blob); }));
+    expect(file.review.threads[0].comments.map(c => c.author)).toEqual(['Priya', 'Priya']);
+    expect(file.review.signoffs[0].name).toBe('Priya');
+  });
+
+  test('coverage dashboard charts the spec and adds an appendix to the Markdown export', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    expect(screen.getByText('2 functional requirements · 0 non-functional · 0 of 1 use case linked')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Coverage' }));
+    expect(screen.getByLabelText('Functional requirements by priority: MUST 1')).toBeInTheDocument();
+    expect(screen.getByText('Use cases without requirements: UC1 Clerk receives a delivery')).toBeInTheDocument();
+    expect(within(screen.getByRole('table', { name: 'Coverage summary' })).getAllByRole('row')[1]).toHaveTextContent('PriorityMUST150%');
+
+    fireEvent.click(screen.getByLabelText('Add as an appendix to exports'));
+    URL.createObjectURL = jest.fn(() => 'blob:md');
+    URL.revokeObjectURL = jest.fn();
+    fireEvent.click(screen.getByRole('button', { name: 'Export Markdown' }));
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    const md = await new Promise(resolve => { const fr = new FileReader(); fr.onload = () => resolve(fr.result); fr.readAsText(blob); });
+    expect(md).toContain('## Appendix: Coverage');
+    expect(md).toContain('| Review | Draft | 2 | 100% |');
+  });
+
+  test('a PDF with characters the browser fonts lack is still built in the browser, with a notice', async () => {
+    mockGenerate({ ...SAMPLE_SPEC, title: 'Magazyn', functional: [{ id: 'FR001', level: 'MUST', statement: 'System MUSI zapisać ruchy magazynowe.' }] });
+    render(<App />);
+    await generate();
+    global.fetch.mockClear();
+    URL.createObjectURL = jest.fn(() => 'blob:pdf');
+    URL.revokeObjectURL = jest.fn();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export PDF' }));
+    expect(await screen.findByRole('status')).toHaveTextContent('The in-browser PDF fonts cannot show some characters (“ć”)');
+    expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/pdf');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('diagrams are generated from use cases, edited with a live preview and exported as Mermaid', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    await generate();
+    fireEvent.click(screen.getByRole('button', { name: 'Diagrams' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Generate diagrams' }));
+    const source = screen.getByLabelText('Use case diagram source');
+    expect(source.value).toContain('A1(("Clerk"))');
+    expect(await screen.findByText('sequenceDiagram')).toBeInTheDocument();
+
+    fireEvent.change(source, { target: { value: 'flowchart TD\n  oops' } });
+    expect(await screen.findByText('Diagram error: Parse error on line 2')).toBeInTheDocument();
+    fireEvent.change(source, { target: { value: 'flowchart TD\n  A --> B' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Context diagram' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save diagrams' }));
+    expect(screen.getByText('2 diagrams')).toBeInTheDocument();
+
+    URL.createObjectURL = jest.fn(() => 'blob:md');
+    URL.revokeObjectURL = jest.fn();
+    fireEvent.click(screen.getByRole('button', { name: 'Export Markdown' }));
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    const md = await new Promise(resolve => { const fr = new FileReader(); fr.onload = () => resolve(fr.result); fr.readAsText(blob); });
+    expect(md).toContain('### Use case diagram\n```mermaid\nflowchart TD\n  A --> B\n```');
+    expect(md).not.toContain('Context diagram');
+  });
+
+  test('a shared spec takes a teammate\'s live edits and shows who is editing which section', async () => {
+    const sockets = [];
+    const RealWebSocket = global.WebSocket;
+    global.WebSocket = class {
+      constructor(url) { this.url = url; this.readyState = 1; this.sent = []; sockets.push(this); }
+      send(data) { this.sent.push(JSON.parse(data)); }
+      close() {}
+    };
+    mockGenerate({ ...SAMPLE_SPEC, nonFunctional: ['Security: Staff MUST sign in with a badge.'] });
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Software' }));
+    await generate();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Collaborate' }));
+    fireEvent.change(screen.getByLabelText('Room name'), { target: { value: 'store-app' } });
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'Ana' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Share this spec' }));
+    const ws = sockets[0];
+    expect(ws.url).toBe('ws://localhost:8787/store-app');
+    act(() => ws.onopen());
+    expect(screen.getByText('Live in “store-app”')).toBeInTheDocument();
+    const receive = (msg) => act(() => ws.onmessage({ data: JSON.stringify(msg) }));
+
+    receive({ type: 'hello', site: 'ben', name: 'Ben' });
+    const sync = ws.sent.find(m => m.type === 'sync');
+    expect(sync.to).toBe('ben');
+    const peer = createDoc('ben');
+    applyOps(peer, sync.ops);
+    const shared = materialize(peer);
+    expect(shared.title).toBe('Inventory Tracker');
+
+    receive({ type: 'presence', site: 'ben', name: 'Ben', section: 'Security' });
+    expect(screen.getByText('Ben is editing')).toBeInTheDocument();
+    const ops = localOps(peer, { ...shared, nonFunctional: [...shared.nonFunctional, 'Security: Sessions MUST expire after 15 minutes.'] });
+    receive({ type: 'ops', site: 'ben', ops });
+    expect(screen.getByText('Security: Sessions MUST expire after 15 minutes.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit Functional' }));
+    expect(ws.sent.at(-1)).toMatchObject({ type: 'presence', name: 'Ana', section: 'Functional' });
+    receive({ type: 'bye', site: 'ben' });
+    expect(screen.queryByText('Ben is editing')).not.toBeInTheDocument();
+    global.WebSocket = RealWebSocket;
+  });
+
+  test('attachments are previewed in the browser and only the selected excerpts are sent', async () => {
+    mockGenerate(SAMPLE_SPEC);
+    render(<App />);
+    const notes = new File([`Scope ${'a'.repeat(2400)}\n\nSecret appendix ${'b'.repeat(2400)}`], 'notes.txt', { type: 'text/plain' });
+    const broken = new File(['not a zip'], 'brief.docx');
+    fireEvent.change(screen.getByLabelText('Attach files'), { target: { files: [notes, broken] } });
+
+    expect(await screen.findByText(/Not a ZIP archive\. This file won’t be sent\./)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Remove brief.docx' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Excerpts (2/2)' }));
+    expect(screen.getByText(/≈1\.2k of 1\.2k tokens selected/)).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Include Part 2 of 2 of notes.txt'));
+    expect(screen.getByText(/≈602 of 1\.2k tokens selected/)).toBeInTheDocument();
+    await generate();
+
+    const sent = global.fetch.mock.calls.find(([url]) => url.endsWith('/generate-requirements/'))[1].body.get('file');
+    expect(sent.name).toBe('attachments.txt');
+    const text = await new Promise(resolve => { const fr = new FileReader(); fr.onload = () => resolve(fr.result); fr.readAsText(sent); });
+    expect(text).toContain('### notes.txt — Part 1 of 2');
+    expect(text).not.toContain('Secret appendix');
+  });
+
+  test('the attachment names saved with the spec follow attach and remove actions', async () => {
+    render(<App />);
+    const input = screen.getByLabelText('Attach files');
+    fireEvent.change(input, { target: { files: [new File(['Scope'], 'a.txt', { type: 'text/plain' })] } });
+    fireEvent.change(input, { target: { files: [new File(['More'], 'b.txt', { type: 'text/plain' })] } });
+    await screen.findAllByRole('button', { name: /^Excerpts/ });
+    const saved = () => { const ws = JSON.parse(window.localStorage.getItem('maispec.workspace.v1')); return ws.specs[ws.activeId].fileName; };
+    expect(saved()).toBe('a.txt, b.txt');
+    fireEvent.click(screen.getByRole('button', { name: 'Remove a.txt' }));
+    expect(saved()).toBe('b.txt');
+  });
+
+  test('domain packs prefill templates, feed standards to the prompt and can be shared as files', async () => {
+    mockGenerate({ ...SAMPLE_SPEC, functional: [{ id: 'FR001', level: 'MUST', statement: 'The controller MUST reset through a hardware watchdog.' }] });
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Electrical' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Motor Controller Board' }));
+    expect(screen.getByLabelText(/Short description/i).value).toMatch(/^48 V BLDC controller/);
+    expect(screen.getByLabelText('Use Cases')).not.toBeChecked();
+    await generate();
+
+    const body = global.fetch.mock.calls.find(([url]) => url.endsWith('/generate-requirements/'))[1].body;
+    expect(body.get('project_idea')).toContain('Relevant standards for Electrical projects: IEC 61508');
+    expect(screen.getByText('IEC 61508', { selector: '.req-meta div' })).toBeInTheDocument();
+
+    const pack = JSON.stringify({ projectType: 'Medical devices', name: 'Class II', standards: ['IEC 62304'], templates: [{ name: 'Infusion pump' }] });
+    fireEvent.change(screen.getByLabelText('Import domain pack'), { target: { files: [new File([pack], 'med.json')] } });
+    expect(await screen.findByText('Imported the “Class II” pack for Medical devices projects.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Medical devices' })).toHaveClass('is-active');
+    expect(screen.getByRole('button', { name: 'Infusion pump' })).toBeInTheDocument();
+  });
+
+  test('a spec JSON file imports as a new saved spec', async () => {
+    render(<App />);
+    const file = new File([JSON.stringify({ format: 'maispec.spec', version: 1, spec: { name: 'Depot pilot', projType: 'Civil', reqJson: SAMPLE_SPEC } })], 'depot.json', { type: 'application/json' });
+    fireEvent.change(screen.getByLabelText('Import spec file'), { target: { files: [file] } });
+
+    expect(await screen.findByText('The system MUST record stock movements.')).toBeInTheDocument();
+    expect(screen.getByText('Depot pilot', { selector: '.ws-name' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Export ReqIF' })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Import spec file'), { target: { files: [new File(['nope'], 'bad.json')] } });
+    expect(await screen.findByText('Import failed: The file is not valid JSON.')).toBeInTheDocument();
+  });
+
+  test('a legacy Markdown spec imports into the editor with ids and levels', async () => {
+    render(<App />);
+    const md = '# Depot\n## Requirements\n- FR-3: The operator shall scan each pallet.\n- FR-4: The system SHOULD print labels.';
+    fireEvent.change(screen.getByLabelText('Import spec file'), { target: { files: [new File([md], 'depot.md')] } });
+
+    expect(await screen.findByText('Imported 2 functional and 0 non-functional requirements from depot.md.')).toBeInTheDocument();
+    expect(screen.getByText('The operator shall scan each pallet.', { selector: 'strong' })).toBeInTheDocument();
+    expect(screen.getByText('Depot', { selector: '.ws-name' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Quality score')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,8 @@
+// mermaid ships as ESM only (and needs a real layout engine); tests get a stub renderer
+module.exports = {
+  __esModule: true,
+  default: {
+    initialize: () => {},
+    render: async (id, source) => ({ svg: `<svg id="${id}" viewBox="0 0 100 50"><text>${String(source).split("\n")[0]}</text></svg>` }),
+  },
+};
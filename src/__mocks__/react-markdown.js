@@ -0,0 +1,4 @@
+// react-markdown ships as ESM only, which jest cannot load; tests see the raw Markdown
+module.exports = function ReactMarkdown({ children }) {
+  return children || null;
+};
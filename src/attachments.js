@@ -0,0 +1,328 @@
+/* ───────── Attachments: in-browser text extraction, excerpts, token estimates ─────────
+ * Each attached file becomes
+ *   { id, name, size, kind, status: "reading" | "ready" | "error", error?, excerpts: [{ label, text, include }] }
+ * Excerpts follow the file's own structure (PDF pages, slides, sheets, Word headings,
+ * paragraphs of plain text) so a long document can be cut down to the parts that
+ * matter. Only the included excerpts are sent, bundled into one plain-text file.
+ */
+import { unzipFiles, utf8Text } from "./zip";
+import { inflate } from "./inflate";
+
+export const ATTACH_ACCEPT = ".pdf,.docx,.pptx,.xlsx,.txt";
+export const ATTACHMENT_BUNDLE_NAME = "attachments.txt";
+const PART_CHARS = 2500; // plain text and heading-less documents are split into parts about this long
+
+export const kindOf = (name = "") => (name.toLowerCase().match(/\.(pdf|docx|pptx|xlsx|txt)$/)?.[1] || "");
+
+// ~4 characters per token for English prose; good enough to spot a 40-page PDF
+export const estimateTokens = (text = "") => Math.ceil(String(text).length / 4);
+
+export function formatSize(bytes = 0) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export const formatTokens = (n) => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n));
+
+/* ---- Shared helpers ---- */
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+const xmlText = (s = "") => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => (
+  e[0] === "#" ? String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1))) : ENTITIES[e] ?? m
+));
+const tidy = (text) => text.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+const short = (s, n = 60) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+// Paragraphs grouped into parts of about PART_CHARS
+function parts(paragraphs, sep = "\n") {
+  const out = [];
+  let cur = [];
+  let size = 0;
+  paragraphs.forEach(p => {
+    if (size && size + p.length > PART_CHARS) { out.push(cur.join(sep)); cur = []; size = 0; }
+    cur.push(p);
+    size += p.length + 1;
+  });
+  if (cur.length) out.push(cur.join(sep));
+  return out.length === 1
+    ? [{ label: "Full text", text: out[0] }]
+    : out.map((text, i) => ({ label: `Part ${i + 1} of ${out.length}`, text }));
+}
+
+/* ---- Plain text ---- */
+function textExcerpts(text) {
+  const paragraphs = String(text).replace(/\r\n?/g, "\n").split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  return paragraphs.length ? parts(paragraphs, "\n\n") : [];
+}
+
+/* ---- Word: one excerpt per heading, else parts ---- */
+function docxExcerpts(files) {
+  const xml = files["word/document.xml"];
+  if (!xml) throw new Error("No document body found in this .docx file.");
+  const paras = (utf8Text(xml).match(/<w:p[ >][\s\S]*?<\/w:p>/g) || []).map(p => ({
+    heading: /<w:pStyle w:val="(Heading\d*|Title)"/i.test(p),
+    text: xmlText((p.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+      .map(t => (t === "<w:tab/>" ? "\t" : t === "<w:br/>" ? "\n" : t.replace(/<[^>]+>/g, ""))).join("")).trim(),
+  })).filter(p => p.text);
+  if (!paras.some(p => p.heading)) return parts(paras.map(p => p.text));
+
+  const out = [];
+  paras.forEach(p => {
+    if (p.heading || !out.length) out.push({ label: p.heading ? short(p.text) : "Opening", lines: [] });
+    out[out.length - 1].lines.push(p.text);
+  });
+  return out.map(s => ({ label: s.label, text: s.lines.join("\n") }));
+}
+
+/* ---- PowerPoint: one excerpt per slide ---- */
+function pptxExcerpts(files) {
+  const slides = Object.keys(files)
+    .map(name => ({ name, n: Number(name.match(/^ppt\/slides\/slide(\d+)\.xml$/)?.[1]) }))
+    .filter(s => s.n)
+    .sort((a, b) => a.n - b.n);
+  return slides.map(({ name, n }) => {
+    const lines = (utf8Text(files[name]).match(/<a:p>[\s\S]*?<\/a:p>|<a:p [\s\S]*?<\/a:p>/g) || [])
+      .map(p => xmlText((p.match(/<a:t>[^<]*<\/a:t>/g) || []).map(t => t.slice(5, -6)).join("")).trim())
+      .filter(Boolean);
+    return { label: lines[0] ? `Slide ${n}: ${short(lines[0], 40)}` : `Slide ${n}`, text: lines.join("\n") };
+  }).filter(s => s.text);
+}
+
+/* ---- Excel: one excerpt per sheet, rows as tab-separated lines ---- */
+const colIndex = (ref = "") => [...ref.replace(/\d+/g, "")].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+function xlsxExcerpts(files) {
+  const book = files["xl/workbook.xml"];
+  if (!book) throw new Error("No workbook found in this .xlsx file.");
+  const shared = files["xl/sharedStrings.xml"]
+    ? (utf8Text(files["xl/sharedStrings.xml"]).match(/<si>[\s\S]*?<\/si>/g) || [])
+      .map(si => xmlText((si.match(/<t(?: [^>]*)?>[^<]*<\/t>/g) || []).map(t => t.replace(/<[^>]+>/g, "")).join("")))
+    : [];
+  const rels = Object.fromEntries([...utf8Text(files["xl/_rels/workbook.xml.rels"] || new Uint8Array())
+    .matchAll(/<Relationship [^>]*Id="([^"]+)"[^>]*Target="([^"]+)"/g)].map(m => [m[1], m[2]]));
+
+  return [...utf8Text(book).matchAll(/<sheet [^>]*name="([^"]*)"[^>]*r:id="([^"]+)"/g)].map(([, name, rid], i) => {
+    const target = rels[rid] || `worksheets/sheet${i + 1}.xml`;
+    const path = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    const rows = (utf8Text(files[path] || new Uint8Array()).match(/<row[ >][\s\S]*?<\/row>/g) || []).map(row => {
+      const cells = [];
+      (row.match(/<c [^>]*\/>|<c [^>]*>[\s\S]*?<\/c>/g) || []).forEach(c => {
+        const type = c.match(/ t="(\w+)"/)?.[1];
+        const v = c.match(/<v>([^<]*)<\/v>/)?.[1];
+        const value = type === "s" ? shared[Number(v)] : type === "inlineStr"
+          ? (c.match(/<t(?: [^>]*)?>[^<]*<\/t>/g) || []).map(t => t.replace(/<[^>]+>/g, "")).join("")
+          : v;
+        if (value === undefined || value === "") return;
+        const at = colIndex(c.match(/ r="([A-Z]+\d+)"/)?.[1]);
+        cells[at >= 0 ? at : cells.length] = xmlText(value);
+      });
+      return Array.from(cells, x => x ?? "").join("\t");
+    }).filter(r => r.trim());
+    return { label: `Sheet: ${xmlText(name)}`, text: rows.join("\n") };
+  }).filter(s => s.text);
+}
+
+/* ---- PDF: one excerpt per page, text operators of each content stream ---- */
+const WIN_ANSI = { 0x80: "€", 0x85: "…", 0x91: "‘", 0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•", 0x96: "–", 0x97: "—", 0x99: "™" };
+const latin1 = (bytes) => {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return s;
+};
+const binBytes = (s) => Uint8Array.from(s, ch => ch.charCodeAt(0) & 0xff);
+
+function pdfObjects(bin) {
+  const objs = new Map();
+  const re = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = re.exec(bin))) {
+    const start = re.lastIndex;
+    const end = bin.indexOf("endobj", start);
+    if (end < 0) break;
+    const s = bin.indexOf("stream", start);
+    if (s < 0 || s > end) {
+      objs.set(Number(m[1]), { dict: bin.slice(start, end), data: null });
+      re.lastIndex = end;
+      continue;
+    }
+    const dataStart = s + 6 + (bin[s + 6] === "\r" ? 2 : 1);
+    const length = Number(bin.slice(start, s).match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/)?.[1]);
+    const endstream = bin.indexOf("endstream", dataStart);
+    // trust /Length only when it lands on endstream; indirect or wrong lengths fall back to the keyword
+    const data = length && /^\s*endstream/.test(bin.slice(dataStart + length, dataStart + length + 12))
+      ? bin.slice(dataStart, dataStart + length)
+      : bin.slice(dataStart, endstream).replace(/\r?\n$/, "");
+    objs.set(Number(m[1]), { dict: bin.slice(start, s), data });
+    re.lastIndex = Math.max(bin.indexOf("endobj", endstream), start);
+  }
+  // compressed object streams (PDF 1.5+) hold the page dictionaries of many files
+  [...objs.values()].filter(o => /\/Type\s*\/ObjStm/.test(o.dict)).forEach(o => {
+    const text = streamText(o);
+    if (!text) return;
+    const first = Number(o.dict.match(/\/First\s+(\d+)/)?.[1]);
+    const nums = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < nums.length; i += 2) {
+      const from = first + nums[i + 1];
+      const to = i + 3 < nums.length ? first + nums[i + 3] : text.length;
+      if (!objs.has(nums[i])) objs.set(nums[i], { dict: text.slice(from, to), data: null });
+    }
+  });
+  return objs;
+}
+
+function streamText(obj) {
+  if (obj?.data == null) return "";
+  const filters = obj.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1].match(/\/\w+/g) || [];
+  if (filters.some(f => f !== "/FlateDecode")) return "";
+  try {
+    return filters.length ? latin1(inflate(binBytes(obj.data))) : obj.data;
+  } catch {
+    return "";
+  }
+}
+
+const refs = (s = "") => [...s.matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+
+function pdfPages(objs) {
+  const pages = [];
+  const seen = new Set();
+  const walk = (num) => {
+    const dict = objs.get(num)?.dict || "";
+    if (seen.has(num)) return;
+    seen.add(num);
+    if (/\/Type\s*\/Pages\b/.test(dict)) refs(dict.match(/\/Kids\s*\[([^\]]*)\]/)?.[1]).forEach(walk);
+    else if (/\/Type\s*\/Page\b/.test(dict)) pages.push(dict);
+  };
+  const catalog = [...objs.values()].find(o => /\/Type\s*\/Catalog\b/.test(o.dict));
+  refs(catalog?.dict.match(/\/Pages\s+\d+\s+\d+\s+R/)?.[0]).forEach(walk);
+  if (pages.length) return pages;
+  return [...objs.entries()].sort((a, b) => a[0] - b[0]).map(([, o]) => o.dict).filter(d => /\/Type\s*\/Page\b/.test(d));
+}
+
+function pageContents(objs, dict) {
+  const m = dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+  if (!m) return "";
+  let nums = refs(m[1]);
+  // /Contents 5 0 R may point at an array of streams
+  if (nums.length === 1 && objs.get(nums[0])?.data == null) nums = refs(objs.get(nums[0])?.dict);
+  return nums.map(n => streamText(objs.get(n))).join("\n");
+}
+
+// Text-showing operators only; a change of baseline starts a new line
+function contentText(s) {
+  let out = "";
+  let stack = [];
+  const arrays = [];
+  let y = 0;
+  let lineY = 0;
+  let lastY = null;
+  let breakNext = false;
+  const show = (str) => {
+    if (out && (breakNext || (lastY !== null && Math.abs(y - lastY) > 1))) out += "\n";
+    breakNext = false;
+    lastY = y;
+    out += str;
+  };
+  const decode = (bytes) => {
+    // two-byte codes with a zero high byte: treat as UTF-16BE
+    if (bytes.length > 1 && bytes.length % 2 === 0 && bytes.every((b, i) => i % 2 || b === 0)) {
+      return bytes.filter((_, i) => i % 2).map(b => String.fromCharCode(b)).join("");
+    }
+    return bytes.map(b => WIN_ANSI[b] || String.fromCharCode(b)).join("");
+  };
+
+  for (let i = 0; i < s.length;) {
+    const ch = s[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === "%") { while (i < s.length && s[i] !== "\n" && s[i] !== "\r") i++; continue; }
+    if (ch === "(") {
+      const bytes = [];
+      let depth = 1;
+      for (i++; i < s.length && depth; i++) {
+        let c = s[i];
+        if (c === "\\") {
+          const next = s[++i];
+          const oct = s.slice(i).match(/^[0-7]{1,3}/)?.[0];
+          if (oct) { bytes.push(parseInt(oct, 8) & 0xff); i += oct.length - 1; continue; }
+          if (next === "\r" || next === "\n") { if (next === "\r" && s[i + 1] === "\n") i++; continue; }
+          c = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" }[next] ?? next;
+        } else if (c === "(") depth++;
+        else if (c === ")" && --depth === 0) break;
+        bytes.push(c.charCodeAt(0) & 0xff);
+      }
+      i++;
+      stack.push({ str: decode(bytes) });
+      continue;
+    }
+    if (ch === "<" && s[i + 1] === "<") { i += 2; continue; }
+    if (ch === ">" && s[i + 1] === ">") { i += 2; continue; }
+    if (ch === "<") {
+      const end = s.indexOf(">", i);
+      const hex = s.slice(i + 1, end).replace(/\s+/g, "");
+      const bytes = (hex.length % 2 ? `${hex}0` : hex).match(/../g)?.map(h => parseInt(h, 16)) || [];
+      stack.push({ str: decode(bytes) });
+      i = end + 1;
+      continue;
+    }
+    if (ch === "[") { arrays.push(stack); stack = []; i++; continue; }
+    if (ch === "]") { const items = stack; stack = arrays.pop() || []; stack.push({ arr: items }); i++; continue; }
+    const word = s.slice(i).match(/^[^\s()<>[\]{}/%]+|^\/[^\s()<>[\]{}/%]*/)?.[0] || s[i];
+    i += word.length;
+    if (word[0] === "/" || /^[-+.\d]/.test(word)) { stack.push({ num: Number(word), word }); continue; }
+
+    const nums = stack.map(x => x.num);
+    const strings = stack.filter(x => x.str !== undefined);
+    switch (word) {
+      case "BT": y = 0; lineY = 0; break;
+      case "Td": case "TD": lineY += nums[nums.length - 1] || 0; y = lineY; break;
+      case "Tm": lineY = nums[nums.length - 1] || 0; y = lineY; break;
+      case "T*": breakNext = true; break;
+      case "Tj": if (strings.length) show(strings[strings.length - 1].str); break;
+      case "'": case "\"": breakNext = true; if (strings.length) show(strings[strings.length - 1].str); break;
+      case "TJ": {
+        const arr = stack[stack.length - 1]?.arr || [];
+        show(arr.map(x => (x.str !== undefined ? x.str : x.num < -250 ? " " : "")).join(""));
+        break;
+      }
+      case "BI": { const ei = s.indexOf("EI", i); i = ei < 0 ? s.length : ei + 2; break; }
+      default: break;
+    }
+    stack = [];
+  }
+  return out;
+}
+
+function pdfExcerpts(bytes) {
+  const bin = latin1(bytes);
+  if (!bin.startsWith("%PDF")) throw new Error("This is not a PDF file.");
+  if (/\/Encrypt\b/.test(bin)) throw new Error("The PDF is encrypted.");
+  const objs = pdfObjects(bin);
+  return pdfPages(objs)
+    .map((dict, i) => ({ label: `Page ${i + 1}`, text: tidy(contentText(pageContents(objs, dict))) }))
+    .filter(p => p.text);
+}
+
+/* ---- Entry point: bytes → excerpts, every one included to start with ---- */
+export function extractAttachment(name, bytes) {
+  const kind = kindOf(name);
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let excerpts;
+  if (kind === "txt") excerpts = textExcerpts(utf8Text(data));
+  else if (kind === "pdf") excerpts = pdfExcerpts(data);
+  else if (kind === "docx") excerpts = docxExcerpts(unzipFiles(data));
+  else if (kind === "pptx") excerpts = pptxExcerpts(unzipFiles(data));
+  else if (kind === "xlsx") excerpts = xlsxExcerpts(unzipFiles(data));
+  else throw new Error("Unsupported file type.");
+  if (!excerpts.length) throw new Error(kind === "pdf" ? "No text found; scanned PDFs need OCR first." : "No text found in this file.");
+  return { kind, excerpts: excerpts.map(e => ({ ...e, text: tidy(e.text), include: true })) };
+}
+
+/* ---- What will be sent ---- */
+export const includedExcerpts = (att) => (att.status === "ready" ? att.excerpts.filter(e => e.include) : []);
+export const attachmentTokens = (att) => includedExcerpts(att).reduce((n, e) => n + estimateTokens(e.text), 0);
+
+export function attachmentBundle(attachments = []) {
+  return attachments
+    .flatMap(att => includedExcerpts(att).map(e => `### ${att.name} — ${e.label}\n\n${e.text}`))
+    .join("\n\n");
+}
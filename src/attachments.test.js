@@ -0,0 +1,128 @@
+//attachments.test.js
+import zlib from 'zlib';
+import { extractAttachment, attachmentBundle, attachmentTokens, estimateTokens, formatSize, kindOf } from './attachments';
+import { zipFiles, utf8Bytes, unzipFiles, utf8Text } from './zip';
+import { buildPdf } from './pdfExport';
+
+const para = (text, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+// A zip whose entries are deflated, the way Office writes them
+function deflatedZip(files) {
+  const out = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const raw = utf8Bytes(data);
+    const packed = new Uint8Array(zlib.deflateRawSync(Buffer.from(raw)));
+    const nameBytes = utf8Bytes(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const cd = Buffer.alloc(46);
+    cd.writeUInt32LE(0x02014b50, 0);
+    cd.writeUInt16LE(8, 10);
+    cd.writeUInt32LE(packed.length, 20);
+    cd.writeUInt32LE(raw.length, 24);
+    cd.writeUInt16LE(nameBytes.length, 28);
+    cd.writeUInt32LE(offset, 42);
+    out.push(local, nameBytes, packed);
+    central.push(cd, nameBytes);
+    offset += 30 + nameBytes.length + packed.length;
+  });
+  const cdBytes = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(cdBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...out, cdBytes, end]));
+}
+
+describe('reading files', () => {
+  test('unzips stored and deflated entries', () => {
+    const files = [{ name: 'a.txt', data: 'hello hello hello hello' }, { name: 'b/c.xml', data: '<x>é</x>' }];
+    [zipFiles(files), deflatedZip(files)].forEach(zip => {
+      const out = unzipFiles(zip);
+      expect(utf8Text(out['a.txt'])).toBe('hello hello hello hello');
+      expect(utf8Text(out['b/c.xml'])).toBe('<x>é</x>');
+    });
+  });
+
+  test('splits plain text into parts and estimates tokens', () => {
+    const short = extractAttachment('notes.txt', utf8Bytes('Users log in.\n\nAdmins manage users.'));
+    expect(short.excerpts).toEqual([{ label: 'Full text', text: 'Users log in.\n\nAdmins manage users.', include: true }]);
+    const long = extractAttachment('long.txt', utf8Bytes(Array.from({ length: 30 }, (_, i) => `Paragraph ${i} ${'x'.repeat(200)}`).join('\n\n')));
+    expect(long.excerpts.length).toBeGreaterThan(1);
+    expect(long.excerpts[0].label).toMatch(/^Part 1 of \d+$/);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(formatSize(2048)).toBe('2 KB');
+    expect(kindOf('Deck.PPTX')).toBe('pptx');
+  });
+
+  test('Word documents split at headings', () => {
+    const body = [para('Intro line'), para('Scope', 'Heading1'), para('Only EU customers &amp; partners'), para('Goals', 'Heading2'), para('Faster checkout')].join('');
+    const docx = deflatedZip([{ name: 'word/document.xml', data: `<w:document><w:body>${body}</w:body></w:document>` }]);
+    expect(extractAttachment('brief.docx', docx).excerpts.map(e => [e.label, e.text])).toEqual([
+      ['Opening', 'Intro line'],
+      ['Scope', 'Scope\nOnly EU customers & partners'],
+      ['Goals', 'Goals\nFaster checkout'],
+    ]);
+  });
+
+  test('slides in order and sheets as tab-separated rows', () => {
+    const slide = (t) => `<p:sld><a:p><a:r><a:t>${t}</a:t></a:r></a:p><a:p><a:r><a:t>Detail</a:t></a:r></a:p></p:sld>`;
+    const pptx = zipFiles([
+      { name: 'ppt/slides/slide10.xml', data: slide('Ten') },
+      { name: 'ppt/slides/slide2.xml', data: slide('Two') },
+    ]);
+    expect(extractAttachment('deck.pptx', pptx).excerpts.map(e => e.label)).toEqual(['Slide 2: Two', 'Slide 10: Ten']);
+
+    const xlsx = zipFiles([
+      { name: 'xl/workbook.xml', data: '<workbook><sheets><sheet name="Needs" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships><Relationship Id="rId1" Type="x" Target="worksheets/sheet1.xml"/></Relationships>' },
+      { name: 'xl/sharedStrings.xml', data: '<sst><si><t>Feature</t></si><si><t>Priority</t></si><si><t>Export</t></si></sst>' },
+      { name: 'xl/worksheets/sheet1.xml', data: '<sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row><row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>3</v></c></row></sheetData>' },
+    ]);
+    expect(extractAttachment('needs.xlsx', xlsx).excerpts).toEqual([{ label: 'Sheet: Needs', text: 'Feature\t\tPriority\nExport\t\t3', include: true }]);
+  });
+
+  test('PDF text page by page, plain and FlateDecode', () => {
+    const pdf = buildPdf([
+      { t: 'h1', runs: [{ text: 'Checkout brief' }] },
+      { t: 'p', runs: [{ text: 'Payments — cards only.' }] },
+    ], 'Brief');
+    const { excerpts } = extractAttachment('brief.pdf', pdf);
+    expect(excerpts[0].label).toBe('Page 1');
+    expect(excerpts[0].text).toMatch(/^Checkout brief\nPayments — cards only\.\nBrief — Page 1 of 1$/);
+
+    const content = 'BT /F1 12 Tf 72 700 Td (First line) Tj 0 -14 Td [(Sec) -20 (ond) -400 (line)] TJ ET';
+    const packed = zlib.deflateSync(Buffer.from(content)).toString('latin1');
+    const raw = [
+      '%PDF-1.5',
+      '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+      '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+      '3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj',
+      `4 0 obj << /Length ${packed.length} /Filter /FlateDecode >>\nstream\n${packed}\nendstream\nendobj`,
+      '%%EOF',
+    ].join('\n');
+    const bytes = Uint8Array.from(raw, ch => ch.charCodeAt(0));
+    expect(extractAttachment('scan.pdf', bytes).excerpts[0].text).toBe('First line\nSecond line');
+    expect(() => extractAttachment('empty.pdf', Uint8Array.from('%PDF-1.4\n%%EOF', ch => ch.charCodeAt(0)))).toThrow(/No text found/);
+  });
+});
+
+describe('selection', () => {
+  test('only included excerpts of ready files are bundled and counted', () => {
+    const attachments = [
+      { name: 'a.pdf', status: 'ready', excerpts: [{ label: 'Page 1', text: 'Keep me', include: true }, { label: 'Page 2', text: 'Drop me', include: false }] },
+      { name: 'b.docx', status: 'error', excerpts: [] },
+    ];
+    expect(attachmentBundle(attachments)).toBe('### a.pdf — Page 1\n\nKeep me');
+    expect(attachmentTokens(attachments[0])).toBe(2);
+  });
+});
@@ -0,0 +1,53 @@
+/* ───────── Follow-up chat: instruction + current spec → proposed revision ─────────
+ * Messages: { id, role: "user" | "assistant", text, at, proposal?, baseId?, status? }
+ * An assistant message carries a full proposed spec; status is "pending" until the
+ * user accepts or rejects it.
+ */
+import { repairRequirements } from "./schema";
+
+const CONTEXT_TURNS = 6;
+
+const newMsgId = () => `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export function chatMessage(role, text, extra = {}) {
+  return { id: newMsgId(), role, text, at: Date.now(), ...extra };
+}
+
+/* Prompt with the current spec, the last few turns, and the new instruction */
+export function buildChatPrompt(spec, thread, instruction, guide, context = []) {
+  const turns = (thread || []).slice(-CONTEXT_TURNS).map(m => {
+    const outcome = m.status === "accepted" ? " (accepted)" : m.status === "rejected" ? " (rejected)" : "";
+    return `${m.role === "user" ? "User" : "Assistant"}: ${m.text}${outcome}`;
+  });
+  return [
+    "You are revising an existing requirements document based on a follow-up instruction from the user.",
+    ...context,
+    "--- CURRENT DOCUMENT ---",
+    JSON.stringify(spec, null, 2),
+    "--- END DOCUMENT ---",
+    ...(turns.length ? ["Conversation so far:", turns.join("\n")] : []),
+    `Instruction: ${instruction}`,
+    "Return the complete updated document. Change only what the instruction asks for; keep the ids of existing requirements and give new requirements new ids.",
+    'Also add a "changeSummary" string key that says in one or two sentences what you changed.',
+    guide,
+  ].join("\n\n");
+}
+
+/*
+ * Model reply → { proposal, summary, fixes } or { proposal: null, error }.
+ * Sections the model left out are kept from the current spec.
+ */
+export function parseChatReply(raw, current) {
+  const report = repairRequirements(raw);
+  if (!report.data) return { proposal: null, fixes: report.fixes, error: report.error };
+  const { changeSummary, ...data } = report.data;
+  const summary = typeof changeSummary === "string" && changeSummary.trim()
+    ? changeSummary.trim()
+    : "Proposed changes are shown below.";
+  return { proposal: { ...(current || {}), ...data }, summary, fixes: report.fixes };
+}
+
+/* Mark one proposal as accepted/rejected */
+export function settleProposal(thread, msgId, status) {
+  return thread.map(m => (m.id === msgId ? { ...m, status } : m));
+}
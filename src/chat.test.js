@@ -0,0 +1,48 @@
+//chat.test.js
+import { chatMessage, buildChatPrompt, parseChatReply, settleProposal } from './chat';
+
+const SPEC = {
+  title: 'Tracker',
+  summary: 'Tracks stock.',
+  functional: [{ id: 'FR001', level: 'SHOULD', statement: 'Users SHOULD log in.' }],
+  constraints: ['Tablets only'],
+};
+
+describe('buildChatPrompt', () => {
+  test('includes the spec, recent turns with outcomes and the instruction', () => {
+    const thread = [
+      chatMessage('user', 'add barcode scanning'),
+      chatMessage('assistant', 'Added FR002.', { status: 'rejected' }),
+    ];
+    const prompt = buildChatPrompt(SPEC, thread, 'make auth MUST-level', 'GUIDE');
+    expect(prompt).toContain('"Users SHOULD log in."');
+    expect(prompt).toContain('User: add barcode scanning');
+    expect(prompt).toContain('Assistant: Added FR002. (rejected)');
+    expect(prompt).toContain('Instruction: make auth MUST-level');
+    expect(prompt.endsWith('GUIDE')).toBe(true);
+  });
+});
+
+describe('parseChatReply', () => {
+  test('splits off the change summary and keeps sections the model omitted', () => {
+    const raw = JSON.stringify({
+      changeSummary: 'Made login MUST.',
+      functional: [{ id: 'FR001', level: 'MUST', statement: 'Users MUST log in.' }],
+    });
+    const r = parseChatReply(raw, SPEC);
+    expect(r.summary).toBe('Made login MUST.');
+    expect(r.proposal.functional[0].level).toBe('MUST');
+    expect(r.proposal.constraints).toEqual(['Tablets only']);
+    expect(r.proposal).not.toHaveProperty('changeSummary');
+  });
+
+  test('reports unusable replies', () => {
+    expect(parseChatReply('Sure, I can help with that!', SPEC).proposal).toBeNull();
+  });
+});
+
+test('settleProposal marks only the given message', () => {
+  const a = chatMessage('assistant', 'x', { status: 'pending' });
+  const b = chatMessage('assistant', 'y', { status: 'pending' });
+  expect(settleProposal([a, b], b.id, 'accepted').map(m => m.status)).toEqual(['pending', 'accepted']);
+});
@@ -0,0 +1,347 @@
+/* ───────── Real-time collaboration: CRDT over reqJson + WebSocket room client ─────────
+ * A shared spec is a replicated document:
+ *   - list fields (functional, nonFunctional, constraints, …) are RGA sequences: each
+ *     element is inserted after a neighbour and removed by tombstone, so concurrent
+ *     inserts and deletes in different places all survive;
+ *   - every other field, and each property of a functional requirement, is a
+ *     last-writer-wins register ordered by (Lamport clock, site);
+ *   - keyed elements (requirements by id, glossary entries by term, comment threads)
+ *     exist once: moving one is a delete plus an insert, the newest insert of a key
+ *     wins, and edits made meanwhile to an older copy carry over to it;
+ *   - the review is split up so concurrent reviewers do not overwrite each other:
+ *     one register per requirement status, and lists of threads, comments and
+ *     sign-offs (see flatten/unflatten).
+ * Local edits are diffed against the shared state into ops. Ops are idempotent and
+ * commute, so peers converge whatever order the relay delivers them in.
+ *
+ * A doc is a plain mutable object owned by one session:
+ *   { site, clock, fields: { key: { value, ts } }, lists: { key: [element] }, log: [op], pending: [op], applied: { id: true } }
+ *   element: { id, after, value, stamps: { prop: ts }, deleted, movedTo }
+ */
+
+const REVIEW_LISTS = ["review.threads", "review.comments", "review.signoffs"];
+// Only membership matters here (comments are regrouped by thread), so reordering is not an edit
+const UNORDERED = ["review.comments"];
+const STATUS = "review.status.";
+export const LIST_FIELDS = ["functional", "nonFunctional", "constraints", "outOfScope", "openQuestions", "useCases", "risks", "glossary", "verification", ...REVIEW_LISTS];
+export const DEFAULT_RELAY_URL = "ws://localhost:8787";
+
+// Requirements, glossary terms and threads keep their identity across edits
+const IDENTITY = {
+  functional: (v) => v?.id && `id:${v.id}`,
+  glossary: (v) => v?.term && `term:${String(v.term).trim().toLowerCase()}`,
+  "review.threads": (v) => v?.key && `thread:${v.key}`,
+};
+const identityOf = (list, value) => IDENTITY[list]?.(value) || null;
+// plain lines (and comments, sign-offs) are identified by their content
+const keyOf = (list, value) => identityOf(list, value) || JSON.stringify(value);
+
+/* ---- Timestamps: [counter, site], compared counter first ---- */
+const tsKey = (ts) => `${ts[0]}@${ts[1]}`;
+const cmp = (a, b) => (a[0] - b[0]) || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const newSiteId = () => Math.random().toString(36).slice(2, 10);
+
+export function createDoc(site = newSiteId()) {
+  return { site, clock: 0, fields: {}, lists: Object.fromEntries(LIST_FIELDS.map(k => [k, []])), log: [], pending: [], applied: {} };
+}
+
+const tick = (doc) => [++doc.clock, doc.site];
+
+/* ---- Reading the shared state back as a spec ---- */
+function ordered(elements) {
+  const children = new Map();
+  elements.forEach(el => {
+    const k = el.after ? tsKey(el.after) : "";
+    children.set(k, [...(children.get(k) || []), el]);
+  });
+  const out = [];
+  // newer inserts after the same neighbour come first, so each lands right where it was typed
+  const walk = (k) => (children.get(k) || []).sort((a, b) => cmp(b.id, a.id)).forEach(el => { out.push(el); walk(tsKey(el.id)); });
+  walk("");
+  return out;
+}
+
+const visible = (doc, list) => ordered(doc.lists[list] || []).filter(el => !el.deleted);
+
+/* ---- The review as separately mergeable parts ----
+ * review: { status, threads, signoffs } ⇄
+ *   "review.status.FR001": "approved"                  one register per requirement
+ *   "review.threads":  [{ key, id, target, resolved }] keyed by its first comment, not its id,
+ *                                                      since two reviewers may both open "C3"
+ *   "review.comments": [{ thread: key, author, text, at }]
+ *   "review.signoffs": [{ name, decision, at }]
+ */
+const threadKey = (t) => {
+  const first = t?.comments?.[0];
+  return first ? JSON.stringify([t.target, first.author, first.at]) : String(t?.id);
+};
+
+function flatten(spec) {
+  const { review, ...flat } = spec || {};
+  if (!review || typeof review !== "object") return flat;
+  const threads = Array.isArray(review.threads) ? review.threads : [];
+  Object.entries(review.status || {}).forEach(([id, status]) => { flat[`${STATUS}${id}`] = status; });
+  flat["review.threads"] = threads.map(({ comments, ...t }) => ({ ...t, key: threadKey({ ...t, comments }) }));
+  flat["review.comments"] = threads.flatMap(t => (t.comments || []).map(c => ({ thread: threadKey(t), ...c })));
+  flat["review.signoffs"] = Array.isArray(review.signoffs) ? review.signoffs : [];
+  return flat;
+}
+
+function unflatten(flat) {
+  const spec = {};
+  const status = {};
+  Object.entries(flat).forEach(([k, v]) => {
+    if (k.startsWith(STATUS)) status[k.slice(STATUS.length)] = v;
+    else if (!REVIEW_LISTS.includes(k)) spec[k] = v;
+  });
+  if (!flat["review.threads"] && !Object.keys(status).length) return spec;
+  // threads opened concurrently can share an id; the later one takes the next free number
+  const used = new Set();
+  const next = () => { let n = used.size + 1; while (used.has(`C${n}`)) n++; return `C${n}`; };
+  const threads = (flat["review.threads"] || []).map(({ key, ...t }) => {
+    const id = used.has(t.id) ? next() : t.id;
+    used.add(id);
+    return { ...t, id, comments: (flat["review.comments"] || []).filter(c => c.thread === key).map(({ thread, ...c }) => c) };
+  });
+  spec.review = { status, threads, signoffs: flat["review.signoffs"] || [] };
+  return spec;
+}
+
+export function materialize(doc) {
+  const spec = {};
+  Object.entries(doc.fields).forEach(([k, f]) => { if (f.value !== undefined && !k.endsWith("?")) spec[k] = f.value; });
+  LIST_FIELDS.forEach(k => {
+    const items = visible(doc, k).map(el => el.value);
+    if (items.length || doc.fields[`${k}?`]?.value) spec[k] = items;
+  });
+  return unflatten(spec);
+}
+
+/* ---- Applying ops (local or remote); ops whose target has not arrived yet wait in pending ---- */
+const stampOf = (el, prop) => el.stamps[prop] || el.id;
+
+function setProp(el, prop, value, ts) {
+  el.value = { ...el.value, [prop]: value };
+  if (value === undefined) delete el.value[prop];
+  el.stamps[prop] = ts;
+}
+
+// The older copy of a keyed element gives way; its edits newer than the move come along
+function supersede(older, newer) {
+  older.deleted = true;
+  older.movedTo = newer.id;
+  new Set([...Object.keys(older.value || {}), ...Object.keys(older.stamps)]).forEach(prop => {
+    const ts = stampOf(older, prop);
+    if (cmp(ts, stampOf(newer, prop)) > 0) setProp(newer, prop, older.value?.[prop], ts);
+  });
+}
+
+function tryApply(doc, op) {
+  const list = doc.lists[op.list];
+  const find = (id) => list?.find(el => tsKey(el.id) === tsKey(id));
+  switch (op.op) {
+    case "set": {
+      const cur = doc.fields[op.key];
+      if (!cur || cmp(op.ts, cur.ts) > 0) doc.fields[op.key] = { value: op.value, ts: op.ts };
+      return true;
+    }
+    case "ins": {
+      if (!list || (op.after && !find(op.after))) return false;
+      const el = { id: op.ts, after: op.after, value: op.value, stamps: { ...op.stamps }, deleted: false };
+      // deleted copies count too, so the outcome does not depend on arrival order
+      const key = identityOf(op.list, op.value);
+      if (key) {
+        list.filter(o => !o.movedTo && identityOf(op.list, o.value) === key)
+          .forEach(o => (cmp(o.id, el.id) < 0 ? supersede(o, el) : supersede(el, o)));
+      }
+      list.push(el);
+      return true;
+    }
+    case "upd": {
+      let el = find(op.id);
+      while (el?.movedTo) el = find(el.movedTo);
+      if (!el) return false;
+      if (cmp(op.ts, stampOf(el, op.prop)) > 0) setProp(el, op.prop, op.value, op.ts);
+      return true;
+    }
+    case "del": {
+      const el = find(op.id);
+      if (!el) return false;
+      el.deleted = true;
+      return true;
+    }
+    default:
+      return true;
+  }
+}
+
+/* Returns the ops that were new to this doc */
+export function applyOps(doc, ops) {
+  const fresh = [];
+  let queue = [...doc.pending, ...ops];
+  doc.pending = [];
+  let progress = true;
+  while (progress) {
+    progress = false;
+    const waiting = [];
+    for (const op of queue) {
+      const id = tsKey(op.ts);
+      if (doc.applied[id]) continue;
+      if (!tryApply(doc, op)) { waiting.push(op); continue; }
+      doc.applied[id] = true;
+      doc.clock = Math.max(doc.clock, op.ts[0]);
+      doc.log.push(op);
+      fresh.push(op);
+      progress = true;
+    }
+    queue = waiting;
+  }
+  doc.pending = queue;
+  return fresh;
+}
+
+/* ---- Local edits → ops ---- */
+// Longest common subsequence of element keys: what survived the edit
+function lcsPairs(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) { pairs.push([i, j]); i++; j++; } else if (dp[i + 1][j] >= dp[i][j + 1]) i++; else j++;
+  }
+  return pairs;
+}
+
+// Same keys in any order
+function setPairs(a, b) {
+  const used = new Set();
+  return b.map((key, j) => {
+    const i = a.findIndex((k, n) => k === key && !used.has(n));
+    if (i < 0) return null;
+    used.add(i);
+    return [i, j];
+  }).filter(Boolean);
+}
+
+function listOps(doc, list, next) {
+  const ops = [];
+  const els = visible(doc, list);
+  const values = Array.isArray(next) ? next : (next ? [next] : []);
+  const pairs = (UNORDERED.includes(list) ? setPairs : lcsPairs)(els.map(el => keyOf(list, el.value)), values.map(v => keyOf(list, v)));
+  const kept = new Map(pairs.map(([i, j]) => [j, els[i]]));
+  const keptOld = new Set(pairs.map(([i]) => i));
+  // a keyed element that lost its place is moving: its unchanged properties keep their stamps
+  const moving = new Map(els.filter((el, i) => !keptOld.has(i) && identityOf(list, el.value)).map(el => [identityOf(list, el.value), el]));
+
+  els.forEach((el, i) => { if (!keptOld.has(i)) ops.push({ op: "del", list, id: el.id, ts: tick(doc) }); });
+  let after = null;
+  values.forEach((value, j) => {
+    const el = kept.get(j);
+    if (!el) {
+      const ts = tick(doc);
+      const old = moving.get(identityOf(list, value));
+      const stamps = old && Object.fromEntries(Object.keys(value).filter(p => same(old.value?.[p], value[p])).map(p => [p, stampOf(old, p)]));
+      ops.push({ op: "ins", list, after, value, ts, ...(stamps && { stamps }) });
+      after = ts;
+      return;
+    }
+    // same requirement, edited: one register per property
+    if (value && typeof value === "object" && !Array.isArray(value) && !same(el.value, value)) {
+      [...new Set([...Object.keys(el.value || {}), ...Object.keys(value)])]
+        .filter(p => !same(el.value?.[p], value[p]))
+        .forEach(p => ops.push({ op: "upd", list, id: el.id, prop: p, value: value[p], ts: tick(doc) }));
+    }
+    after = el.id;
+  });
+  return ops;
+}
+
+/* Ops that turn the doc into `spec`; already applied to the doc, ready to send */
+export function localOps(doc, next) {
+  const ops = [];
+  const spec = flatten(next);
+  const current = flatten(materialize(doc));
+  const keys = new Set([...Object.keys(doc.fields), ...Object.keys(spec || {})]);
+  keys.forEach(k => {
+    if (LIST_FIELDS.includes(k) || k.endsWith("?")) return;
+    if (!same(current[k], spec?.[k])) ops.push({ op: "set", key: k, value: spec?.[k], ts: tick(doc) });
+  });
+  LIST_FIELDS.forEach(k => {
+    // remember whether a list exists at all, so an emptied list stays [] rather than vanishing
+    const present = Array.isArray(spec?.[k]);
+    if (present !== !!doc.fields[`${k}?`]?.value) ops.push({ op: "set", key: `${k}?`, value: present, ts: tick(doc) });
+    ops.push(...listOps(doc, k, spec?.[k]));
+  });
+  applyOps(doc, ops);
+  return ops;
+}
+
+/* ---- Section editors: replay my edit (base → mine) onto the current copy (theirs) ----
+ * Requirements match by id, NFR lines by text. Their additions and deletions made
+ * while I was editing survive; for a requirement we both changed, my changed
+ * properties win and theirs stay otherwise.
+ */
+const itemKey = (x) => (x && typeof x === "object" ? `id:${x.id}` : x);
+
+export function mergeEdit(base = [], mine = [], theirs = []) {
+  if (same(base, theirs)) return mine;
+  const baseBy = new Map(base.map(x => [itemKey(x), x]));
+  const theirsBy = new Map(theirs.map(x => [itemKey(x), x]));
+  const has = (list, x) => list.some(y => itemKey(y) === itemKey(x));
+
+  const out = mine
+    .filter(x => !(baseBy.has(itemKey(x)) && !theirsBy.has(itemKey(x))))
+    .map(x => {
+      const b = baseBy.get(itemKey(x));
+      const t = theirsBy.get(itemKey(x));
+      if (!b || !t || typeof x !== "object") return x;
+      const merged = { ...t };
+      new Set([...Object.keys(b), ...Object.keys(x)]).forEach(p => {
+        if (same(x[p], b[p])) return;
+        if (x[p] === undefined) delete merged[p]; else merged[p] = x[p];
+      });
+      return merged;
+    });
+  theirs.forEach((t, i) => {
+    if (baseBy.has(itemKey(t)) || has(out, t)) return;
+    const prev = theirs.slice(0, i).reverse().find(p => has(out, p));
+    out.splice(prev === undefined ? 0 : out.findIndex(o => itemKey(o) === itemKey(prev)) + 1, 0, t);
+  });
+  return out;
+}
+
+/* ---- Presence ---- */
+const COLORS = ["#2563eb", "#db2777", "#059669", "#d97706", "#7c3aed", "#0891b2", "#dc2626"];
+export const peerColor = (site = "") => COLORS[[...site].reduce((n, ch) => n + ch.charCodeAt(0), 0) % COLORS.length];
+
+/*
+ * Room messages (JSON, relayed to everyone else in the room):
+ *   { type: "hello", site, name }                 a peer joined and wants the state
+ *   { type: "sync", site, to, ops }               full op log, answering a hello
+ *   { type: "ops", site, ops }                    local edits
+ *   { type: "presence", site, name, section }     what the peer is editing (null = nothing)
+ *   { type: "bye", site }                         sent by the relay when a peer disconnects
+ */
+export function connectRoom({ url = DEFAULT_RELAY_URL, room, site, onMessage, onStatus, WebSocketImpl = window.WebSocket }) {
+  const socket = new WebSocketImpl(`${url.replace(/\/+$/, "")}/${encodeURIComponent(room)}`);
+  let closed = false;
+  onStatus?.("connecting");
+  socket.onopen = () => onStatus?.("live");
+  socket.onclose = () => { if (!closed) onStatus?.("closed"); };
+  socket.onerror = () => onStatus?.("error");
+  socket.onmessage = (e) => {
+    let msg;
+    try { msg = JSON.parse(e.data); } catch { return; }
+    if (msg?.site !== site && (!msg.to || msg.to === site)) onMessage(msg);
+  };
+  return {
+    send: (msg) => { if (socket.readyState === 1) socket.send(JSON.stringify({ ...msg, site })); },
+    close: () => { closed = true; socket.close(); },
+  };
+}
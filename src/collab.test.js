@@ -0,0 +1,162 @@
+//collab.test.js
+import { createDoc, localOps, applyOps, materialize, mergeEdit, connectRoom } from './collab';
+
+const SPEC = {
+  title: 'Kiosk',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The kiosk MUST print tickets.', bullets: [] },
+    { id: 'FR002', level: 'SHOULD', statement: 'The kiosk SHOULD accept cards.', bullets: [] },
+  ],
+  nonFunctional: ['Security: Card data MUST be encrypted.', 'Performance: Tickets print within 3s.'],
+  constraints: [],
+};
+
+// a shares the spec, b joins from a's op log
+function pair() {
+  const a = createDoc('a');
+  const b = createDoc('b');
+  applyOps(b, localOps(a, SPEC));
+  return [a, b];
+}
+
+describe('shared spec', () => {
+  test('a joining peer rebuilds the same spec, empty lists included', () => {
+    const [, b] = pair();
+    expect(materialize(b)).toEqual(SPEC);
+  });
+
+  test('concurrent edits to different sections and fields all survive', () => {
+    const [a, b] = pair();
+    const fromA = localOps(a, {
+      ...SPEC,
+      nonFunctional: ['Security: Card data MUST be encrypted with AES-256.', SPEC.nonFunctional[1]],
+      functional: [{ ...SPEC.functional[0], statement: 'The kiosk MUST print paper tickets.' }, SPEC.functional[1]],
+    });
+    const fromB = localOps(b, {
+      ...SPEC,
+      nonFunctional: [...SPEC.nonFunctional, 'Usability: Large-print mode SHOULD be available.'],
+      functional: [{ ...SPEC.functional[0], level: 'SHOULD' }, SPEC.functional[1]],
+      title: 'Ticket kiosk',
+    });
+    applyOps(a, fromB);
+    applyOps(b, fromA);
+
+    expect(materialize(a)).toEqual(materialize(b));
+    const merged = materialize(a);
+    expect(merged.title).toBe('Ticket kiosk');
+    expect(merged.functional[0]).toMatchObject({ level: 'SHOULD', statement: 'The kiosk MUST print paper tickets.' });
+    expect(merged.nonFunctional).toEqual([
+      'Security: Card data MUST be encrypted with AES-256.',
+      'Performance: Tickets print within 3s.',
+      'Usability: Large-print mode SHOULD be available.',
+    ]);
+  });
+
+  test('ops are idempotent and wait for what they depend on', () => {
+    const a = createDoc('a');
+    const ops = localOps(a, { ...SPEC, constraints: ['Fits a 60 cm recess', 'Runs on 230 V'] });
+    const b = createDoc('b');
+    applyOps(b, [...ops].reverse());
+    applyOps(b, ops);
+    expect(b.pending).toEqual([]);
+    expect(materialize(b)).toEqual(materialize(a));
+    expect(localOps(b, materialize(b))).toEqual([]);
+  });
+});
+
+describe('keyed elements and the review', () => {
+  const at = '2026-10-19T10:00:00.000Z';
+  const review = (threads, status = {}) => ({ status, threads, signoffs: [] });
+  const thread = (id, target, author, text, more = []) => ({ id, target, resolved: false, comments: [{ author, text, at }, ...more] });
+
+  test('concurrent comments, threads, statuses and glossary terms all survive', () => {
+    const base = { ...SPEC, glossary: [], review: review([thread('C1', 'FR001', 'Ana', 'Which printer?')]) };
+    const a = createDoc('a');
+    const b = createDoc('b');
+    applyOps(b, localOps(a, base));
+
+    const fromA = localOps(a, {
+      ...base,
+      glossary: [{ term: 'Ticket', definition: 'A printed receipt', synonyms: [] }],
+      review: review([
+        thread('C1', 'FR001', 'Ana', 'Which printer?', [{ author: 'Ana', text: 'Thermal, I think.', at }]),
+        thread('C2', 'FR002', 'Ana', 'Contactless too?'),
+      ], { FR001: 'approved' }),
+    });
+    const fromB = localOps(b, {
+      ...base,
+      glossary: [{ term: 'Kiosk', definition: 'The self-service terminal', synonyms: [] }],
+      review: review([
+        thread('C1', 'FR001', 'Ana', 'Which printer?', [{ author: 'Ben', text: 'The Epson one.', at }]),
+        thread('C2', 'section:Constraints', 'Ben', 'Any size limit?'),
+      ], { FR002: 'rejected' }),
+    });
+    applyOps(a, fromB);
+    applyOps(b, fromA);
+
+    const merged = materialize(a);
+    expect(materialize(b)).toEqual(merged);
+    expect(merged.glossary.map(g => g.term).sort()).toEqual(['Kiosk', 'Ticket']);
+    expect(merged.review.status).toEqual({ FR001: 'approved', FR002: 'rejected' });
+    expect(merged.review.threads[0].comments.map(c => c.text).sort()).toEqual(['The Epson one.', 'Thermal, I think.', 'Which printer?']);
+    // both opened "C2"; the later one is renumbered, with its own comments
+    expect(merged.review.threads.map(t => t.id).sort()).toEqual(['C1', 'C2', 'C3']);
+    expect(merged.review.threads.find(t => t.target === 'section:Constraints').comments[0].text).toBe('Any size limit?');
+    expect(localOps(a, merged).filter(op => op.op !== 'upd')).toEqual([]);
+  });
+
+  test('a moved requirement stays single and keeps an edit made meanwhile', () => {
+    const [a, b] = pair();
+    const [fr1, fr2] = SPEC.functional;
+    const fromA = localOps(a, { ...SPEC, functional: [fr2, { ...fr1, level: 'COULD' }] });
+    const fromB = localOps(b, { ...SPEC, functional: [fr2, fr1] });
+    const fromB2 = localOps(b, { ...SPEC, functional: [fr2, { ...fr1, statement: 'The kiosk MUST print QR tickets.' }] });
+    applyOps(a, [...fromB, ...fromB2]);
+    applyOps(b, fromA);
+
+    expect(materialize(a)).toEqual(materialize(b));
+    const ids = materialize(a).functional.map(r => r.id);
+    expect(ids).toEqual(['FR002', 'FR001']);
+    expect(materialize(a).functional[1]).toMatchObject({ level: 'COULD', statement: 'The kiosk MUST print QR tickets.' });
+  });
+});
+
+describe('section editors', () => {
+  test('a save replays only my changes onto what others changed meanwhile', () => {
+    const base = ['A', 'B', 'C'];
+    expect(mergeEdit(base, ['A', 'B2', 'C'], ['A', 'B', 'C', 'D'])).toEqual(['A', 'B2', 'C', 'D']);
+    expect(mergeEdit(base, ['A', 'B', 'C', 'E'], ['A', 'C'])).toEqual(['A', 'C', 'E']);
+    expect(mergeEdit(base, ['C', 'B', 'A'], base)).toEqual(['C', 'B', 'A']);
+
+    const r = { id: 'FR001', statement: 'x', level: 'MUST' };
+    expect(mergeEdit([r], [{ ...r, statement: 'y' }], [{ ...r, level: 'COULD' }])).toEqual([{ id: 'FR001', statement: 'y', level: 'COULD' }]);
+  });
+});
+
+describe('room client', () => {
+  test('connects to the room path, tags messages with the site and ignores its own echoes', () => {
+    const sockets = [];
+    class FakeSocket {
+      constructor(url) { this.url = url; this.readyState = 1; this.sent = []; sockets.push(this); }
+      send(data) { this.sent.push(JSON.parse(data)); }
+      close() { this.readyState = 3; }
+    }
+    const got = [];
+    const status = [];
+    const conn = connectRoom({ url: 'ws://relay:8787/', room: 'team a', site: 'me', onMessage: m => got.push(m), onStatus: s => status.push(s), WebSocketImpl: FakeSocket });
+    const ws = sockets[0];
+    expect(ws.url).toBe('ws://relay:8787/team%20a');
+    ws.onopen();
+    conn.send({ type: 'hello', name: 'Ana' });
+    expect(ws.sent).toEqual([{ type: 'hello', name: 'Ana', site: 'me' }]);
+
+    ws.onmessage({ data: JSON.stringify({ type: 'ops', site: 'me', ops: [] }) });
+    ws.onmessage({ data: JSON.stringify({ type: 'sync', site: 'x', to: 'someone-else', ops: [] }) });
+    ws.onmessage({ data: JSON.stringify({ type: 'presence', site: 'x', name: 'Ben', section: 'Security' }) });
+    expect(got).toEqual([{ type: 'presence', site: 'x', name: 'Ben', section: 'Security' }]);
+
+    conn.close();
+    ws.onclose();
+    expect(status).toEqual(['connecting', 'live']);
+  });
+});
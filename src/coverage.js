@@ -0,0 +1,121 @@
+/* ───────── Coverage dashboard: how balanced the spec is ─────────
+ * coverageStats(spec) feeds the dashboard panel and the export appendix. Every
+ * chart is a list of bars [{ key, label, count }]. NFR categories count what the
+ * document shows (bucketNFR, opt-in starter lines included) and flag the ones
+ * holding nothing but their category's default text.
+ * The appendix is opt-in per spec: { coverage: { appendix: bool } }.
+ */
+import { LEVELS, bucketNFR, levelItems, levelLabel, norm, normalizeFunctional, prioritySettings } from "./requirements";
+import { UNCATEGORISED, nfrSettings } from "./nfrCategories";
+import { lintSpec } from "./quality";
+import { REVIEW_STATES, REVIEW_LABELS, reviewSummary } from "./review";
+import { traceMatrix } from "./traceability";
+
+export const coverageSettings = (d) => ({ appendix: !!d?.coverage?.appendix });
+
+export function coverageStats(spec) {
+  const functional = normalizeFunctional(spec?.functional);
+  const { scheme } = prioritySettings(spec);
+  const levels = LEVELS.map(l => ({ key: l, label: levelLabel(l, scheme), count: functional.filter(r => r.level === l).length }));
+
+  const config = nfrSettings(spec);
+  const buckets = bucketNFR(spec?.nonFunctional || [], config);
+  const nfr = [...config.categories, UNCATEGORISED]
+    .map(c => {
+      const items = levelItems(buckets[c.key]);
+      return { key: c.key, label: c.title, count: items.length, defaultOnly: !!c.defaultText && items.length > 0 && items.every(x => x === c.defaultText) };
+    })
+    .filter(c => c.key !== UNCATEGORISED.key || c.count);
+
+  const { counts } = reviewSummary(spec);
+  const review = REVIEW_STATES.map(s => ({ key: s, label: REVIEW_LABELS[s], count: counts[s] }));
+
+  // one entry per requirement and NFR line, as lintSpec checks them
+  const lint = lintSpec(spec);
+  const nfrLines = (spec?.nonFunctional || []).filter(n => typeof n === "string" && n.trim());
+  const findings = [...functional.map(r => lint.byId[r.id] || []), ...nfrLines.map(n => lint.byText[norm(n)] || [])];
+  const quality = [
+    { key: "clean", label: "No findings", count: findings.filter(f => !f.length).length },
+    { key: "flagged", label: "Has findings", count: findings.filter(f => f.length).length },
+  ];
+
+  const trace = traceMatrix(spec);
+  const linked = trace.useCases.filter(u => u.reqIds.length).length;
+
+  return {
+    total: functional.length,
+    nfrTotal: nfr.reduce((n, c) => n + c.count, 0),
+    levels,
+    nfr,
+    review,
+    quality,
+    score: lint.score,
+    useCases: [
+      { key: "linked", label: "Linked to requirements", count: linked },
+      { key: "unlinked", label: "No linked requirement", count: trace.useCases.length - linked },
+    ],
+    defaultOnly: nfr.filter(c => c.defaultOnly).map(c => c.label),
+    unlinked: trace.orphanUseCases.map(u => `${u.id} ${u.text}`),
+  };
+}
+
+/* [{ title, bars }] in display order; also the appendix's chart headings */
+export function coverageCharts(stats) {
+  return [
+    { key: "levels", title: "Functional requirements by priority", bars: stats.levels },
+    { key: "nfr", title: "Non-functional requirements by category", bars: stats.nfr },
+    { key: "review", title: "Review status", bars: stats.review },
+    { key: "quality", title: "Quality checks", bars: stats.quality },
+    { key: "useCases", title: "Use cases", bars: stats.useCases },
+  ];
+}
+
+const share = (count, total) => (total ? `${Math.round((count / total) * 100)}%` : "—");
+
+/* Summary table shared by the panel and the exports */
+export function coverageTable(stats) {
+  const rows = [];
+  const add = (area, bars) => {
+    const total = bars.reduce((n, b) => n + b.count, 0);
+    bars.forEach(b => rows.push([area, b.defaultOnly ? `${b.label} (default text only)` : b.label, String(b.count), share(b.count, total)]));
+  };
+  add("Priority", stats.levels);
+  add("NFR category", stats.nfr);
+  add("Review", stats.review);
+  add("Quality", stats.quality);
+  add("Use cases", stats.useCases);
+  return { head: ["Area", "Measure", "Count", "Share"], rows };
+}
+
+/* "████████ 4": a text bar for Markdown, scaled to the largest count */
+export function textBar(count, max, width = 20) {
+  if (!count || !max) return "";
+  return "█".repeat(Math.max(1, Math.round((count / max) * width)));
+}
+
+/* One-line verdict under the dashboard heading */
+export function coverageLine(stats) {
+  const linked = stats.useCases[0].count;
+  const ucTotal = linked + stats.useCases[1].count;
+  return [
+    `${stats.total} functional requirement${stats.total === 1 ? "" : "s"}`,
+    `${stats.nfrTotal} non-functional`,
+    ucTotal && `${linked} of ${ucTotal} use case${ucTotal === 1 ? "" : "s"} linked`,
+    stats.defaultOnly.length && `${stats.defaultOnly.length} categor${stats.defaultOnly.length === 1 ? "y" : "ies"} with default text only`,
+  ].filter(Boolean).join(" · ");
+}
+
+/* Appendix for the exports, or null unless the spec opted in */
+export function coverageAppendix(spec) {
+  if (!coverageSettings(spec).appendix) return null;
+  const stats = coverageStats(spec);
+  return {
+    line: coverageLine(stats),
+    charts: coverageCharts(stats),
+    table: coverageTable(stats),
+    notes: [
+      stats.defaultOnly.length && { label: "Default text only: ", text: stats.defaultOnly.join("; ") },
+      stats.unlinked.length && { label: "Use cases without requirements: ", text: stats.unlinked.join("; ") },
+    ].filter(Boolean),
+  };
+}
@@ -0,0 +1,64 @@
+//coverage.test.js
+import { coverageStats, coverageTable, coverageAppendix, textBar } from './coverage';
+import { htmlForPdf, mdFromJson, specBlocks } from './exporters';
+import { defaultNfrConfig } from './nfrCategories';
+import { buildPdf } from './pdfExport';
+
+const SPEC = {
+  title: 'Shop',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The system MUST record each order.', tracesTo: ['UC1'] },
+    { id: 'FR002', level: 'MUST', statement: 'The system MUST email a receipt within 60 seconds.' },
+    { id: 'FR003', level: 'COULD', statement: 'The system COULD be fast.' },
+  ],
+  nonFunctional: ['Security: Passwords MUST be hashed with bcrypt.'],
+  useCases: ['Customer places an order', 'Customer returns an item'],
+  nfr: { ...defaultNfrConfig(), defaults: true },
+  review: { status: { FR001: 'approved' } },
+};
+
+describe('coverage stats', () => {
+  test('counts levels, NFR categories, review and quality status and linked use cases', () => {
+    const stats = coverageStats(SPEC);
+    expect(stats.levels.map(l => [l.key, l.count])).toEqual([['MUST', 2], ['SHOULD', 0], ['COULD', 1], ['WONT', 0]]);
+    expect(stats.nfr.find(c => c.key === 'security')).toMatchObject({ count: 1, defaultOnly: false });
+    expect(stats.nfr.find(c => c.key === 'usability')).toMatchObject({ count: 0, defaultOnly: false });
+    expect(stats.defaultOnly).toEqual(['Reliability', 'Performance', 'Maintainability', 'Compliance', 'Verification']);
+    expect(stats.review.find(r => r.key === 'approved').count).toBe(1);
+    expect(stats.quality.find(q => q.key === 'flagged').count).toBeGreaterThan(0);
+    expect(stats.useCases.map(u => u.count)).toEqual([1, 1]);
+    expect(stats.unlinked).toEqual(['UC2 Customer returns an item']);
+  });
+
+  test('summary table shares and text bars', () => {
+    const { head, rows } = coverageTable(coverageStats(SPEC));
+    expect(head).toEqual(['Area', 'Measure', 'Count', 'Share']);
+    expect(rows).toContainEqual(['Priority', 'MUST', '2', '67%']);
+    expect(rows).toContainEqual(['NFR category', 'Reliability (default text only)', '1', '17%']);
+    expect(textBar(2, 4, 10)).toBe('█████');
+    expect(textBar(0, 4)).toBe('');
+  });
+});
+
+describe('coverage appendix', () => {
+  test('is left out of exports until the spec opts in', () => {
+    expect(coverageAppendix(SPEC)).toBeNull();
+    expect(mdFromJson(SPEC)).not.toContain('Appendix: Coverage');
+  });
+
+  test('adds charts and the summary table to Markdown, HTML and PDF exports', () => {
+    const spec = { ...SPEC, coverage: { appendix: true } };
+    const md = mdFromJson(spec);
+    expect(md).toContain('## Appendix: Coverage');
+    expect(md).toContain('### Functional requirements by priority\n```\nMUST    ████████████████████ 2\nSHOULD  0\nCOULD   ██████████ 1');
+    expect(md).toContain('| Use cases | Linked to requirements | 1 | 50% |');
+    expect(md).toContain('_Use cases without requirements:_ UC2 Customer returns an item');
+
+    expect(htmlForPdf(spec)).toContain('<div class="chart-bar" style="width:50%"></div>');
+    const blocks = specBlocks(spec);
+    expect(blocks).toContainEqual({ t: 'bars', rows: [{ label: 'No findings', value: expect.any(Number) }, { label: 'Has findings', value: expect.any(Number) }] });
+    const pdf = Buffer.from(buildPdf(blocks, 'Shop')).toString('latin1');
+    expect(pdf).toContain('(Non-functional requirements by category) Tj');
+    expect(pdf).toMatch(/0\.145 0\.388 0\.922 rg [\d.]+ [\d.]+ [\d.]+ 9\.00 re f/);
+  });
+});
@@ -0,0 +1,232 @@
+/* ───────── Diagrams: Mermaid sources from use cases and requirements ─────────
+ * A spec keeps its diagrams once generated, so hand edits survive:
+ *   diagrams: [{ id: "D1", kind: "useCase" | "sequence" | "context", title, source }]
+ * Generation is heuristic: actors come from the use case wording ("Clerk receives
+ * a delivery" → Clerk), requirements hang off the use cases they trace to, and
+ * external systems are picked out of the requirement text.
+ * Rendering loads Mermaid on first use; exports swap each diagram for an image.
+ */
+import { asList, deriveSections, normalizeFunctional } from "./requirements";
+import { traceMatrix } from "./traceability";
+
+export const DIAGRAM_KINDS = {
+  useCase: "Use case diagram",
+  sequence: "Sequence diagram",
+  context: "Context diagram",
+};
+
+const MAX_USE_CASES = 8; // more than this stops being readable in one picture
+
+export function normalizeDiagrams(list) {
+  return asList(list)
+    .filter(d => d && typeof d.source === "string")
+    .map((d, i) => ({
+      id: d.id || `D${i + 1}`,
+      kind: DIAGRAM_KINDS[d.kind] ? d.kind : "useCase",
+      title: String(d.title || DIAGRAM_KINDS[d.kind] || "Diagram").trim(),
+      source: d.source,
+    }));
+}
+
+/* ---- Reading actors, actions and external systems out of the text ---- */
+const cap = (s = "") => s.charAt(0).toUpperCase() + s.slice(1);
+const clip = (s, n = 48) => (s.length > n ? `${s.slice(0, n - 1).trimEnd()}…` : s);
+// Mermaid labels: quoted, no line breaks, quotes as entities
+const label = (s) => `"${String(s).replace(/\s+/g, " ").replace(/"/g, "#quot;").trim()}"`;
+// Sequence messages end at the line; ";" and "#" would be read as syntax
+const message = (s) => String(s).replace(/\s+/g, " ").replace(/;/g, ",").replace(/#/g, "no. ").trim();
+
+/* "Clerk receives a delivery" → { actor: "Clerk", action: "receives a delivery" } */
+export function splitUseCase(text = "") {
+  const s = String(text).trim().replace(/\.$/, "");
+  const story = s.match(/^as an? ([^,]+),\s*(?:I want to |I can |I )?(.+)$/i);
+  if (story) return { actor: cap(story[1].trim()), action: story[2] };
+  const words = s.replace(/^(the|an?)\s+/i, "").split(/\s+/);
+  // the actor is the words before the first third-person verb ("reviews", "pushes")
+  const verb = words.findIndex((w, i) => i > 0 && i < 4 && /^[a-z]+(?:s|es)$/.test(w) && !/ss$/.test(w));
+  if (verb > 0) return { actor: cap(words.slice(0, verb).join(" ")), action: words.slice(verb).join(" ") };
+  return { actor: "User", action: s };
+}
+
+const shortStatement = (r) => clip((r.statement || "").replace(/^The (system|app|application|platform)\s+(MUST|SHOULD|COULD|WON'?T)\s+(not\s+)?/i, (m, who, lvl, not) => (not ? "not " : "")).replace(/\.$/, ""));
+
+const KNOWN_SYSTEMS = [
+  [/\be-?mails?\b/i, "Email service"],
+  [/\bsms\b|\btext messages?\b/i, "SMS gateway"],
+  [/\bpush notifications?\b/i, "Push notification service"],
+  [/\bpayments?\b|\bcredit cards?\b|\bstripe\b|\bpaypal\b/i, "Payment provider"],
+  [/\bsso\b|single sign-on|identity provider|\boauth\b|\bldap\b|active directory/i, "Identity provider"],
+  [/\bmaps?\b|geocod/i, "Maps service"],
+];
+const NOT_SYSTEMS = /^(MUST|SHOULD|COULD|WONT|The|A|An|All|Each|Every|Users?|Admins?|It|They)$/;
+
+/* [{ name, reqIds }] for systems the requirements talk to */
+export function externalSystems(spec) {
+  const found = new Map();
+  const add = (name, id) => {
+    const key = name.toLowerCase();
+    if (!found.has(key)) found.set(key, { name, reqIds: [] });
+    if (id && !found.get(key).reqIds.includes(id)) found.get(key).reqIds.push(id);
+  };
+  normalizeFunctional(spec?.functional).forEach(r => {
+    const text = [r.statement, ...r.bullets].join(" ");
+    KNOWN_SYSTEMS.forEach(([re, name]) => { if (re.test(text)) add(name, r.id); });
+    // a proper name after with/via/to/from: "sync orders to Salesforce", "via the SAP ERP"
+    for (const m of text.matchAll(/\b(?:with|via|to|from|into|using)\s+(?:the\s+)?([A-Z][\w-]*(?:\s+[A-Z][\w-]*)*)/g)) {
+      if (!NOT_SYSTEMS.test(m[1])) add(m[1], r.id);
+    }
+  });
+  return [...found.values()];
+}
+
+/* ---- Generated sources ---- */
+function actorModel(spec) {
+  const ucTexts = asList(spec?.useCases).length ? asList(spec.useCases).map(String) : deriveSections(spec).useCases;
+  const trace = traceMatrix({ ...spec, useCases: ucTexts });
+  const functional = normalizeFunctional(spec?.functional);
+  const actors = [];
+  const useCases = trace.useCases.slice(0, MAX_USE_CASES).map(u => {
+    const { actor, action } = splitUseCase(u.text);
+    if (!actors.includes(actor)) actors.push(actor);
+    return { ...u, actor, action, reqs: u.reqIds.map(id => functional.find(r => r.id === id)).filter(Boolean) };
+  });
+  return { title: spec?.title || "System", actors, useCases };
+}
+
+function useCaseSource(spec) {
+  const { title, actors, useCases } = actorModel(spec);
+  const lines = ["flowchart LR"];
+  actors.forEach((a, i) => lines.push(`  A${i + 1}((${label(a)}))`));
+  lines.push(`  subgraph SYS[${label(title)}]`);
+  useCases.forEach(u => lines.push(`    ${u.id}([${label(cap(u.action))}])`));
+  lines.push("  end");
+  useCases.forEach(u => lines.push(`  A${actors.indexOf(u.actor) + 1} --- ${u.id}`));
+  const shown = new Set();
+  useCases.forEach(u => u.reqs.forEach(r => {
+    if (!shown.has(r.id)) { lines.push(`  ${r.id}[${label(`${r.id}: ${shortStatement(r)}`)}]`); shown.add(r.id); }
+    lines.push(`  ${u.id} -.-> ${r.id}`);
+  }));
+  return lines.join("\n");
+}
+
+function sequenceSource(spec) {
+  const { title, actors, useCases } = actorModel(spec);
+  const systems = externalSystems(spec);
+  const lines = ["sequenceDiagram"];
+  actors.forEach((a, i) => lines.push(`  actor A${i + 1} as ${message(a)}`));
+  lines.push(`  participant SYS as ${message(title)}`);
+  systems.forEach((s, i) => lines.push(`  participant E${i + 1} as ${message(s.name)}`));
+  useCases.forEach(u => {
+    const a = `A${actors.indexOf(u.actor) + 1}`;
+    lines.push(`  ${a}->>SYS: ${message(cap(u.action))}`);
+    u.reqs.forEach(r => {
+      const ext = systems.findIndex(s => s.reqIds.includes(r.id));
+      lines.push(`  SYS->>${ext >= 0 ? `E${ext + 1}` : "SYS"}: ${message(`${r.id} ${shortStatement(r)}`)}`);
+    });
+  });
+  if (!useCases.length) lines.push(`  Note over SYS: ${message("No use cases yet")}`);
+  return lines.join("\n");
+}
+
+function contextSource(spec) {
+  const { title, actors } = actorModel(spec);
+  const systems = externalSystems(spec);
+  const lines = ["flowchart LR", `  SYS[[${label(title)}]]`];
+  actors.forEach((a, i) => lines.push(`  A${i + 1}((${label(a)})) -->|uses| SYS`));
+  systems.forEach((s, i) => lines.push(`  SYS -->|${label(s.reqIds.join(", "))}| E${i + 1}[${label(s.name)}]`));
+  return lines.join("\n");
+}
+
+const SOURCES = { useCase: useCaseSource, sequence: sequenceSource, context: contextSource };
+
+export const diagramSource = (spec, kind) => (SOURCES[kind] || useCaseSource)(spec);
+
+/* One diagram of each kind, ready to store on the spec */
+export function generateDiagrams(spec) {
+  return Object.keys(DIAGRAM_KINDS).map((kind, i) => ({ id: `D${i + 1}`, kind, title: DIAGRAM_KINDS[kind], source: diagramSource(spec, kind) }));
+}
+
+/* ---- Rendering (browser only; Mermaid is loaded on first use) ---- */
+let mermaidReady = null;
+const loadMermaid = () => {
+  mermaidReady = mermaidReady || import("mermaid").then(({ default: mermaid }) => {
+    // SVG text labels (no foreignObject) so the result also rasterises for PDF/DOCX
+    mermaid.initialize({ startOnLoad: false, securityLevel: "strict", theme: "neutral", htmlLabels: false, flowchart: { htmlLabels: false } });
+    return mermaid;
+  });
+  return mermaidReady;
+};
+
+let renderSeq = 0;
+export async function renderDiagram(source) {
+  const mermaid = await loadMermaid();
+  const { svg } = await mermaid.render(`maispec-diagram-${++renderSeq}`, source);
+  return svg;
+}
+
+/* Natural size of a rendered SVG from its viewBox (or width/height) */
+export function svgSize(svg = "") {
+  const box = svg.match(/viewBox="[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)"/);
+  if (box) return { width: Number(box[1]), height: Number(box[2]) };
+  const w = svg.match(/<svg[^>]*\swidth="([\d.]+)/);
+  const h = svg.match(/<svg[^>]*\sheight="([\d.]+)/);
+  return { width: Number(w?.[1]) || 600, height: Number(h?.[1]) || 400 };
+}
+
+const dataBytes = (url) => {
+  const bin = atob(url.slice(url.indexOf(",") + 1));
+  return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+};
+
+/* SVG → { png, jpeg, width, height } on a canvas, at 2x for print */
+export function rasterizeSvg(svg, scale = 2) {
+  const { width, height } = svgSize(svg);
+  const sized = svg.replace(/<svg\b/, `<svg width="${width}" height="${height}"`).replace(/(<svg[^>]*?)\sstyle="[^"]*"/, "$1");
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(width * scale);
+      canvas.height = Math.ceil(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve({
+        png: dataBytes(canvas.toDataURL("image/png")),
+        jpeg: dataBytes(canvas.toDataURL("image/jpeg", 0.92)),
+        pxWidth: canvas.width,
+        pxHeight: canvas.height,
+        width,
+        height,
+      });
+    };
+    img.onerror = () => reject(new Error("The diagram could not be drawn."));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(sized)}`;
+  });
+}
+
+/* Export blocks with each { t: "diagram" } swapped for a rendered { t: "image" };
+ * a diagram that fails to render keeps its fallback note. */
+export async function withDiagramImages(blocks, render = renderDiagram, rasterize = rasterizeSvg) {
+  const out = [];
+  for (const b of blocks) {
+    if (b.t !== "diagram") { out.push(b); continue; }
+    try {
+      const svg = await render(b.source);
+      out.push({ t: "image", alt: b.title, svg, ...(await rasterize(svg)) });
+    } catch {
+      out.push(b);
+    }
+  }
+  return out;
+}
+
+/* { id: svg } for the HTML (server PDF) export; failures are left out */
+export async function renderDiagramSvgs(spec, render = renderDiagram) {
+  const svgs = {};
+  for (const d of normalizeDiagrams(spec?.diagrams)) {
+    try { svgs[d.id] = await render(d.source); } catch { /* exported as source instead */ }
+  }
+  return svgs;
+}
@@ -0,0 +1,73 @@
+//diagrams.test.js
+import { splitUseCase, externalSystems, generateDiagrams, normalizeDiagrams, withDiagramImages, renderDiagramSvgs } from './diagrams';
+import { htmlForPdf, mdFromJson, specBlocks } from './exporters';
+import { buildPdf } from './pdfExport';
+import { buildDocx } from './docxExport';
+import { unzipFiles, utf8Text } from './zip';
+
+const SPEC = {
+  title: 'Shop',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The system MUST record each order.', tracesTo: ['UC1'] },
+    { id: 'FR002', level: 'MUST', statement: 'The system MUST email a receipt within 60 seconds.', tracesTo: ['UC1'] },
+    { id: 'FR003', level: 'SHOULD', statement: 'The system SHOULD sync refunds to Salesforce.', tracesTo: ['UC2'] },
+  ],
+  useCases: ['Customer places an order', 'As a clerk, I want to approve returns'],
+};
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 150"><text>Shop</text></svg>';
+const fakeRaster = async () => ({ png: new Uint8Array([137, 80, 78, 71]), jpeg: new Uint8Array([255, 216, 255, 217]), pxWidth: 600, pxHeight: 300, width: 300, height: 150 });
+
+describe('diagram sources', () => {
+  test('reads actors and external systems out of the text', () => {
+    expect(splitUseCase('Customer places an order')).toEqual({ actor: 'Customer', action: 'places an order' });
+    expect(splitUseCase('As a clerk, I want to approve returns.')).toEqual({ actor: 'Clerk', action: 'approve returns' });
+    expect(splitUseCase('Export monthly report')).toEqual({ actor: 'User', action: 'Export monthly report' });
+    expect(externalSystems(SPEC)).toEqual([{ name: 'Email service', reqIds: ['FR002'] }, { name: 'Salesforce', reqIds: ['FR003'] }]);
+  });
+
+  test('generates use case, sequence and context diagrams from the traced requirements', () => {
+    const [useCase, sequence, context] = generateDiagrams(SPEC);
+    expect(useCase).toMatchObject({ id: 'D1', kind: 'useCase', title: 'Use case diagram' });
+    expect(useCase.source).toContain('A1(("Customer"))');
+    expect(useCase.source).toContain('UC1(["Places an order"])');
+    expect(useCase.source).toContain('A2 --- UC2');
+    expect(useCase.source).toContain('UC1 -.-> FR002');
+    expect(sequence.source).toContain('actor A2 as Clerk');
+    expect(sequence.source).toContain('SYS->>E1: FR002 email a receipt within 60 seconds');
+    expect(sequence.source).toContain('SYS->>SYS: FR001 record each order');
+    expect(context.source).toContain('SYS -->|"FR003"| E2["Salesforce"]');
+  });
+});
+
+describe('diagram exports', () => {
+  const spec = { ...SPEC, diagrams: generateDiagrams(SPEC) };
+
+  test('Markdown carries mermaid blocks; HTML embeds rendered SVG or falls back to source', () => {
+    expect(mdFromJson(spec)).toContain('## Diagrams\n### Use case diagram\n```mermaid\nflowchart LR\n');
+    expect(htmlForPdf(spec, { diagramSvgs: { D1: SVG } })).toContain(`<div class="diagram">${SVG}</div>`);
+    expect(htmlForPdf(spec)).toContain('<pre class="diagram-source">sequenceDiagram');
+    expect(normalizeDiagrams([{ source: 'graph TD', kind: 'bogus' }])).toEqual([{ id: 'D1', kind: 'useCase', title: 'Diagram', source: 'graph TD' }]);
+  });
+
+  test('PDF and DOCX embed rendered diagrams as images and keep a note for failed ones', async () => {
+    const render = jest.fn(async (src) => { if (src.startsWith('sequence')) throw new Error('parse error'); return SVG; });
+    const blocks = await withDiagramImages(specBlocks(spec), render, fakeRaster);
+    expect(blocks.filter(b => b.t === 'image')).toHaveLength(2);
+    expect(blocks.find(b => b.t === 'diagram').title).toBe('Sequence diagram');
+    expect(await renderDiagramSvgs(spec, render)).toEqual({ D1: SVG, D3: SVG });
+
+    const pdf = Buffer.from(buildPdf(blocks, 'Shop')).toString('latin1');
+    expect(pdf).toContain('/Subtype /Image /Width 600 /Height 300');
+    expect(pdf).toMatch(/cm \/Im2 Do Q/);
+    expect(pdf).toContain('/XObject << /Im1');
+
+    const files = unzipFiles(buildDocx(blocks, 'Shop'));
+    expect(Array.from(files['word/media/diagram1.png'])).toEqual([137, 80, 78, 71]);
+    expect(utf8Text(files['word/media/diagram2.svg'])).toBe(SVG);
+    const doc = utf8Text(files['word/document.xml']);
+    expect(doc).toContain('<a:blip r:embed="rIdImg1">');
+    expect(doc).toContain('Diagram not rendered; the Markdown export includes its Mermaid source.');
+    expect(utf8Text(files['word/_rels/document.xml.rels'])).toContain('Id="rIdSvg2"');
+  });
+});
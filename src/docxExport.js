@@ -0,0 +1,162 @@
+/* ───────── In-browser DOCX (OOXML) from export blocks ───────── */
+import { zipFiles } from "./zip";
+
+// Control characters other than tab/newline/CR are not allowed in XML 1.0
+const xmlSafe = (s) => Array.from(s).filter(ch => ch.charCodeAt(0) >= 32 || "\t\n\r".includes(ch)).join("");
+const xml = (s = "") => xmlSafe(String(s))
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const HEADER = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`;
+const W_NS = `xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"`;
+const WP_NS = `xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"`;
+
+const CONTENT_TYPES = `${HEADER}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="svg" ContentType="image/svg+xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `${HEADER}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const IMAGE_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image";
+const docRels = (images) => `${HEADER}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+${images.map((img, i) => `  <Relationship Id="rIdImg${i + 1}" Type="${IMAGE_REL}" Target="media/diagram${i + 1}.png"/>
+${img.svg ? `  <Relationship Id="rIdSvg${i + 1}" Type="${IMAGE_REL}" Target="media/diagram${i + 1}.svg"/>\n` : ""}`).join("")}</Relationships>`;
+
+const heading = (id, name, size, color) => `
+  <w:style w:type="paragraph" w:styleId="${id}">
+    <w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/></w:rPr>
+  </w:style>`;
+
+const STYLES = `${HEADER}
+<w:styles ${W_NS}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:color w:val="0F172A"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  ${heading("Title", "Title", 40, "0F172A")}
+  ${heading("Heading1", "heading 1", 28, "0F172A")}
+  ${heading("Heading2", "heading 2", 23, "0B225B")}
+  <w:style w:type="paragraph" w:styleId="ListParagraph">
+    <w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/><w:ind w:left="720"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Meta">
+    <w:name w:val="Meta"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="475569"/><w:sz w:val="20"/></w:rPr>
+  </w:style>
+  <w:style w:type="table" w:styleId="TableGrid">
+    <w:name w:val="Table Grid"/>
+    <w:tblPr><w:tblBorders>
+      <w:top w:val="single" w:sz="4" w:color="E5E7EB"/><w:left w:val="single" w:sz="4" w:color="E5E7EB"/>
+      <w:bottom w:val="single" w:sz="4" w:color="E5E7EB"/><w:right w:val="single" w:sz="4" w:color="E5E7EB"/>
+      <w:insideH w:val="single" w:sz="4" w:color="E5E7EB"/><w:insideV w:val="single" w:sz="4" w:color="E5E7EB"/>
+    </w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr>
+  </w:style>
+</w:styles>`;
+
+const bulletLevel = (ilvl, glyph) => `
+    <w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="${glyph}"/><w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="${360 + ilvl * 360}" w:hanging="260"/></w:pPr></w:lvl>`;
+
+const NUMBERING = `${HEADER}
+<w:numbering ${W_NS}>
+  <w:abstractNum w:abstractNumId="0">${bulletLevel(0, "•")}${bulletLevel(1, "◦")}
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const coreProps = (title, date) => `${HEADER}
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${xml(title)}</dc:title>
+  <dc:creator>MaiSpec</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${date.toISOString().replace(/\.\d+Z$/, "Z")}</dcterms:created>
+</cp:coreProperties>`;
+
+const runXml = (r) =>
+  `<w:r>${r.bold || r.italic ? `<w:rPr>${r.bold ? "<w:b/>" : ""}${r.italic ? "<w:i/>" : ""}</w:rPr>` : ""}` +
+  `<w:t xml:space="preserve">${xml(r.text)}</w:t></w:r>`;
+
+const para = (runs, pPr = "") => `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ""}${runs.map(runXml).join("")}</w:p>`;
+
+const STYLE_OF = { h1: "Title", h2: "Heading1", h3: "Heading2", meta: "Meta" };
+
+function tableXml(head, rows) {
+  const cols = Math.max(head.length, 1);
+  const width = Math.floor(9000 / cols);
+  const cell = (text, bold) =>
+    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${bold ? `<w:shd w:val="clear" w:color="auto" w:fill="F1F5F9"/>` : ""}</w:tcPr>${para([{ text, bold }])}</w:tc>`;
+  const row = (cells, bold) => `<w:tr>${cells.map(c => cell(c, bold)).join("")}</w:tr>`;
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>` +
+    `<w:tblGrid>${head.map(() => `<w:gridCol w:w="${width}"/>`).join("")}</w:tblGrid>` +
+    row(head, true) + rows.map(r => row(r, false)).join("") + `</w:tbl>${para([])}`;
+}
+
+/* Rendered diagram: PNG for older Word, with the SVG attached as the preferred picture */
+const EMU_PER_PX = 9525;
+const TEXT_W_EMU = 9638 * 635; // page width less margins, twips → EMU
+function imageXml(b, n) {
+  const scale = Math.min(1, TEXT_W_EMU / (b.width * EMU_PER_PX));
+  const cx = Math.round(b.width * EMU_PER_PX * scale);
+  const cy = Math.round(b.height * EMU_PER_PX * scale);
+  const svgBlip = b.svg
+    ? `<a:extLst><a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}"><asvg:svgBlip xmlns:asvg="http://schemas.microsoft.com/office/drawing/2016/SVG/main" r:embed="rIdSvg${n}"/></a:ext></a:extLst>`
+    : "";
+  return `<w:p><w:pPr><w:keepNext/></w:pPr><w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+    `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${n}" name="Diagram ${n}" descr="${xml(b.alt)}"/>` +
+    `<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+    `<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+    `<pic:nvPicPr><pic:cNvPr id="${n}" name="diagram${n}.png"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip r:embed="rIdImg${n}">${svgBlip}</a:blip><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+    `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>`;
+}
+
+function bodyXml(blocks, images) {
+  return blocks.map(b => {
+    if (b.t === "image" && b.png) return imageXml(b, images.push(b));
+    if (b.t === "image") return para([{ text: b.alt || "Diagram", italic: true }]);
+    if (b.t === "table") return tableXml(b.head, b.rows);
+    if (b.t === "bars") return tableXml(["Measure", "Count"], b.rows.map(r => [r.label, String(r.value)]));
+    if (b.t === "li") return para(b.runs, `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${b.depth ? 1 : 0}"/><w:numId w:val="1"/></w:numPr>`);
+    const style = STYLE_OF[b.t];
+    return para(b.runs, style ? `<w:pStyle w:val="${style}"/>` : "");
+  }).join("");
+}
+
+/* Returns the .docx file as bytes */
+export function buildDocx(blocks, title = "Requirements", date = new Date()) {
+  const images = [];
+  const document = `${HEADER}
+<w:document ${W_NS} ${WP_NS}><w:body>${bodyXml(blocks, images)}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+</w:body></w:document>`;
+
+  return zipFiles([
+    { name: "[Content_Types].xml", data: CONTENT_TYPES },
+    { name: "_rels/.rels", data: ROOT_RELS },
+    { name: "docProps/core.xml", data: coreProps(title, date) },
+    { name: "word/document.xml", data: document },
+    { name: "word/styles.xml", data: STYLES },
+    { name: "word/numbering.xml", data: NUMBERING },
+    { name: "word/_rels/document.xml.rels", data: docRels(images) },
+    ...images.flatMap((img, i) => [
+      { name: `word/media/diagram${i + 1}.png`, data: img.png },
+      ...(img.svg ? [{ name: `word/media/diagram${i + 1}.svg`, data: img.svg }] : []),
+    ]),
+  ], date);
+}
@@ -0,0 +1,256 @@
+/* ───────── Domain packs: per project type sections, NFR categories, standards, examples, templates ─────────
+ * A pack is
+ *   { projectType, name, sections: [SECTION_OPTIONS entry], nfr: { categories, defaults },
+ *     standards: [{ id, title, keywords }], examples: [string],
+ *     templates: [{ name, idea, description, sections? }] }
+ * Built-in packs cover the stock project types; teams import their own as
+ * .json files (SPEC_FILE_FORMAT-style envelope) and those replace the built-in
+ * pack for the same project type, or add a new project type.
+ */
+import { DEFAULT_NFR_CATEGORIES, keywordPattern, normalizeNfrConfig } from "./nfrCategories";
+import { asList, normalizeFunctional } from "./requirements";
+import { SECTION_OPTIONS } from "./settings";
+
+const PACKS_KEY = "maispec.packs.v1";
+export const PACK_FILE_FORMAT = "maispec.pack";
+const PACK_FILE_VERSION = 1;
+
+const nfrOf = (keys, extra = []) => ({
+  categories: [
+    ...keys.map(k => ({ ...DEFAULT_NFR_CATEGORIES.find(c => c.key === k) })),
+    ...extra,
+  ],
+  defaults: false,
+});
+
+const ALL = SECTION_OPTIONS;
+const WITHOUT_USE_CASES = SECTION_OPTIONS.filter(s => s !== "Use Cases");
+
+export const BUILT_IN_PACKS = [
+  {
+    projectType: "Mechanical",
+    name: "Machinery and mechanical design",
+    sections: WITHOUT_USE_CASES,
+    nfr: nfrOf(["safety", "reliability", "performance", "maintainability", "compliance", "verification"], [
+      { key: "tolerances", title: "Tolerances", keywords: "tolerance, press fit, clearance fit, interference fit, gd&t, flatness, concentric, surface finish" },
+      { key: "materials", title: "Materials", keywords: "material, alloy, steel, aluminium, aluminum, polymer, corrosion, coating, hardness" },
+    ]),
+    standards: [
+      { id: "ISO 12100", title: "Safety of machinery — risk assessment and risk reduction", keywords: "hazard, guard, risk assessment, safety, pinch, crush" },
+      { id: "ISO 13849-1", title: "Safety-related parts of control systems", keywords: "interlock, emergency stop, e-stop, safety function, performance level" },
+      { id: "ISO 2768", title: "General tolerances", keywords: "tolerance, dimension" },
+      { id: "ASME Y14.5", title: "Dimensioning and tolerancing (GD&T)", keywords: "gd&t, datum, flatness, position tolerance" },
+      { id: "Machinery Directive 2006/42/EC", title: "EU machinery directive", keywords: "ce mark, machinery directive, declaration of conformity" },
+    ],
+    examples: [
+      "The gearbox MUST deliver 450 Nm continuous output torque at 60 rpm.",
+      "Guards MUST prevent access to moving parts while the drive is energised.",
+      "Wear parts SHOULD be replaceable by one technician in under 30 minutes.",
+    ],
+    templates: [
+      { name: "Conveyor Gearbox", idea: "Conveyor gearbox", description: "Right-angle gearbox for a 40 m parcel conveyor; 24/7 duty, dusty warehouse." },
+      { name: "Packaging Machine Guarding", idea: "Guarding for a packaging machine", description: "Interlocked guards and e-stops for an existing carton erector." },
+    ],
+  },
+  {
+    projectType: "Electrical",
+    name: "Electrical and electronic systems",
+    sections: WITHOUT_USE_CASES,
+    nfr: nfrOf(["safety", "reliability", "performance", "maintainability", "compliance", "verification"], [
+      { key: "emc", title: "EMC", keywords: "emc, emission, immunity, interference, esd, surge" },
+      { key: "environmental", title: "Environmental", keywords: "temperature, humidity, ingress, ip6, ip5, vibration, altitude, condensation" },
+    ]),
+    standards: [
+      { id: "IEC 61508", title: "Functional safety of E/E/PE safety-related systems", keywords: "safety function, safety integrity, sil 1, sil 2, sil 3, fail-safe, watchdog, diagnostic coverage, hazard" },
+      { id: "IEC 60204-1", title: "Safety of machinery — electrical equipment of machines", keywords: "emergency stop, wiring, protective earth, control circuit" },
+      { id: "IEC 61000-6-2", title: "EMC — immunity for industrial environments", keywords: "emc, immunity, esd, surge, interference" },
+      { id: "IEC 62368-1", title: "Safety of audio/video and ICT equipment", keywords: "shock, enclosure, touch current, power supply" },
+      { id: "IPC-A-610", title: "Acceptability of electronic assemblies", keywords: "solder, pcb, assembly, workmanship" },
+    ],
+    examples: [
+      "The controller MUST enter a safe state within 100 ms of a detected sensor fault.",
+      "The board MUST operate from 18 V to 32 V DC without reset.",
+      "The enclosure SHOULD meet IP65.",
+    ],
+    templates: [
+      { name: "Motor Controller Board", idea: "Brushless motor controller board", description: "48 V BLDC controller for an AGV drive wheel with CAN interface and safe torque off." },
+      { name: "Battery Monitoring Unit", idea: "Battery monitoring unit", description: "Cell voltage and temperature monitoring for a 16S LiFePO4 pack with alarms." },
+    ],
+  },
+  {
+    projectType: "Civil",
+    name: "Civil and structural works",
+    sections: WITHOUT_USE_CASES,
+    nfr: nfrOf(["safety", "maintainability", "compliance", "verification"], [
+      { key: "structural", title: "Structural", keywords: "load, span, deflection, bearing, foundation, eurocode, en 199, seismic, wind" },
+      { key: "durability", title: "Durability", keywords: "design life, durab, corrosion, exposure class, concrete cover, fatigue" },
+      { key: "environmental", title: "Environmental", keywords: "drainage, runoff, noise, dust, emission, ecology, flood" },
+    ]),
+    standards: [
+      { id: "EN 1990", title: "Eurocode 0 — Basis of structural design", keywords: "design life, load combination, limit state, reliability class" },
+      { id: "EN 1991", title: "Eurocode 1 — Actions on structures", keywords: "load, wind, snow, traffic, imposed, action" },
+      { id: "EN 1992", title: "Eurocode 2 — Design of concrete structures", keywords: "concrete, reinforcement, rebar, crack" },
+      { id: "EN 1993", title: "Eurocode 3 — Design of steel structures", keywords: "steel, weld, bolt, beam, girder" },
+      { id: "EN 1997", title: "Eurocode 7 — Geotechnical design", keywords: "foundation, soil, pile, geotechnical, settlement" },
+      { id: "ISO 19650", title: "Information management using BIM", keywords: "bim, information model, handover" },
+    ],
+    examples: [
+      "The footbridge MUST carry a uniformly distributed pedestrian load of 5 kN/m².",
+      "The structure MUST have a design working life of 100 years.",
+      "Surface water SHOULD drain to the existing culvert without pumping.",
+    ],
+    templates: [
+      { name: "Pedestrian Footbridge", idea: "Pedestrian footbridge", description: "30 m single-span footbridge over a river in a public park; step-free access." },
+      { name: "Warehouse Slab", idea: "Warehouse ground slab", description: "Ground-bearing slab for a 5,000 m² racking warehouse with forklift traffic." },
+    ],
+  },
+  {
+    projectType: "Software",
+    name: "Software products",
+    sections: ALL,
+    nfr: nfrOf(DEFAULT_NFR_CATEGORIES.map(c => c.key)),
+    standards: [
+      { id: "ISO/IEC 25010", title: "Systems and software quality models", keywords: "performance, usability, reliability, maintainability, portability, quality" },
+      { id: "ISO/IEC 27001", title: "Information security management", keywords: "security, access control, audit, incident, encrypt" },
+      { id: "OWASP ASVS", title: "Application Security Verification Standard", keywords: "authenticat, password, session, injection, xss, csrf, owasp" },
+      { id: "WCAG 2.1", title: "Web Content Accessibility Guidelines", keywords: "accessib, screen reader, contrast, keyboard" },
+      { id: "GDPR", title: "EU General Data Protection Regulation", keywords: "personal data, consent, privacy, erase, data subject, gdpr" },
+      { id: "ISO/IEC/IEEE 29148", title: "Requirements engineering", keywords: "requirement, traceab, verification" },
+    ],
+    examples: [
+      "The system MUST let users reset their password by email within 2 minutes.",
+      "The system SHOULD return search results within 1 second at the 95th percentile.",
+      "The system COULD export reports as CSV.",
+    ],
+    templates: [
+      { name: "Inventory Tracker", idea: "Inventory Tracker", description: "Track stock levels, deliveries and low-stock alerts across a few retail stores." },
+      { name: "Event Booking System", idea: "Event Booking System", description: "Let visitors browse events, book and pay for tickets, and receive e-tickets by email." },
+      { name: "Recipe Planner", idea: "Recipe Planner", description: "Plan weekly meals from saved recipes and generate a shopping list.", sections: WITHOUT_USE_CASES },
+      { name: "Fitness & Habit Coach", idea: "Fitness & Habit Coach", description: "Mobile app that sets daily habit goals, logs workouts and sends reminders." },
+      { name: "Travel Itinerary Builder", idea: "Travel Itinerary Builder", description: "Collect bookings into a day-by-day itinerary that works offline and can be shared." },
+    ],
+  },
+  {
+    projectType: "Other",
+    name: "General",
+    sections: ALL,
+    nfr: nfrOf(DEFAULT_NFR_CATEGORIES.map(c => c.key)),
+    standards: [
+      { id: "ISO/IEC/IEEE 29148", title: "Requirements engineering", keywords: "requirement, traceab, verification" },
+      { id: "ISO 9001", title: "Quality management systems", keywords: "quality, audit, record, procedure" },
+    ],
+    examples: [],
+    templates: [],
+  },
+];
+
+/* Clean up an imported or stored pack; throws with a user-facing message */
+export function normalizePack(p) {
+  if (!p || typeof p !== "object") throw new Error("The file does not contain a domain pack.");
+  const projectType = String(p.projectType ?? "").trim();
+  if (!projectType) throw new Error("The pack has no projectType.");
+  const sections = asList(p.sections).filter(s => SECTION_OPTIONS.includes(s));
+  return {
+    projectType,
+    name: String(p.name ?? "").trim() || projectType,
+    sections: sections.length ? sections : SECTION_OPTIONS,
+    nfr: normalizeNfrConfig(p.nfr),
+    standards: asList(p.standards)
+      .map(s => (typeof s === "string" ? { id: s } : s))
+      .filter(s => s?.id)
+      .map(s => ({ id: String(s.id).trim(), title: String(s.title ?? ""), keywords: String(s.keywords ?? "") })),
+    examples: asList(p.examples).map(String).filter(Boolean),
+    templates: asList(p.templates)
+      .filter(t => t?.name)
+      .map(t => ({
+        name: String(t.name),
+        idea: String(t.idea ?? t.name),
+        description: String(t.description ?? ""),
+        ...(asList(t.sections).length && { sections: asList(t.sections).filter(s => SECTION_OPTIONS.includes(s)) }),
+      })),
+    ...(p.custom && { custom: true }),
+  };
+}
+
+/* ---- Team packs (localStorage), layered over the built-ins ---- */
+function loadCustomPacks() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PACKS_KEY) || "[]");
+    return Array.isArray(saved) ? saved.flatMap(p => { try { return [normalizePack({ ...p, custom: true })]; } catch { return []; } }) : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeCustomPacks(list) {
+  try { window.localStorage.setItem(PACKS_KEY, JSON.stringify(list)); return true; } catch { return false; }
+}
+
+/* Every pack in project-type order: built-ins (or their replacements), then new types */
+export function loadPacks() {
+  const custom = loadCustomPacks();
+  const byType = (t) => custom.find(p => p.projectType === t);
+  return [
+    ...BUILT_IN_PACKS.map(p => byType(p.projectType) || p),
+    ...custom.filter(p => !BUILT_IN_PACKS.some(b => b.projectType === p.projectType)),
+  ];
+}
+
+export const packFor = (packs, projectType) =>
+  packs.find(p => p.projectType === projectType) || packs.find(p => p.projectType === "Other") || BUILT_IN_PACKS[BUILT_IN_PACKS.length - 1];
+
+export function saveCustomPack(pack) {
+  const clean = normalizePack({ ...pack, custom: true });
+  return storeCustomPacks([...loadCustomPacks().filter(p => p.projectType !== clean.projectType), clean]);
+}
+
+export function removeCustomPack(projectType) {
+  return storeCustomPacks(loadCustomPacks().filter(p => p.projectType !== projectType));
+}
+
+/* ---- Pack files ---- */
+export function packFileJson(pack, date = new Date()) {
+  const { custom, ...body } = normalizePack(pack);
+  return `${JSON.stringify({ format: PACK_FILE_FORMAT, version: PACK_FILE_VERSION, exportedAt: date.toISOString(), pack: body }, null, 2)}\n`;
+}
+
+export function readPackFile(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch { throw new Error("The file is not valid JSON."); }
+  if (obj?.format === PACK_FILE_FORMAT) {
+    if (Number(obj.version) > PACK_FILE_VERSION) throw new Error("The pack was saved by a newer version of MaiSpec.");
+    return normalizePack(obj.pack);
+  }
+  return normalizePack(obj);
+}
+
+/* ---- Generation ---- */
+export function packPromptLines(pack) {
+  if (!pack) return [];
+  const lines = [];
+  if (pack.standards.length) {
+    lines.push(`Relevant standards for ${pack.projectType} projects: ${pack.standards.map(s => (s.title ? `${s.id} (${s.title})` : s.id)).join("; ")}. List the ones a requirement depends on in its "standards" field.`);
+  }
+  if (pack.examples.length) {
+    lines.push(`Example requirements in this domain (for style and level of detail; do not copy them):\n${pack.examples.map(e => `- ${e}`).join("\n")}`);
+  }
+  return lines;
+}
+
+/* Pack standards whose keywords appear in the text */
+export function suggestStandards(text, pack) {
+  return (pack?.standards || []).filter(s => keywordPattern(s.keywords)?.test(String(text))).map(s => s.id);
+}
+
+/* Fill empty "standards" fields from the pack; requirements that already cite standards are left alone */
+export function applyPackStandards(spec, pack) {
+  let added = 0;
+  const functional = normalizeFunctional(spec?.functional).map(r => {
+    if (asList(r.standards).length) return r;
+    const ids = suggestStandards(`${r.statement} ${asList(r.bullets).join(" ")}`, pack);
+    if (!ids.length) return r;
+    added += ids.length;
+    return { ...r, standards: ids };
+  });
+  return { spec: added ? { ...spec, functional } : spec, added };
+}
@@ -0,0 +1,69 @@
+//domainPacks.test.js
+import {
+  BUILT_IN_PACKS, loadPacks, packFor, saveCustomPack, removeCustomPack, packFileJson, readPackFile,
+  packPromptLines, applyPackStandards,
+} from './domainPacks';
+
+const TEAM_PACK = {
+  projectType: 'Medical devices',
+  name: 'Class II devices',
+  sections: ['Functional Requirements', 'Risks & Mitigations', 'Bogus'],
+  standards: ['IEC 62304', { id: 'ISO 14971', title: 'Risk management', keywords: 'hazard, risk control' }],
+  templates: [{ name: 'Infusion pump', description: 'Ambulatory pump.' }],
+};
+
+beforeEach(() => window.localStorage.clear());
+
+describe('built-in packs', () => {
+  test('every stock project type has standards for its domain', () => {
+    const ids = (type) => packFor(BUILT_IN_PACKS, type).standards.map(s => s.id);
+    expect(ids('Electrical')).toContain('IEC 61508');
+    expect(ids('Civil')).toEqual(expect.arrayContaining(['EN 1990', 'EN 1992']));
+    expect(ids('Software')).toContain('ISO/IEC 25010');
+    expect(packFor(BUILT_IN_PACKS, 'Unknown').projectType).toBe('Other');
+  });
+
+  test('standards and examples go into the prompt', () => {
+    const [standards, examples] = packPromptLines(packFor(BUILT_IN_PACKS, 'Electrical'));
+    expect(standards).toMatch(/^Relevant standards for Electrical projects: IEC 61508 \(Functional safety/);
+    expect(examples).toContain('- The board MUST operate from 18 V to 32 V DC without reset.');
+  });
+
+  test('empty standards fields are filled from matching keywords', () => {
+    const spec = {
+      functional: [
+        { id: 'FR001', level: 'MUST', statement: 'The controller MUST trigger a watchdog reset on a stalled loop.' },
+        { id: 'FR002', level: 'MUST', statement: 'The enclosure MUST withstand ESD of 8 kV.', standards: ['Customer spec 12'] },
+        { id: 'FR003', level: 'SHOULD', statement: 'Show the firmware version.' },
+      ],
+    };
+    const { spec: next, added } = applyPackStandards(spec, packFor(BUILT_IN_PACKS, 'Electrical'));
+    expect(added).toBe(1);
+    expect(next.functional.map(r => r.standards)).toEqual([['IEC 61508'], ['Customer spec 12'], undefined]);
+  });
+});
+
+describe('team packs', () => {
+  test('a pack file round-trips and adds a project type', () => {
+    const pack = readPackFile(packFileJson(TEAM_PACK));
+    expect(pack.sections).toEqual(['Functional Requirements', 'Risks & Mitigations']);
+    expect(pack.standards[0]).toEqual({ id: 'IEC 62304', title: '', keywords: '' });
+    expect(pack.templates[0]).toEqual({ name: 'Infusion pump', idea: 'Infusion pump', description: 'Ambulatory pump.' });
+
+    saveCustomPack(pack);
+    expect(loadPacks().map(p => p.projectType)).toEqual(['Mechanical', 'Electrical', 'Civil', 'Software', 'Other', 'Medical devices']);
+  });
+
+  test('a pack for a stock type replaces the built-in one until removed', () => {
+    saveCustomPack({ ...TEAM_PACK, projectType: 'Civil' });
+    expect(packFor(loadPacks(), 'Civil')).toMatchObject({ name: 'Class II devices', custom: true });
+    removeCustomPack('Civil');
+    expect(packFor(loadPacks(), 'Civil').name).toBe('Civil and structural works');
+  });
+
+  test('unusable files are rejected with a reason', () => {
+    expect(() => readPackFile('nope')).toThrow('The file is not valid JSON.');
+    expect(() => readPackFile('{"name": "x"}')).toThrow('The pack has no projectType.');
+    expect(() => readPackFile('{"format": "maispec.pack", "version": 9, "pack": {}}')).toThrow(/newer version/);
+  });
+});
@@ -0,0 +1,414 @@
+/* ───────── Exporters: HTML (server PDF), Markdown, in-browser DOCX/PDF blocks ───────── */
+import {
+  asList, takeLines, deriveSections, pickTopN, withoutSelected, LEVELS, levelLabel, prioritySettings,
+} from "./requirements";
+import { traceTable } from "./traceability";
+import { normalizeAcceptance, scenarioLine } from "./gherkin";
+import { definitionRows } from "./glossary";
+import { approvalBlock, statusOf, REVIEW_LABELS } from "./review";
+import { coverageAppendix, textBar } from "./coverage";
+import { normalizeDiagrams } from "./diagrams";
+
+/* "Key MUST/SHOULD (Top 4)" / "Key P0/P1 (Top 6)" */
+export const topTitle = (scheme, n) => `Key ${levelLabel("MUST", scheme)}/${levelLabel("SHOULD", scheme)} (Top ${n})`;
+
+export const escapeHtml = (s = "") => String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
+
+/* ---- Simple, Bullet Point PDF HTML ----
+ * diagramSvgs: { [diagram id]: rendered SVG }; diagrams without one are shown as Mermaid source */
+export function htmlForPdf(d, { diagramSvgs = {} } = {}) {
+  const S = deriveSections(d);
+  const diagrams = normalizeDiagrams(d?.diagrams);
+  const intro3 = takeLines(S.summary, 3);
+  const definitions = definitionRows(d);
+  const approval = approvalBlock(d);
+  const reviewStatus = (x) => (approval && x.id ? REVIEW_LABELS[statusOf(d, x.id)] : "");
+  const summary4 = takeLines(S.summary, 4);
+  const { scheme, topN } = prioritySettings(d);
+  const label = (level) => levelLabel(level, scheme);
+  const top = pickTopN(S.functionality, topN);
+  const funcMinusTop = withoutSelected(S.functionality, top);
+
+  const H1 = (t)=>`<h1>${escapeHtml(t)}</h1>`;
+  const H2 = (t)=>`<h2>${escapeHtml(t)}</h2>`;
+  const H3 = (t)=>`<h3>${escapeHtml(t)}</h3>`;
+
+  // Rationale + standards references shown under a structured requirement
+  const extras = (x) => {
+    const std = asList(x.standards);
+    return (reviewStatus(x) ? `<p class="meta"><em>Review:</em> ${reviewStatus(x)}</p>` : "")
+      + (x.rationale ? `<p class="meta"><em>Rationale:</em> ${escapeHtml(x.rationale)}</p>` : "")
+      + (std.length ? `<p class="meta"><em>Standards:</em> ${std.map(escapeHtml).join("; ")}</p>` : "")
+      + normalizeAcceptance(x.acceptance).map(sc =>
+        `<p class="meta"><em>Scenario: ${escapeHtml(sc.name)}</em> — ${escapeHtml(scenarioLine(sc))}</p>`).join("");
+  };
+
+  const listByLevel = (title, groups) => {
+    const lvls = LEVELS.filter(l => groups?.[l]?.length);
+    if (!lvls.length) return "";
+
+    return `${H2(title)}` + lvls.map(l => `${H3(label(l))}<ul>` + groups[l].map(x =>
+      typeof x === "string"
+        ? `<li>${escapeHtml(x)}</li>`
+        : `<li><strong>${escapeHtml(x.statement||"")}</strong>${
+            x.bullets?.length ? `<ul>${x.bullets.map(b=>`<li>${escapeHtml(b)}</li>`).join("")}</ul>` : ""
+          }${extras(x)}</li>`
+    ).join("") + `</ul>`).join("");
+  };
+
+  const plainList = (title, items) =>
+    items?.length ? `${H2(title)}<ul>${items.map(x=>`<li>${escapeHtml(x)}</li>`).join("")}</ul>` : "";
+
+  const risksTable = (risks) =>
+    risks?.length ? `${H2("Risks & Mitigations")}<table><thead><tr><th>Risk</th><th>Mitigation</th></tr></thead><tbody>${
+      risks.map(r=>`<tr><td>${escapeHtml(r.risk)}</td><td>${escapeHtml(r.mitigation)}</td></tr>`).join("")
+    }</tbody></table>` : "";
+
+  const traceSection = () => {
+    const t = traceTable(d);
+    if (!t.include) return "";
+    return `${H2("Traceability Matrix")}<table><thead><tr>${t.head.map(h=>`<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${
+      t.rows.map(r=>`<tr>${r.map(c=>`<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")
+    }</tbody></table>${t.orphans.length ? `<p class="meta"><em>Use cases without requirements:</em> ${t.orphans.map(escapeHtml).join("; ")}</p>` : ""}`;
+  };
+
+  const diagramSection = () => (diagrams.length ? `${H2("Diagrams")}${diagrams.map(g => `${H3(g.title)}${
+    diagramSvgs[g.id] ? `<div class="diagram">${diagramSvgs[g.id]}</div>` : `<pre class="diagram-source">${escapeHtml(g.source)}</pre>`
+  }`).join("")}` : "");
+
+  // bars as table cells so the server-side renderer needs no script or SVG support
+  const coverageSection = () => {
+    const cov = coverageAppendix(d);
+    if (!cov) return "";
+    const chart = ({ title, bars }) => {
+      const max = Math.max(0, ...bars.map(b => b.count));
+      return `${H3(title)}<table class="chart">${bars.map(b => `<tr><td class="chart-label">${escapeHtml(b.label)}</td><td><div class="chart-bar" style="width:${max ? Math.round((b.count / max) * 100) : 0}%"></div></td><td class="chart-count">${b.count}</td></tr>`).join("")}</table>`;
+    };
+    return `${H2("Appendix: Coverage")}<p>${escapeHtml(cov.line)}</p>${cov.charts.map(chart).join("")}${H3("Summary")}<table><thead><tr>${
+      cov.table.head.map(h=>`<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${
+      cov.table.rows.map(r=>`<tr>${r.map(c=>`<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>${
+      cov.notes.map(n => `<p class="meta"><em>${escapeHtml(n.label.trim())}</em> ${escapeHtml(n.text)}</p>`).join("")}`;
+  };
+
+  const css = `
+    @page { margin: 28pt; }
+    body { font-family: -apple-system, Segoe UI, Roboto, Arial, sans-serif; font-size: 11pt; color: #0f172a; line-height: 1.45; }
+    h1 { font-size: 20pt; margin: 0 0 8pt; padding-bottom: 6pt; border-bottom: 1px solid #e5e7eb; }
+    h2 { font-size: 14pt; margin: 14pt 0 6pt; }
+    h3 { font-size: 11.5pt; margin: 8pt 0 4pt; color: #0b225b; }
+    p  { margin: 6pt 0; }
+    ul { margin: 0 0 6pt 16pt; padding: 0; }
+    li { margin: 3pt 0; }
+    strong { font-weight: 700; }
+    .meta { margin: 2pt 0; font-size: 10pt; color: #475569; }
+    table { width: 100%; border-collapse: collapse; margin: 4pt 0 8pt; }
+    th, td { border: 1px solid #e5e7eb; padding: 4pt 6pt; text-align: left; vertical-align: top; }
+    th { background: #f1f5f9; }
+    .diagram svg { max-width: 100%; height: auto; }
+    .diagram-source { font-size: 9pt; background: #f8fafc; padding: 6pt; white-space: pre-wrap; }
+    .chart td { border: none; padding: 2pt 4pt; }
+    .chart-label { width: 32%; }
+    .chart-bar { height: 9pt; background: #2563eb; }
+    .chart-count { width: 8%; text-align: right; }
+  `;
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"/><title>${escapeHtml(S.title)}</title><style>${css}</style></head>
+<body>
+  ${H1(S.title)}
+  ${intro3 ? `<p>${escapeHtml(intro3)}</p>` : ""}
+  ${approval ? `${H2("Approval")}<p>${escapeHtml(approval.line)}</p>
+    ${approval.rows.length
+      ? `<table><thead><tr>${approval.head.map(h=>`<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${
+        approval.rows.map(r=>`<tr>${r.map(c=>`<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`
+      : `<p class="meta"><em>Not signed off yet.</em></p>`}
+    ${approval.comments.length ? `<p class="meta"><em>Unresolved comments:</em></p><ul>${approval.comments.map(c=>`<li>${escapeHtml(c)}</li>`).join("")}</ul>` : ""}` : ""}
+  ${definitions.length ? `${H2("Definitions")}
+    <ul>${definitions.map(g=>`<li><strong>${escapeHtml(g.term)}</strong>${g.definition ? ` — ${escapeHtml(g.definition)}` : ""}</li>`).join("")}</ul>` : ""}
+
+  ${top.length ? `${H2(topTitle(scheme, topN))}
+    <ul>${top.map(r=>`<li><strong>${escapeHtml(label((r.level||"").toUpperCase()))}</strong> — ${escapeHtml(r.statement||"")}${extras(r)}</li>`).join("")}</ul>` : ""}
+
+  ${listByLevel("Functional", funcMinusTop)}
+  ${S.nfr.map(c => listByLevel(c.title, c.groups)).join("\n  ")}
+
+  ${plainList("Constraints", S.constraints)}
+  ${plainList("Out of Scope", S.outOfScope)}
+  ${risksTable(S.risks)}
+  ${plainList("Open Questions", S.openQuestions)}
+
+  ${S.useCases?.length ? `${H2("Use Cases")}<ul>${S.useCases.map(u=>`<li>${escapeHtml(u)}</li>`).join("")}</ul>` : ""}
+  ${traceSection()}
+  ${diagramSection()}
+
+  ${summary4 ? `${H2("Summary")}<p>${escapeHtml(summary4)}</p>` : ""}
+  ${coverageSection()}
+</body></html>`;
+}
+
+/* ---- Markdown tables: pipes escaped, line breaks folded, separator sized to the head ---- */
+const cell = (t="") => String(t).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+const mdTable = (head, rows) => [
+  `| ${head.map(cell).join(" | ")} |`,
+  `| ${head.map(() => "---").join(" | ")} |`,
+  ...rows.map(r => `| ${r.map(cell).join(" | ")} |`),
+];
+
+/* ---- Markdown export ---- */
+export function mdFromJson(d) {
+  const S = deriveSections(d);
+  const intro3 = takeLines(S.summary, 3);
+  const definitions = definitionRows(d);
+  const approval = approvalBlock(d);
+  const reviewStatus = (x) => (approval && x.id ? REVIEW_LABELS[statusOf(d, x.id)] : "");
+  const summary4 = takeLines(S.summary, 4);
+  const { scheme, topN } = prioritySettings(d);
+  const label = (level) => levelLabel(level, scheme);
+  const top = pickTopN(S.functionality, topN);
+  const funcMinusTop = withoutSelected(S.functionality, top);
+
+  const lines = [];
+  lines.push(`# ${S.title}`, "");
+  if (intro3) lines.push(intro3, "");
+  if (approval) {
+    lines.push("## Approval", approval.line, "");
+    if (approval.rows.length) {
+      lines.push(...mdTable(approval.head, approval.rows));
+    } else {
+      lines.push("_Not signed off yet._");
+    }
+    if (approval.comments.length) lines.push("", "_Unresolved comments:_", ...approval.comments.map(c => `- ${c}`));
+    lines.push("");
+  }
+  if (definitions.length) {
+    lines.push("## Definitions");
+    definitions.forEach(g => lines.push(`- **${g.term}**${g.definition ? ` — ${g.definition}` : ""}`));
+    lines.push("");
+  }
+
+  const extras = (x, indent) => {
+    const std = asList(x.standards);
+    if (reviewStatus(x)) lines.push(`${indent}- _Review:_ ${reviewStatus(x)}`);
+    if (x.rationale) lines.push(`${indent}- _Rationale:_ ${x.rationale}`);
+    if (std.length) lines.push(`${indent}- _Standards:_ ${std.join("; ")}`);
+    normalizeAcceptance(x.acceptance).forEach(sc => lines.push(`${indent}- _Scenario: ${sc.name}_ — ${scenarioLine(sc)}`));
+  };
+
+  if (top.length) {
+    lines.push(`## ${topTitle(scheme, topN)}`);
+    top.forEach(r => { lines.push(`- **${label((r.level||"").toUpperCase())}** — ${r.statement||""}`); extras(r, "  "); });
+    lines.push("");
+  }
+
+  const dumpLvl = (title, grp, structured=false) => {
+    const lvls = LEVELS.filter(l => grp?.[l]?.length);
+    if (!lvls.length) return;
+
+    lines.push(`## ${title}`);
+    lvls.forEach(l => {
+      lines.push(`### ${label(l)}`);
+      grp[l].forEach(x=>{
+        if (structured) {
+          lines.push(`- **${x.statement||""}**`);
+          x.bullets?.forEach(b=>lines.push(`  - ${b}`));
+          extras(x, "  ");
+        } else {
+          lines.push(`- ${x}`);
+        }
+      });
+      lines.push("");
+    });
+  };
+
+  dumpLvl("Functional", funcMinusTop, true);
+  S.nfr.forEach(c => dumpLvl(c.title, c.groups));
+
+  const dumpList = (title, items) => {
+    if (!items?.length) return;
+    lines.push(`## ${title}`);
+    items.forEach(x=>lines.push(`- ${x}`));
+    lines.push("");
+  };
+
+  dumpList("Constraints", S.constraints);
+  dumpList("Out of Scope", S.outOfScope);
+  if (S.risks.length) {
+    lines.push("## Risks & Mitigations", ...mdTable(["Risk", "Mitigation"], S.risks.map(r => [r.risk, r.mitigation])));
+    lines.push("");
+  }
+  dumpList("Open Questions", S.openQuestions);
+
+  if (S.useCases?.length) {
+    lines.push("## Use Cases");
+    S.useCases.forEach(u=>lines.push(`- ${u}`));
+    lines.push("");
+  }
+  const trace = traceTable(d);
+  if (trace.include) {
+    lines.push("## Traceability Matrix", ...mdTable(trace.head, trace.rows));
+    if (trace.orphans.length) lines.push("", `_Use cases without requirements:_ ${trace.orphans.join("; ")}`);
+    lines.push("");
+  }
+  const diagrams = normalizeDiagrams(d?.diagrams);
+  if (diagrams.length) {
+    lines.push("## Diagrams");
+    diagrams.forEach(g => lines.push(`### ${g.title}`, "```mermaid", g.source, "```", ""));
+  }
+  if (summary4) { lines.push("## Summary", summary4); }
+  const coverage = coverageAppendix(d);
+  if (coverage) {
+    if (summary4) lines.push("");
+    lines.push("## Appendix: Coverage", coverage.line, "");
+    coverage.charts.forEach(({ title, bars }) => {
+      const max = Math.max(0, ...bars.map(b => b.count));
+      const width = Math.max(0, ...bars.map(b => b.label.length));
+      const bar = (b) => [textBar(b.count, max), b.count].filter(Boolean).join(" ") || "0";
+      lines.push(`### ${title}`, "```", ...bars.map(b => `${b.label.padEnd(width)}  ${bar(b)}`), "```", "");
+    });
+    lines.push("### Summary", ...mdTable(coverage.table.head, coverage.table.rows));
+    coverage.notes.forEach(n => lines.push("", `_${n.label.trim()}_ ${n.text}`));
+  }
+  return lines.join("\n");
+}
+
+/* ---- Block model shared by the in-browser DOCX and PDF builders ----
+ * { t: "h1"|"h2"|"h3"|"p"|"meta", runs }      runs: [{ text, bold?, italic? }]
+ * { t: "li", runs, depth }                    depth 0 = bullet, 1 = sub-bullet
+ * { t: "table", head: [string], rows: [[string]] }
+ * { t: "bars", rows: [{ label, value }] }      horizontal bar chart (a table in DOCX)
+ * { t: "diagram", title, source, runs }        Mermaid source; runs is the note shown if it is never rendered
+ * { t: "image", alt, svg, png, jpeg, pxWidth, pxHeight, width, height }   a rendered diagram (see withDiagramImages)
+ */
+const run = (text, fmt = {}) => ({ text: String(text ?? ""), ...fmt });
+const block = (t, ...runs) => ({ t, runs });
+
+export function specBlocks(d) {
+  const S = deriveSections(d);
+  const intro3 = takeLines(S.summary, 3);
+  const definitions = definitionRows(d);
+  const approval = approvalBlock(d);
+  const reviewStatus = (x) => (approval && x.id ? REVIEW_LABELS[statusOf(d, x.id)] : "");
+  const summary4 = takeLines(S.summary, 4);
+  const { scheme, topN } = prioritySettings(d);
+  const label = (level) => levelLabel(level, scheme);
+  const top = pickTopN(S.functionality, topN);
+  const funcMinusTop = withoutSelected(S.functionality, top);
+  const out = [];
+
+  const extras = (x, depth) => {
+    const std = asList(x.standards);
+    if (reviewStatus(x)) out.push({ ...block("li", run("Review: ", { italic: true }), run(reviewStatus(x))), depth });
+    if (x.rationale) out.push({ ...block("li", run("Rationale: ", { italic: true }), run(x.rationale)), depth });
+    if (std.length) out.push({ ...block("li", run("Standards: ", { italic: true }), run(std.join("; "))), depth });
+    normalizeAcceptance(x.acceptance).forEach(sc => {
+      out.push({ ...block("li", run(`Scenario: ${sc.name} — `, { italic: true }), run(scenarioLine(sc))), depth });
+    });
+  };
+
+  const listByLevel = (title, groups) => {
+    const lvls = LEVELS.filter(l => groups?.[l]?.length);
+    if (!lvls.length) return;
+    out.push(block("h2", run(title)));
+    lvls.forEach(l => {
+      out.push(block("h3", run(label(l))));
+      groups[l].forEach(x => {
+        if (typeof x === "string") { out.push({ ...block("li", run(x)), depth: 0 }); return; }
+        out.push({ ...block("li", run(x.statement || "", { bold: true })), depth: 0 });
+        (x.bullets || []).forEach(b => out.push({ ...block("li", run(b)), depth: 1 }));
+        extras(x, 1);
+      });
+    });
+  };
+
+  const plainList = (title, items) => {
+    if (!items?.length) return;
+    out.push(block("h2", run(title)));
+    items.forEach(x => out.push({ ...block("li", run(x)), depth: 0 }));
+  };
+
+  out.push(block("h1", run(S.title)));
+  if (intro3) out.push(block("p", run(intro3)));
+  if (approval) {
+    out.push(block("h2", run("Approval")));
+    out.push(block("p", run(approval.line)));
+    if (approval.rows.length) out.push({ t: "table", head: approval.head, rows: approval.rows });
+    else out.push(block("meta", run("Not signed off yet.", { italic: true })));
+    if (approval.comments.length) {
+      out.push(block("meta", run("Unresolved comments:", { italic: true })));
+      approval.comments.forEach(c => out.push({ ...block("li", run(c)), depth: 0 }));
+    }
+  }
+  if (definitions.length) {
+    out.push(block("h2", run("Definitions")));
+    definitions.forEach(g => out.push({ ...block("li", run(g.term, { bold: true }), run(g.definition ? ` — ${g.definition}` : "")), depth: 0 }));
+  }
+
+  if (top.length) {
+    out.push(block("h2", run(topTitle(scheme, topN))));
+    top.forEach(r => {
+      out.push({ ...block("li", run(label((r.level || "").toUpperCase()), { bold: true }), run(` — ${r.statement || ""}`)), depth: 0 });
+      extras(r, 1);
+    });
+  }
+
+  listByLevel("Functional", funcMinusTop);
+  S.nfr.forEach(c => listByLevel(c.title, c.groups));
+
+  plainList("Constraints", S.constraints);
+  plainList("Out of Scope", S.outOfScope);
+  if (S.risks.length) {
+    out.push(block("h2", run("Risks & Mitigations")));
+    out.push({ t: "table", head: ["Risk", "Mitigation"], rows: S.risks.map(r => [r.risk, r.mitigation]) });
+  }
+  plainList("Open Questions", S.openQuestions);
+  plainList("Use Cases", S.useCases);
+  const trace = traceTable(d);
+  if (trace.include) {
+    out.push(block("h2", run("Traceability Matrix")));
+    out.push({ t: "table", head: trace.head, rows: trace.rows });
+    if (trace.orphans.length) out.push(block("meta", run("Use cases without requirements: ", { italic: true }), run(trace.orphans.join("; "))));
+  }
+  const diagrams = normalizeDiagrams(d?.diagrams);
+  if (diagrams.length) {
+    out.push(block("h2", run("Diagrams")));
+    diagrams.forEach(g => {
+      out.push(block("h3", run(g.title)));
+      out.push({ t: "diagram", title: g.title, source: g.source, runs: [run("Diagram not rendered; the Markdown export includes its Mermaid source.", { italic: true })] });
+    });
+  }
+
+  if (summary4) {
+    out.push(block("h2", run("Summary")));
+    out.push(block("p", run(summary4)));
+  }
+  const coverage = coverageAppendix(d);
+  if (coverage) {
+    out.push(block("h2", run("Appendix: Coverage")));
+    out.push(block("p", run(coverage.line)));
+    coverage.charts.forEach(({ title, bars }) => {
+      out.push(block("h3", run(title)));
+      out.push({ t: "bars", rows: bars.map(b => ({ label: b.label, value: b.count })) });
+    });
+    out.push(block("h3", run("Summary")));
+    out.push({ t: "table", head: coverage.table.head, rows: coverage.table.rows });
+    coverage.notes.forEach(n => out.push(block("meta", run(n.label, { italic: true }), run(n.text))));
+  }
+  return out;
+}
+
+/* Markdown-only results (no structured JSON): headings, bullets and paragraphs */
+export function blocksFromMarkdown(md = "", title = "Requirements") {
+  const out = [];
+  const inline = (s) => s.split(/(\*\*[^*]+\*\*)/).filter(Boolean).map(part => (
+    /^\*\*[^*]+\*\*$/.test(part) ? run(part.slice(2, -2), { bold: true }) : run(part)
+  ));
+  String(md).split("\n").forEach(line => {
+    const h = line.match(/^(#{1,3})\s+(.*)$/);
+    const li = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    if (h) out.push({ t: `h${h[1].length}`, runs: inline(h[2]) });
+    else if (li) out.push({ t: "li", runs: inline(li[2]), depth: li[1].length >= 2 ? 1 : 0 });
+    else if (line.trim()) out.push({ t: "p", runs: inline(line.trim()) });
+  });
+  if (!out.length || out[0].t !== "h1") out.unshift(block("h1", run(title)));
+  return out;
+}
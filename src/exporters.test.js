@@ -0,0 +1,137 @@
+//exporters.test.js
+import { specBlocks, blocksFromMarkdown, mdFromJson } from './exporters';
+import { buildDocx } from './docxExport';
+import { buildPdf, unsupportedChars } from './pdfExport';
+import { unzipFiles, utf8Text } from './zip';
+
+const spec = {
+  title: 'Inventory Tracker',
+  summary: 'Tracks stock levels across stores.',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'Record stock movements & returns.', bullets: ['Inbound'], rationale: 'Audit trail.' },
+  ],
+  risks: [{ risk: 'Scanner drift', mitigation: 'Weekly calibration' }],
+};
+
+const latin1 = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+describe('in-browser exporters', () => {
+  test('block model follows the PDF layout, including the risks table', () => {
+    const blocks = specBlocks(spec);
+    expect(blocks[0]).toEqual({ t: 'h1', runs: [{ text: 'Inventory Tracker' }] });
+    expect(blocks).toContainEqual({ t: 'table', head: ['Risk', 'Mitigation'], rows: [['Scanner drift', 'Weekly calibration']] });
+  });
+
+  test('COULD and WON\'T get their own sections, labelled by the chosen scheme', () => {
+    const leveled = {
+      ...spec,
+      functional: [
+        ...spec.functional,
+        { id: 'FR002', level: 'COULD', statement: 'Print labels.' },
+        { id: 'FR003', level: 'WONT', statement: 'Sync with the ERP.' },
+      ],
+    };
+    const md = mdFromJson(leveled);
+    expect(md).toContain('## Key MUST/SHOULD (Top 4)');
+    expect(md).toContain('### COULD\n- **Print labels.**');
+    expect(md).toContain("### WON'T\n- **Sync with the ERP.**");
+
+    const numeric = mdFromJson({ ...leveled, priority: { scheme: 'numeric', topN: 0 } });
+    expect(numeric).not.toContain('Key P0/P1');
+    expect(numeric).toContain('### P0\n- **Record stock movements & returns.**');
+    expect(numeric).toContain('### P3\n- **Sync with the ERP.**');
+  });
+
+  test('markdown fallback keeps headings and bullets', () => {
+    const blocks = blocksFromMarkdown('# Spec\n- **MUST** log in\n  - via SSO\nPlain text');
+    expect(blocks.map(b => b.t)).toEqual(['h1', 'li', 'li', 'p']);
+    expect(blocks[1].runs[0]).toEqual({ text: 'MUST', bold: true });
+    expect(blocks[2].depth).toBe(1);
+  });
+
+  test('docx is a zip package with escaped document text', () => {
+    const text = latin1(buildDocx(specBlocks(spec), spec.title));
+    expect(text.startsWith('PK\u0003\u0004')).toBe(true);
+    expect(text).toContain('word/document.xml');
+    expect(text).toContain('Record stock movements &amp; returns.');
+  });
+
+  test('pdf lists characters the standard fonts cannot show and prints a substitute', () => {
+    const polish = { ...spec, title: 'Magazyn', functional: [{ id: 'FR001', level: 'MUST', statement: 'System MUSI zapisać ruchy — “Š” is cp1252.' }] };
+    expect(unsupportedChars(specBlocks(polish), polish.title)).toEqual(['ć']);
+    expect(unsupportedChars([{ t: 'table', head: ['要件'], rows: [['在庫']] }])).toEqual(['要', '件', '在', '庫']);
+    expect(unsupportedChars(specBlocks(spec), spec.title)).toEqual([]);
+    expect(latin1(buildPdf([{ t: 'p', runs: [{ text: 'Š — œ' }] }]))).toContain('(\x8a \x97 \x9c) Tj');
+    expect(latin1(buildPdf([{ t: 'p', runs: [{ text: 'zapisać 在' }] }]))).toContain('(zapisac ?) Tj');
+  });
+
+  test('pdf paginates long documents and numbers the pages', () => {
+    const long = { ...spec, functional: Array.from({ length: 80 }, (_, i) => ({ id: `FR${i}`, level: 'MUST', statement: `Requirement ${i}` })) };
+    const text = latin1(buildPdf(specBlocks(long), long.title));
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    const pages = (text.match(/\/Type \/Page /g) || []).length;
+    expect(pages).toBeGreaterThan(1);
+    expect(text).toContain(`Page ${pages} of ${pages}`);
+  });
+});
+
+describe('file structure', () => {
+  const full = {
+    ...spec,
+    functional: Array.from({ length: 60 }, (_, i) => ({ id: `FR${i}`, level: i % 2 ? 'SHOULD' : 'MUST', statement: `Requirement ${i} (with "quotes") – naïve` })),
+  };
+
+  test('pdf xref points at every object and startxref at the xref table', () => {
+    const text = latin1(buildPdf(specBlocks(full), full.title));
+    const xrefAt = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    expect(text.slice(xrefAt, xrefAt + 5)).toBe('xref\n');
+    const [, first, count] = text.slice(xrefAt).match(/^xref\n(\d+) (\d+)\n/);
+    expect(first).toBe('0');
+    const entries = text.slice(xrefAt).split('\n').slice(2, 2 + Number(count));
+    expect(entries[0]).toBe('0000000000 65535 f ');
+    entries.slice(1).forEach((entry, i) => {
+      expect(entry).toMatch(/^\d{10} 00000 n $/);
+      const at = Number(entry.slice(0, 10));
+      expect(text.slice(at, at + `${i + 1} 0 obj\n`.length)).toBe(`${i + 1} 0 obj\n`);
+    });
+    expect(text).toContain(`/Size ${count} /Root 1 0 R`);
+    // each stream's /Length matches its bytes
+    for (const m of text.matchAll(/\/Length (\d+) >>\nstream\n/g)) {
+      const start = m.index + m[0].length;
+      expect(text.slice(start + Number(m[1]), start + Number(m[1]) + 10)).toBe('\nendstream');
+    }
+  });
+
+  test('docx parts are well-formed, declared in [Content_Types].xml and linked by their relationships', () => {
+    const files = unzipFiles(buildDocx(specBlocks(full), full.title));
+    const parse = (name) => {
+      const doc = new DOMParser().parseFromString(utf8Text(files[name]), 'application/xml');
+      expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+      return doc;
+    };
+    const types = parse('[Content_Types].xml');
+    const overrides = Array.from(types.getElementsByTagName('Override'), o => o.getAttribute('PartName'));
+    expect(overrides.sort()).toEqual(['/docProps/core.xml', '/word/document.xml', '/word/numbering.xml', '/word/styles.xml']);
+    overrides.forEach(part => expect(files[part.slice(1)]).toBeDefined());
+    expect(Array.from(types.getElementsByTagName('Default'), d => d.getAttribute('Extension'))).toEqual(expect.arrayContaining(['rels', 'xml']));
+
+    const rootTargets = Array.from(parse('_rels/.rels').getElementsByTagName('Relationship'), r => r.getAttribute('Target'));
+    expect(rootTargets).toEqual(['word/document.xml', 'docProps/core.xml']);
+    Array.from(parse('word/_rels/document.xml.rels').getElementsByTagName('Relationship'))
+      .forEach(r => expect(files[`word/${r.getAttribute('Target')}`]).toBeDefined());
+
+    const doc = parse('word/document.xml');
+    const body = doc.getElementsByTagName('w:body')[0];
+    expect(doc.documentElement.tagName).toBe('w:document');
+    expect(body.lastElementChild.tagName).toBe('w:sectPr');
+    const styles = Array.from(doc.getElementsByTagName('w:pStyle'), p => p.getAttribute('w:val'));
+    expect(styles[0]).toBe('Title');
+    expect(styles).toContain('Heading1');
+    const table = doc.getElementsByTagName('w:tbl')[0];
+    expect(table.getElementsByTagName('w:gridCol')).toHaveLength(2);
+    expect(table.getElementsByTagName('w:tr')[1].textContent).toBe('Scanner driftWeekly calibration');
+    expect(body.textContent).toContain('Requirement 7 (with "quotes") – naïve');
+    parse('word/styles.xml');
+    parse('word/numbering.xml');
+  });
+});
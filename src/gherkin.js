@@ -0,0 +1,155 @@
+/* ───────── Acceptance criteria (Given/When/Then) + Cucumber .feature export ─────────
+ * Stored on each functional requirement as
+ *   acceptance: [{ name, given: [string], when: [string], then: [string] }]
+ */
+import { asList, normalizeFunctional } from "./requirements";
+import { parseModelJson } from "./schema";
+import { zipFiles } from "./zip";
+
+const STEP_KEYS = ["given", "when", "then"];
+
+const stepList = (v) => asList(v)
+  .map(s => String(typeof s === "object" && s ? s.text ?? s.step ?? "" : s)
+    .replace(/^(given|when|then|and|but)\s+/i, "").trim())
+  .filter(Boolean);
+
+/* Anything scenario-like from the model (object or "Given … When … Then …" text) */
+export function normalizeScenario(x, i = 0) {
+  if (typeof x === "string") return parseGherkin(x)[0] || null;
+  if (!x || typeof x !== "object") return null;
+  const sc = {
+    name: String(x.name ?? x.scenario ?? x.title ?? "").trim() || `Scenario ${i + 1}`,
+    given: stepList(x.given),
+    when: stepList(x.when),
+    then: stepList(x.then),
+  };
+  return sc.when.length || sc.then.length ? sc : null;
+}
+
+export const normalizeAcceptance = (list) => asList(list).map(normalizeScenario).filter(Boolean);
+
+/* Plain Gherkin text (as typed in the editor) → scenarios */
+export function parseGherkin(text = "") {
+  const out = [];
+  let sc = null;
+  let key = "given";
+  const start = (name) => { sc = { name, given: [], when: [], then: [] }; out.push(sc); key = "given"; };
+
+  String(text).split("\n").map(l => l.trim()).filter(Boolean).forEach(line => {
+    const head = line.match(/^scenario(?: outline)?:\s*(.*)$/i);
+    if (head) { start(head[1] || `Scenario ${out.length + 1}`); return; }
+    // a one-line "Given … When … Then …" counts as a whole scenario
+    const inline = line.match(/^given\s+(.+?)\s+when\s+(.+?)\s+then\s+(.+)$/i);
+    if (inline) {
+      start(`Scenario ${out.length + 1}`);
+      sc.given.push(inline[1]); sc.when.push(inline[2]); sc.then.push(inline[3]);
+      return;
+    }
+    const step = line.match(/^(given|when|then|and|but|\*)\s+(.*)$/i);
+    if (!step) return;
+    if (!sc) start(`Scenario ${out.length + 1}`);
+    const kw = step[1].toLowerCase();
+    if (STEP_KEYS.includes(kw)) key = kw;
+    sc[key].push(step[2]);
+  });
+  return out.filter(s => s.when.length || s.then.length);
+}
+
+/* [{ keyword, text }] with And for follow-on steps, as Gherkin writes them */
+export const scenarioSteps = (sc) => STEP_KEYS.flatMap(k => sc[k].map((text, i) => ({
+  keyword: i === 0 ? k.charAt(0).toUpperCase() + k.slice(1) : "And",
+  text,
+})));
+
+const stepLines = (sc, indent) => scenarioSteps(sc).map(s => `${indent}${s.keyword} ${s.text}`);
+
+/* Scenarios → editable Gherkin text */
+export function gherkinText(acceptance) {
+  return normalizeAcceptance(acceptance)
+    .map(sc => [`Scenario: ${sc.name}`, ...stepLines(sc, "  ")].join("\n"))
+    .join("\n\n");
+}
+
+/* One-line form used in documents: "Given a; When b; Then c" */
+export const scenarioLine = (sc) => STEP_KEYS
+  .filter(k => sc[k].length)
+  .map(k => `${k.charAt(0).toUpperCase() + k.slice(1)} ${sc[k].join(" and ")}`)
+  .join("; ");
+
+/* ---- Model round-trip ---- */
+export function buildAcceptancePrompt(spec, ids, context = []) {
+  const wanted = new Set(ids);
+  const items = normalizeFunctional(spec?.functional)
+    .filter(r => wanted.has(r.id))
+    .map(({ id, level, statement, bullets }) => ({ id, level, statement, bullets }));
+  return [
+    "You are a QA engineer writing acceptance criteria for a requirements document.",
+    ...context,
+    `Project: ${spec?.title || "Requirements"}. ${spec?.summary || ""}`.trim(),
+    "Requirements:",
+    JSON.stringify(items, null, 2),
+    "For each requirement write 1 to 3 Gherkin scenarios covering the main success path and the most important failure or edge case. Steps must be concrete and testable.",
+    `Return ONLY a JSON object of the form
+{ "acceptance": [ { "id": "FR001", "scenarios": [ { "name": string, "given": [string], "when": [string], "then": [string] } ] } ] }
+Steps are plain text without the Given/When/Then keyword. No Markdown, code fences or explanatory text.`,
+  ].join("\n\n");
+}
+
+/* Reply → { byId: { FR001: [scenario] }, fixes } or { byId: null, error } */
+export function parseAcceptance(raw) {
+  const { value, fixes } = parseModelJson(raw);
+  if (!value || typeof value !== "object") return { byId: null, fixes, error: "The model reply is not valid JSON." };
+  const list = Array.isArray(value) ? value : value.acceptance ?? value.requirements ?? value.functional;
+  const byId = {};
+  if (Array.isArray(list)) {
+    list.forEach(entry => {
+      const id = entry?.id;
+      const scenarios = normalizeAcceptance(entry?.scenarios ?? entry?.acceptance ?? entry?.acceptanceCriteria);
+      if (id && scenarios.length) byId[id] = scenarios;
+    });
+  } else if (list && typeof list === "object") {
+    // { "FR001": [ ... ] }
+    Object.entries(list).forEach(([id, scenarios]) => {
+      const norm = normalizeAcceptance(scenarios);
+      if (norm.length) byId[id] = norm;
+    });
+  }
+  if (!Object.keys(byId).length) return { byId: null, fixes, error: "The model reply has no acceptance criteria." };
+  return { byId, fixes };
+}
+
+export function applyAcceptance(spec, byId) {
+  const functional = normalizeFunctional(spec.functional)
+    .map(r => (byId[r.id] ? { ...r, acceptance: byId[r.id] } : r));
+  return { ...spec, functional };
+}
+
+/* ---- Cucumber export: one .feature per requirement ---- */
+const slug = (s = "") => s.toLowerCase().replace(/^the system (must|should|could|won'?t)\s+/, "")
+  .replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "").slice(0, 40);
+
+export function featureFile(req, specTitle = "") {
+  const lines = [
+    `@${req.id} @${String(req.level || "SHOULD").toLowerCase()}`,
+    `Feature: ${req.id} ${req.statement}`,
+  ];
+  if (specTitle) lines.push(`  From: ${specTitle}`);
+  asList(req.bullets).forEach(b => lines.push(`  - ${b}`));
+  if (req.rationale) lines.push(`  Rationale: ${req.rationale}`);
+  normalizeAcceptance(req.acceptance).forEach(sc => {
+    lines.push("", `  Scenario: ${sc.name}`, ...stepLines(sc, "    "));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/* Requirements that have criteria → [{ name, data }] */
+export function featureFiles(spec) {
+  return normalizeFunctional(spec?.functional)
+    .filter(r => normalizeAcceptance(r.acceptance).length)
+    .map(r => ({ name: `features/${r.id}_${slug(r.statement) || "requirement"}.feature`, data: featureFile(r, spec?.title) }));
+}
+
+export function featuresZip(spec, date = new Date()) {
+  const files = featureFiles(spec);
+  return files.length ? zipFiles(files, date) : null;
+}
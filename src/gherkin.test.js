@@ -0,0 +1,60 @@
+//gherkin.test.js
+import { parseGherkin, gherkinText, parseAcceptance, applyAcceptance, featureFile, featuresZip } from './gherkin';
+import { mdFromJson } from './exporters';
+
+const latin1 = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+const SPEC = {
+  title: 'Tracker',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The system MUST record deliveries.' },
+    { id: 'FR002', level: 'SHOULD', statement: 'The system SHOULD send low-stock alerts.' },
+  ],
+};
+
+describe('parseGherkin', () => {
+  test('reads scenarios with And steps and one-line scenarios', () => {
+    const text = 'Scenario: Delivery\n  Given a clerk\n  And a pallet\n  When it is scanned\n  Then stock goes up\n\nGiven a shelf When it empties Then an alert is sent';
+    const scenarios = parseGherkin(text);
+    expect(scenarios).toEqual([
+      { name: 'Delivery', given: ['a clerk', 'a pallet'], when: ['it is scanned'], then: ['stock goes up'] },
+      { name: 'Scenario 2', given: ['a shelf'], when: ['it empties'], then: ['an alert is sent'] },
+    ]);
+    expect(parseGherkin(gherkinText(scenarios))).toEqual(scenarios);
+  });
+});
+
+describe('parseAcceptance', () => {
+  test('keys scenarios by requirement id and tolerates keywords in steps', () => {
+    const raw = JSON.stringify({ acceptance: [
+      { id: 'FR001', scenarios: [{ name: 'Scan', given: 'Given a clerk', when: ['a pallet is scanned'], then: ['stock goes up'] }] },
+      { id: 'FR002', scenarios: [] },
+    ] });
+    const { byId } = parseAcceptance(raw);
+    expect(Object.keys(byId)).toEqual(['FR001']);
+    expect(byId.FR001[0].given).toEqual(['a clerk']);
+    expect(applyAcceptance(SPEC, byId).functional[0].acceptance).toHaveLength(1);
+    expect(parseAcceptance('{"acceptance": []}').byId).toBeNull();
+  });
+});
+
+describe('feature export', () => {
+  const spec = { ...SPEC, functional: [{ ...SPEC.functional[0], acceptance: [{ name: 'Scan', given: ['a clerk'], when: ['a pallet is scanned'], then: ['stock goes up', 'a receipt is printed'] }] }, SPEC.functional[1]] };
+
+  test('writes one tagged feature per requirement', () => {
+    const text = featureFile(spec.functional[0], spec.title);
+    expect(text).toContain('@FR001 @must\nFeature: FR001 The system MUST record deliveries.');
+    expect(text).toContain('  Scenario: Scan\n    Given a clerk\n    When a pallet is scanned\n    Then stock goes up\n    And a receipt is printed');
+  });
+
+  test('zips only requirements that have criteria', () => {
+    const text = latin1(featuresZip(spec));
+    expect(text).toContain('features/FR001_record_deliveries.feature');
+    expect(text).not.toContain('FR002_');
+    expect(featuresZip(SPEC)).toBeNull();
+  });
+
+  test('documents list scenarios under the requirement', () => {
+    expect(mdFromJson(spec)).toContain('_Scenario: Scan_ — Given a clerk; When a pallet is scanned; Then stock goes up and a receipt is printed');
+  });
+});
@@ -0,0 +1,130 @@
+/* ───────── Glossary: defined terms, synonym checks, bulk replace ─────────
+ * Stored on the spec as
+ *   glossary: [{ term, definition, synonyms: [string] }]
+ * A synonym is a word the document should not use for the term ("customer"
+ * for "user"). Text is checked in statements, bullets, rationale and NFRs.
+ */
+import { asList, normalizeFunctional } from "./requirements";
+
+// Words that specs tend to mix up; used when the glossary does not settle it yet
+const SYNONYM_GROUPS = [
+  ["user", "customer", "member", "client", "end user"],
+  ["administrator", "admin", "superuser"],
+  ["account", "profile"],
+  ["product", "item", "article", "sku"],
+  ["order", "purchase"],
+  ["sign in", "log in", "login"],
+  ["delete", "remove"],
+  ["notification", "alert"],
+  ["dashboard", "overview page"],
+];
+
+export function normalizeGlossary(list) {
+  const seen = new Set();
+  return asList(list)
+    .map(e => ({
+      term: String(e?.term ?? "").trim(),
+      definition: String(e?.definition ?? "").trim(),
+      synonyms: asList(typeof e?.synonyms === "string" ? e.synonyms.split(",") : e?.synonyms)
+        .map(s => String(s).trim()).filter(Boolean),
+    }))
+    .filter(e => {
+      const k = e.term.toLowerCase();
+      if (!k || seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+}
+
+/* Alphabetical { term, definition } rows for the Definitions section */
+export const definitionRows = (spec) => normalizeGlossary(spec?.glossary)
+  .sort((a, b) => a.term.localeCompare(b.term))
+  .map(({ term, definition }) => ({ term, definition }));
+
+/* ---- Where text lives in a spec ---- */
+function textSlots(spec) {
+  const slots = [];
+  normalizeFunctional(spec?.functional).forEach(r => {
+    slots.push({ where: `${r.id} statement`, text: r.statement });
+    r.bullets.forEach((b, i) => slots.push({ where: `${r.id} bullet ${i + 1}`, text: String(b) }));
+    if (r.rationale) slots.push({ where: `${r.id} rationale`, text: r.rationale });
+  });
+  asList(spec?.nonFunctional).forEach((n, i) => slots.push({ where: `NFR ${i + 1}`, text: String(n) }));
+  return slots;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// whole words, simple plural: "customer" matches "Customers"
+const wordPattern = (word) => new RegExp(`\\b${escapeRe(word).replace(/\s+/g, "[\\s-]+")}(s|es)?\\b`, "gi");
+
+const countIn = (slots, word) => slots.reduce((n, s) => n + (s.text.match(wordPattern(word)) || []).length, 0);
+
+/* ---- Candidate terms: repeated nouns and two-word phrases ---- */
+const STOP = new Set(("the a an and or of to in on for with by from at as is are be been must shall should could "
+  + "will wont may can not no all any each every this that these those it its their them they system when within "
+  + "using use used able per into than then also only more most least such other new via without after before "
+  + "during over under between about").split(" "));
+
+export function extractTerms(spec, limit = 12) {
+  const known = new Set(normalizeGlossary(spec?.glossary).flatMap(e => [e.term, ...e.synonyms]).map(t => t.toLowerCase()));
+  const counts = new Map();
+  const bump = (t) => counts.set(t, (counts.get(t) || 0) + 1);
+
+  textSlots(spec).forEach(({ text }) => {
+    const words = text.replace(/^[A-Z][\w &/-]{0,30}:\s*/, "").toLowerCase().match(/[a-z][a-z-]+/g) || [];
+    words.forEach((w, i) => {
+      if (w.length < 4 || STOP.has(w)) return;
+      bump(w.replace(/(?<=[^s])s$/, ""));
+      const next = words[i + 1];
+      if (next && next.length > 3 && !STOP.has(next)) bump(`${w} ${next.replace(/(?<=[^s])s$/, "")}`);
+    });
+  });
+
+  return [...counts.entries()]
+    .filter(([t, n]) => n >= 2 && !known.has(t))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+/*
+ * Terminology problems:
+ *   { variants: [{ term, word, count, where: [string] }]    glossary synonyms still in use
+ *     mixed: [{ words: [{ word, count }] }] }                 built-in synonym groups used more than one way
+ */
+export function checkTerminology(spec) {
+  const slots = textSlots(spec);
+  const glossary = normalizeGlossary(spec?.glossary);
+
+  const variants = glossary.flatMap(e => e.synonyms.map(word => ({
+    term: e.term,
+    word,
+    count: countIn(slots, word),
+    where: slots.filter(s => wordPattern(word).test(s.text)).map(s => s.where),
+  }))).filter(v => v.count);
+
+  const settled = new Set(glossary.flatMap(e => [e.term, ...e.synonyms]).map(t => t.toLowerCase()));
+  const mixed = SYNONYM_GROUPS
+    .filter(g => !g.some(w => settled.has(w)))
+    .map(g => ({ words: g.map(word => ({ word, count: countIn(slots, word) })).filter(w => w.count) }))
+    .filter(g => g.words.length > 1);
+
+  return { variants, mixed };
+}
+
+/* ---- Bulk replace, keeping a capital first letter and plurals ---- */
+const matchCase = (found, word) => (found[0] === found[0].toUpperCase() ? word.charAt(0).toUpperCase() + word.slice(1) : word);
+
+export function replaceTerm(spec, from, to) {
+  const re = wordPattern(from);
+  let count = 0;
+  const swap = (text) => String(text).replace(re, (found, plural) => { count++; return matchCase(found, to) + (plural ? (/(s|x|z|ch|sh)$/i.test(to) ? "es" : "s") : ""); });
+  const functional = normalizeFunctional(spec?.functional).map(r => ({
+    ...r,
+    statement: swap(r.statement),
+    bullets: r.bullets.map(swap),
+    ...(r.rationale && { rationale: swap(r.rationale) }),
+  }));
+  const nonFunctional = asList(spec?.nonFunctional).map(swap);
+  return { spec: count ? { ...spec, functional, nonFunctional } : spec, count };
+}
@@ -0,0 +1,53 @@
+//glossary.test.js
+import { extractTerms, checkTerminology, replaceTerm, definitionRows, normalizeGlossary } from './glossary';
+import { htmlForPdf, mdFromJson, specBlocks } from './exporters';
+
+const SPEC = {
+  title: 'Shop',
+  summary: 'Online shop.',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The user MUST be able to browse the product catalogue.', bullets: ['Customers can filter by price'] },
+    { id: 'FR002', level: 'SHOULD', statement: 'The system SHOULD email the customer an order receipt.', bullets: [] },
+  ],
+  nonFunctional: ['Security: User passwords MUST be hashed.', 'Performance: Product catalogue pages load in 2s.'],
+};
+
+describe('terminology', () => {
+  test('suggests repeated terms that are not yet defined', () => {
+    const terms = extractTerms(SPEC).map(t => t.term);
+    expect(terms).toEqual(expect.arrayContaining(['product catalogue', 'customer', 'user']));
+    expect(extractTerms({ ...SPEC, glossary: [{ term: 'Customer' }] }).map(t => t.term)).not.toContain('customer');
+  });
+
+  test('flags glossary synonyms with their locations, and built-in groups used both ways', () => {
+    const { variants, mixed } = checkTerminology({ ...SPEC, glossary: [{ term: 'user', synonyms: 'customer, client' }] });
+    expect(variants).toEqual([{ term: 'user', word: 'customer', count: 2, where: ['FR001 bullet 1', 'FR002 statement'] }]);
+    expect(mixed).toEqual([]);
+    expect(checkTerminology(SPEC).mixed[0].words).toEqual([{ word: 'user', count: 2 }, { word: 'customer', count: 2 }]);
+  });
+
+  test('bulk replace keeps capitals and plurals across statements, bullets and NFRs', () => {
+    const { spec, count } = replaceTerm(SPEC, 'customer', 'user');
+    expect(count).toBe(2);
+    expect(spec.functional[0].bullets).toEqual(['Users can filter by price']);
+    expect(spec.functional[1].statement).toBe('The system SHOULD email the user an order receipt.');
+    expect(replaceTerm(SPEC, 'product', 'item').spec.nonFunctional[1]).toBe('Performance: Item catalogue pages load in 2s.');
+    expect(replaceTerm(SPEC, 'basket', 'cart')).toEqual({ spec: SPEC, count: 0 });
+  });
+});
+
+describe('definitions', () => {
+  const spec = { ...SPEC, glossary: [{ term: 'SKU', definition: 'Stock keeping unit.' }, { term: 'Basket', definition: 'Items picked for checkout.' }, { term: 'sku' }] };
+
+  test('glossary is cleaned up and sorted', () => {
+    expect(normalizeGlossary(spec.glossary)).toHaveLength(2);
+    expect(definitionRows(spec).map(r => r.term)).toEqual(['Basket', 'SKU']);
+  });
+
+  test('every export gets a Definitions section', () => {
+    expect(mdFromJson(spec)).toContain('## Definitions\n- **Basket** — Items picked for checkout.\n- **SKU** — Stock keeping unit.');
+    expect(htmlForPdf(spec)).toContain('<h2>Definitions</h2>');
+    expect(specBlocks(spec).some(b => b.t === 'h2' && b.runs?.[0]?.text === 'Definitions')).toBe(true);
+    expect(mdFromJson(SPEC)).not.toContain('Definitions');
+  });
+});
@@ -0,0 +1,159 @@
+/* ───────── Version history + diff for a requirements document ───────── */
+import { asList, normalizeFunctional } from "./requirements";
+
+// Oldest versions are dropped past this point so a spec stays within localStorage limits
+export const MAX_VERSIONS = 40;
+
+/*
+ * versions: append-only log ({ id, n, label, at, reqJson, pinned?, folded? }), never rewritten by undo.
+ * currentId: version shown right now. past/future: version ids for undo/redo.
+ * Pinned versions (the first one, generated drafts, restores) are never trimmed;
+ * folded ones (review metadata) absorb the folded changes that follow them.
+ */
+export function emptyHistory(reqJson = null) {
+  const h = { versions: [], currentId: null, past: [], future: [], seq: 0 };
+  return reqJson ? recordVersion(h, reqJson, "Initial") : h;
+}
+
+export const currentVersion = (h) => h?.versions.find(v => v.id === h.currentId) || null;
+export const currentSpec = (h) => currentVersion(h)?.reqJson ?? null;
+export const canUndo = (h) => Boolean(h?.past.length);
+export const canRedo = (h) => Boolean(h?.future.length);
+
+/* Keeps the newest `max` versions, plus the current and pinned ones */
+export function trimHistory(h, max = MAX_VERSIONS) {
+  if (!h?.versions || h.versions.length <= max) return h;
+  const drop = new Set(
+    h.versions.slice(0, h.versions.length - max).filter(v => !v.pinned && v.id !== h.currentId).map(v => v.id)
+  );
+  const keep = (id) => !drop.has(id);
+  return {
+    ...h,
+    versions: h.versions.filter(v => keep(v.id)),
+    past: h.past.filter(keep),
+    future: h.future.filter(keep),
+  };
+}
+
+export function recordVersion(h, reqJson, label = "Edited", { pin = false, fold = false } = {}) {
+  if (!reqJson) return h;
+  if (JSON.stringify(currentSpec(h)) === JSON.stringify(reqJson)) return h;
+  const cur = currentVersion(h);
+  if (fold && cur?.folded && cur === h.versions[h.versions.length - 1]) {
+    const amended = { ...cur, label: "Review updates", at: Date.now(), reqJson };
+    return { ...h, versions: h.versions.map(v => (v === cur ? amended : v)), future: [] };
+  }
+  const n = (h.seq || 0) + 1;
+  const v = {
+    id: `v${n}`, n, label, at: Date.now(), reqJson,
+    ...((pin || !h.versions.length) && { pinned: true }),
+    ...(fold && { folded: true }),
+  };
+  return trimHistory({
+    versions: [...h.versions, v],
+    currentId: v.id,
+    past: h.currentId ? [...h.past, h.currentId] : h.past,
+    future: [],
+    seq: n,
+  });
+}
+
+export function undo(h) {
+  if (!canUndo(h)) return h;
+  return {
+    ...h,
+    currentId: h.past[h.past.length - 1],
+    past: h.past.slice(0, -1),
+    future: [...h.future, h.currentId],
+  };
+}
+
+export function redo(h) {
+  if (!canRedo(h)) return h;
+  return {
+    ...h,
+    currentId: h.future[h.future.length - 1],
+    past: [...h.past, h.currentId],
+    future: h.future.slice(0, -1),
+  };
+}
+
+/* Restoring appends a copy, so the version being replaced stays in the log */
+export function restoreVersion(h, versionId) {
+  const v = h.versions.find(x => x.id === versionId);
+  return v ? recordVersion(h, v.reqJson, `Restored v${v.n}`, { pin: true }) : h;
+}
+
+/* ---- Diff two specs, functional requirements keyed by id ---- */
+const REQ_FIELDS = ["statement", "level", "bullets", "rationale", "standards", "acceptance", "tracesTo", "verifiedBy"];
+const LIST_VALUED = ["bullets", "standards", "acceptance", "tracesTo", "verifiedBy"];
+const LIST_FIELDS = [
+  ["nonFunctional", "Non-functional"],
+  ["constraints", "Constraints"],
+  ["outOfScope", "Out of Scope"],
+  ["openQuestions", "Open Questions"],
+  ["useCases", "Use Cases"],
+  ["verification", "Verification items"],
+];
+
+// Spec-level fields shown by name only; anything not listed here appears under its key
+const OTHER_TITLES = {
+  glossary: "Glossary",
+  diagrams: "Diagrams",
+  nfr: "NFR categories",
+  priority: "Prioritisation",
+  review: "Review",
+};
+const SHOWN_KEYS = new Set(["functional", "title", "summary", "risks", ...LIST_FIELDS.map(([key]) => key)]);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const fieldValue = (r, f) => (LIST_VALUED.includes(f) ? asList(r[f]) : (r[f] || ""));
+const keysOf = (...objs) => [...new Set(objs.flatMap(o => Object.keys(o || {})))];
+
+export function diffSpecs(before, after) {
+  const a = normalizeFunctional(before?.functional);
+  const b = normalizeFunctional(after?.functional);
+  const aById = new Map(a.map(r => [r.id, r]));
+  const bById = new Map(b.map(r => [r.id, r]));
+
+  const added = b.filter(r => !aById.has(r.id));
+  const removed = a.filter(r => !bById.has(r.id));
+  const changed = b
+    .filter(r => aById.has(r.id))
+    .map(r => {
+      const prev = aById.get(r.id);
+      const fields = [
+        ...REQ_FIELDS.filter(f => !same(fieldValue(prev, f), fieldValue(r, f))),
+        ...keysOf(prev, r).filter(f => f !== "id" && !REQ_FIELDS.includes(f) && !same(prev[f], r[f])),
+      ];
+      return {
+        id: r.id,
+        before: prev,
+        after: r,
+        fields,
+        levelChange: fields.includes("level") ? { from: prev.level, to: r.level } : null,
+      };
+    })
+    .filter(c => c.fields.length);
+
+  const lists = LIST_FIELDS.map(([key, title]) => {
+    const x = asList(before?.[key]).map(String);
+    const y = asList(after?.[key]).map(String);
+    return {
+      key, title,
+      added: y.filter(s => !x.includes(s)),
+      removed: x.filter(s => !y.includes(s)),
+    };
+  }).filter(l => l.added.length || l.removed.length);
+
+  const meta = ["title", "summary"].filter(k => !same(before?.[k], after?.[k]));
+  const riskChanged = !same(before?.risks, after?.risks);
+  const other = keysOf(before, after)
+    .filter(k => !SHOWN_KEYS.has(k) && !same(before?.[k], after?.[k]))
+    .map(k => OTHER_TITLES[k] || k);
+
+  return {
+    added, removed, changed, lists, meta, riskChanged, other,
+    empty: !added.length && !removed.length && !changed.length && !lists.length && !meta.length && !riskChanged && !other.length,
+  };
+}
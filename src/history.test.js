@@ -0,0 +1,97 @@
+//history.test.js
+import {
+  emptyHistory, recordVersion, undo, redo, restoreVersion, currentSpec, canUndo, canRedo, diffSpecs, MAX_VERSIONS,
+} from './history';
+
+const v1 = {
+  title: 'Tracker',
+  functional: [
+    { id: 'FR001', level: 'SHOULD', statement: 'Log in with email.' },
+    { id: 'FR002', level: 'MUST', statement: 'Export reports.' },
+  ],
+  constraints: ['Runs on tablets'],
+};
+const v2 = {
+  ...v1,
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'Log in with email.' },
+    { id: 'FR003', level: 'COULD', statement: 'Dark mode.' },
+  ],
+  constraints: ['Runs on tablets', 'No native app'],
+};
+
+describe('version history', () => {
+  test('undo and redo move between versions without dropping any', () => {
+    let h = recordVersion(emptyHistory(v1), v2, 'Edited');
+    expect(currentSpec(h)).toBe(v2);
+    h = undo(h);
+    expect(currentSpec(h)).toBe(v1);
+    expect(canUndo(h)).toBe(false);
+    h = redo(h);
+    expect(currentSpec(h)).toBe(v2);
+    expect(canRedo(h)).toBe(false);
+    expect(h.versions).toHaveLength(2);
+  });
+
+  test('identical content is not recorded twice', () => {
+    const h = emptyHistory(v1);
+    expect(recordVersion(h, { ...v1 }, 'Edited')).toBe(h);
+  });
+
+  test('restore appends a copy of the old version', () => {
+    let h = recordVersion(emptyHistory(v1), v2, 'Edited');
+    h = restoreVersion(h, 'v1');
+    expect(h.versions.map(v => v.label)).toEqual(['Initial', 'Edited', 'Restored v1']);
+    expect(currentSpec(h)).toEqual(v1);
+    expect(currentSpec(undo(h))).toBe(v2);
+  });
+});
+
+describe('trimming and folding', () => {
+  const edit = (i) => ({ ...v1, title: `Tracker ${i}` });
+
+  test('old versions are dropped but the first draft and restores are kept', () => {
+    let h = emptyHistory(v1);
+    for (let i = 1; i <= MAX_VERSIONS; i++) h = recordVersion(h, edit(i));
+    h = restoreVersion(h, h.versions[1].id);
+    for (let i = 1; i <= MAX_VERSIONS; i++) h = recordVersion(h, edit(100 + i));
+    expect(h.versions).toHaveLength(MAX_VERSIONS + 2);
+    expect(h.versions[0]).toMatchObject({ label: 'Initial', pinned: true, reqJson: v1 });
+    expect(h.versions[1]).toMatchObject({ label: 'Restored v2', pinned: true });
+  });
+
+  test('consecutive folded changes share one version and undo skips them together', () => {
+    let h = recordVersion(emptyHistory(v1), v2, 'Edited');
+    h = recordVersion(h, { ...v2, review: { status: { FR001: 'approved' } } }, 'Marked FR001 Approved', { fold: true });
+    h = recordVersion(h, { ...v2, review: { status: { FR001: 'approved', FR003: 'rejected' } } }, 'Marked FR003 Rejected', { fold: true });
+    expect(h.versions.map(v => v.label)).toEqual(['Initial', 'Edited', 'Review updates']);
+    expect(currentSpec(h).review.status.FR003).toBe('rejected');
+    expect(currentSpec(undo(h))).toBe(v2);
+    h = recordVersion(h, v1, 'Edited');
+    h = recordVersion(h, { ...v1, review: {} }, 'Commented', { fold: true });
+    expect(h.versions).toHaveLength(5);
+  });
+});
+
+describe('diffSpecs', () => {
+  test('reports added, removed and level changes keyed by id', () => {
+    const d = diffSpecs(v1, v2);
+    expect(d.added.map(r => r.id)).toEqual(['FR003']);
+    expect(d.removed.map(r => r.id)).toEqual(['FR002']);
+    expect(d.changed).toHaveLength(1);
+    expect(d.changed[0]).toMatchObject({ id: 'FR001', levelChange: { from: 'SHOULD', to: 'MUST' } });
+    expect(d.lists).toEqual([{ key: 'constraints', title: 'Constraints', added: ['No native app'], removed: [] }]);
+  });
+
+  test('reports acceptance, trace and other spec fields that changed', () => {
+    const linked = { ...v1, functional: v1.functional.map((r, i) => (i ? r : { ...r, tracesTo: ['UC1'], acceptance: [{ name: 'Log', given: [], when: ['I log'], then: ['it is kept'] }] })) };
+    const d = diffSpecs(v1, { ...linked, glossary: [{ term: 'SKU', definition: 'Stock unit' }], priority: { topN: 5 } });
+    expect(d.changed.map(c => c.fields)).toEqual([['acceptance', 'tracesTo']]);
+    expect(d.other).toEqual(['Glossary', 'Prioritisation']);
+    expect(d.empty).toBe(false);
+  });
+
+  test('is empty for identical specs', () => {
+    expect(diffSpecs(v1, v1).empty).toBe(true);
+  });
+});
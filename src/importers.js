@@ -0,0 +1,356 @@
+/* ───────── Import existing specs: Markdown, CSV, JSON → reqJson ─────────
+ * Best-effort readers for legacy documents (and MaiSpec's own exports).
+ * Each returns fields for createSpec plus a short summary of what was found:
+ *   { fields: { reqJson, name? }, summary }
+ */
+import { asList, norm, normalizeFunctional } from "./requirements";
+import { parseGherkin } from "./gherkin";
+import { readSpecFile } from "./workspace";
+import { DEFAULT_NFR_CATEGORIES } from "./nfrCategories";
+
+export const IMPORT_ACCEPT = ".md,.markdown,.csv,.json,.txt";
+
+/* ---- Levels and ids ---- */
+const LEVEL_WORDS = [
+  ["MUST", /^(must(\s+have)?|shall|required|mandatory|critical|blocker|highest|high|p0)$/i],
+  ["SHOULD", /^(should(\s+have)?|medium|normal|major|p1)$/i],
+  ["COULD", /^(could(\s+have)?|may|optional|nice to have|low|minor|trivial|p2)$/i],
+  ["WONT", /^(won'?t(\s+have)?|will not|not now|lowest|p3|p4)$/i],
+];
+// Bare 1–4 only mean a level under a priority heading; a "Level" or "No." column of digits is something else
+const NUMERIC_LEVELS = { 1: "MUST", 2: "SHOULD", 3: "COULD", 4: "WONT" };
+const PRIORITY_HEADER = /^(priority|moscow|importance)$/i;
+
+/* A priority/level cell ("High", "P1", "Must have") → MUST/SHOULD/COULD/WONT, or "" */
+export function levelFromLabel(value, { numeric = false } = {}) {
+  const v = String(value ?? "").trim();
+  if (numeric && NUMERIC_LEVELS[v]) return NUMERIC_LEVELS[v];
+  return LEVEL_WORDS.find(([, re]) => re.test(v))?.[0] || "";
+}
+
+/*
+ * Modal verb in the sentence, or "". SHALL counts as MUST and MAY as COULD;
+ * legacy specs often write "shall" in lower case, but lower-case could/may/won't is just prose.
+ */
+export function levelFromText(text = "") {
+  const m = String(text).match(/\b(must|shall|should)\b/i) || String(text).match(/\b(COULD|MAY|WON'?T)\b/);
+  if (!m) return "";
+  const word = m[1].toUpperCase().replace("'", "");
+  return { SHALL: "MUST", MAY: "COULD" }[word] || word;
+}
+
+const NFR_ID = /^NFR[\s_-]?\d+\s*[:.)–—-]?\s*/i;
+const ID_PREFIX = /^\[?\*{0,2}\s*FR[\s_-]?(\d+)\s*[:.)]?\*{0,2}\]?\s*[:.)\]–—-]?\s*/i;
+
+/* "FR-7: Text" / "**FR007** Text" → { id: "FR007", rest: "Text" } */
+export function splitReqId(text = "") {
+  const s = String(text).trim();
+  const m = s.match(ID_PREFIX);
+  if (!m) return { id: "", rest: s };
+  return { id: `FR${m[1].padStart(3, "0")}`, rest: s.slice(m[0].length).trim() };
+}
+
+// Looser than the categories' own keywords: these read headings and labels, not sentences
+const NFR_CATEGORY_WORDS = {
+  reliability: /reliab|availab|uptime|resilien|recover/i,
+  performance: /perform|latency|speed|scalab|capacity/i,
+  security: /secur|authenticat|encrypt/i,
+  usability: /usab|user experience|\bux\b/i,
+  maintainability: /maintain|support|operab|observab/i,
+  portability: /portab|compatib/i,
+  safety: /safety|hazard/i,
+  compliance: /complian|regulat|legal|accessib|privacy/i,
+  verification: /verif|validat|test|quality assurance|\bqa\b/i,
+};
+const CATEGORY_TITLES = Object.fromEntries(DEFAULT_NFR_CATEGORIES.map(c => [c.key, c.title]));
+
+const knownCategory = (hint = "") => Object.keys(NFR_CATEGORY_WORDS).find(k => NFR_CATEGORY_WORDS[k].test(hint));
+
+/* "Performance: ..." prefix so the line lands in the right NFR section (see bucketNFR) */
+function nfrLine(text, categoryHint = "") {
+  const s = String(text).trim();
+  if (/^[A-Z][\w &/-]{0,30}:\s/.test(s)) return s;
+  const key = knownCategory(categoryHint);
+  const title = key ? CATEGORY_TITLES[key] : String(categoryHint).trim();
+  return title ? `${title.charAt(0).toUpperCase()}${title.slice(1)}: ${s}` : s;
+}
+
+const stripMd = (s = "") => String(s)
+  .replace(/\*\*(.+?)\*\*/g, "$1").replace(/__(.+?)__/g, "$1")
+  .replace(/(^|\W)_(.+?)_(?=\W|$)/g, "$1$2").replace(/`([^`]+)`/g, "$1").trim();
+
+function summaryOf(reqJson) {
+  const f = normalizeFunctional(reqJson.functional).length;
+  const n = (reqJson.nonFunctional || []).length;
+  return `${f} functional and ${n} non-functional requirement${n === 1 ? "" : "s"}`;
+}
+
+/* De-duplicate by statement, then number items that have no id or reuse an earlier one */
+function finish(reqJson) {
+  const seen = new Set();
+  const ids = new Set();
+  const functional = reqJson.functional.filter(r => {
+    const k = norm(r.statement);
+    if (!k || seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  }).map(r => {
+    if (!r.id) return r;
+    if (ids.has(r.id)) return { ...r, id: "" };
+    ids.add(r.id);
+    return r;
+  });
+  return { ...reqJson, functional: normalizeFunctional(functional) };
+}
+
+/* ---- Markdown ---- */
+// Heading → section; order matters ("Security Requirements" is an NFR category, not functional)
+const SECTION_PATTERNS = [
+  ["skip", /traceab|summary of changes|table of contents|revision/i],
+  ["top", /key must|top\s*\d/i],
+  ["nonFunctional", /non[- ]?functional|\bnfrs?\b|quality attribute/i],
+  ["nfrCategory", /reliab|availab|perform|scalab|maintain|complian|security|privacy|accessib|usabil|portab|safety|verif|validat|testing/i],
+  ["useCases", /use case|user stor|scenario/i],
+  ["constraints", /constraint|assumption|limitation/i],
+  ["outOfScope", /out of scope|non[- ]?goals|exclusion/i],
+  ["risks", /risk/i],
+  ["openQuestions", /question|tbd|to be decided/i],
+  ["functional", /functional|feature|requirement|capabilit/i],
+  ["summary", /summary|overview|introduction|purpose|background/i],
+];
+
+const sectionOf = (heading) => SECTION_PATTERNS.find(([, re]) => re.test(heading))?.[0] || "other";
+
+export function importMarkdown(text = "") {
+  const spec = { title: "", summary: "", functional: [], nonFunctional: [], constraints: [], outOfScope: [], risks: [], openQuestions: [], useCases: [] };
+  const intro = [];   // text between the title and the first section
+  const summary = []; // an explicit Summary/Overview section wins over the intro
+  let section = "intro";
+  let nfrCategory = "";
+  let level = "";
+  let current = null; // last functional requirement, for sub-bullets
+
+  const addFunctional = (raw, lvl) => {
+    const clean = stripMd(raw);
+    const lead = clean.match(/^(MUST|SHOULD|COULD|WON'T|P[0-3])\s*[—–:-]\s*/); // "**MUST** — statement" (Top N)
+    const { id, rest } = splitReqId(lead ? clean.slice(lead[0].length) : clean);
+    if (!rest) return;
+    current = { id, level: (lead && levelFromLabel(lead[1])) || levelFromText(rest) || lvl || "SHOULD", statement: rest, bullets: [] };
+    spec.functional.push(current);
+  };
+
+  const addDetail = (raw) => {
+    const s = stripMd(raw);
+    const meta = s.match(/^(Rationale|Standards):\s*(.*)$/i);
+    if (meta && meta[1].toLowerCase() === "rationale") current.rationale = meta[2];
+    else if (meta) current.standards = meta[2].split(/;\s*/).filter(Boolean);
+    else if (/^Scenario:/i.test(s)) {
+      const [, name, steps] = s.match(/^Scenario:\s*(.*?)\s*[—–]\s*(.*)$/i) || [null, "", s.replace(/^Scenario:\s*/i, "")];
+      const sc = parseGherkin(steps.replace(/;\s*/g, " "))[0];
+      if (sc) current.acceptance = [...(current.acceptance || []), { ...sc, name: name || sc.name }];
+    } else current.bullets.push(s);
+  };
+
+  String(text).replace(/\r\n?/g, "\n").split("\n").forEach(line => {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const [, hashes, title] = heading;
+      current = null;
+      if (hashes.length === 1 && !spec.title) { spec.title = stripMd(title); return; }
+      // "### MUST", "## Should have" … set the level within the current section
+      const lvl = levelFromLabel(title) || levelFromLabel(title.match(/^(must|should|could|won'?t)\b/i)?.[1]);
+      if (lvl) { level = lvl; return; }
+      level = "";
+      const kind = sectionOf(title);
+      if (kind === "nfrCategory") { nfrCategory = title; section = "nonFunctional"; return; }
+      section = kind;
+      nfrCategory = kind === "nonFunctional" ? "" : nfrCategory;
+      return;
+    }
+
+    const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+    const indented = item && item[1].replace(/\t/g, "  ").length >= 2;
+    const body = item ? item[2].trim() : line.trim();
+    if (!body || /^\|?\s*:?-{3,}/.test(body)) return;
+
+    if (section === "skip") return;
+    if (section === "risks" && body.startsWith("|")) {
+      const cells = body.replace(/^\||\|$/g, "").split(/(?<!\\)\|/).map(c => c.replace(/\\\|/g, "|").trim());
+      if (!/^risk$/i.test(cells[0])) spec.risks.push({ risk: cells[0], mitigation: cells[1] || "" });
+      return;
+    }
+    if (indented && current) { addDetail(body); return; }
+
+    switch (section) {
+      case "top":
+      case "functional":
+        if (item || splitReqId(body).id || levelFromText(body)) addFunctional(body, level);
+        return;
+      case "nonFunctional":
+        if (item || levelFromText(body)) spec.nonFunctional.push(nfrLine(stripMd(body), nfrCategory));
+        return;
+      case "constraints": case "outOfScope": case "openQuestions": case "useCases":
+        if (item) spec[section].push(stripMd(body));
+        return;
+      case "risks":
+        if (item) {
+          const [risk, mitigation = ""] = stripMd(body).split(/\s+[—–]\s+|\s*mitigation:\s*/i);
+          spec.risks.push({ risk, mitigation });
+        }
+        return;
+      case "intro":
+      case "summary":
+        if (!item && !splitReqId(body).id) { (section === "intro" ? intro : summary).push(body); return; }
+        if (splitReqId(body).id || levelFromText(body)) addFunctional(body, level);
+        return;
+      default:
+        // unknown sections: keep anything that reads like a requirement
+        if (splitReqId(body).id || levelFromText(body)) addFunctional(body, level);
+    }
+  });
+
+  spec.summary = (summary.length ? summary : intro).join(" ");
+  if (!spec.functional.length && !spec.nonFunctional.length) throw new Error("No requirements found in the Markdown file.");
+  return finish(spec);
+}
+
+/* ---- CSV ---- */
+export function parseCsv(text = "") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^﻿/, "");
+  const delim = (src.split("\n")[0].match(/;/g) || []).length > (src.split("\n")[0].match(/,/g) || []).length ? ";" : ",";
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+/* Column name → field; first match wins, so statement-like names are ordered by preference */
+const COLUMNS = [
+  ["id", /^(id|req(uirement)?[\s_-]?id|key|ref(erence)?|#|no\.?|number)$/i],
+  ["statement", /^(statement|requirement|requirement text|text|shall statement)$/i],
+  ["statement", /^(summary|title|name)$/i],
+  ["details", /^(description|details?|notes?|body|bullets|acceptance criteria)$/i],
+  ["level", /^(level|priority|moscow|importance|obligation)$/i],
+  ["type", /^(type|kind|category|class|requirement type|issue type|work item type)$/i],
+  ["labels", /^(labels?|tags?|components?)$/i],
+  ["rationale", /^(rationale|reason|justification)$/i],
+  ["standards", /^(standards?|references?)$/i],
+];
+
+function columnMap(head) {
+  const map = {};
+  head.forEach((h, i) => {
+    const name = String(h).trim();
+    const hit = COLUMNS.find(([field, re]) => re.test(name) && !(field in map && field !== "labels"));
+    if (!hit) return;
+    const [field] = hit;
+    if (field === "labels") (map.labels = map.labels || []).push(i);
+    else map[field] = i;
+  });
+  return map;
+}
+
+const detailLines = (s = "") => String(s)
+  .replace(/<\/li>|<br\s*\/?>|<\/p>/gi, "\n").replace(/<[^>]+>/g, "")
+  .split("\n").map(l => l.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim()).filter(Boolean);
+
+/* Records with arbitrary keys (CSV rows, JSON objects) → reqJson */
+export function recordsToSpec(records, title = "") {
+  const spec = { title, summary: "", functional: [], nonFunctional: [] };
+  records.forEach(rec => {
+    const get = (k) => (rec[k] == null ? "" : String(rec[k]));
+    const labels = asList(rec.labels).flatMap(l => String(l).split(/[;,]\s*/)).filter(Boolean);
+    const nfrId = get("statement").match(NFR_ID) || get("id").match(/^NFR/i);
+    const { id, rest } = splitReqId(get("statement").replace(NFR_ID, ""));
+    const statement = stripMd(rest);
+    if (!statement) return;
+    const level = levelFromLabel(get("level"), { numeric: rec.priorityColumn })
+      || levelFromLabel(labels.map(l => l.match(/^priority:\s*(\w+)/i)?.[1]).find(Boolean), { numeric: true })
+      || levelFromText(statement) || "SHOULD";
+
+    if (nfrId || /non[- ]?functional|\bnfrs?\b/i.test([get("type"), ...labels].join(" "))) {
+      spec.nonFunctional.push(nfrLine(statement, [...labels, get("type")].find(knownCategory) || ""));
+      return;
+    }
+    const details = (Array.isArray(rec.details) ? rec.details.map(String) : detailLines(get("details")))
+      .filter(d => !/^\**Requirement:\**/i.test(d)); // the header line of MaiSpec's GitHub issues
+    spec.functional.push({
+      id: splitReqId(get("id")).id || id,
+      level,
+      statement,
+      bullets: details.filter(d => norm(d) !== norm(statement)),
+      ...(get("rationale") && { rationale: get("rationale") }),
+      ...(rec.standards && { standards: asList(rec.standards).flatMap(s => String(s).split(/;\s*/)).filter(Boolean) }),
+    });
+  });
+  if (!spec.functional.length && !spec.nonFunctional.length) throw new Error("No requirements found in the file.");
+  return finish(spec);
+}
+
+export function importCsv(text = "", title = "") {
+  const [head, ...rows] = parseCsv(text);
+  if (!head) throw new Error("The CSV file is empty.");
+  const map = columnMap(head);
+  if (map.statement === undefined) throw new Error("The CSV has no requirement/statement/summary column.");
+  const records = rows.map(r => {
+    const rec = {};
+    Object.entries(map).forEach(([field, idx]) => {
+      rec[field] = Array.isArray(idx) ? idx.map(i => r[i]).filter(Boolean) : r[idx];
+    });
+    rec.priorityColumn = PRIORITY_HEADER.test(String(head[map.level] ?? "").trim());
+    return rec;
+  });
+  return recordsToSpec(records, title);
+}
+
+/* ---- JSON: native file / reqJson, or a plain list of requirement objects ---- */
+export function importJson(text = "", title = "") {
+  let value;
+  try { value = JSON.parse(text); } catch { throw new Error("The file is not valid JSON."); }
+  const list = Array.isArray(value) ? value : value?.requirements ?? value?.items ?? value?.issues;
+  const looksLikeSpec = value && !Array.isArray(value) && ("functional" in value || value.format);
+  if (looksLikeSpec || !Array.isArray(list) || list.every(x => typeof x === "string")) return readSpecFile(text);
+
+  const records = list.filter(x => x && typeof x === "object").map(x => {
+    const rec = {};
+    Object.entries(x).forEach(([k, v]) => {
+      const hit = COLUMNS.find(([field, re]) => re.test(k) && !(field in rec));
+      if (hit) rec[hit[0]] = v;
+      if (hit?.[0] === "level") rec.priorityColumn = PRIORITY_HEADER.test(k);
+    });
+    if (Array.isArray(x.bullets)) rec.details = x.bullets;
+    return rec;
+  });
+  return { reqJson: recordsToSpec(records, title) };
+}
+
+const baseName = (name = "") => String(name).replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ").trim();
+
+/* Dispatch on the file name; throws with a user-facing message */
+export function importSpecText(fileName, text) {
+  const ext = (String(fileName).match(/\.([^.]+)$/)?.[1] || "").toLowerCase();
+  const title = baseName(fileName);
+  let fields;
+  if (ext === "json") fields = importJson(text, title);
+  else if (ext === "csv") fields = { reqJson: importCsv(text, title) };
+  else if (ext === "md" || ext === "markdown" || ext === "txt") {
+    const reqJson = importMarkdown(text);
+    fields = { reqJson: { ...reqJson, title: reqJson.title || title } };
+  } else throw new Error(`Cannot import .${ext || "?"} files; use Markdown, CSV or JSON.`);
+  return { fields, summary: `Imported ${summaryOf(fields.reqJson || { functional: [] })} from ${fileName}.` };
+}
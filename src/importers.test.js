@@ -0,0 +1,114 @@
+//importers.test.js
+import { importMarkdown, importCsv, importJson, importSpecText, parseCsv, splitReqId, levelFromLabel } from './importers';
+import { mdFromJson } from './exporters';
+import { issueExport } from './issues';
+import { traceCsv } from './traceability';
+
+const SPEC = {
+  title: 'Depot Tracker',
+  summary: 'Tracks deliveries at the depot.',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The system MUST log every delivery.', bullets: ['Time and driver'], rationale: 'Audit trail' },
+    { id: 'FR002', level: 'SHOULD', statement: 'The system SHOULD print labels.', bullets: [] },
+  ],
+  nonFunctional: ['Performance: Lookups SHOULD return within 1s.'],
+  constraints: ['Runs on existing tablets'],
+  risks: [{ risk: 'Scanner drift', mitigation: 'Calibrate weekly' }],
+  useCases: ['Clerk logs a delivery'],
+};
+
+describe('helpers', () => {
+  test('ids and levels in the usual spellings', () => {
+    expect(splitReqId('**FR-7:** Log it')).toEqual({ id: 'FR007', rest: 'Log it' });
+    expect(splitReqId('[FR012] Print')).toEqual({ id: 'FR012', rest: 'Print' });
+    expect(['High', 'P1', 'could have', "Won't have", 'Shall', 'whatever'].map(levelFromLabel)).toEqual(['MUST', 'SHOULD', 'COULD', 'WONT', 'MUST', '']);
+  });
+
+  test('parseCsv handles quotes, embedded newlines and semicolon files', () => {
+    expect(parseCsv('a,b\r\n"x, ""y""","line1\nline2"\r\n')).toEqual([['a', 'b'], ['x, "y"', 'line1\nline2']]);
+    expect(parseCsv('ID;Requirement\nFR1;Log it')).toEqual([['ID', 'Requirement'], ['FR1', 'Log it']]);
+  });
+});
+
+describe('importMarkdown', () => {
+  test('reads MaiSpec Markdown back into the same requirements', () => {
+    const spec = importMarkdown(mdFromJson(SPEC));
+    expect(spec.title).toBe('Depot Tracker');
+    expect(spec.summary).toBe('Tracks deliveries at the depot.');
+    expect(spec.functional.map(r => [r.level, r.statement])).toEqual([
+      ['MUST', 'The system MUST log every delivery.'],
+      ['SHOULD', 'The system SHOULD print labels.'],
+    ]);
+    expect(spec.functional[0]).toMatchObject({ bullets: [], rationale: 'Audit trail' });
+    expect(spec.nonFunctional).toContain('Performance: Lookups SHOULD return within 1s.');
+    expect(spec.constraints).toEqual(['Runs on existing tablets']);
+    expect(spec.risks).toEqual([{ risk: 'Scanner drift', mitigation: 'Calibrate weekly' }]);
+    expect(spec.useCases).toEqual(['Clerk logs a delivery']);
+  });
+
+  test('reads legacy specs with FR ids, SHALL and level headings', () => {
+    const md = [
+      '# Legacy',
+      'Old depot system.',
+      '## 3. Requirements',
+      'FR-4: The operator shall scan each pallet.',
+      '### Could have',
+      '* FR10 Export a weekly report',
+      '  * as PDF',
+      '## Security Requirements',
+      '- Passwords MUST be hashed.',
+    ].join('\n');
+    const spec = importMarkdown(md);
+    expect(spec.functional).toEqual([
+      { id: 'FR004', level: 'MUST', statement: 'The operator shall scan each pallet.', bullets: [] },
+      { id: 'FR010', level: 'COULD', statement: 'Export a weekly report', bullets: ['as PDF'] },
+    ]);
+    expect(spec.nonFunctional).toEqual(['Security: Passwords MUST be hashed.']);
+    expect(() => importMarkdown('# Notes\nNothing here.')).toThrow('No requirements found');
+  });
+});
+
+describe('importCsv', () => {
+  test('reads MaiSpec issue and traceability exports', () => {
+    const jira = importCsv(issueExport(SPEC, 'jira'));
+    expect(jira.functional.map(r => [r.id, r.level, r.statement, r.bullets])).toEqual([
+      ['FR001', 'MUST', 'The system MUST log every delivery.', ['Time and driver']],
+      ['FR002', 'SHOULD', 'The system SHOULD print labels.', []],
+    ]);
+    expect(jira.nonFunctional).toEqual(['Performance: Lookups SHOULD return within 1s.']);
+    expect(importCsv(issueExport(SPEC, 'azure')).functional[0].bullets).toEqual(['Time and driver']);
+    expect(importCsv(traceCsv(SPEC)).functional.map(r => r.id)).toEqual(['FR001', 'FR002']);
+  });
+
+  test('maps priority columns and numbers rows without ids', () => {
+    const spec = importCsv('Requirement,Priority,Type\nScan pallets,High,Functional\nExport report,Low,\nPages load in 2s,Medium,Non-functional performance');
+    expect(spec.functional.map(r => [r.id, r.level])).toEqual([['FR001', 'MUST'], ['FR002', 'COULD']]);
+    expect(spec.nonFunctional).toEqual(['Performance: Pages load in 2s']);
+    expect(() => importCsv('Foo,Bar\n1,2')).toThrow('no requirement/statement/summary column');
+  });
+
+  test('reads bare digits as levels only under a priority heading and renumbers reused ids', () => {
+    const ranked = importCsv('ID,Requirement,Priority\nFR1,Scan pallets,1\nFR1,Export report,3\nFR2,Print labels,4');
+    expect(ranked.functional.map(r => [r.id, r.level])).toEqual([['FR001', 'MUST'], ['FR003', 'COULD'], ['FR002', 'WONT']]);
+    const outline = importCsv('Level,Requirement\n1,Scan pallets\n2,Export report');
+    expect(outline.functional.map(r => r.level)).toEqual(['SHOULD', 'SHOULD']);
+    expect(importJson('[{"text": "Archive old logs", "moscow": 2}]').reqJson.functional[0].level).toBe('SHOULD');
+  });
+});
+
+describe('importJson', () => {
+  test('accepts MaiSpec files, GitHub issue lists and plain lists', () => {
+    expect(importJson(JSON.stringify(SPEC)).reqJson.functional).toHaveLength(2);
+    const gh = importJson(issueExport(SPEC, 'github')).reqJson;
+    expect(gh.functional.map(r => [r.id, r.level, r.bullets])).toEqual([['FR001', 'MUST', ['Time and driver']], ['FR002', 'SHOULD', []]]);
+    expect(importJson('[{"id": "FR3", "text": "Archive old logs", "priority": "P0"}]').reqJson.functional[0])
+      .toMatchObject({ id: 'FR003', level: 'MUST', statement: 'Archive old logs' });
+  });
+
+  test('importSpecText picks the reader from the file name', () => {
+    const { fields, summary } = importSpecText('depot_spec.csv', 'Title,Priority\nScan pallets,High');
+    expect(fields.reqJson.title).toBe('depot spec');
+    expect(summary).toBe('Imported 1 functional and 0 non-functional requirements from depot_spec.csv.');
+    expect(() => importSpecText('spec.pdf', '')).toThrow('Cannot import .pdf files');
+  });
+});
@@ -0,0 +1,139 @@
+/* ───────── Minimal DEFLATE decoder (RFC 1951) ─────────
+ * Enough to read zipped Office files and FlateDecode PDF streams in the browser,
+ * synchronously and without a dependency. inflate() also accepts zlib-wrapped data.
+ */
+
+const LEN_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LEN_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Canonical Huffman table: counts per code length + symbols in code order
+function huffman(lengths) {
+  const counts = new Uint16Array(16);
+  lengths.forEach(l => { counts[l]++; });
+  counts[0] = 0;
+  const offs = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) offs[i] = offs[i - 1] + counts[i - 1];
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((l, s) => { if (l) symbols[offs[l]++] = s; });
+  return { counts, symbols };
+}
+
+let FIXED = null;
+function fixedTables() {
+  if (!FIXED) {
+    const lit = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+    FIXED = { lit: huffman(lit), dist: huffman(new Array(30).fill(5)) };
+  }
+  return FIXED;
+}
+
+export function inflateRaw(input) {
+  const src = input instanceof Uint8Array ? input : new Uint8Array(input);
+  let pos = 0;
+  let bitBuf = 0;
+  let bitCnt = 0;
+  let out = new Uint8Array(Math.max(1024, src.length * 4));
+  let len = 0;
+
+  const need = (n) => {
+    while (bitCnt < n) {
+      if (pos >= src.length) throw new Error("Unexpected end of compressed data.");
+      bitBuf |= src[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+  };
+  const bits = (n) => {
+    if (!n) return 0;
+    need(n);
+    const v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return v;
+  };
+  const decode = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let l = 1; l < 16; l++) {
+      code |= bits(1);
+      const count = counts[l];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid compressed data.");
+  };
+  const ensure = (n) => {
+    if (len + n <= out.length) return;
+    const bigger = new Uint8Array(Math.max(out.length * 2, len + n));
+    bigger.set(out.subarray(0, len));
+    out = bigger;
+  };
+
+  let last = 0;
+  while (!last) {
+    last = bits(1);
+    const type = bits(2);
+    if (type === 0) {
+      bitBuf = 0;
+      bitCnt = 0;
+      if (pos + 4 > src.length) throw new Error("Unexpected end of compressed data.");
+      const n = src[pos] | (src[pos + 1] << 8);
+      pos += 4;
+      ensure(n);
+      out.set(src.subarray(pos, pos + n), len);
+      len += n;
+      pos += n;
+      continue;
+    }
+    if (type === 3) throw new Error("Invalid compressed data.");
+
+    let lit;
+    let dist;
+    if (type === 1) {
+      ({ lit, dist } = fixedTables());
+    } else {
+      const hlit = bits(5) + 257;
+      const hdist = bits(5) + 1;
+      const hclen = bits(4) + 4;
+      const cl = new Array(19).fill(0);
+      for (let i = 0; i < hclen; i++) cl[CL_ORDER[i]] = bits(3);
+      const clTable = huffman(cl);
+      const lengths = [];
+      while (lengths.length < hlit + hdist) {
+        const sym = decode(clTable);
+        if (sym < 16) lengths.push(sym);
+        else if (sym === 16) { const prev = lengths[lengths.length - 1]; for (let r = 3 + bits(2); r > 0; r--) lengths.push(prev); }
+        else if (sym === 17) { for (let r = 3 + bits(3); r > 0; r--) lengths.push(0); }
+        else { for (let r = 11 + bits(7); r > 0; r--) lengths.push(0); }
+      }
+      lit = huffman(lengths.slice(0, hlit));
+      dist = huffman(lengths.slice(hlit));
+    }
+
+    for (;;) {
+      const sym = decode(lit);
+      if (sym < 256) { ensure(1); out[len++] = sym; continue; }
+      if (sym === 256) break;
+      const li = sym - 257;
+      const n = LEN_BASE[li] + bits(LEN_EXTRA[li]);
+      const di = decode(dist);
+      const back = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+      if (back > len) throw new Error("Invalid compressed data.");
+      ensure(n);
+      for (let i = 0; i < n; i++, len++) out[len] = out[len - back];
+    }
+  }
+  return out.slice(0, len);
+}
+
+/* zlib stream (PDF FlateDecode): 2-byte header, deflate data, Adler-32 trailer */
+export function inflate(input) {
+  const src = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const zlib = src.length > 2 && (src[0] & 0x0f) === 8 && ((src[0] << 8) | src[1]) % 31 === 0;
+  return inflateRaw(zlib ? src.subarray(2) : src);
+}
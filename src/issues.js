@@ -0,0 +1,109 @@
+/* ───────── Issue-tracker exports: Jira CSV, GitHub Issues JSON, Azure DevOps CSV ─────────
+ * Every requirement becomes one backlog item:
+ *   { id, summary, description: [line], level, labels }
+ * Functional requirements keep their ids; NFRs take the NFR001.. ids from
+ * categorizeNFR and are labelled with their category.
+ */
+import { asList, categorizeNFR, levelOf, normalizeFunctional } from "./requirements";
+import { nfrSettings } from "./nfrCategories";
+import { csvCell } from "./traceability";
+import { normalizeAcceptance, scenarioLine } from "./gherkin";
+import { escapeHtml } from "./exporters";
+
+export function issueItems(spec) {
+  const functional = normalizeFunctional(spec?.functional).map(r => ({
+    id: r.id,
+    summary: r.statement,
+    description: [
+      ...asList(r.bullets),
+      ...normalizeAcceptance(r.acceptance).map(sc => `Acceptance: ${sc.name}: ${scenarioLine(sc)}`),
+    ],
+    level: r.level,
+    labels: ["functional"],
+  }));
+  const nfrs = categorizeNFR(spec?.nonFunctional || [], nfrSettings(spec)).map(({ id, text, category }) => ({
+    id,
+    summary: text.replace(/^[A-Z][\w &/-]{0,30}:\s*/, ""), // the category prefix becomes a label
+    description: [],
+    level: levelOf(text),
+    labels: ["non-functional", ...(category ? [category] : [])],
+  }));
+  return [...functional, ...nfrs];
+}
+
+const csv = (lines) => lines.map(l => l.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+/* ---- Jira: CSV importer, one Labels column per label ---- */
+const JIRA_PRIORITY = { MUST: "High", SHOULD: "Medium", COULD: "Low", WONT: "Lowest" };
+const JIRA_SUMMARY_MAX = 255;
+
+function jiraRows(items) {
+  const labelCols = Math.max(1, ...items.map(x => x.labels.length));
+  const head = ["Issue Type", "Summary", "Description", "Priority", ...Array(labelCols).fill("Labels")];
+  const rows = items.map(x => [
+    "Story",
+    `${x.id} ${x.summary}`.slice(0, JIRA_SUMMARY_MAX),
+    x.description.map(d => `* ${d}`).join("\n"),
+    JIRA_PRIORITY[x.level],
+    ...Array.from({ length: labelCols }, (_, i) => x.labels[i] || ""),
+  ]);
+  return { head, rows };
+}
+
+/* ---- GitHub: the REST "create an issue" payloads, one per item ---- */
+function githubIssues(items) {
+  return items.map(x => ({
+    title: `${x.id}: ${x.summary}`,
+    body: [`**Requirement:** ${x.id} (${x.level})`, ...(x.description.length ? ["", ...x.description.map(d => `- ${d}`)] : [])].join("\n"),
+    labels: [...x.labels, `priority: ${x.level.toLowerCase()}`],
+  }));
+}
+
+/* ---- Azure DevOps: work-item CSV import (Priority 1 = highest, Tags "; "-separated) ---- */
+const ADO_PRIORITY = { MUST: 1, SHOULD: 2, COULD: 3, WONT: 4 };
+
+function azureRows(items) {
+  return {
+    head: ["Work Item Type", "Title", "Description", "Priority", "Tags"],
+    rows: items.map(x => [
+      "User Story",
+      `${x.id} ${x.summary}`,
+      x.description.length ? `<ul>${x.description.map(d => `<li>${escapeHtml(d)}</li>`).join("")}</ul>` : "",
+      ADO_PRIORITY[x.level],
+      x.labels.join("; "),
+    ]),
+  };
+}
+
+export const ISSUE_FORMATS = {
+  jira: { label: "Jira (CSV)", file: "jira.csv", mime: "text/csv;charset=utf-8" },
+  github: { label: "GitHub Issues (JSON)", file: "github-issues.json", mime: "application/json;charset=utf-8" },
+  azure: { label: "Azure DevOps (CSV)", file: "azure-devops.csv", mime: "text/csv;charset=utf-8" },
+};
+
+/* File content for one format */
+export function issueExport(spec, format) {
+  const items = issueItems(spec);
+  if (format === "github") return `${JSON.stringify(githubIssues(items), null, 2)}\n`;
+  const { head, rows } = format === "azure" ? azureRows(items) : jiraRows(items);
+  return csv([head, ...rows]);
+}
+
+/* The mapping as it will land in the tracker: { head, rows } with the target's field names */
+export function issuePreview(spec, format) {
+  const items = issueItems(spec);
+  if (format === "github") {
+    return {
+      head: ["title", "labels", "body"],
+      rows: githubIssues(items).map(x => [x.title, x.labels.join(", "), x.body]),
+    };
+  }
+  if (format === "azure") return azureRows(items);
+  const { head, rows } = jiraRows(items);
+  // repeated Labels columns read better as one in the preview
+  const first = head.indexOf("Labels");
+  return {
+    head: [...head.slice(0, first), "Labels"],
+    rows: rows.map(r => [...r.slice(0, first), r.slice(first).filter(Boolean).join(", ")]),
+  };
+}
@@ -0,0 +1,54 @@
+//issues.test.js
+import { issueItems, issueExport, issuePreview } from './issues';
+
+const SPEC = {
+  title: 'Tracker',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'Record deliveries, returns and "write-offs".', bullets: ['Scan barcode', 'Manual entry'] },
+    { id: 'FR002', level: 'COULD', statement: 'Export stock to CSV.' },
+  ],
+  nonFunctional: ['Performance: Stock lookups SHOULD return within 1s.', 'The app MUST run offline.'],
+};
+
+describe('issueItems', () => {
+  test('maps requirements and NFRs with category labels', () => {
+    const items = issueItems(SPEC);
+    expect(items.map(x => x.id)).toEqual(['FR001', 'FR002', 'NFR001', 'NFR002']);
+    expect(items[0]).toMatchObject({ summary: SPEC.functional[0].statement, description: ['Scan barcode', 'Manual entry'], labels: ['functional'] });
+    expect(items[2]).toMatchObject({ summary: 'Stock lookups SHOULD return within 1s.', level: 'SHOULD', labels: ['non-functional', 'performance'] });
+    expect(items[3].labels).toEqual(['non-functional']);
+  });
+});
+
+describe('issueExport', () => {
+  test('jira CSV repeats the Labels column and quotes cells', () => {
+    const lines = issueExport(SPEC, 'jira').split('\r\n');
+    expect(lines[0]).toBe('Issue Type,Summary,Description,Priority,Labels,Labels');
+    expect(lines[1]).toBe('Story,"FR001 Record deliveries, returns and ""write-offs"".","* Scan barcode\n* Manual entry",High,functional,');
+    expect(lines[3]).toBe('Story,NFR001 Stock lookups SHOULD return within 1s.,,Medium,non-functional,performance');
+  });
+
+  test('github JSON is a list of create-issue payloads', () => {
+    const issues = JSON.parse(issueExport(SPEC, 'github'));
+    expect(issues[0]).toEqual({
+      title: 'FR001: Record deliveries, returns and "write-offs".',
+      body: '**Requirement:** FR001 (MUST)\n\n- Scan barcode\n- Manual entry',
+      labels: ['functional', 'priority: must'],
+    });
+    expect(issues).toHaveLength(4);
+  });
+
+  test('azure CSV uses numeric priority, HTML descriptions and tags', () => {
+    const lines = issueExport(SPEC, 'azure').split('\r\n');
+    expect(lines[0]).toBe('Work Item Type,Title,Description,Priority,Tags');
+    expect(lines[1]).toContain('<ul><li>Scan barcode</li><li>Manual entry</li></ul>,1,functional');
+    expect(lines[2]).toBe('User Story,FR002 Export stock to CSV.,,3,functional');
+    expect(lines[3]).toContain(',2,non-functional; performance');
+  });
+
+  test('preview uses the target field names', () => {
+    expect(issuePreview(SPEC, 'jira').head).toEqual(['Issue Type', 'Summary', 'Description', 'Priority', 'Labels']);
+    expect(issuePreview(SPEC, 'jira').rows[2][4]).toBe('non-functional, performance');
+    expect(issuePreview(SPEC, 'github').head).toEqual(['title', 'labels', 'body']);
+  });
+});
@@ -0,0 +1,138 @@
+/* ───────── Non-functional categories: titles, matching rules, opt-in defaults ─────────
+ * A spec carries its category set as
+ *   nfr: { categories: [{ key, title, keywords, defaultText?, defaultLevel? }], defaults: bool }
+ * An NFR line goes to the category named by its "Title: " prefix, otherwise to
+ * the first category with a keyword in the text, otherwise to Uncategorised.
+ * Project types keep their own set in localStorage, used for new drafts.
+ */
+
+const PROFILES_KEY = "maispec.nfrCategories.v1";
+
+export const UNCATEGORISED = { key: "uncategorised", title: "Uncategorised" };
+
+export const DEFAULT_NFR_CATEGORIES = [
+  {
+    key: "reliability",
+    title: "Reliability",
+    keywords: "reliab, uptime, availability, failover, redundan, recover, backup, disaster recovery, fault toler, fault-toler, resilien",
+    defaultText: "Reliability: Maintain 99.9% monthly uptime and daily automated backups with restore tests.",
+    defaultLevel: "MUST",
+  },
+  {
+    key: "performance",
+    title: "Performance",
+    keywords: "performance, latency, throughput, response, load time, scalab, concurren, benchmark",
+    defaultText: "Performance: p95 page load ≤ 3s for typical users under normal load.",
+    defaultLevel: "SHOULD",
+  },
+  {
+    key: "security",
+    title: "Security",
+    keywords: "security, secure, encrypt, authenticat, authoriz, authoris, password, mfa, owasp, vulnerab, access control, rbac, penetration",
+  },
+  {
+    key: "usability",
+    title: "Usability",
+    keywords: "usabil, user experience, learnab, ease of use, onboarding, localis, localiz, i18n",
+  },
+  {
+    key: "maintainability",
+    title: "Maintainability",
+    keywords: "maintain, refactor, modular, document, readab, extensib, configurab, observab, monitorab, logging",
+    defaultText: "Maintainability: Modular code with basic docs and lint/tests enforced in CI.",
+    defaultLevel: "SHOULD",
+  },
+  {
+    key: "portability",
+    title: "Portability",
+    keywords: "portab, cross-platform, browser support, operating system, mobile and desktop, containeri, interoperab",
+  },
+  {
+    key: "safety",
+    title: "Safety",
+    keywords: "safety, hazard, injury, fail-safe, failsafe, emergency stop, iec 61508, iso 26262",
+  },
+  {
+    key: "compliance",
+    title: "Compliance",
+    keywords: "gdpr, ccpa, hipaa, pci, soc 2, iso/iec, iso 2700, wcag, accessibil, compliance, regulat",
+    defaultText: "Compliance: Core flows align with WCAG 2.1 AA accessibility guidelines.",
+    defaultLevel: "SHOULD",
+  },
+  {
+    key: "verification",
+    title: "Verification",
+    keywords: "test, qa, uat, integration, e2e, acceptance, verification, validation, ci/cd, pipeline",
+    defaultText: "Verification: Automated unit tests for critical logic and smoke tests in CI.",
+    defaultLevel: "SHOULD",
+  },
+];
+
+export const defaultNfrConfig = () => ({ categories: DEFAULT_NFR_CATEGORIES.map(c => ({ ...c })), defaults: false });
+
+const slug = (s = "") => s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/* Clean up a stored or hand-edited set: titles required, keys unique and stable */
+export function normalizeNfrConfig(config) {
+  if (!config || !Array.isArray(config.categories)) return defaultNfrConfig();
+  const used = new Set([UNCATEGORISED.key]);
+  const categories = config.categories
+    .map(c => ({ ...c, title: String(c?.title ?? "").trim(), keywords: String(c?.keywords ?? "") }))
+    .filter(c => c.title)
+    .map(c => {
+      let key = slug(c.key || c.title) || "category";
+      for (let i = 2; used.has(key); i++) key = `${slug(c.key || c.title)}-${i}`;
+      used.add(key);
+      return { ...c, key };
+    });
+  return { categories, defaults: !!config.defaults };
+}
+
+export const nfrSettings = (d) => normalizeNfrConfig(d?.nfr);
+
+/* "soc 2, iso/iec" → /soc\s*2|iso\/iec/i; keywords match anywhere in the text */
+export function keywordPattern(keywords = "") {
+  const parts = String(keywords).split(",").map(k => k.trim().toLowerCase()).filter(Boolean)
+    .map(k => k.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&").replace(/\s+/g, "\\s*"));
+  return parts.length ? new RegExp(parts.join("|"), "i") : null;
+}
+
+/* Category key for one NFR line, or UNCATEGORISED.key */
+export function classifyNfr(text, categories) {
+  const s = String(text);
+  const prefix = s.match(/^([A-Z][\w &/-]{0,30}):\s/)?.[1].trim().toLowerCase();
+  const named = prefix && categories.find(c => c.title.toLowerCase() === prefix);
+  if (named) return named.key;
+  return categories.find(c => keywordPattern(c.keywords)?.test(s))?.key || UNCATEGORISED.key;
+}
+
+/* ---- Per-project-type sets (localStorage) ---- */
+function loadProfiles() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PROFILES_KEY) || "null");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+/* Saved set for the project type, else the fallback (its domain pack's set) */
+export function loadNfrProfile(projType, fallback) {
+  const saved = loadProfiles()[projType];
+  return normalizeNfrConfig(saved || fallback);
+}
+
+export function saveNfrProfile(projType, config) {
+  try {
+    window.localStorage.setItem(PROFILES_KEY, JSON.stringify({ ...loadProfiles(), [projType]: normalizeNfrConfig(config) }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/* Generation prompt line so the model's NFRs arrive already prefixed */
+export function nfrPromptLine(config) {
+  const titles = normalizeNfrConfig(config).categories.map(c => `"${c.title}: "`);
+  return titles.length ? `Start each nonFunctional item with its category, one of: ${titles.join(", ")}.` : "";
+}
@@ -0,0 +1,57 @@
+//nfrCategories.test.js
+import { classifyNfr, defaultNfrConfig, normalizeNfrConfig, loadNfrProfile, saveNfrProfile, keywordPattern } from './nfrCategories';
+import { bucketNFR, categorizeNFR, nfrSections, replaceNfrCategory } from './requirements';
+import { mdFromJson } from './exporters';
+
+const { categories } = defaultNfrConfig();
+
+describe('classification', () => {
+  test('prefix first, then keywords, then Uncategorised', () => {
+    expect(classifyNfr('Security: Lock accounts after 5 failed attempts.', categories)).toBe('security');
+    expect(classifyNfr('Passwords MUST be encrypted at rest.', categories)).toBe('security');
+    expect(classifyNfr('The HMI MUST show an emergency stop on every screen.', categories)).toBe('safety');
+    expect(classifyNfr('Pages SHOULD use the corporate colours.', categories)).toBe('uncategorised');
+    expect(keywordPattern('soc 2, iso/iec').test('SOC2 Type II')).toBe(true);
+  });
+
+  test('nothing is dropped and starter lines are opt-in', () => {
+    const nfr = ['Security: MUST use TLS 1.3.', 'Pages SHOULD use the corporate colours.'];
+    const off = bucketNFR(nfr);
+    expect(off.security.MUST).toEqual(['Security: MUST use TLS 1.3.']);
+    expect(off.uncategorised.SHOULD).toEqual(['Pages SHOULD use the corporate colours.']);
+    expect(off.reliability.MUST).toEqual([]);
+    expect(bucketNFR(nfr, { ...defaultNfrConfig(), defaults: true }).reliability.MUST[0]).toMatch(/99\.9% monthly uptime/);
+  });
+});
+
+describe('custom category sets', () => {
+  const spec = {
+    title: 'Crane controller',
+    functional: [],
+    nonFunctional: ['Load: SHOULD lift 5 t.', 'Pages SHOULD use the corporate colours.'],
+    nfr: { categories: [{ title: 'Load handling', keywords: 'lift, tonne, load' }], defaults: false },
+  };
+
+  test('drive sections, categories and exports', () => {
+    expect(nfrSections(spec).map(s => s.title)).toEqual(['Load handling', 'Uncategorised']);
+    expect(categorizeNFR(spec.nonFunctional, spec.nfr).map(n => n.category)).toEqual(['load-handling', '']);
+    const md = mdFromJson(spec);
+    expect(md).toContain('## Load handling\n### SHOULD\n- Load: SHOULD lift 5 t.');
+    expect(md).toContain('## Uncategorised');
+    expect(md).not.toContain('## Reliability');
+  });
+
+  test('editing one category keeps the others', () => {
+    expect(replaceNfrCategory(spec.nonFunctional, 'uncategorised', ['Load: MUST stop at 6 t.'], spec.nfr))
+      .toEqual(['Load: SHOULD lift 5 t.', 'Load: MUST stop at 6 t.']);
+  });
+
+  test('keys stay unique and sets are saved per project type', () => {
+    window.localStorage.clear();
+    expect(normalizeNfrConfig({ categories: [{ title: 'Ops' }, { title: 'ops' }, { title: ' ' }] }).categories.map(c => c.key))
+      .toEqual(['ops', 'ops-2']);
+    expect(saveNfrProfile('Mechanical', spec.nfr)).toBe(true);
+    expect(loadNfrProfile('Mechanical').categories.map(c => c.title)).toEqual(['Load handling']);
+    expect(loadNfrProfile('Software').categories).toHaveLength(categories.length);
+  });
+});
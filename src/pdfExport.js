@@ -0,0 +1,306 @@
+/* ───────── In-browser paginated PDF from export blocks ─────────
+ * Uses the standard Helvetica fonts (no embedding) with WinAnsi encoding,
+ * wraps text with the Helvetica metrics and breaks pages as needed.
+ * WinAnsi covers Western European text only: other characters print as their
+ * base letter or "?", and unsupportedChars(blocks) lists them for a notice.
+ */
+
+const PAGE_W = 595.28;   // A4 in pt
+const PAGE_H = 841.89;
+const MARGIN = 48;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+const FOOTER_Y = 26;
+
+// Advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA = [
+  278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,
+  278,278,584,584,584,556,1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667,
+  611,722,667,944,667,667,611,278,278,278,469,556,333,556,556,500,556,556,278,556,556,222,222,500,222,833,
+  556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584,
+];
+const HELVETICA_BOLD = [
+  278,333,474,556,556,889,722,238,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,
+  333,333,584,584,584,611,975,722,722,722,722,667,611,778,722,278,556,722,611,833,722,778,667,778,722,667,
+  611,722,667,944,667,667,611,333,278,333,584,556,333,556,611,556,611,556,333,611,611,278,278,556,278,889,
+  611,611,611,611,389,556,333,611,556,778,556,556,500,389,280,389,584,
+];
+
+// Unicode → WinAnsi (cp1252) for the characters it places at 0x80–0x9F
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89,
+  "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95,
+  "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+const FALLBACK = { "≤": "<=", "≥": ">=", "→": "->", "←": "<-", "≈": "~", "×": "x", "✓": "v", "◦": "-" };
+
+// The WinAnsi form of one character, or null when the standard fonts cannot show it
+function encodeChar(ch) {
+  const code = ch.codePointAt(0);
+  if (WIN_ANSI[ch]) return String.fromCharCode(WIN_ANSI[ch]);
+  if (FALLBACK[ch]) return FALLBACK[ch];
+  if (code === 9 || code === 10 || code === 13) return " ";
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return ch;
+  return null;
+}
+
+// Stand-in for a character the fonts lack: its base letter ("ć" → "c") or "?"
+function substitute(ch) {
+  const base = ch.normalize("NFD").replace(/\p{M}+/gu, "");
+  return base && base !== ch && [...base].every(c => encodeChar(c) !== null) ? [...base].map(encodeChar).join("") : "?";
+}
+
+function toWinAnsi(text = "") {
+  let out = "";
+  for (const ch of String(text)) out += encodeChar(ch) ?? substitute(ch);
+  return out;
+}
+
+const blockTexts = (b) => [
+  ...(b.runs || []).map(r => r.text),
+  ...(b.head || []),
+  ...(b.t === "bars" ? b.rows.map(r => r.label) : (b.rows || []).flat()),
+  b.alt,
+];
+
+/* Distinct characters in the blocks (or title) that print as a substitute */
+export function unsupportedChars(blocks, title = "") {
+  const missing = new Set();
+  [...blocks.flatMap(blockTexts), title].forEach(text => {
+    for (const ch of String(text ?? "")) if (encodeChar(ch) === null) missing.add(ch);
+  });
+  return [...missing];
+}
+
+const FONTS = { regular: "F1", bold: "F2", italic: "F3" };
+const fontOf = (r) => (r.bold ? "bold" : r.italic ? "italic" : "regular");
+
+function textWidth(str, font, size) {
+  const table = font === "bold" ? HELVETICA_BOLD : HELVETICA;
+  let w = 0;
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    w += c >= 32 && c <= 126 ? table[c - 32] : 556;
+  }
+  return (w * size) / 1000;
+}
+
+const pdfString = (s) => `(${s.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)")})`;
+
+/* Break runs into lines of segments [{ text, font, x }] that fit maxWidth */
+function layoutRuns(runs, size, maxWidth) {
+  const words = [];
+  runs.forEach(r => {
+    const font = fontOf(r);
+    toWinAnsi(r.text).split(/(\s+)/).filter(Boolean).forEach(w => words.push({ text: w, font }));
+  });
+
+  const lines = [];
+  let line = [];
+  let x = 0;
+  const flush = () => {
+    while (line.length && !line[line.length - 1].text.trim()) line.pop();
+    lines.push(line); line = []; x = 0;
+  };
+
+  words.forEach(w => {
+    const space = !w.text.trim();
+    if (space && !line.length) return;
+    let width = textWidth(w.text, w.font, size);
+    if (!space && x + width > maxWidth && line.length) flush();
+    // a single word wider than the line gets split by characters
+    let text = w.text;
+    while (!space && width > maxWidth) {
+      let cut = text.length;
+      while (cut > 1 && textWidth(text.slice(0, cut), w.font, size) > maxWidth - x) cut--;
+      line.push({ text: text.slice(0, cut), font: w.font, x });
+      flush();
+      text = text.slice(cut);
+      width = textWidth(text, w.font, size);
+    }
+    const prev = line[line.length - 1];
+    if (prev && prev.font === w.font) prev.text += text;
+    else line.push({ text, font: w.font, x });
+    x += width;
+  });
+  if (line.length) flush();
+  return lines.length ? lines : [[]];
+}
+
+const STYLE = {
+  h1: { size: 20, before: 0, after: 8, bold: true, rule: true },
+  h2: { size: 14, before: 14, after: 4, bold: true },
+  h3: { size: 11.5, before: 8, after: 2, bold: true, color: "0.043 0.133 0.357" },
+  p: { size: 11, before: 3, after: 3 },
+  meta: { size: 10, before: 1, after: 1, color: "0.278 0.333 0.412" },
+  li: { size: 11, before: 1.5, after: 1.5 },
+};
+const INK = "0.059 0.09 0.165";
+const TABLE_SIZE = 10;
+const CELL_PAD = 4;
+
+/* Returns the .pdf file as bytes */
+export function buildPdf(blocks, title = "Requirements") {
+  const pages = [];
+  const images = [];
+  let ops = null;
+  let y = 0;
+
+  const newPage = () => { ops = []; pages.push(ops); y = PAGE_H - MARGIN; };
+  const ensure = (h) => { if (!ops || y - h < MARGIN) newPage(); };
+
+  const drawLine = (segments, x0, baseline, size, color) => {
+    if (!segments.length) return;
+    ops.push(`BT ${color || INK} rg`);
+    segments.forEach(s => {
+      ops.push(`/${FONTS[s.font]} ${size} Tf 1 0 0 1 ${(x0 + s.x).toFixed(2)} ${baseline.toFixed(2)} Tm ${pdfString(s.text)} Tj`);
+    });
+    ops.push("ET");
+  };
+
+  const drawText = (runs, style, indent = 0, bulletGlyph = "") => {
+    const size = style.size;
+    const lead = size * 1.35;
+    const fmtRuns = style.bold ? runs.map(r => ({ ...r, bold: true })) : runs;
+    const lines = layoutRuns(fmtRuns, size, CONTENT_W - indent);
+    y -= style.before;
+    if (style.bold) ensure(lead * 3); // keep headings with what follows
+    lines.forEach((segments, i) => {
+      ensure(lead);
+      y -= lead;
+      const baseline = y + (lead - size) / 2 + 1;
+      if (i === 0 && bulletGlyph) {
+        drawLine([{ text: toWinAnsi(bulletGlyph), font: "regular", x: 0 }], MARGIN + indent - 11, baseline, size, style.color);
+      }
+      drawLine(segments, MARGIN + indent, baseline, size, style.color);
+    });
+    if (style.rule) {
+      y -= 3;
+      ops.push(`0.898 0.906 0.922 RG 0.8 w ${MARGIN} ${y.toFixed(2)} m ${MARGIN + CONTENT_W} ${y.toFixed(2)} l S`);
+    }
+    y -= style.after;
+  };
+
+  const drawTable = (head, rows) => {
+    const cols = Math.max(head.length, 1);
+    const colW = CONTENT_W / cols;
+    const lead = TABLE_SIZE * 1.3;
+    const drawRow = (cells, bold) => {
+      const laid = cells.map(c => layoutRuns([{ text: c, bold }], TABLE_SIZE, colW - CELL_PAD * 2));
+      const h = Math.max(...laid.map(l => l.length)) * lead + CELL_PAD * 2;
+      ensure(h);
+      const top = y;
+      if (bold) ops.push(`0.945 0.961 0.976 rg ${MARGIN} ${(top - h).toFixed(2)} ${CONTENT_W.toFixed(2)} ${h.toFixed(2)} re f`);
+      laid.forEach((lines, ci) => {
+        lines.forEach((segments, li) => {
+          const baseline = top - CELL_PAD - (li + 1) * lead + (lead - TABLE_SIZE) / 2 + 1;
+          drawLine(segments, MARGIN + ci * colW + CELL_PAD, baseline, TABLE_SIZE);
+        });
+      });
+      ops.push(`0.898 0.906 0.922 RG 0.8 w`);
+      for (let ci = 0; ci < cols; ci++) {
+        ops.push(`${(MARGIN + ci * colW).toFixed(2)} ${(top - h).toFixed(2)} ${colW.toFixed(2)} ${h.toFixed(2)} re S`);
+      }
+      y = top - h;
+    };
+    y -= 4;
+    drawRow(head, true);
+    rows.forEach(r => drawRow(r, false));
+    y -= 8;
+  };
+
+  // Label, bar scaled to the largest value, then the value
+  const drawBars = (rows) => {
+    const size = 10;
+    const lead = 16;
+    const labelW = 150;
+    const barMax = CONTENT_W - labelW - 36;
+    const max = Math.max(0, ...rows.map(r => r.value));
+    rows.forEach(r => {
+      ensure(lead);
+      y -= lead;
+      const baseline = y + (lead - size) / 2 + 1;
+      drawLine(layoutRuns([{ text: r.label }], size, labelW - 8)[0], MARGIN, baseline, size);
+      const w = max ? (r.value / max) * barMax : 0;
+      if (w > 0) ops.push(`0.145 0.388 0.922 rg ${(MARGIN + labelW).toFixed(2)} ${(baseline - 1).toFixed(2)} ${w.toFixed(2)} ${(size - 1).toFixed(2)} re f`);
+      drawLine([{ text: String(r.value), font: "regular", x: 0 }], MARGIN + labelW + w + 6, baseline, size);
+    });
+    y -= 6;
+  };
+
+  // Rendered diagram (JPEG), scaled to the text width and at most most of a page tall
+  const drawImage = (b) => {
+    const scale = Math.min(1, CONTENT_W / b.width, (PAGE_H - MARGIN * 2 - 40) / b.height);
+    const w = b.width * scale;
+    const h = b.height * scale;
+    images.push(b);
+    y -= 4;
+    ensure(h);
+    y -= h;
+    ops.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${MARGIN} ${y.toFixed(2)} cm /Im${images.length} Do Q`);
+    y -= 8;
+  };
+
+  newPage();
+  blocks.forEach(b => {
+    if (b.t === "table") drawTable(b.head, b.rows);
+    else if (b.t === "bars") drawBars(b.rows);
+    else if (b.t === "image" && b.jpeg) drawImage(b);
+    else if (b.t === "image") drawText([{ text: b.alt || "Diagram", italic: true }], STYLE.meta);
+    else if (b.t === "li") drawText(b.runs, STYLE.li, 14 + (b.depth ? 16 : 0), b.depth ? "–" : "•");
+    else drawText(b.runs, STYLE[b.t] || STYLE.p);
+  });
+
+  // Footer with page numbers
+  pages.forEach((p, i) => {
+    const label = toWinAnsi(`${title} — Page ${i + 1} of ${pages.length}`);
+    const w = textWidth(label, "regular", 8.5);
+    p.push(`BT 0.42 0.447 0.502 rg /F1 8.5 Tf 1 0 0 1 ${(PAGE_W - MARGIN - w).toFixed(2)} ${FOOTER_Y} Tm ${pdfString(label)} Tj ET`);
+  });
+
+  return serialize(pages, title, images);
+}
+
+/* Object layout: 1 catalog, 2 pages, 3-5 fonts, 6 info, then (content, page) per page, then images */
+function serialize(pages, title, images = []) {
+  const objs = [];
+  const kids = pages.map((_, i) => `${8 + i * 2} 0 R`).join(" ");
+  objs[1] = `<< /Type /Catalog /Pages 2 0 R >>`;
+  objs[2] = `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`;
+  objs[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`;
+  objs[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>`;
+  objs[5] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Oblique /Encoding /WinAnsiEncoding >>`;
+  objs[6] = `<< /Title ${pdfString(toWinAnsi(title))} /Producer (MaiSpec) >>`;
+  const firstImage = 7 + pages.length * 2;
+  const xobjects = images.length ? ` /XObject << ${images.map((_, k) => `/Im${k + 1} ${firstImage + k} 0 R`).join(" ")} >>` : "";
+  pages.forEach((ops, i) => {
+    const stream = ops.join("\n");
+    objs[7 + i * 2] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    objs[8 + i * 2] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >>${xobjects} >> /Contents ${7 + i * 2} 0 R >>`;
+  });
+  images.forEach((img, k) => {
+    // JPEG bytes go in as-is (DCTDecode), one char per byte like the rest of the file
+    let data = "";
+    for (let i = 0; i < img.jpeg.length; i += 0x8000) data += String.fromCharCode.apply(null, img.jpeg.subarray(i, i + 0x8000));
+    objs[firstImage + k] =
+      `<< /Type /XObject /Subtype /Image /Width ${img.pxWidth} /Height ${img.pxHeight} /ColorSpace /DeviceRGB ` +
+      `/BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n${data}\nendstream`;
+  });
+
+  // Everything above is single-byte (WinAnsi), so string length == byte offset
+  let out = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+  const offsets = [];
+  for (let n = 1; n < objs.length; n++) {
+    offsets[n] = out.length;
+    out += `${n} 0 obj\n${objs[n]}\nendobj\n`;
+  }
+  const xrefAt = out.length;
+  out += `xref\n0 ${objs.length}\n0000000000 65535 f \n`;
+  for (let n = 1; n < objs.length; n++) out += `${String(offsets[n]).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size ${objs.length} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(out.length);
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xff;
+  return bytes;
+}
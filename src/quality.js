@@ -0,0 +1,184 @@
+/* ───────── Requirement quality checks (INCOSE GtWR / ISO/IEC/IEEE 29148) ─────────
+ * Heuristic, text-only rules. Each finding is
+ *   { rule, message, rewrite? }
+ * where rewrite is a suggested replacement statement ("[...]" marks a value the
+ * author still has to fill in).
+ */
+import { levelLabel, norm, normalizeFunctional } from "./requirements";
+
+export const RULES = {
+  ambiguous: { label: "Ambiguous term", weight: 15 },
+  measurable: { label: "Not measurable", weight: 20 },
+  compound: { label: "Compound statement", weight: 15 },
+  passive: { label: "Passive voice", weight: 10 },
+  form: { label: "Missing MUST/SHOULD form", weight: 20 },
+  duplicate: { label: "Duplicate", weight: 25 },
+};
+
+// Vague term → measurable placeholder (INCOSE R7/R9 "vague terms", 29148 §5.2.7)
+const VAGUE = [
+  [/\b(very\s+)?(fast|quick(ly)?|rapid(ly)?|responsive|promptly|in a timely manner)\b/i, "within [N] seconds"],
+  [/\b(user[- ]friendly|easy to use|easy|intuitive|simple)\b/i, "usable by [N]% of first-time users without help"],
+  [/\b(efficient(ly)?|optimal(ly)?|optimi[sz]ed?)\b/i, "using at most [N] [unit]"],
+  [/\b(robust|reliable|stable|seamless(ly)?)\b/i, "with [N]% availability"],
+  [/\b(scalable|flexible|high[- ]performance)\b/i, "for up to [N] [units]"],
+  [/\b(secure(ly)?)\b/i, "per [standard, e.g. OWASP ASVS L2]"],
+  [/\b(adequate|appropriate|sufficient|reasonable|as needed|if possible|where possible|as appropriate)\b/i, "[explicit condition]"],
+  [/\b(several|various|many|some|most|a few|multiple)\b/i, "[N]"],
+  [/\b(approximately|roughly|(?:about|around)(?=\s+\d))\b/i, "[value ± tolerance]"],
+  [/\b(minimi[sz]e|maximi[sz]e|as (much|little|few|many) as possible)\b/i, "[target value]"],
+  [/\b(etc\.?|and so on|and\/or)(?=\W|$)/i, "[complete list]"],
+];
+
+// Quality attributes that need a number to be verifiable
+const NEEDS_NUMBER = /\b(fast|quick(ly)?|slow|speed|response time|latency|load(ing)? time|throughput|performance|uptime|availability|capacity|concurrent|scalab\w*|timeout|real[- ]time|frequent(ly)?|regularly|periodic(ally)?)\b/i;
+const HAS_NUMBER = /\d|\b(one|two|three|four|five|six|seven|eight|nine|ten|twice|once|daily|weekly|monthly|hourly)\b/i;
+
+const MODAL = /\b(MUST|SHALL|SHOULD|COULD|MAY|WON'?T)\b/i;
+const IRREGULAR = { sent: "send", shown: "show", kept: "keep", held: "hold", made: "make", built: "build", written: "write",
+  given: "give", taken: "take", done: "do", run: "run", set: "set", sold: "sell", paid: "pay", read: "read", found: "find",
+  chosen: "choose", hidden: "hide", known: "know", seen: "see", told: "tell", left: "leave", lost: "lose", met: "meet" };
+
+const NOT_PARTICIPLE = /^(open|even|often|seven|ten|green|screen|token)$/i;
+
+/* Past participle → base verb, good enough for suggestions ("encrypted" → "encrypt") */
+function baseVerb(participle) {
+  const w = participle.toLowerCase();
+  if (IRREGULAR[w]) return IRREGULAR[w];
+  if (w.endsWith("ied")) return `${w.slice(0, -3)}y`;
+  if (!w.endsWith("ed")) return w;
+  const stem = w.slice(0, -2);
+  if (/([bdgklmnprt])\1$/.test(stem) && !/(ll|ss)$/.test(stem)) return stem.slice(0, -1);
+  if (/(at|iz|ys|us|v|c|g|ur|ir|or|od|id|ud|ut|let|bl|pl)$/.test(stem)) return `${stem}e`;
+  return stem;
+}
+
+const endSentence = (s) => (/[.!?]$/.test(s) ? s : `${s}.`);
+const lowerFirst = (s) => s.charAt(0).toLowerCase() + s.slice(1);
+
+/* Third-person verb → base form after a modal ("records" → "record") */
+const toBase = (verb) => (/(ss|x|z|ch|sh)es$/i.test(verb) ? verb.slice(0, -2)
+  : /ies$/i.test(verb) ? `${verb.slice(0, -3)}y`
+  : /[^s]s$/i.test(verb) ? verb.slice(0, -1)
+  : verb);
+
+/* Findings for one statement; level is used for rewrites that add a modal */
+export function lintStatement(text = "", level = "MUST") {
+  const s = String(text).trim();
+  const findings = [];
+  if (!s) return findings;
+
+  const vague = VAGUE.map(([re, fill]) => ({ m: s.match(re), re, fill })).filter(v => v.m);
+  vague.forEach(({ m, re, fill }) => {
+    findings.push({
+      rule: "ambiguous",
+      message: `“${m[0]}” cannot be verified.`,
+      rewrite: endSentence(s.replace(re, fill).replace(/\s+([.,;])/g, "$1")),
+    });
+  });
+
+  if (NEEDS_NUMBER.test(s) && !HAS_NUMBER.test(s)) {
+    findings.push({ rule: "measurable", message: "Names a quality attribute without a measurable value or threshold." });
+  }
+
+  const clauses = s.split(/\b(?:and|or)\b|;/i).length - 1;
+  if (clauses >= 2) {
+    findings.push({ rule: "compound", message: `Has ${clauses} “and/or” clauses; one requirement should state one thing. Split it into separate requirements.` });
+  }
+
+  const passive = s.match(/^(.*?)\b(must|shall|should|could|will|may)\s+(?:be|get)\s+(\w+(?:ed|en)|sent|shown|kept|held|made|built|set|run|done|paid|sold|read|found)\b(.*)$/i);
+  if (passive && !NOT_PARTICIPLE.test(passive[3])) {
+    const [, subject, modal, participle, rest] = passive;
+    const object = lowerFirst(subject.trim());
+    const by = rest.match(/^\s+by\s+(the\s+)?(\w+)(.*)$/i);
+    const actor = by ? `The ${by[2]}` : "The system";
+    const tail = by ? by[3] : rest;
+    findings.push({
+      rule: "passive",
+      message: "Passive voice hides who is responsible.",
+      rewrite: object ? endSentence(`${actor} ${modal.toUpperCase()} ${baseVerb(participle)} ${object}${tail}`.replace(/\s+/g, " ").trim()) : undefined,
+    });
+  }
+
+  if (!MODAL.test(s)) {
+    // keep an NFR category prefix ("Reliability: ...") so the item stays in its section
+    const prefix = s.match(/^[A-Z][\w &/-]{0,30}:\s*/)?.[0] || "";
+    const body = s.slice(prefix.length);
+    const sys = body.match(/^the\s+(system|application|app|platform|service)\s+(\w+)(.*)$/i);
+    const word = levelLabel(level);
+    const rewrite = sys
+      ? `The ${sys[1].toLowerCase()} ${word} ${toBase(sys[2])}${sys[3]}`
+      : `The system ${word} ${lowerFirst(body)}`;
+    findings.push({ rule: "form", message: "State it as “The system MUST/SHOULD …”.", rewrite: endSentence(prefix + rewrite) });
+  }
+  return findings;
+}
+
+/* Word-set similarity used for near-duplicates */
+const STOP = new Set(["the", "a", "an", "system", "must", "should", "could", "shall", "to", "of", "and", "or", "be", "for", "in", "on", "with", "all", "able", "per", "each", "every", "any"]);
+const words = (s) => new Set(norm(s).replace(/[^\w\s]/g, " ").split(" ").filter(w => w && !STOP.has(w)));
+function similarity(a, b) {
+  const A = words(a);
+  const B = words(b);
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  A.forEach(w => { if (B.has(w)) inter++; });
+  return inter / (A.size + B.size - inter);
+}
+const NEAR_DUPLICATE = 0.8;
+
+/*
+ * Lint a whole spec. Functional findings are keyed by id, NFR findings by the
+ * normalised text (the view shows NFRs as plain strings).
+ *   { byId, byText, score, counts, checked }
+ */
+export function lintSpec(spec) {
+  const functional = normalizeFunctional(spec?.functional);
+  const nfr = (spec?.nonFunctional || []).filter(n => typeof n === "string" && n.trim());
+  const entries = [
+    ...functional.map(r => ({ key: r.id, label: r.id, text: r.statement, findings: lintStatement(r.statement, r.level) })),
+    ...nfr.map((n, i) => ({ key: `nfr:${norm(n)}`, label: `NFR ${i + 1}`, text: n, findings: lintStatement(n, "SHOULD") })),
+  ];
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      const exact = norm(a.text) === norm(b.text);
+      if (!exact && similarity(a.text, b.text) < NEAR_DUPLICATE) continue;
+      const kind = exact ? "Duplicate" : "Near-duplicate";
+      a.findings.push({ rule: "duplicate", message: `${kind} of ${b.label}; merge them or delete one.` });
+      b.findings.push({ rule: "duplicate", message: `${kind} of ${a.label}; merge them or delete one.` });
+    }
+  }
+
+  const byId = {};
+  const byText = {};
+  const counts = Object.fromEntries(Object.keys(RULES).map(k => [k, 0]));
+  let total = 0;
+  entries.forEach(e => {
+    if (e.key.startsWith("nfr:")) byText[e.key.slice(4)] = e.findings;
+    else byId[e.key] = e.findings;
+    // each rule counts once per requirement
+    const rules = new Set(e.findings.map(f => f.rule));
+    rules.forEach(r => { counts[r]++; });
+    total += Math.max(0, 100 - [...rules].reduce((sum, r) => sum + RULES[r].weight, 0));
+  });
+
+  return {
+    byId,
+    byText,
+    counts,
+    checked: entries.length,
+    score: entries.length ? Math.round(total / entries.length) : null,
+  };
+}
+
+/* Findings for a view item (requirement object or NFR string) */
+export function findingsOf(quality, item) {
+  if (!quality || !item) return [];
+  if (typeof item === "string") return quality.byText[norm(item)] || [];
+  return quality.byId[item.id] || [];
+}
+
+export const scoreGrade = (score) => (score == null ? "" : score >= 85 ? "Good" : score >= 65 ? "Fair" : "Needs work");
@@ -0,0 +1,62 @@
+//quality.test.js
+import { lintStatement, lintSpec, findingsOf } from './quality';
+
+const rules = (text, level) => lintStatement(text, level).map(f => f.rule);
+
+describe('lintStatement', () => {
+  test('a well-formed measurable requirement passes', () => {
+    expect(rules('The system MUST return search results within 2 seconds at p95.')).toEqual([]);
+  });
+
+  test('flags vague terms with a placeholder rewrite', () => {
+    const [f] = lintStatement('The system MUST load pages fast.');
+    expect(f.rule).toBe('ambiguous');
+    expect(f.rewrite).toBe('The system MUST load pages within [N] seconds.');
+    expect(rules('The system MUST load pages fast.')).toContain('measurable');
+    expect(rules('The system SHOULD export CSV, PDF, etc.')).toContain('ambiguous');
+  });
+
+  test('flags compound statements', () => {
+    expect(rules('The system MUST create orders and cancel orders and refund payments.')).toContain('compound');
+    expect(rules('The system MUST create and cancel orders.')).not.toContain('compound');
+  });
+
+  test('suggests an active-voice rewrite', () => {
+    const f = lintStatement('All passwords MUST be hashed with bcrypt.').find(x => x.rule === 'passive');
+    expect(f.rewrite).toBe('The system MUST hash all passwords with bcrypt.');
+    const g = lintStatement('Refunds SHOULD be approved by the manager.').find(x => x.rule === 'passive');
+    expect(g.rewrite).toBe('The manager SHOULD approve refunds.');
+  });
+
+  test('adds the MUST/SHOULD form and keeps NFR prefixes', () => {
+    expect(lintStatement('The system records every stock movement.', 'MUST')[0].rewrite)
+      .toBe('The system MUST record every stock movement.');
+    expect(lintStatement('Reliability: Keep daily backups.', 'SHOULD')[0].rewrite)
+      .toBe('Reliability: The system SHOULD keep daily backups.');
+  });
+});
+
+describe('lintSpec', () => {
+  const spec = {
+    functional: [
+      { id: 'FR001', level: 'MUST', statement: 'The system MUST record stock movements per store.' },
+      { id: 'FR002', level: 'MUST', statement: 'The system MUST record stock movements for each store.' },
+      { id: 'FR003', level: 'SHOULD', statement: 'The system SHOULD send low-stock alerts by email.' },
+    ],
+    nonFunctional: ['Performance: The system MUST respond quickly.'],
+  };
+
+  test('finds near-duplicates and scores the document', () => {
+    const q = lintSpec(spec);
+    expect(q.byId.FR001.map(f => f.message)).toEqual(['Near-duplicate of FR002; merge them or delete one.']);
+    expect(q.byId.FR003).toEqual([]);
+    expect(findingsOf(q, 'Performance: The system MUST respond quickly.').map(f => f.rule)).toEqual(['ambiguous', 'measurable']);
+    expect(q.counts.duplicate).toBe(2);
+    expect(q.checked).toBe(4);
+    expect(q.score).toBe(Math.round((75 + 75 + 100 + 65) / 4));
+  });
+
+  test('an empty spec has no score', () => {
+    expect(lintSpec({}).score).toBeNull();
+  });
+});
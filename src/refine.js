@@ -0,0 +1,120 @@
+/* ───────── Targeted AI actions: regenerate / expand / tighten one part ─────────
+ * A target is either some functional requirements ({ kind: "functional", ids })
+ * or one NFR category ({ kind: "nfr", category, items }). The model only returns
+ * the replacement for that part; everything else in the spec is left untouched.
+ */
+import { nextReqId, normalizeFunctional, replaceNfrCategory } from "./requirements";
+import { nfrSettings } from "./nfrCategories";
+import { parseModelJson, repairRequirements } from "./schema";
+
+export const REFINE_ACTIONS = {
+  regenerate: {
+    label: "Regenerate",
+    done: "Regenerated",
+    instruction: "Rewrite this part from scratch. Keep the same scope and roughly the same number of items, and stay consistent with the rest of the document.",
+  },
+  expand: {
+    label: "Expand",
+    done: "Expanded",
+    instruction: "Add missing detail: more specific bullets, measurable acceptance criteria, and rationale or standards where relevant. You may add items that cover clear gaps.",
+  },
+  tighten: {
+    label: "Tighten wording",
+    done: "Tightened",
+    instruction: "Make the wording concise, unambiguous and testable. Keep the meaning, order, ids and levels; do not add or remove items.",
+  },
+};
+
+const FUNCTIONAL_REPLY = `Return ONLY a JSON object of the form
+{ "functional": [ { "id": "FR001", "level": "MUST" | "SHOULD" | "COULD" | "WONT", "statement": string, "bullets": [string], "rationale": string, "standards": [string] } ] }
+No Markdown, code fences or explanatory text.`;
+
+const NFR_REPLY = `Return ONLY a JSON object of the form
+{ "nonFunctional": [string] }
+Each string is one requirement that states MUST, SHOULD, COULD or WON'T. No Markdown, code fences or explanatory text.`;
+
+/* Prompt with the whole document as context and only the target to rewrite */
+export function buildRefinePrompt(action, target, spec, context = []) {
+  const a = REFINE_ACTIONS[action];
+  const lines = [
+    "You are refining one part of an existing requirements document.",
+    ...context,
+    "--- CURRENT DOCUMENT (context only, do not return it) ---",
+    JSON.stringify(spec, null, 2),
+    "--- END DOCUMENT ---",
+  ];
+  if (target.kind === "nfr") {
+    lines.push(
+      `Part to change: the ${target.title} non-functional requirements:`,
+      JSON.stringify(target.items, null, 2),
+      `Task: ${a.instruction} Every item must stay a ${target.title.toLowerCase()} requirement and start with "${target.title}: ".`,
+      NFR_REPLY
+    );
+  } else {
+    const ids = new Set(target.ids);
+    const items = normalizeFunctional(spec?.functional).filter(r => ids.has(r.id));
+    lines.push(
+      `Part to change: ${target.title} (${items.length === 1 ? "one functional requirement" : `${items.length} functional requirements`}):`,
+      JSON.stringify(items, null, 2),
+      `Task: ${a.instruction}`,
+      items.length === 1 && action !== "regenerate"
+        ? "Return exactly one requirement with the same id." : "Reuse the given ids where an item replaces an existing one.",
+      FUNCTIONAL_REPLY
+    );
+  }
+  return lines.join("\n\n");
+}
+
+/*
+ * Model reply → replacement items. Returns { items, fixes } or { items: null, error }.
+ * Accepts the requested wrapper, a bare list, or a single requirement object.
+ */
+export function parseRefinement(raw, target) {
+  const { value, fixes } = parseModelJson(raw);
+  if (value == null || typeof value !== "object") return { items: null, fixes, error: "The model reply is not valid JSON." };
+
+  if (target.kind === "nfr") {
+    const list = Array.isArray(value) ? value : value.nonFunctional ?? value.items ?? value.requirements;
+    if (list == null) return { items: null, fixes, error: "The model reply has no nonFunctional list." };
+    const report = repairRequirements({ functional: [], nonFunctional: list });
+    return { items: report.data.nonFunctional, fixes: [...fixes, ...report.fixes] };
+  }
+
+  const list = Array.isArray(value) ? value
+    : value.functional ?? value.requirements ?? (value.statement ? [value] : null);
+  if (list == null) return { items: null, fixes, error: "The model reply has no functional list." };
+  const report = repairRequirements({ functional: list });
+  if (!report.data.functional.length) return { items: null, fixes, error: "The model returned no requirements." };
+  return { items: report.data.functional, fixes: [...fixes, ...report.fixes] };
+}
+
+/* Put the replacement where the target was; the rest of the spec is kept as-is */
+export function applyRefinement(spec, target, items) {
+  if (target.kind === "nfr") {
+    // the prefix keeps each line in the same category when the list is re-bucketed
+    const prefix = `${target.title}:`;
+    const lines = items.map(s => (s.toLowerCase().startsWith(prefix.toLowerCase()) ? s : `${prefix} ${s}`));
+    return { ...spec, nonFunctional: replaceNfrCategory(spec.nonFunctional || [], target.category, lines, nfrSettings(spec)) };
+  }
+
+  const all = normalizeFunctional(spec.functional);
+  const ids = new Set(target.ids);
+  const at = all.findIndex(r => ids.has(r.id));
+  const kept = all.filter(r => !ids.has(r.id));
+  const insertAt = at === -1 ? kept.length : at; // everything before `at` is kept
+
+  // A reply that names a target id replaces that requirement, whatever its position;
+  // replies without one take the unclaimed target ids in order, the rest get fresh ids.
+  // Fields the prompt never asks for (acceptance, trace links) stay on the original.
+  const byId = new Map(all.filter(r => ids.has(r.id)).map(r => [r.id, r]));
+  const claimed = new Set(items.map(r => r.id).filter(id => byId.has(id)));
+  const unclaimed = target.ids.filter(id => !claimed.has(id));
+  const fresh = [];
+  items.forEach(r => {
+    const taken = fresh.some(f => f.id === r.id);
+    const id = (byId.has(r.id) && !taken ? r.id : unclaimed.shift()) || nextReqId([...all, ...fresh]);
+    fresh.push({ ...byId.get(id), ...r, id });
+  });
+
+  return { ...spec, functional: [...kept.slice(0, insertAt), ...fresh, ...kept.slice(insertAt)] };
+}
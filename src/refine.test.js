@@ -0,0 +1,77 @@
+//refine.test.js
+import { buildRefinePrompt, parseRefinement, applyRefinement } from './refine';
+
+const SPEC = {
+  title: 'Tracker',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'Record stock.', bullets: [] },
+    { id: 'FR002', level: 'SHOULD', statement: 'Send alerts.', bullets: [] },
+    { id: 'FR003', level: 'COULD', statement: 'Export CSV.', bullets: [] },
+  ],
+  nonFunctional: ['Reliability: MUST keep 99.9% uptime.', 'Performance: SHOULD respond in 2s.'],
+};
+
+describe('buildRefinePrompt', () => {
+  test('sends the whole document and only the targeted items', () => {
+    const prompt = buildRefinePrompt('expand', { kind: 'functional', title: 'FR002', ids: ['FR002'] }, SPEC, ['Project Type: Software']);
+    expect(prompt).toContain('Project Type: Software');
+    expect(prompt).toContain('"Export CSV."');
+    expect(prompt).toContain('Part to change: FR002 (one functional requirement)');
+    expect(prompt).toContain('"functional"');
+  });
+});
+
+describe('parseRefinement', () => {
+  test('accepts a bare requirement object and repairs it', () => {
+    const r = parseRefinement("{statement: 'Send alerts to managers.', level: 'should'}", { kind: 'functional', ids: ['FR002'] });
+    expect(r.items).toEqual([expect.objectContaining({ statement: 'Send alerts to managers.', level: 'SHOULD' })]);
+    expect(r.fixes).toContain('Quoted bare keys');
+  });
+
+  test('reads an NFR list and reports replies without one', () => {
+    expect(parseRefinement('{"nonFunctional": ["Reliability: MUST fail over."]}', { kind: 'nfr' }).items)
+      .toEqual(['Reliability: MUST fail over.']);
+    expect(parseRefinement('{"title": "x"}', { kind: 'nfr' }).error).toMatch(/no nonFunctional/);
+    expect(parseRefinement('not json', { kind: 'functional', ids: [] }).items).toBeNull();
+  });
+});
+
+describe('applyRefinement', () => {
+  test('replaces targeted requirements in place and keeps their ids', () => {
+    const target = { kind: 'functional', ids: ['FR002'] };
+    const next = applyRefinement(SPEC, target, [
+      { id: 'FR009', level: 'SHOULD', statement: 'Alert below threshold.' },
+      { level: 'COULD', statement: 'Alert by SMS.' },
+    ]);
+    expect(next.functional.map(r => r.id)).toEqual(['FR001', 'FR002', 'FR004', 'FR003']);
+    expect(next.functional[1].statement).toBe('Alert below threshold.');
+    expect(next.nonFunctional).toBe(SPEC.nonFunctional);
+  });
+
+  test('matches replies to requirements by id and keeps the fields the prompt leaves out', () => {
+    const spec = {
+      ...SPEC,
+      functional: SPEC.functional.map(r => (r.id === 'FR001'
+        ? { ...r, acceptance: [{ name: 'Count', given: [], when: ['stock arrives'], then: ['it is counted'] }], tracesTo: ['UC1'], verifiedBy: ['V1'] }
+        : r)),
+    };
+    const next = applyRefinement(spec, { kind: 'functional', ids: ['FR001', 'FR002', 'FR003'] }, [
+      { id: 'FR003', level: 'COULD', statement: 'Export stock as CSV.' },
+      { id: 'FR001', level: 'MUST', statement: 'Record every stock movement.' },
+      { level: 'COULD', statement: 'Export stock as PDF.' },
+    ]);
+    expect(next.functional.map(r => [r.id, r.statement])).toEqual([
+      ['FR003', 'Export stock as CSV.'],
+      ['FR001', 'Record every stock movement.'],
+      ['FR002', 'Export stock as PDF.'],
+    ]);
+    expect(next.functional[1]).toMatchObject({ tracesTo: ['UC1'], verifiedBy: ['V1'], acceptance: spec.functional[0].acceptance });
+    expect(next.functional[0].tracesTo).toBeUndefined();
+  });
+
+  test('swaps one NFR category and prefixes lines so they stay in it', () => {
+    const next = applyRefinement(SPEC, { kind: 'nfr', category: 'reliability', title: 'Reliability' }, ['MUST fail over within 30s.']);
+    expect(next.nonFunctional).toEqual(['Performance: SHOULD respond in 2s.', 'Reliability: MUST fail over within 30s.']);
+    expect(next.functional).toBe(SPEC.functional);
+  });
+});
@@ -0,0 +1,173 @@
+/* ───────── ReqIF 1.2 export (DOORS, Polarion and other RM tools) ─────────
+ * One SPEC-OBJECT per requirement or list item, one SPECIFICATION whose
+ * SPEC-HIERARCHY mirrors the document: chapter headings → requirements,
+ * with bullets as child objects. Attributes use the standard ReqIF.* names
+ * where one exists so tools map them without configuration.
+ */
+import { asList, categorizeNFR, levelLabel, levelOf, LEVELS, normalizeFunctional, normalizeRisks } from "./requirements";
+import { nfrSettings, UNCATEGORISED } from "./nfrCategories";
+
+const NS = "http://www.omg.org/spec/ReqIF/20110401/reqif.xsd";
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+const xml = (s = "") => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const xmlId = (s) => `_${String(s).replace(/[^\w.-]+/g, "-")}`;
+
+/* Attribute definitions on the single "Requirement" object type */
+const ATTRS = [
+  { key: "foreignId", id: "AD-ForeignID", name: "ReqIF.ForeignID", kind: "STRING" },
+  { key: "chapter", id: "AD-ChapterName", name: "ReqIF.ChapterName", kind: "STRING" },
+  { key: "text", id: "AD-Text", name: "ReqIF.Text", kind: "XHTML" },
+  { key: "level", id: "AD-Level", name: "Level", kind: "ENUMERATION" },
+  { key: "rationale", id: "AD-Rationale", name: "Rationale", kind: "STRING" },
+  { key: "standards", id: "AD-Standards", name: "Standards", kind: "STRING" },
+  { key: "kind", id: "AD-Kind", name: "Kind", kind: "STRING" },
+];
+const DATATYPE = { STRING: "DT-String", XHTML: "DT-XHTML", ENUMERATION: "DT-Level" };
+
+/*
+ * Document → tree of nodes:
+ *   { key, chapter? } for headings, { key, foreignId, text, level?, rationale?, standards?, kind }
+ *   for items; each node may have children.
+ */
+export function reqifTree(spec) {
+  const d = spec || {};
+  const item = (key, kind, text, extra = {}) => ({ key, kind, foreignId: key, text, ...extra });
+  const heading = (key, chapter, children) => ({ key, kind: "Heading", chapter, children });
+  const listChapter = (key, chapter, prefix, kind, list) =>
+    list.length && heading(key, chapter, list.map((text, i) => item(`${prefix}${i + 1}`, kind, text)));
+
+  const functional = normalizeFunctional(d.functional).map(r => item(r.id, "Functional", r.statement, {
+    level: r.level,
+    rationale: r.rationale || "",
+    standards: asList(r.standards).join("; "),
+    children: asList(r.bullets).map((b, i) => item(`${r.id}.${i + 1}`, "Detail", b)),
+  }));
+
+  const config = nfrSettings(d);
+  const nfrs = categorizeNFR(d.nonFunctional || [], config);
+  const nfrChapters = [...config.categories, { ...UNCATEGORISED, key: "" }]
+    .map(c => [c, nfrs.filter(n => n.category === c.key)])
+    .filter(([, list]) => list.length)
+    .map(([c, list]) => heading(`NFR-${c.key || UNCATEGORISED.key}`, c.title, list.map(n =>
+      item(n.id, "Non-functional", n.text, { level: levelOf(n.text) }))));
+
+  return [
+    functional.length && heading("CH-Functional", "Functional Requirements", functional),
+    nfrChapters.length && heading("CH-NonFunctional", "Non-Functional Requirements", nfrChapters),
+    listChapter("CH-UseCases", "Use Cases", "UC", "Use case", asList(d.useCases)),
+    listChapter("CH-Constraints", "Constraints", "CON", "Constraint", asList(d.constraints)),
+    listChapter("CH-OutOfScope", "Out of Scope", "OOS", "Out of scope", asList(d.outOfScope)),
+    listChapter("CH-Risks", "Risks", "RISK", "Risk",
+      normalizeRisks(d.risks).map(r => (r.mitigation ? `${r.risk} (Mitigation: ${r.mitigation})` : r.risk))),
+    listChapter("CH-OpenQuestions", "Open Questions", "Q", "Open question", asList(d.openQuestions)),
+  ].filter(Boolean);
+}
+
+/* ---- XML pieces ---- */
+function attributeValue(a, value) {
+  const def = `<DEFINITION><ATTRIBUTE-DEFINITION-${a.kind}-REF>${a.id}</ATTRIBUTE-DEFINITION-${a.kind}-REF></DEFINITION>`;
+  if (a.kind === "XHTML") {
+    return `<ATTRIBUTE-VALUE-XHTML>${def}<THE-VALUE><xhtml:div>${xml(value)}</xhtml:div></THE-VALUE></ATTRIBUTE-VALUE-XHTML>`;
+  }
+  if (a.kind === "ENUMERATION") {
+    return `<ATTRIBUTE-VALUE-ENUMERATION>${def}<VALUES><ENUM-VALUE-REF>EV-${value}</ENUM-VALUE-REF></VALUES></ATTRIBUTE-VALUE-ENUMERATION>`;
+  }
+  return `<ATTRIBUTE-VALUE-STRING THE-VALUE="${xml(value)}">${def}</ATTRIBUTE-VALUE-STRING>`;
+}
+
+function specObject(node, at) {
+  const values = ATTRS
+    .filter(a => node[a.key])
+    .map(a => `          ${attributeValue(a, node[a.key])}`);
+  return [
+    `      <SPEC-OBJECT IDENTIFIER="${xmlId(`SO-${node.key}`)}" LAST-CHANGE="${at}">`,
+    "        <VALUES>",
+    ...values,
+    "        </VALUES>",
+    "        <TYPE><SPEC-OBJECT-TYPE-REF>SOT-Requirement</SPEC-OBJECT-TYPE-REF></TYPE>",
+    "      </SPEC-OBJECT>",
+  ].join("\n");
+}
+
+function hierarchy(node, at, depth) {
+  const pad = "  ".repeat(depth);
+  const kids = node.children?.length
+    ? [`${pad}  <CHILDREN>`, ...node.children.map(c => hierarchy(c, at, depth + 2)), `${pad}  </CHILDREN>`]
+    : [];
+  return [
+    `${pad}<SPEC-HIERARCHY IDENTIFIER="${xmlId(`SH-${node.key}`)}" LAST-CHANGE="${at}">`,
+    ...kids,
+    `${pad}  <OBJECT><SPEC-OBJECT-REF>${xmlId(`SO-${node.key}`)}</SPEC-OBJECT-REF></OBJECT>`,
+    `${pad}</SPEC-HIERARCHY>`,
+  ].join("\n");
+}
+
+const flatten = (nodes) => nodes.flatMap(n => [n, ...flatten(n.children || [])]);
+
+/* Full .reqif document; date fixes CREATION-TIME/LAST-CHANGE (tests) */
+export function buildReqIf(spec, date = new Date()) {
+  const at = date.toISOString();
+  const title = spec?.title || "Requirements";
+  const tree = reqifTree(spec);
+
+  const enumValues = LEVELS.map((lvl, i) => [
+    `            <ENUM-VALUE IDENTIFIER="EV-${lvl}" LAST-CHANGE="${at}" LONG-NAME="${xml(levelLabel(lvl))}">`,
+    `              <PROPERTIES><EMBEDDED-VALUE KEY="${i}" OTHER-CONTENT="${lvl}"/></PROPERTIES>`,
+    "            </ENUM-VALUE>",
+  ].join("\n"));
+  const attrDefs = ATTRS.map(a => [
+    `          <ATTRIBUTE-DEFINITION-${a.kind} IDENTIFIER="${a.id}" LAST-CHANGE="${at}" LONG-NAME="${a.name}"${a.kind === "ENUMERATION" ? ' MULTI-VALUED="false"' : ""}>`,
+    `            <TYPE><DATATYPE-DEFINITION-${a.kind}-REF>${DATATYPE[a.kind]}</DATATYPE-DEFINITION-${a.kind}-REF></TYPE>`,
+    `          </ATTRIBUTE-DEFINITION-${a.kind}>`,
+  ].join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<REQ-IF xmlns="${NS}" xmlns:xhtml="${XHTML_NS}">`,
+    "  <THE-HEADER>",
+    `    <REQ-IF-HEADER IDENTIFIER="${xmlId(`H-${at}`)}">`,
+    `      <CREATION-TIME>${at}</CREATION-TIME>`,
+    "      <REQ-IF-TOOL-ID>MaiSpec</REQ-IF-TOOL-ID>",
+    "      <REQ-IF-VERSION>1.0</REQ-IF-VERSION>",
+    "      <SOURCE-TOOL-ID>MaiSpec</SOURCE-TOOL-ID>",
+    `      <TITLE>${xml(title)}</TITLE>`,
+    "    </REQ-IF-HEADER>",
+    "  </THE-HEADER>",
+    "  <CORE-CONTENT>",
+    "    <REQ-IF-CONTENT>",
+    "      <DATATYPES>",
+    `        <DATATYPE-DEFINITION-STRING IDENTIFIER="DT-String" LAST-CHANGE="${at}" LONG-NAME="String" MAX-LENGTH="32000"/>`,
+    `        <DATATYPE-DEFINITION-XHTML IDENTIFIER="DT-XHTML" LAST-CHANGE="${at}" LONG-NAME="XHTML"/>`,
+    `        <DATATYPE-DEFINITION-ENUMERATION IDENTIFIER="DT-Level" LAST-CHANGE="${at}" LONG-NAME="Level">`,
+    "          <SPECIFIED-VALUES>",
+    ...enumValues,
+    "          </SPECIFIED-VALUES>",
+    "        </DATATYPE-DEFINITION-ENUMERATION>",
+    "      </DATATYPES>",
+    "      <SPEC-TYPES>",
+    `        <SPEC-OBJECT-TYPE IDENTIFIER="SOT-Requirement" LAST-CHANGE="${at}" LONG-NAME="Requirement">`,
+    "          <SPEC-ATTRIBUTES>",
+    ...attrDefs,
+    "          </SPEC-ATTRIBUTES>",
+    "        </SPEC-OBJECT-TYPE>",
+    `        <SPECIFICATION-TYPE IDENTIFIER="ST-Specification" LAST-CHANGE="${at}" LONG-NAME="Requirements Specification"/>`,
+    "      </SPEC-TYPES>",
+    "      <SPEC-OBJECTS>",
+    ...flatten(tree).map(n => specObject(n, at)),
+    "      </SPEC-OBJECTS>",
+    "      <SPECIFICATIONS>",
+    `        <SPECIFICATION IDENTIFIER="SP-1" LAST-CHANGE="${at}" LONG-NAME="${xml(title)}">`,
+    "          <TYPE><SPECIFICATION-TYPE-REF>ST-Specification</SPECIFICATION-TYPE-REF></TYPE>",
+    "          <CHILDREN>",
+    ...tree.map(n => hierarchy(n, at, 6)),
+    "          </CHILDREN>",
+    "        </SPECIFICATION>",
+    "      </SPECIFICATIONS>",
+    "    </REQ-IF-CONTENT>",
+    "  </CORE-CONTENT>",
+    "</REQ-IF>",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,55 @@
+//reqif.test.js
+import { buildReqIf, reqifTree } from './reqif';
+
+const SPEC = {
+  title: 'Depot <Pilot> & "Phase 1"',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'Log every delivery.', bullets: ['Time', 'Driver'], rationale: 'Audit trail', standards: ['ISO 9001'] },
+    { id: 'FR002', level: 'COULD', statement: 'Print labels.' },
+  ],
+  nonFunctional: ['Performance: Lookups SHOULD return within 1s.'],
+  useCases: ['Clerk logs a delivery'],
+  risks: [{ risk: 'Scanner drift', mitigation: 'Calibrate weekly' }],
+};
+
+describe('reqifTree', () => {
+  test('nests requirements under chapters and bullets under requirements', () => {
+    const tree = reqifTree(SPEC);
+    expect(tree.map(n => n.chapter)).toEqual(['Functional Requirements', 'Non-Functional Requirements', 'Use Cases', 'Risks']);
+    expect(tree[0].children[0]).toMatchObject({ foreignId: 'FR001', level: 'MUST', rationale: 'Audit trail', standards: 'ISO 9001' });
+    expect(tree[0].children[0].children.map(c => c.text)).toEqual(['Time', 'Driver']);
+    expect(tree[1].children[0]).toMatchObject({ chapter: 'Performance' });
+    expect(tree[1].children[0].children[0]).toMatchObject({ foreignId: 'NFR001', level: 'SHOULD' });
+    expect(tree[3].children[0].text).toBe('Scanner drift (Mitigation: Calibrate weekly)');
+  });
+});
+
+describe('buildReqIf', () => {
+  const text = buildReqIf(SPEC, new Date('2026-01-02T03:04:05Z'));
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const all = (tag) => Array.from(doc.getElementsByTagName(tag));
+
+  test('is well-formed ReqIF with escaped text', () => {
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.namespaceURI).toBe('http://www.omg.org/spec/ReqIF/20110401/reqif.xsd');
+    expect(doc.getElementsByTagName('TITLE')[0].textContent).toBe('Depot <Pilot> & "Phase 1"');
+    expect(all('CREATION-TIME')[0].textContent).toBe('2026-01-02T03:04:05.000Z');
+  });
+
+  test('carries ids, levels and rationale as attribute values', () => {
+    const fr1 = all('SPEC-OBJECT').find(o => o.getAttribute('IDENTIFIER') === '_SO-FR001');
+    const strings = Array.from(fr1.getElementsByTagName('ATTRIBUTE-VALUE-STRING')).map(v => v.getAttribute('THE-VALUE'));
+    expect(strings).toEqual(['FR001', 'Audit trail', 'ISO 9001', 'Functional']);
+    expect(fr1.getElementsByTagName('ENUM-VALUE-REF')[0].textContent).toBe('EV-MUST');
+    expect(fr1.getElementsByTagName('xhtml:div')[0].textContent).toBe('Log every delivery.');
+  });
+
+  test('every hierarchy entry points at a spec object', () => {
+    const ids = new Set(all('SPEC-OBJECT').map(o => o.getAttribute('IDENTIFIER')));
+    const refs = all('SPEC-OBJECT-REF').map(r => r.textContent);
+    expect(refs.length).toBe(ids.size);
+    refs.forEach(r => expect(ids.has(r)).toBe(true));
+    const fr1 = all('SPEC-HIERARCHY').find(h => h.getAttribute('IDENTIFIER') === '_SH-FR001');
+    expect(fr1.getElementsByTagName('SPEC-HIERARCHY')).toHaveLength(2);
+  });
+});
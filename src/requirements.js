@@ -0,0 +1,203 @@
+/* ───────── Requirements model: levels, ids, sections ───────── */
+import { UNCATEGORISED, classifyNfr, defaultNfrConfig, normalizeNfrConfig, nfrSettings } from "./nfrCategories";
+
+export const norm = (s="") => s.toLowerCase().replace(/\s+/g," ").trim();
+export const levelOf = (txt="") => {
+  const t = txt.toUpperCase();
+  if (t.includes("MUST")) return "MUST";
+  if (t.includes("SHOULD")) return "SHOULD";
+  if (t.includes("COULD")) return "COULD";
+  if (/\bWON'?T\b/.test(txt)) return "WONT"; // upper case only; "won't" is ordinary prose
+  return "SHOULD";
+};
+export const LEVELS = ["MUST","SHOULD","COULD","WONT"];
+export const emptyLevels = () => Object.fromEntries(LEVELS.map(l => [l, []]));
+export const levelItems = (groups) => LEVELS.flatMap(l => groups?.[l] || []);
+export const byLevel = (items, pick=(x)=>x.level) => {
+  const b = emptyLevels();
+  (items||[]).forEach(it => b[(pick(it)||"SHOULD").toUpperCase()]?.push(it));
+  return b;
+};
+
+/* ---- Prioritisation: the four levels shown as MoSCoW or as numeric P0–P3 ---- */
+export const PRIORITY_SCHEMES = {
+  moscow: { label: "MoSCoW", names: { MUST: "MUST", SHOULD: "SHOULD", COULD: "COULD", WONT: "WON'T" } },
+  numeric: { label: "Numeric (P0–P3)", names: { MUST: "P0", SHOULD: "P1", COULD: "P2", WONT: "P3" } },
+};
+export const DEFAULT_TOP_N = 4;
+export const MAX_TOP_N = 20;
+
+/* Stored on the spec as { priority: { scheme, topN } } */
+export function prioritySettings(d) {
+  const p = d?.priority || {};
+  const n = Number(p.topN);
+  return {
+    scheme: PRIORITY_SCHEMES[p.scheme] ? p.scheme : "moscow",
+    topN: p.topN != null && Number.isInteger(n) && n >= 0 ? Math.min(n, MAX_TOP_N) : DEFAULT_TOP_N,
+  };
+}
+export const levelLabel = (level, scheme = "moscow") => PRIORITY_SCHEMES[scheme]?.names[level] || level;
+function splitSentences(text="") {
+  return text.replace(/\s+/g, " ").trim().split(/(?<=[.!?])\s+/).filter(Boolean);
+}
+export function takeLines(text="", n=3) {
+  const s = splitSentences(text);
+  return s.slice(0, n).join(" ");
+}
+export const asList = (v) => (Array.isArray(v) ? v : (v ? [v] : []))
+  .map(x => (typeof x === "string" ? x.trim() : x))
+  .filter(Boolean);
+
+/* ---- NFR bucketing by the spec's category set (see nfrCategories.js) ---- */
+export function bucketNFR(nonFunctional = [], config = defaultNfrConfig()) {
+  const { categories, defaults } = normalizeNfrConfig(config);
+  const b = Object.fromEntries([...categories, UNCATEGORISED].map(c => [c.key, emptyLevels()]));
+
+  nonFunctional.forEach(n => {
+    if (typeof n !== "string" || !n.trim()) return;
+    b[classifyNfr(n, categories)][levelOf(n)].push(n);
+  });
+
+  // Opt-in starter lines for categories that have no MUST/SHOULD yet
+  if (defaults) {
+    categories.forEach(c => {
+      const g = b[c.key];
+      if (c.defaultText && !g.MUST.length && !g.SHOULD.length) g[LEVELS.includes(c.defaultLevel) ? c.defaultLevel : "SHOULD"].push(c.defaultText);
+    });
+  }
+  return b;
+}
+
+/* [{ key, title, groups }] in category order, Uncategorised last; empty ones left out */
+export function nfrSections(d, { keepEmpty = false } = {}) {
+  const config = nfrSettings(d);
+  const b = bucketNFR(d?.nonFunctional || [], config);
+  return [...config.categories, UNCATEGORISED]
+    .map(c => ({ key: c.key, title: c.title, groups: b[c.key] }))
+    .filter(s => keepEmpty || levelItems(s.groups).length);
+}
+
+/* The spec's own NFRs, numbered NFR001.. with their category key ("" when uncategorised); no defaults */
+export function categorizeNFR(nonFunctional = [], config = defaultNfrConfig()) {
+  const list = nonFunctional.filter(n => typeof n === "string" && n.trim());
+  const { categories } = normalizeNfrConfig(config);
+  return list.map((text, i) => {
+    const key = classifyNfr(text, categories);
+    return {
+      id: `NFR${String(i + 1).padStart(3, "0")}`,
+      text,
+      category: key === UNCATEGORISED.key ? "" : key,
+    };
+  });
+}
+
+/* Swap the items of one NFR category for new lines, leaving the others in place */
+export function replaceNfrCategory(nonFunctional = [], categoryKey, lines = [], config = defaultNfrConfig()) {
+  const bucket = bucketNFR(nonFunctional, { ...normalizeNfrConfig(config), defaults: false })[categoryKey];
+  const existing = new Set(levelItems(bucket).map(String));
+  const keep = nonFunctional.filter(n => !existing.has(String(n)));
+  const cleaned = (lines || []).map(s => String(s).trim()).filter(Boolean);
+  return [...keep, ...cleaned];
+}
+
+/* ---- Functional items: stable FRxxx ids, explicit level, list fields ---- */
+const reqNum = (id="") => parseInt(String(id).replace(/\D+/g, ""), 10) || 0;
+export function nextReqId(items = []) {
+  const max = (items || []).reduce((m, r) => Math.max(m, reqNum(r?.id)), 0);
+  return `FR${String(max + 1).padStart(3, "0")}`;
+}
+export function normalizeFunctional(list = []) {
+  const items = asList(list).map(r => (typeof r === "string" ? { statement: r } : { ...r }));
+  let max = items.reduce((m, r) => Math.max(m, reqNum(r.id)), 0);
+  return items.map(r => {
+    const level = String(r.level || levelOf(r.statement)).toUpperCase().replace(/'/g, "");
+    return {
+      ...r,
+      id: r.id || `FR${String(++max).padStart(3, "0")}`,
+      level: LEVELS.includes(level) ? level : "SHOULD",
+      statement: r.statement || "",
+      bullets: asList(r.bullets),
+    };
+  });
+}
+
+/* ---- Risks arrive as {risk, mitigation} pairs, sometimes as plain strings ---- */
+export function normalizeRisks(risks = []) {
+  return asList(risks).map(r => (
+    typeof r === "string"
+      ? { risk: r, mitigation: "" }
+      : { risk: String(r.risk || r.description || ""), mitigation: String(r.mitigation || "") }
+  )).filter(r => r.risk || r.mitigation);
+}
+
+/* ---- Build sections (functional requirements grouped by every level) ---- */
+export function deriveSections(data) {
+  const d = data || {};
+  const functionality = byLevel(normalizeFunctional(d.functional));
+  const useCases = Array.isArray(d.useCases) && d.useCases.length
+    ? d.useCases
+    : normalizeFunctional(d.functional).slice(0,5).map(r => {
+        const s = (r.statement||"").replace(/^The system\s+(MUST|SHOULD|COULD|WON'?T)\s+/i,"");
+        return s || r.statement || "";
+      }).filter(Boolean);
+
+  return {
+    title: d.title || "Requirements",
+    summary: d.summary || "",
+    functionality,
+    nfr: nfrSections(d),
+    constraints: asList(d.constraints),
+    outOfScope: asList(d.outOfScope),
+    risks: normalizeRisks(d.risks),
+    openQuestions: asList(d.openQuestions),
+    useCases
+  };
+}
+
+/* The first N MUST, then SHOULD, requirements for the "Key" section */
+export function pickTopN(functionality, n = DEFAULT_TOP_N) {
+  const must = functionality.MUST || [];
+  const should = functionality.SHOULD || [];
+  return [...must, ...should].slice(0, n);
+}
+
+/* Avoid repeating the Top N */
+export function withoutSelected(funcGroups, selected = []) {
+  const keys = new Set(
+    selected.map(r => (r?.id ? `id:${r.id}` : `s:${norm(r?.statement||"")}`))
+  );
+  const keep = (r) => {
+    if (typeof r === "string") return true;
+    const k = r?.id ? `id:${r.id}` : `s:${norm(r?.statement||"")}`;
+    return !keys.has(k);
+  };
+  return Object.fromEntries(LEVELS.map(l => [l, (funcGroups[l] || []).filter(keep)]));
+}
+
+/* ---- Reprioritising: the modal verb in the text follows the new level ---- */
+// upper-case modals first; lower-case could/may/won't are usually just prose
+const MODAL_WORD = [/\b(MUST|SHALL|SHOULD|COULD|MAY|WON'?T)\b/, /\b(must|shall|should)\b/i];
+
+export function withLevelWord(text = "", level, { insert = false } = {}) {
+  const word = levelLabel(level);
+  const modal = MODAL_WORD.find(re => re.test(text));
+  if (modal) return text.replace(modal, word);
+  if (!insert) return text;
+  // NFR lines carry their level only in the text: "Reliability: Keep backups" → "Reliability: The system MUST keep backups"
+  const prefix = text.match(/^[A-Z][\w &/-]{0,30}:\s*/)?.[0] || "";
+  const body = text.slice(prefix.length);
+  return `${prefix}The system ${word} ${body.charAt(0).toLowerCase()}${body.slice(1)}`;
+}
+
+/* Move a functional requirement (object) or an NFR line (string) to another level */
+export function moveToLevel(spec, item, level) {
+  if (typeof item === "string") {
+    return { ...spec, nonFunctional: (spec.nonFunctional || []).map(n => (n === item ? withLevelWord(n, level, { insert: true }) : n)) };
+  }
+  return {
+    ...spec,
+    functional: normalizeFunctional(spec.functional).map(r => (
+      r.id === item.id ? { ...r, level, statement: withLevelWord(r.statement, level) } : r
+    )),
+  };
+}
@@ -0,0 +1,48 @@
+//requirements.test.js
+import { byLevel, pickTopN, prioritySettings, levelLabel, moveToLevel, withLevelWord, normalizeFunctional } from './requirements';
+
+const functional = [
+  { id: 'FR001', level: 'SHOULD', statement: 'The system SHOULD email receipts.' },
+  { id: 'FR002', level: 'MUST', statement: 'The system MUST record sales.' },
+  { id: 'FR003', level: 'COULD', statement: 'The system COULD print labels.' },
+  { id: 'FR004', statement: "The system WON'T sync with the ERP." },
+];
+
+describe('prioritisation', () => {
+  test('four MoSCoW levels, WON\'T included', () => {
+    const groups = byLevel(normalizeFunctional(functional));
+    expect(Object.keys(groups)).toEqual(['MUST', 'SHOULD', 'COULD', 'WONT']);
+    expect(groups.WONT.map(r => r.id)).toEqual(['FR004']);
+  });
+
+  test('top N takes MUST before SHOULD and never COULD', () => {
+    const groups = byLevel(normalizeFunctional(functional));
+    expect(pickTopN(groups).map(r => r.id)).toEqual(['FR002', 'FR001']);
+    expect(pickTopN(groups, 1).map(r => r.id)).toEqual(['FR002']);
+    expect(pickTopN(groups, 0)).toEqual([]);
+  });
+
+  test('settings fall back to MoSCoW and a top 4', () => {
+    expect(prioritySettings({})).toEqual({ scheme: 'moscow', topN: 4 });
+    expect(prioritySettings({ priority: { scheme: 'numeric', topN: 99 } })).toEqual({ scheme: 'numeric', topN: 20 });
+    expect(prioritySettings({ priority: { scheme: 'kano', topN: -1 } })).toEqual({ scheme: 'moscow', topN: 4 });
+    expect(['MUST', 'WONT'].map(l => levelLabel(l))).toEqual(['MUST', "WON'T"]);
+    expect(['MUST', 'WONT'].map(l => levelLabel(l, 'numeric'))).toEqual(['P0', 'P3']);
+  });
+});
+
+describe('moving between levels', () => {
+  test('a functional requirement changes level and modal verb', () => {
+    const next = moveToLevel({ functional }, { id: 'FR003' }, 'MUST');
+    expect(next.functional[2]).toMatchObject({ level: 'MUST', statement: 'The system MUST print labels.' });
+    expect(next.functional[0]).toMatchObject({ level: 'SHOULD' });
+  });
+
+  test('an NFR line gets the new modal verb, inserted if it had none', () => {
+    const spec = { nonFunctional: ['Reliability: The system SHOULD keep backups.', 'Performance: Cache search results.'] };
+    const a = moveToLevel(spec, spec.nonFunctional[0], 'WONT');
+    expect(a.nonFunctional[0]).toBe("Reliability: The system WON'T keep backups.");
+    expect(withLevelWord(spec.nonFunctional[1], 'COULD', { insert: true })).toBe('Performance: The system COULD cache search results.');
+    expect(withLevelWord('Print labels.', 'MUST')).toBe('Print labels.');
+  });
+});
@@ -0,0 +1,175 @@
+/* ───────── Review: per-requirement states, comment threads, document sign-off ─────────
+ * Stored on the spec as
+ *   review: {
+ *     status:   { FR001: "approved", … },                                  missing = "draft"
+ *     threads:  [{ id: "C1", target: "FR001" | "section:Constraints", resolved,
+ *                  comments: [{ author, text, at }] }],
+ *     signoffs: [{ name, decision: "approved" | "rejected", at }],
+ *   }
+ * The review travels with the spec and can be exchanged on its own as a JSON file.
+ */
+import { asList, normalizeFunctional, deriveSections } from "./requirements";
+
+export const REVIEW_STATES = ["draft", "in-review", "approved", "rejected"];
+export const REVIEW_LABELS = { draft: "Draft", "in-review": "In Review", approved: "Approved", rejected: "Rejected" };
+export const REVIEW_FILE_FORMAT = "maispec.review";
+const REVIEW_FILE_VERSION = 1;
+
+const SECTION = "section:";
+
+const clean = (s) => String(s ?? "").trim();
+const comment = (c) => ({ author: clean(c?.author) || "Anonymous", text: clean(c?.text), at: clean(c?.at) });
+
+export function normalizeReview(review) {
+  const status = Object.fromEntries(Object.entries(review?.status || {})
+    .filter(([id, s]) => id && REVIEW_STATES.includes(s)));
+  const threads = asList(review?.threads)
+    .map((t, i) => ({
+      id: clean(t?.id) || `C${i + 1}`,
+      target: clean(t?.target),
+      resolved: !!t?.resolved,
+      comments: asList(t?.comments).map(comment).filter(c => c.text),
+    }))
+    .filter(t => t.target && t.comments.length);
+  const signoffs = asList(review?.signoffs)
+    .map(s => ({ name: clean(s?.name), decision: s?.decision === "rejected" ? "rejected" : "approved", at: clean(s?.at) }))
+    .filter(s => s.name);
+  return { status, threads, signoffs };
+}
+
+export const reviewOf = (spec) => normalizeReview(spec?.review);
+export const statusOf = (spec, id) => reviewOf(spec).status[id] || "draft";
+
+const withReview = (spec, fn) => ({ ...spec, review: fn(reviewOf(spec)) });
+
+/* "2026-10-19T14:03:00.000Z" → "2026-10-19 14:03 UTC" */
+export const stamp = (at) => (at ? `${at.slice(0, 16).replace("T", " ")} UTC` : "");
+
+/* ---- Things a comment can be attached to: requirements, then sections ---- */
+export function reviewTargets(spec) {
+  const S = deriveSections(spec);
+  const sections = [
+    "Functional",
+    ...S.nfr.map(c => c.title),
+    ...[["Constraints", S.constraints], ["Out of Scope", S.outOfScope], ["Risks & Mitigations", S.risks],
+      ["Open Questions", S.openQuestions], ["Use Cases", S.useCases]].filter(([, v]) => v?.length).map(([t]) => t),
+  ];
+  return [
+    ...normalizeFunctional(spec?.functional).map(r => ({ key: r.id, label: r.id })),
+    ...sections.map(t => ({ key: `${SECTION}${t}`, label: t })),
+  ];
+}
+
+export const targetLabel = (target) => (target.startsWith(SECTION) ? target.slice(SECTION.length) : target);
+
+/* ---- Edits (each returns a new spec) ---- */
+export const setReviewStatus = (spec, id, status) => withReview(spec, r => ({ ...r, status: { ...r.status, [id]: status } }));
+
+export function addThread(spec, target, author, text, at = new Date()) {
+  return withReview(spec, r => {
+    const next = r.threads.reduce((m, t) => Math.max(m, Number(t.id.replace(/\D/g, "")) || 0), 0) + 1;
+    return { ...r, threads: [...r.threads, { id: `C${next}`, target, resolved: false, comments: [comment({ author, text, at: at.toISOString() })] }] };
+  });
+}
+
+export const replyToThread = (spec, threadId, author, text, at = new Date()) => withReview(spec, r => ({
+  ...r,
+  threads: r.threads.map(t => (t.id === threadId
+    ? { ...t, resolved: false, comments: [...t.comments, comment({ author, text, at: at.toISOString() })] }
+    : t)),
+}));
+
+export const setThreadResolved = (spec, threadId, resolved) => withReview(spec, r => ({
+  ...r,
+  threads: r.threads.map(t => (t.id === threadId ? { ...t, resolved } : t)),
+}));
+
+export const signOff = (spec, name, decision = "approved", at = new Date()) => withReview(spec, r => ({
+  ...r,
+  signoffs: [...r.signoffs, { name: clean(name), decision, at: at.toISOString() }],
+}));
+
+/* ---- Summary shared by the view and the exports ---- */
+export function reviewSummary(spec) {
+  const review = reviewOf(spec);
+  const ids = normalizeFunctional(spec?.functional).map(r => r.id);
+  const counts = Object.fromEntries(REVIEW_STATES.map(s => [s, 0]));
+  ids.forEach(id => { counts[review.status[id] || "draft"]++; });
+  const open = review.threads.filter(t => !t.resolved);
+  return {
+    counts,
+    total: ids.length,
+    open,
+    signoffs: review.signoffs,
+    // exports only grow an approval block once someone has reviewed something
+    active: Object.values(review.status).some(s => s !== "draft") || review.threads.length > 0 || review.signoffs.length > 0,
+  };
+}
+
+/* "2 of 3 requirements approved · 1 rejected · 1 unresolved comment" */
+export function reviewLine(spec) {
+  const { counts, total, open } = reviewSummary(spec);
+  return [
+    `${counts.approved} of ${total} requirement${total === 1 ? "" : "s"} approved`,
+    counts["in-review"] && `${counts["in-review"]} in review`,
+    counts.rejected && `${counts.rejected} rejected`,
+    open.length && `${open.length} unresolved comment${open.length > 1 ? "s" : ""}`,
+  ].filter(Boolean).join(" · ");
+}
+
+/* Approval block for the exports, or null before anyone has reviewed */
+export function approvalBlock(spec) {
+  const { open, signoffs, active } = reviewSummary(spec);
+  if (!active) return null;
+  return {
+    line: reviewLine(spec),
+    head: ["Reviewer", "Decision", "Signed"],
+    rows: signoffs.map(s => [s.name, REVIEW_LABELS[s.decision], stamp(s.at)]),
+    comments: open.map(t => {
+      const first = t.comments[0];
+      const replies = t.comments.length - 1;
+      return `${targetLabel(t.target)} — ${first.author}: ${first.text}${replies ? ` (${replies} repl${replies > 1 ? "ies" : "y"})` : ""}`;
+    }),
+  };
+}
+
+/* ---- Review file: just the review, merged into whatever spec opens it ---- */
+export function reviewFileJson(spec, date = new Date()) {
+  return `${JSON.stringify({ format: REVIEW_FILE_FORMAT, version: REVIEW_FILE_VERSION, exportedAt: date.toISOString(), title: spec?.title || "", review: reviewOf(spec) }, null, 2)}\n`;
+}
+
+export function readReviewFile(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch { throw new Error("The file is not valid JSON."); }
+  if (obj?.format !== REVIEW_FILE_FORMAT) throw new Error("This is not a MaiSpec review file.");
+  if (Number(obj.version) > REVIEW_FILE_VERSION) throw new Error("The review was saved by a newer version of MaiSpec.");
+  return normalizeReview(obj.review);
+}
+
+/* Statuses from the file win; threads merge by id, keeping every distinct comment; sign-offs are added */
+export function mergeReview(spec, incoming) {
+  const ours = reviewOf(spec);
+  const theirs = normalizeReview(incoming);
+  const key = (c) => `${c.at}|${c.author}|${c.text}`;
+  const threads = ours.threads.map(t => {
+    const other = theirs.threads.find(o => o.id === t.id && o.target === t.target);
+    if (!other) return t;
+    const seen = new Set(t.comments.map(key));
+    const comments = [...t.comments, ...other.comments.filter(c => !seen.has(key(c)))].sort((a, b) => a.at.localeCompare(b.at));
+    return { ...t, resolved: other.resolved, comments };
+  });
+  // threads that only exist in the file get fresh ids if ours are taken
+  let next = threads.reduce((m, t) => Math.max(m, Number(t.id.replace(/\D/g, "")) || 0), 0);
+  theirs.threads
+    .filter(o => !ours.threads.some(t => t.id === o.id && t.target === o.target))
+    .forEach(o => threads.push({ ...o, id: threads.some(t => t.id === o.id) ? `C${++next}` : o.id }));
+  const signed = new Set(ours.signoffs.map(s => `${s.name}|${s.at}`));
+  return {
+    ...spec,
+    review: {
+      status: { ...ours.status, ...theirs.status },
+      threads,
+      signoffs: [...ours.signoffs, ...theirs.signoffs.filter(s => !signed.has(`${s.name}|${s.at}`))],
+    },
+  };
+}
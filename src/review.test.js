@@ -0,0 +1,76 @@
+//review.test.js
+import {
+  setReviewStatus, addThread, replyToThread, setThreadResolved, signOff, reviewSummary, reviewLine, reviewTargets,
+  reviewFileJson, readReviewFile, mergeReview, approvalBlock,
+} from './review';
+import { htmlForPdf, mdFromJson, specBlocks } from './exporters';
+
+const SPEC = {
+  title: 'Kiosk',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'The kiosk MUST print tickets.' },
+    { id: 'FR002', level: 'SHOULD', statement: 'The kiosk SHOULD accept cards.' },
+  ],
+  nonFunctional: [],
+  constraints: ['Fits a 60 cm recess'],
+};
+const at = (min) => new Date(Date.UTC(2026, 9, 19, 9, min));
+
+describe('review state', () => {
+  test('statuses, threads and sign-offs are tracked per spec', () => {
+    let spec = setReviewStatus(SPEC, 'FR001', 'approved');
+    spec = setReviewStatus(spec, 'FR002', 'in-review');
+    spec = addThread(spec, 'FR002', 'Ana', 'Which card schemes?', at(0));
+    spec = addThread(spec, 'section:Constraints', 'Ben', 'Confirm the recess depth.', at(1));
+    spec = replyToThread(spec, 'C1', 'Cy', 'Visa and Mastercard.', at(2));
+    spec = setThreadResolved(spec, 'C2', true);
+
+    const summary = reviewSummary(spec);
+    expect(summary.counts).toEqual({ draft: 0, 'in-review': 1, approved: 1, rejected: 0 });
+    expect(summary.open.map(t => t.id)).toEqual(['C1']);
+    expect(spec.review.threads[0].comments).toHaveLength(2);
+    expect(reviewLine(spec)).toBe('1 of 2 requirements approved · 1 in review · 1 unresolved comment');
+
+    spec = signOff(spec, 'Dee', 'approved', at(3));
+    expect(approvalBlock(spec).rows).toEqual([['Dee', 'Approved', '2026-10-19 09:03 UTC']]);
+    expect(approvalBlock(spec).comments).toEqual(['FR002 — Ana: Which card schemes? (1 reply)']);
+    expect(approvalBlock(SPEC)).toBeNull();
+  });
+
+  test('comments can target requirements and the sections present', () => {
+    expect(reviewTargets(SPEC).map(t => t.label)).toEqual(expect.arrayContaining(['FR001', 'FR002', 'Functional', 'Constraints']));
+    expect(reviewTargets(SPEC).map(t => t.label)).not.toContain('Out of Scope');
+  });
+});
+
+describe('review files', () => {
+  test('round-trip and merge without duplicating comments', () => {
+    const ours = addThread(SPEC, 'FR001', 'Ana', 'Paper size?', at(0));
+    const theirs = signOff(replyToThread(setReviewStatus(ours, 'FR001', 'rejected'), 'C1', 'Ben', 'A6.', at(5)), 'Ben', 'rejected', at(6));
+    const review = readReviewFile(reviewFileJson(theirs));
+    const merged = mergeReview(ours, review);
+    expect(merged.review.status.FR001).toBe('rejected');
+    expect(merged.review.threads).toHaveLength(1);
+    expect(merged.review.threads[0].comments.map(c => c.text)).toEqual(['Paper size?', 'A6.']);
+    expect(mergeReview(merged, review).review.signoffs).toHaveLength(1);
+    expect(() => readReviewFile('{"format":"maispec.pack"}')).toThrow('This is not a MaiSpec review file.');
+  });
+
+  test('exports carry the approval block and each requirement status', () => {
+    const spec = signOff(addThread(setReviewStatus(SPEC, 'FR001', 'approved'), 'FR002', 'Ana', 'Which card schemes?', at(0)), 'Dee', 'approved', at(3));
+    const md = mdFromJson(spec);
+    expect(md).toContain('## Approval\n1 of 2 requirements approved · 1 unresolved comment');
+    expect(md).toContain('| Dee | Approved | 2026-10-19 09:03 UTC |');
+    expect(md).toContain('- FR002 — Ana: Which card schemes?');
+    expect(htmlForPdf(spec)).toContain('<em>Review:</em> Approved');
+    expect(specBlocks(spec).some(b => b.t === 'table' && b.head[0] === 'Reviewer')).toBe(true);
+    expect(mdFromJson(SPEC)).not.toContain('Approval');
+  });
+
+  test('a pipe in a reviewer name stays inside its Markdown table cell', () => {
+    const spec = signOff(SPEC, 'Dee | QA', 'rejected', at(3));
+    const md = mdFromJson(spec);
+    expect(md).toContain('| Reviewer | Decision | Signed |\n| --- | --- | --- |\n| Dee \\| QA | Rejected | 2026-10-19 09:03 UTC |');
+    expect(htmlForPdf(spec)).toContain('<td>Dee | QA</td>');
+  });
+});
@@ -0,0 +1,261 @@
+/* ───────── Model output: parse, validate against JSON_GUIDE, repair ───────── */
+import { asList, levelOf, LEVELS, nextReqId } from "./requirements";
+import { parsePartialJson } from "./streaming";
+
+const LIST_FIELDS = ["nonFunctional", "constraints", "outOfScope", "openQuestions", "useCases"];
+const REQUIRED = ["title", "summary", "functional", ...LIST_FIELDS, "risks"];
+// numeric priorities (see PRIORITY_SCHEMES) and spelled-out MoSCoW
+const LEVEL_ALIASES = { P0: "MUST", P1: "SHOULD", P2: "COULD", P3: "WONT", "WILL NOT": "WONT" };
+
+const stripFence = (s) => (s.startsWith("```")
+  ? s.replace(/^```(?:json)?\s*/i, "").replace(/```\s*$/i, "").trim()
+  : s);
+
+/* Strict parse: the object itself, fenced JSON, or the outermost {...} */
+export function tryParseRequirements(raw) {
+  // Accept object directly
+  if (raw && typeof raw === "object") return raw;
+  const s = stripFence(String(raw ?? "").trim());
+  try { return JSON.parse(s); } catch {}
+  const first = s.indexOf("{");
+  const last = s.lastIndexOf("}");
+  if (first !== -1 && last !== -1 && last > first) {
+    try { return JSON.parse(s.slice(first, last + 1)); } catch {}
+  }
+  return null;
+}
+
+/*
+ * Rewrite JSON-ish text outside of strings: single-quoted strings, comments,
+ * unquoted keys, Python literals, smart quotes and trailing commas.
+ */
+function normalizeJsonText(src, fixes) {
+  const note = (msg) => { if (!fixes.includes(msg)) fixes.push(msg); };
+  let out = "";
+  let i = 0;
+  const n = src.length;
+  const prevSignificant = () => out.replace(/\s+$/, "").slice(-1);
+
+  while (i < n) {
+    const c = src[i];
+
+    if (c === '"' || c === "'" || c === "“" || c === "”") {
+      const close = c === "“" ? "”" : c;
+      if (c !== '"') note(c === "'" ? "Converted single-quoted strings" : "Replaced smart quotes");
+      let j = i + 1;
+      let body = "";
+      while (j < n && src[j] !== close && !(close === "”" && src[j] === '"')) {
+        if (src[j] === "\\" && j + 1 < n) { body += src[j] + src[j + 1]; j += 2; continue; }
+        // a raw newline inside a string is invalid JSON
+        if (src[j] === "\n") { body += "\\n"; note("Escaped line breaks inside strings"); j++; continue; }
+        body += c !== '"' && src[j] === '"' ? '\\"' : src[j];
+        j++;
+      }
+      if (c === "'") body = body.replace(/\\'/g, "'");
+      out += `"${body}"`;
+      i = j + 1;
+      continue;
+    }
+
+    if (c === "/" && src[i + 1] === "/") {
+      while (i < n && src[i] !== "\n") i++;
+      note("Removed comments");
+      continue;
+    }
+    if (c === "/" && src[i + 1] === "*") {
+      const end = src.indexOf("*/", i + 2);
+      i = end === -1 ? n : end + 2;
+      note("Removed comments");
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(c)) {
+      let j = i;
+      while (j < n && /[\w$]/.test(src[j])) j++;
+      const word = src.slice(i, j);
+      const after = src.slice(j).match(/^\s*:/);
+      const before = prevSignificant();
+      if (after && (before === "{" || before === ",")) {
+        out += `"${word}"`;
+        note("Quoted bare keys");
+      } else if (word === "True" || word === "False" || word === "None") {
+        out += word === "None" ? "null" : word.toLowerCase();
+        note("Converted Python literals");
+      } else {
+        out += word;
+      }
+      i = j;
+      continue;
+    }
+
+    if (c === "}" || c === "]") {
+      if (prevSignificant() === ",") {
+        out = out.replace(/,\s*$/, "");
+        note("Removed trailing commas");
+      }
+    }
+    out += c;
+    i++;
+  }
+  return out;
+}
+
+/* Text → object, applying repairs only when strict parsing fails */
+function parseLoose(raw, fixes) {
+  const strict = tryParseRequirements(raw);
+  if (strict) return strict;
+
+  let s = stripFence(String(raw ?? "").trim());
+  const first = s.indexOf("{");
+  if (first === -1) return null;
+  if (first > 0) fixes.push("Dropped text before the JSON object");
+  s = s.slice(first);
+
+  const normalized = normalizeJsonText(s, fixes);
+  const last = normalized.lastIndexOf("}");
+  try { return JSON.parse(normalized); } catch {}
+  if (last !== -1) {
+    try {
+      const obj = JSON.parse(normalized.slice(0, last + 1));
+      fixes.push("Dropped text after the JSON object");
+      return obj;
+    } catch {}
+  }
+  const partial = parsePartialJson(normalized);
+  if (partial && Object.keys(partial).length) {
+    fixes.push("Closed truncated JSON (output was cut off)");
+    return partial;
+  }
+  return null;
+}
+
+/* Loose parse for replies that are not full specs (e.g. a refined section) */
+export function parseModelJson(raw) {
+  const fixes = [];
+  return { value: parseLoose(raw, fixes), fixes };
+}
+
+/* Anything → readable string (for list items the model returned as objects) */
+const textOf = (x) => {
+  if (x == null) return "";
+  if (typeof x === "string") return x.trim();
+  if (typeof x !== "object") return String(x);
+  const t = x.statement ?? x.text ?? x.description ?? x.name ?? x.title ?? x.question;
+  if (typeof t === "string") return t.trim();
+  return Object.values(x).filter(v => typeof v === "string").join(" — ");
+};
+
+const toArray = (v, field, fixes) => {
+  if (Array.isArray(v)) return v;
+  if (v && typeof v === "object") { fixes.push(`${field}: converted object to list`); return Object.values(v); }
+  if (typeof v === "string" && v.trim()) { fixes.push(`${field}: wrapped string in a list`); return [v]; }
+  return [];
+};
+
+function repairFunctional(list, fixes) {
+  const items = toArray(list, "functional", fixes).map((r, i) => {
+    if (typeof r === "string") {
+      fixes.push(`functional[${i}]: converted string to requirement object`);
+      return { statement: r.trim() };
+    }
+    if (!r || typeof r !== "object") return null;
+    const out = { ...r };
+    if (typeof out.statement !== "string") {
+      const text = textOf({ ...r, id: undefined, level: undefined });
+      out.statement = text;
+      fixes.push(`functional[${i}]: filled missing statement`);
+    }
+    return out;
+  }).filter(r => r && r.statement);
+
+  return items.map((r, i) => {
+    const out = { ...r };
+    const lvl = String(out.level ?? "").trim();
+    if (!LEVELS.includes(lvl)) {
+      const upper = lvl.toUpperCase().replace(/'/g, "");
+      out.level = LEVELS.includes(upper) ? upper : LEVEL_ALIASES[upper] || levelOf(out.statement);
+      fixes.push(lvl ? `${out.id || `functional[${i}]`}: level "${lvl}" → ${out.level}` : `${out.id || `functional[${i}]`}: missing level set to ${out.level}`);
+    }
+    if (out.bullets !== undefined && !Array.isArray(out.bullets)) {
+      out.bullets = asList(out.bullets).map(textOf);
+      fixes.push(`${out.id || `functional[${i}]`}: bullets converted to a list`);
+    }
+    if (Array.isArray(out.bullets) && out.bullets.some(b => typeof b !== "string")) out.bullets = out.bullets.map(textOf);
+    if (out.standards !== undefined && !Array.isArray(out.standards)) {
+      out.standards = String(out.standards).split(/[;,]\s*/).map(s => s.trim()).filter(Boolean);
+      fixes.push(`${out.id || `functional[${i}]`}: standards split into a list`);
+    }
+    if (out.rationale !== undefined && typeof out.rationale !== "string") out.rationale = textOf(out.rationale);
+    ["tracesTo", "verifiedBy"].forEach(k => {
+      if (out[k] === undefined || (Array.isArray(out[k]) && out[k].every(x => typeof x === "string"))) return;
+      out[k] = asList(out[k]).map(textOf).filter(Boolean);
+      fixes.push(`${out.id || `functional[${i}]`}: ${k} converted to a list of text`);
+    });
+    return out;
+  }).reduce((acc, r, i) => {
+    // ids last, so new ones never collide with ids further down the list
+    if (!r.id || acc.some(x => x.id === r.id)) {
+      const id = nextReqId([...acc, ...items.slice(i + 1)]);
+      fixes.push(r.id ? `Duplicate id ${r.id} renamed to ${id}` : `functional[${i}]: added id ${id}`);
+      r = { ...r, id };
+    }
+    return [...acc, r];
+  }, []);
+}
+
+/*
+ * Parse + validate + repair. Returns
+ *   { data, fixes: [string], missing: [field] }   when a structured spec could be recovered
+ *   { data: null, fixes, missing, error }         otherwise
+ */
+export function repairRequirements(raw) {
+  const fixes = [];
+  let obj = parseLoose(raw, fixes);
+
+  if (Array.isArray(obj)) { obj = { functional: obj }; fixes.push("Wrapped top-level list as functional requirements"); }
+  if (obj && !("functional" in obj)) {
+    const inner = Object.values(obj).find(v => v && typeof v === "object" && !Array.isArray(v) && "functional" in v);
+    if (inner) { obj = inner; fixes.push("Unwrapped nested requirements object"); }
+  }
+  if (!obj || typeof obj !== "object") {
+    return { data: null, fixes, missing: REQUIRED, error: "The model output is not valid JSON." };
+  }
+
+  const missing = REQUIRED.filter(k => obj[k] === undefined || obj[k] === null || obj[k] === "");
+  if (!("functional" in obj) || obj.functional == null) {
+    return { data: null, fixes, missing, error: "The model output has no functional requirements list." };
+  }
+
+  const data = { ...obj };
+  ["title", "summary"].forEach(k => {
+    if (data[k] != null && typeof data[k] !== "string") { data[k] = textOf(data[k]); fixes.push(`${k}: converted to text`); }
+  });
+  data.functional = repairFunctional(obj.functional, fixes);
+  LIST_FIELDS.forEach(k => {
+    if (obj[k] === undefined) return;
+    const list = toArray(obj[k], k, fixes);
+    if (list.some(x => typeof x !== "string")) fixes.push(`${k}: converted items to text`);
+    data[k] = list.map(textOf).filter(Boolean);
+  });
+  if (obj.risks !== undefined) {
+    data.risks = toArray(obj.risks, "risks", fixes).map(r => {
+      if (typeof r === "string") return { risk: r, mitigation: "" };
+      return { ...r, risk: textOf(r.risk ?? r.description ?? r.name ?? ""), mitigation: textOf(r.mitigation ?? r.response ?? "") };
+    });
+  }
+
+  return { data, fixes, missing };
+}
+
+/* Prompt for the one-click "ask the model to fix this JSON" retry */
+export function buildFixPrompt(raw, guide, problem = "") {
+  return [
+    "The following output was supposed to be a requirements document in JSON but could not be parsed" +
+      (problem ? ` (${problem})` : "") + ".",
+    "Fix it so it is valid JSON matching the schema below. Keep all of the original content; do not invent new requirements.",
+    "--- BEGIN OUTPUT ---",
+    String(raw ?? ""),
+    "--- END OUTPUT ---",
+    guide,
+  ].join("\n\n");
+}
@@ -0,0 +1,49 @@
+//schema.test.js
+import { repairRequirements, buildFixPrompt } from './schema';
+
+describe('repairRequirements', () => {
+  test('valid output passes through without fixes', () => {
+    const spec = { title: 'T', summary: 'S', functional: [{ id: 'FR001', level: 'MUST', statement: 'Log in.' }],
+      nonFunctional: [], constraints: [], outOfScope: [], risks: [], openQuestions: [], useCases: [] };
+    const r = repairRequirements(JSON.stringify(spec));
+    expect(r.fixes).toEqual([]);
+    expect(r.missing).toEqual([]);
+    expect(r.data).toEqual(spec);
+  });
+
+  test('fixes trailing commas, single quotes, comments and bare keys', () => {
+    const raw = "Here you go:\n```json\n{title: 'Tracker', // name\n 'functional': [{'id': 'FR001', 'level': 'MUST', 'statement': 'Log \"in\".',},],}\n```";
+    const r = repairRequirements(raw);
+    expect(r.data.title).toBe('Tracker');
+    expect(r.data.functional[0].statement).toBe('Log "in".');
+    expect(r.fixes).toEqual(expect.arrayContaining([
+      'Converted single-quoted strings', 'Removed comments', 'Quoted bare keys', 'Removed trailing commas',
+    ]));
+  });
+
+  test('recovers truncated output and normalises items', () => {
+    const raw = '{"title": "Tracker", "functional": ["The system must log in", {"level": "should", "statement": "Export", "standards": "ISO 9001; WCAG"}, {"id": "FR002", "statem';
+    const r = repairRequirements(raw);
+    expect(r.fixes).toContain('Closed truncated JSON (output was cut off)');
+    expect(r.data.functional).toEqual([
+      { id: 'FR001', level: 'MUST', statement: 'The system must log in' },
+      { id: 'FR002', level: 'SHOULD', statement: 'Export', standards: ['ISO 9001', 'WCAG'] },
+    ]);
+    expect(r.missing).toEqual(expect.arrayContaining(['summary', 'risks']));
+  });
+
+  test('turns strings into the objects the schema expects', () => {
+    const r = repairRequirements({ functional: 'Log in', risks: ['Scanner drift'], constraints: 'Tablets only', useCases: [{ name: 'Receive delivery' }] });
+    expect(r.data.functional[0]).toMatchObject({ id: 'FR001', statement: 'Log in' });
+    expect(r.data.risks).toEqual([{ risk: 'Scanner drift', mitigation: '' }]);
+    expect(r.data.constraints).toEqual(['Tablets only']);
+    expect(r.data.useCases).toEqual(['Receive delivery']);
+  });
+
+  test('reports failure when nothing structured can be recovered', () => {
+    const r = repairRequirements('# Requirements\n- MUST log in');
+    expect(r.data).toBeNull();
+    expect(r.error).toMatch(/not valid JSON/);
+    expect(buildFixPrompt('{bad', 'GUIDE', r.error)).toContain('{bad');
+  });
+});
@@ -0,0 +1,90 @@
+/* ───────── Generation settings (persisted in localStorage) ───────── */
+import { LEVELS } from "./requirements";
+
+const SETTINGS_KEY = "maispec.settings.v1";
+
+export const DEFAULT_MODEL = "models/gemini-2.5-flash";
+
+export const SECTION_OPTIONS = [
+  "Purpose",
+  "Functional Requirements",
+  "Non-Functional Requirements",
+  "Constraints",
+  "Out of Scope",
+  "Risks & Mitigations",
+  "Open Questions",
+  "Use Cases",
+];
+
+export const DETAIL_LEVELS = [
+  { value: "brief", label: "Brief", hint: "one-line statements, few bullets" },
+  { value: "standard", label: "Standard", hint: "statement plus 2–3 bullets" },
+  { value: "detailed", label: "Detailed", hint: "bullets, rationale and standards for every item" },
+];
+
+export const LANGUAGES = ["English", "German", "French", "Spanish", "Italian", "Portuguese", "Dutch", "Polish", "Hindi", "Japanese", "Chinese"];
+
+export const DEFAULT_SETTINGS = {
+  model: DEFAULT_MODEL,
+  sections: SECTION_OPTIONS,
+  targetFunctional: 12,
+  detail: "standard",
+  language: "English",
+};
+
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || "null");
+    if (saved && typeof saved === "object") {
+      const merged = { ...DEFAULT_SETTINGS, ...saved };
+      merged.sections = (Array.isArray(saved.sections) ? saved.sections : DEFAULT_SETTINGS.sections)
+        .filter(s => SECTION_OPTIONS.includes(s));
+      return merged;
+    }
+  } catch {}
+  return { ...DEFAULT_SETTINGS };
+}
+
+export function saveSettings(settings) {
+  try { window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch {}
+}
+
+/* Models the backend reports at GET /models; accepts ["id", ...] or { models: [...] } */
+export async function fetchModels(apiBase) {
+  const res = await fetch(`${apiBase}/models`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await res.json();
+  const list = Array.isArray(data) ? data : data?.models;
+  if (!Array.isArray(list)) throw new Error("Unexpected /models response");
+  return list
+    .map(m => (typeof m === "string" ? m : m?.name || m?.id))
+    .filter(Boolean);
+}
+
+/* FormData fields sent with every /generate-requirements/ call */
+export function appendSettings(form, settings) {
+  form.append("model_choice", settings.model || DEFAULT_MODEL);
+  form.append("sections", settings.sections.join(", "));
+  form.append("target_functional", String(settings.targetFunctional));
+  form.append("detail_level", settings.detail);
+  form.append("language", settings.language);
+}
+
+/* Output language instruction; "" for English */
+export function languageLine(language) {
+  if (!language || language === "English") return "";
+  return `Write all text values in ${language}. Keep JSON keys, ids and ${LEVELS.join("/")} in English.`;
+}
+
+/* Same choices spelled out in the prompt, for backends that ignore the extra fields */
+export function settingsPromptLines(settings) {
+  const lines = [];
+  const detail = DETAIL_LEVELS.find(d => d.value === settings.detail);
+  if (settings.sections.length && settings.sections.length < SECTION_OPTIONS.length) {
+    lines.push(`Sections to include: ${settings.sections.join(", ")}. Return empty arrays for the other schema fields.`);
+  }
+  if (settings.targetFunctional) lines.push(`Target: about ${settings.targetFunctional} functional requirements.`);
+  if (detail) lines.push(`Level of detail: ${detail.label} (${detail.hint}).`);
+  if (languageLine(settings.language)) lines.push(languageLine(settings.language));
+  return lines;
+}
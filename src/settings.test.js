@@ -0,0 +1,41 @@
+//settings.test.js
+import { DEFAULT_SETTINGS, SECTION_OPTIONS, appendSettings, languageLine, loadSettings, saveSettings, settingsPromptLines } from './settings';
+
+describe('generation settings', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('the language line keeps every MoSCoW level in English', () => {
+    expect(languageLine('English')).toBe('');
+    expect(languageLine('')).toBe('');
+    expect(languageLine('German')).toBe('Write all text values in German. Keep JSON keys, ids and MUST/SHOULD/COULD/WONT in English.');
+  });
+
+  test('prompt lines spell out sections, size, detail and language', () => {
+    expect(settingsPromptLines(DEFAULT_SETTINGS)).toEqual([
+      'Target: about 12 functional requirements.',
+      'Level of detail: Standard (statement plus 2–3 bullets).',
+    ]);
+    const lines = settingsPromptLines({ ...DEFAULT_SETTINGS, sections: ['Purpose', 'Use Cases'], targetFunctional: 0, detail: 'brief', language: 'Polish' });
+    expect(lines).toEqual([
+      'Sections to include: Purpose, Use Cases. Return empty arrays for the other schema fields.',
+      'Level of detail: Brief (one-line statements, few bullets).',
+      languageLine('Polish'),
+    ]);
+  });
+
+  test('form fields carry the same choices', () => {
+    const form = new FormData();
+    appendSettings(form, { ...DEFAULT_SETTINGS, model: '', language: 'French' });
+    expect(form.get('model_choice')).toBe(DEFAULT_SETTINGS.model);
+    expect(form.get('sections')).toBe(SECTION_OPTIONS.join(', '));
+    expect(form.get('target_functional')).toBe('12');
+    expect(form.get('language')).toBe('French');
+  });
+
+  test('saved settings load back without unknown sections', () => {
+    saveSettings({ ...DEFAULT_SETTINGS, language: 'Japanese', sections: ['Purpose', 'Retired section'] });
+    expect(loadSettings()).toMatchObject({ language: 'Japanese', sections: ['Purpose'], detail: 'standard' });
+    window.localStorage.setItem('maispec.settings.v1', '{broken');
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+});
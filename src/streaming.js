@@ -0,0 +1,122 @@
+/* ───────── Streamed generation: SSE / chunked reader + partial JSON ───────── */
+
+/*
+ * Split an SSE buffer into complete events. Returns the data payloads and the
+ * unfinished remainder to prepend to the next chunk.
+ */
+export function parseSseEvents(buffer) {
+  const parts = buffer.replace(/\r\n/g, "\n").split("\n\n");
+  const rest = parts.pop();
+  const events = parts
+    .map(evt => evt.split("\n").filter(l => l.startsWith("data:")).map(l => l.slice(5).replace(/^ /, "")).join("\n"))
+    .filter(data => data !== "");
+  return { events, rest };
+}
+
+/* One SSE payload → text to append, a final answer, or an error */
+function interpretEvent(data) {
+  if (data === "[DONE]") return { done: true };
+  try {
+    const obj = JSON.parse(data);
+    if (obj && typeof obj === "object") {
+      if (obj.error) return { error: String(obj.error) };
+      if ("requirements" in obj) return { final: obj.requirements };
+      const delta = obj.delta ?? obj.text ?? obj.chunk;
+      if (typeof delta === "string") return { delta };
+    }
+  } catch {}
+  return { delta: data };
+}
+
+/*
+ * Read a /generate-requirements/ response. Streams (text/event-stream or a chunked
+ * text body) call onText with everything received so far; plain JSON responses are
+ * returned as before. Resolves with the raw requirements (string or object).
+ */
+export async function readGeneration(res, onText = () => {}) {
+  const type = res.headers?.get?.("content-type") || "";
+  const reader = res.body?.getReader?.();
+  if (!reader || type.includes("application/json")) {
+    const data = await res.json();
+    return data?.requirements ?? "";
+  }
+
+  const decoder = new TextDecoder();
+  const sse = type.includes("text/event-stream");
+  let text = "";
+  let buffer = "";
+  let final;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    const chunk = done ? decoder.decode() : decoder.decode(value, { stream: true });
+    if (!sse) {
+      text += chunk;
+    } else {
+      const { events, rest } = parseSseEvents(buffer + chunk + (done ? "\n\n" : ""));
+      buffer = rest;
+      for (const data of events) {
+        const evt = interpretEvent(data);
+        if (evt.error) throw new Error(evt.error);
+        if (evt.final !== undefined) final = evt.final;
+        if (evt.delta) text += evt.delta;
+      }
+    }
+    if (chunk) onText(text);
+    if (done) break;
+  }
+  if (final !== undefined) return final;
+  // a chunked body may still be the usual {"requirements": ...} envelope
+  try {
+    const obj = JSON.parse(text);
+    if (obj && typeof obj === "object" && "requirements" in obj) return obj.requirements;
+  } catch {}
+  return text;
+}
+
+/*
+ * Best-effort parse of a JSON document that is still arriving: closes open
+ * arrays/objects at the last complete value so the view can fill in early.
+ */
+export function parsePartialJson(text = "") {
+  let s = String(text);
+  const start = s.indexOf("{");
+  if (start === -1) return null;
+  s = s.slice(start);
+
+  const stack = [];
+  const cuts = []; // { end, closers } where s.slice(0, end) + closers may parse
+  let inStr = false;
+  let esc = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (inStr) {
+      if (esc) esc = false;
+      else if (c === "\\") esc = true;
+      else if (c === '"') { inStr = false; cuts.push({ end: i + 1, closers: stack.join("") }); }
+      continue;
+    }
+    if (c === '"') inStr = true;
+    else if (c === "{" || c === "[") {
+      stack.unshift(c === "{" ? "}" : "]");
+      // an empty root object is still progress; empty nested items are not
+      if (stack.length === 1 || c === "[") cuts.push({ end: i + 1, closers: stack.join("") });
+    }
+    else if (c === "}" || c === "]") {
+      stack.shift();
+      if (!stack.length) {
+        try { return JSON.parse(s.slice(0, i + 1)); } catch { return null; }
+      }
+      cuts.push({ end: i + 1, closers: stack.join("") });
+    } else if (c === ",") {
+      cuts.push({ end: i, closers: stack.join("") });
+    }
+  }
+
+  for (let k = cuts.length - 1; k >= 0; k--) {
+    const { end, closers } = cuts[k];
+    try { return JSON.parse(s.slice(0, end).replace(/[\s,:]+$/, "") + closers); } catch {}
+  }
+  return null;
+}
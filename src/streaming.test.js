@@ -0,0 +1,70 @@
+//streaming.test.js
+import { TextDecoder } from 'util';
+import { parseSseEvents, parsePartialJson, readGeneration } from './streaming';
+import { utf8Bytes } from './zip';
+
+// jsdom has no TextDecoder; browsers and Node do
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+describe('streamed generation', () => {
+  test('splits SSE events and keeps the unfinished tail', () => {
+    const { events, rest } = parseSseEvents('data: {"delta":"{\\"ti"}\n\ndata: tle\n\ndata: par');
+    expect(events).toEqual(['{"delta":"{\\"ti"}', 'tle']);
+    expect(rest).toBe('data: par');
+  });
+
+  test('parses a JSON prefix up to the last complete value', () => {
+    const text = '```json\n{"title": "Tracker", "functional": [{"id": "FR001", "statement": "Log in"}, {"id": "FR0';
+    expect(parsePartialJson(text)).toEqual({ title: 'Tracker', functional: [{ id: 'FR001', statement: 'Log in' }] });
+    expect(parsePartialJson('{"title": "Tra')).toEqual({});
+    expect(parsePartialJson('no json yet')).toBeNull();
+  });
+
+  test('returns the complete object once the stream closes it', () => {
+    expect(parsePartialJson('{"a": [1, 2], "b": {"c": "}"}} trailing')).toEqual({ a: [1, 2], b: { c: '}' } });
+  });
+
+  test('joins SSE events split across chunks and multi-line data fields', () => {
+    const first = parseSseEvents('data: {"delta":"a"}\r\n\r\nevent: delta\ndata: li');
+    expect(first.events).toEqual(['{"delta":"a"}']);
+    const second = parseSseEvents(first.rest + 'ne 1\ndata: line 2\n: keep-alive\n\ndata: [DONE]\n\n');
+    expect(second).toEqual({ events: ['line 1\nline 2', '[DONE]'], rest: '' });
+  });
+
+  test('keeps truncated strings and escapes out of the partial result', () => {
+    expect(parsePartialJson('{"title": "Tracker", "summary": "Says \\"hi')).toEqual({ title: 'Tracker' });
+    expect(parsePartialJson('{"a": "ends \\\\", "b": "x\\u00')).toEqual({ a: 'ends \\' });
+    expect(parsePartialJson('{"a": "brace } and [ inside", "b": [1, 2')).toEqual({ a: 'brace } and [ inside', b: [1] }); // 2 may be the start of 25;
+  });
+
+  test('plain JSON responses are read as before', async () => {
+    const res = { headers: { get: () => 'application/json' }, json: () => Promise.resolve({ requirements: '{"x":1}' }) };
+    await expect(readGeneration(res)).resolves.toBe('{"x":1}');
+  });
+
+  // A fetch Response whose body arrives in the given pieces (split bytes included)
+  const streamed = (type, pieces) => {
+    const bytes = pieces.map(p => (typeof p === 'string' ? utf8Bytes(p) : p));
+    return { headers: { get: () => type }, body: { getReader: () => ({ read: async () => (bytes.length ? { value: bytes.shift(), done: false } : { done: true }) }) } };
+  };
+
+  test('reads an SSE stream, reporting the text so far', async () => {
+    const onText = jest.fn();
+    const res = streamed('text/event-stream', ['data: {"delta":"{\\"title\\": "}\n\nda', 'ta: {"delta":"\\"Café\\"}"}\n\n', 'data: [DONE]\n\n']);
+    await expect(readGeneration(res, onText)).resolves.toBe('{"title": "Café"}');
+    expect(onText.mock.calls.map(([t]) => t)).toEqual(['{"title": ', '{"title": "Café"}', '{"title": "Café"}']);
+  });
+
+  test('SSE final answers win over deltas and error events reject', async () => {
+    await expect(readGeneration(streamed('text/event-stream', ['data: {"delta":"draft"}\n\ndata: {"requirements":{"x":1}}\n\n']))).resolves.toEqual({ x: 1 });
+    await expect(readGeneration(streamed('text/event-stream', ['data: {"error":"model overloaded"}\n\n']))).rejects.toThrow('model overloaded');
+  });
+
+  test('reads a chunked text body, including a split character and the JSON envelope', async () => {
+    const e = utf8Bytes('{"requirements": "é"}');
+    const onText = jest.fn();
+    await expect(readGeneration(streamed('text/plain', [e.slice(0, 18), e.slice(18)]), onText)).resolves.toBe('é');
+    expect(onText).toHaveBeenLastCalledWith('{"requirements": "é"}');
+    await expect(readGeneration(streamed('', ['{"title": ', '"Raw"}']))).resolves.toBe('{"title": "Raw"}');
+  });
+});
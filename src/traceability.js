@@ -0,0 +1,140 @@
+/* ───────── Traceability: use cases ↔ functional requirements ↔ verification ─────────
+ * Links live on each functional requirement as text references:
+ *   tracesTo:   [use case text]          (entries of spec.useCases)
+ *   verifiedBy: [verification item text] (Verification NFRs, spec.verification, or a test reference)
+ * Use cases and verification items are numbered UC1.., V1.. in list order.
+ * Items added by hand live in spec.verification, so they show up whatever NFR
+ * categories the spec uses.
+ */
+import { asList, bucketNFR, levelItems, norm, normalizeFunctional } from "./requirements";
+import { nfrSettings } from "./nfrCategories";
+
+/* Verification items: the spec's own Verification NFRs, added items, then tests referenced only from links */
+export function verificationItems(spec) {
+  // no starter lines: a default text is not a verification item anyone wrote
+  const bucket = bucketNFR(spec?.nonFunctional || [], { ...nfrSettings(spec), defaults: false }).verification;
+  const items = [];
+  const add = (v) => { if (!items.some(x => norm(x) === norm(v))) items.push(v); };
+  levelItems(bucket).forEach(add);
+  asList(spec?.verification).map(String).forEach(add);
+  normalizeFunctional(spec?.functional).forEach(r => asList(r.verifiedBy).forEach(v => {
+    if (/^v?\s*\d+$/i.test(String(v).trim())) return; // an id reference, not a new item
+    add(v);
+  }));
+  return items;
+}
+
+const matchRef = (list, prefix) => (ref) => {
+  const r = norm(String(ref));
+  const byId = r.match(new RegExp(`^(?:${prefix})?\\s*(\\d+)$`, "i")); // "UC2", "2"
+  if (byId) return list[Number(byId[1]) - 1] !== undefined ? Number(byId[1]) - 1 : -1;
+  return list.findIndex(x => norm(x) === r);
+};
+
+/*
+ * Matrix for the view and exports:
+ *   { useCases: [{ id, text, reqIds }], verification: [{ id, text, reqIds }],
+ *     rows: [{ req, useCases: [id], verification: [id], status }],
+ *     orphanUseCases, unverified, hasLinks }
+ */
+export function traceMatrix(spec) {
+  const functional = normalizeFunctional(spec?.functional);
+  const ucTexts = asList(spec?.useCases).map(String);
+  const vTexts = verificationItems(spec);
+  const useCases = ucTexts.map((text, i) => ({ id: `UC${i + 1}`, text, reqIds: [] }));
+  const verification = vTexts.map((text, i) => ({ id: `V${i + 1}`, text, reqIds: [] }));
+  const findUc = matchRef(ucTexts, "UC");
+  const findV = matchRef(vTexts, "V");
+  let hasLinks = false;
+
+  const rows = functional.map(req => {
+    const ucs = [...new Set(asList(req.tracesTo).map(findUc).filter(i => i >= 0))];
+    const vs = [...new Set(asList(req.verifiedBy).map(findV).filter(i => i >= 0))];
+    if (ucs.length || vs.length) hasLinks = true;
+    ucs.forEach(i => useCases[i].reqIds.push(req.id));
+    vs.forEach(i => verification[i].reqIds.push(req.id));
+    const status = !vs.length ? "No verification" : !ucs.length && useCases.length ? "No use case" : "Covered";
+    return { req, useCases: ucs.map(i => useCases[i].id), verification: vs.map(i => verification[i].id), status };
+  });
+
+  return {
+    useCases,
+    verification,
+    rows,
+    orphanUseCases: useCases.filter(u => !u.reqIds.length),
+    unverified: rows.filter(r => !r.verification.length).map(r => r.req),
+    hasLinks,
+  };
+}
+
+/* Toggle one link; kind is "tracesTo" or "verifiedBy", text the use case / item text */
+export function toggleTraceLink(spec, reqId, kind, text) {
+  const functional = normalizeFunctional(spec.functional).map(r => {
+    if (r.id !== reqId) return r;
+    const list = asList(r[kind]);
+    const has = list.some(x => norm(x) === norm(text));
+    return { ...r, [kind]: has ? list.filter(x => norm(x) !== norm(text)) : [...list, text] };
+  });
+  return { ...spec, functional };
+}
+
+/* New verification item (a test or inspection) in spec.verification */
+export function addVerificationItem(spec, text) {
+  const clean = String(text || "").trim();
+  const list = asList(spec.verification);
+  if (!clean || verificationItems(spec).some(x => norm(x) === norm(clean))) return spec;
+  return { ...spec, verification: [...list, clean] };
+}
+
+/* Word-overlap suggestions for requirements that trace to no use case yet */
+const STOP = new Set(["the", "a", "an", "system", "must", "should", "could", "won", "to", "of", "and", "or", "be", "for", "in", "on", "with", "user", "users", "can", "able"]);
+const stems = (s) => new Set(norm(s).replace(/[^\w\s]/g, " ").split(" ")
+  .filter(w => w.length > 2 && !STOP.has(w)).map(w => w.replace(/(ing|ed|es|s)$/, "")));
+
+export function suggestTraceLinks(spec) {
+  const ucTexts = asList(spec?.useCases).map(String);
+  let added = 0;
+  const functional = normalizeFunctional(spec?.functional).map(r => {
+    if (asList(r.tracesTo).length) return r;
+    const words = stems(`${r.statement} ${asList(r.bullets).join(" ")}`);
+    const hits = ucTexts.filter(u => [...stems(u)].some(w => words.has(w)));
+    if (!hits.length) return r;
+    added += hits.length;
+    return { ...r, tracesTo: hits };
+  });
+  return { spec: { ...spec, functional }, added };
+}
+
+/* Table rows shared by CSV and the document exports */
+export function traceTable(spec) {
+  const m = traceMatrix(spec);
+  const label = (list, ids) => ids.map(id => `${id} ${list.find(x => x.id === id).text}`).join("; ");
+  return {
+    head: ["Requirement", "Use cases", "Verification", "Status"],
+    rows: m.rows.map(r => [
+      `${r.req.id} (${r.req.level}) ${r.req.statement}`,
+      label(m.useCases, r.useCases),
+      label(m.verification, r.verification),
+      r.status,
+    ]),
+    orphans: m.orphanUseCases.map(u => `${u.id} ${u.text}`),
+    include: m.hasLinks || m.useCases.length > 0,
+  };
+}
+
+export const csvCell = (v) => (/[",\n\r]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+/* One row per requirement, then one per use case that no requirement serves */
+export function traceCsv(spec) {
+  const m = traceMatrix(spec);
+  const text = (list, ids) => ids.map(id => list.find(x => x.id === id).text).join("; ");
+  const lines = [["Requirement ID", "Level", "Statement", "Use case IDs", "Use cases", "Verification IDs", "Verification", "Status"]];
+  m.rows.forEach(r => lines.push([
+    r.req.id, r.req.level, r.req.statement,
+    r.useCases.join("; "), text(m.useCases, r.useCases),
+    r.verification.join("; "), text(m.verification, r.verification),
+    r.status,
+  ]));
+  m.orphanUseCases.forEach(u => lines.push(["", "", "", u.id, u.text, "", "", "Orphan use case"]));
+  return lines.map(l => l.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,63 @@
+//traceability.test.js
+import { traceMatrix, toggleTraceLink, addVerificationItem, suggestTraceLinks, traceCsv } from './traceability';
+import { mdFromJson } from './exporters';
+import { defaultNfrConfig } from './nfrCategories';
+
+const SPEC = {
+  title: 'Tracker',
+  functional: [
+    { id: 'FR001', level: 'MUST', statement: 'Record deliveries at the back door.', tracesTo: ['Clerk receives a delivery'], verifiedBy: ['V1'] },
+    { id: 'FR002', level: 'SHOULD', statement: 'Send low-stock alerts.' },
+  ],
+  nonFunctional: ['Verification: Integration tests for stock movements.'],
+  useCases: ['Clerk receives a delivery', 'Manager reviews stock alerts'],
+};
+
+describe('traceMatrix', () => {
+  test('resolves links by text or id and flags orphans', () => {
+    const m = traceMatrix(SPEC);
+    expect(m.rows[0]).toMatchObject({ useCases: ['UC1'], verification: ['V1'], status: 'Covered' });
+    expect(m.rows[1].status).toBe('No verification');
+    expect(m.orphanUseCases.map(u => u.id)).toEqual(['UC2']);
+    expect(m.unverified.map(r => r.id)).toEqual(['FR002']);
+  });
+
+  test('references that are not NFRs become verification items', () => {
+    const spec = toggleTraceLink(SPEC, 'FR002', 'verifiedBy', 'TC-14 alert smoke test');
+    const m = traceMatrix(spec);
+    expect(m.verification.map(v => v.text)).toEqual(['Verification: Integration tests for stock movements.', 'TC-14 alert smoke test']);
+    expect(m.rows[1].verification).toEqual(['V2']);
+    expect(traceMatrix(toggleTraceLink(spec, 'FR002', 'verifiedBy', 'TC-14 alert smoke test')).rows[1].verification).toEqual([]);
+  });
+
+  test('new verification items are listed whatever the NFR categories, and starter lines are not', () => {
+    const spec = addVerificationItem(SPEC, 'Manual stock count on pilot day');
+    expect(spec.nonFunctional).toBe(SPEC.nonFunctional);
+    expect(traceMatrix(spec).verification.map(v => v.text)).toEqual(['Verification: Integration tests for stock movements.', 'Manual stock count on pilot day']);
+
+    const withDefaults = { ...spec, nonFunctional: [], nfr: { ...defaultNfrConfig(), defaults: true } };
+    expect(traceMatrix(withDefaults).verification.map(v => v.text)).toEqual(['Manual stock count on pilot day']);
+    const custom = { ...spec, nonFunctional: [], nfr: { categories: [{ key: 'safety', title: 'Safety', keywords: 'hazard' }] } };
+    const m = traceMatrix(toggleTraceLink(custom, 'FR002', 'verifiedBy', 'Manual stock count on pilot day'));
+    expect(m.rows[1].verification).toEqual(['V1']);
+  });
+});
+
+test('suggestTraceLinks links requirements that share words with a use case', () => {
+  const { spec, added } = suggestTraceLinks(SPEC);
+  expect(added).toBe(1);
+  expect(spec.functional[1].tracesTo).toEqual(['Manager reviews stock alerts']);
+  expect(spec.functional[0].tracesTo).toEqual(['Clerk receives a delivery']);
+});
+
+test('CSV and Markdown include the matrix and orphan use cases', () => {
+  const csv = traceCsv(SPEC).split('\r\n');
+  expect(csv[0]).toBe('Requirement ID,Level,Statement,Use case IDs,Use cases,Verification IDs,Verification,Status');
+  expect(csv[1]).toBe('FR001,MUST,Record deliveries at the back door.,UC1,Clerk receives a delivery,V1,Verification: Integration tests for stock movements.,Covered');
+  expect(csv[3]).toBe(',,,UC2,Manager reviews stock alerts,,,Orphan use case');
+
+  const md = mdFromJson(SPEC);
+  expect(md).toContain('## Traceability Matrix');
+  expect(md).toContain('| FR002 (SHOULD) Send low-stock alerts. |  |  | No verification |');
+  expect(md).toContain('_Use cases without requirements:_ UC2 Manager reviews stock alerts');
+});
@@ -0,0 +1,199 @@
+/* ───────── Local project workspace (localStorage) ─────────
+ * The index key holds every spec's record; the bulky parts (version history and
+ * chat) live under one key per spec, so one large spec cannot push the whole
+ * workspace over the storage quota. When a spec's own key does not fit, its
+ * oldest versions are dropped until it does.
+ */
+import { repairRequirements } from "./schema";
+import { trimHistory } from "./history";
+
+const STORAGE_KEY = "maispec.workspace.v1";
+const detailKey = (id) => `${STORAGE_KEY}.spec.${id}`;
+const UNTITLED = "Untitled spec";
+
+// Fields of a spec record that represent the user's work (autosaved)
+const CONTENT_FIELDS = ["projType", "projDesc", "fileName", "reqJson", "md", "history", "chat"];
+const DETAIL_FIELDS = ["history", "chat"];
+
+const newId = () => `spec-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+function readStore() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed && typeof parsed === "object" && parsed.specs) return parsed;
+  } catch {}
+  return { activeId: null, specs: {} };
+}
+
+function writeKey(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false; // quota exceeded / storage disabled
+  }
+}
+
+const writeStore = (store) => writeKey(STORAGE_KEY, store);
+
+function readDetail(id) {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(detailKey(id)) || "null");
+    if (parsed && typeof parsed === "object") return parsed;
+  } catch {}
+  return {};
+}
+
+// Index record without the bulky fields (older workspaces kept them inline)
+const indexRecord = (rec) => Object.fromEntries(Object.entries(rec).filter(([k]) => !DETAIL_FIELDS.includes(k)));
+
+/* Writes history + chat, halving the history until it fits.
+ * Returns { ok, history } where history is set when versions had to be dropped. */
+function writeDetail(id, rec) {
+  let history = rec.history ?? null;
+  const chat = rec.chat ?? [];
+  for (;;) {
+    if (writeKey(detailKey(id), { history, chat })) {
+      return { ok: true, history: history === (rec.history ?? null) ? undefined : history };
+    }
+    const count = history?.versions?.length || 0;
+    if (count <= 1) return { ok: false };
+    history = trimHistory(history, Math.floor(count / 2));
+    if (history.versions.length === count) return { ok: false }; // only pinned versions left
+  }
+}
+
+const sameContent = (a, b) =>
+  CONTENT_FIELDS.every(k => JSON.stringify(a?.[k] ?? null) === JSON.stringify(b?.[k] ?? null));
+
+/* Newest first (index records: no history or chat) */
+export function listSpecs() {
+  return Object.values(readStore().specs)
+    .map(indexRecord)
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export function loadSpec(id) {
+  const rec = readStore().specs[id];
+  return rec ? { ...rec, ...readDetail(id) } : null;
+}
+
+export function createSpec(fields = {}) {
+  const store = readStore();
+  const now = Date.now();
+  const rec = {
+    projType: "", projDesc: "", fileName: "", reqJson: null, md: "", history: null, chat: [],
+    ...fields,
+    id: newId(),
+    name: fields.name || fields.reqJson?.title || UNTITLED,
+    named: Boolean(fields.name),
+    createdAt: now,
+    updatedAt: now,
+  };
+  store.specs[rec.id] = indexRecord(rec);
+  store.activeId = rec.id;
+  writeDetail(rec.id, rec);
+  writeStore(store);
+  return rec;
+}
+
+/*
+ * Autosave: only bumps updatedAt when the content actually changed.
+ * Returns { ok } — false if storage failed — plus the shortened `history`
+ * when old versions had to be dropped to fit.
+ */
+export function saveSpec(id, fields) {
+  const store = readStore();
+  if (!store.specs[id]) return { ok: false };
+  const prev = loadSpec(id);
+  if (sameContent(prev, fields)) return { ok: true };
+  const next = { ...prev, updatedAt: Date.now() };
+  CONTENT_FIELDS.forEach(k => { if (k in fields) next[k] = fields[k]; });
+  if (!next.named) next.name = next.reqJson?.title || UNTITLED;
+  const detail = writeDetail(id, next);
+  store.specs[id] = indexRecord(next);
+  return { ok: detail.ok && writeStore(store), history: detail.history };
+}
+
+export function renameSpec(id, name) {
+  const store = readStore();
+  const rec = store.specs[id];
+  const clean = String(name || "").trim();
+  if (!rec || !clean) return;
+  store.specs[id] = { ...rec, name: clean, named: true, updatedAt: Date.now() };
+  writeStore(store);
+}
+
+export function duplicateSpec(id) {
+  const src = loadSpec(id);
+  if (!src) return null;
+  const fields = {};
+  CONTENT_FIELDS.forEach(k => { fields[k] = src[k]; });
+  return createSpec({ ...fields, name: `${src.name} (copy)` });
+}
+
+export function deleteSpec(id) {
+  const store = readStore();
+  delete store.specs[id];
+  if (store.activeId === id) store.activeId = null;
+  try { window.localStorage.removeItem(detailKey(id)); } catch {}
+  writeStore(store);
+}
+
+export function setActiveSpec(id) {
+  const store = readStore();
+  if (!store.specs[id]) return;
+  store.activeId = id;
+  writeStore(store);
+}
+
+/* Spec to show on page load: the last active one, else the newest, else a fresh one */
+export function openInitialSpec(defaults = {}) {
+  const store = readStore();
+  const active = store.specs[store.activeId] || listSpecs()[0];
+  if (active) {
+    setActiveSpec(active.id);
+    return loadSpec(active.id);
+  }
+  return createSpec(defaults);
+}
+
+/* ---- Native file format: a lossless copy of one spec record, for export/import ---- */
+export const SPEC_FILE_FORMAT = "maispec.spec";
+const SPEC_FILE_VERSION = 1;
+
+export function specFileJson(rec, date = new Date()) {
+  const spec = { name: rec.name || rec.reqJson?.title || UNTITLED };
+  CONTENT_FIELDS.forEach(k => { spec[k] = rec[k] ?? null; });
+  return `${JSON.stringify({ format: SPEC_FILE_FORMAT, version: SPEC_FILE_VERSION, exportedAt: date.toISOString(), spec }, null, 2)}\n`;
+}
+
+function requirementsOf(value) {
+  const report = repairRequirements(value);
+  if (!report.data) throw new Error("The file has no functional requirements list.");
+  return report.data;
+}
+
+/*
+ * File text → fields for createSpec. Accepts a native spec file or a bare
+ * requirements document (the reqJson shape). Throws with a user-facing message.
+ */
+export function readSpecFile(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch { throw new Error("The file is not valid JSON."); }
+  if (!obj || typeof obj !== "object") throw new Error("The file does not contain a spec.");
+
+  if (obj.format === SPEC_FILE_FORMAT) {
+    if (Number(obj.version) > SPEC_FILE_VERSION) throw new Error("The file was saved by a newer version of MaiSpec.");
+    const src = obj.spec || {};
+    const fields = {};
+    CONTENT_FIELDS.forEach(k => { if (src[k] != null) fields[k] = src[k]; });
+    if (fields.reqJson) fields.reqJson = requirementsOf(fields.reqJson);
+    if (!Array.isArray(fields.history?.versions)) delete fields.history;
+    if (!Array.isArray(fields.chat)) delete fields.chat;
+    return { ...fields, ...(src.name && { name: String(src.name) }) };
+  }
+
+  return { reqJson: requirementsOf(obj) };
+}
@@ -0,0 +1,90 @@
+//workspace.test.js
+import {
+  listSpecs, loadSpec, createSpec, saveSpec, renameSpec, duplicateSpec, deleteSpec, openInitialSpec,
+  specFileJson, readSpecFile,
+} from './workspace';
+
+describe('local workspace', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('opens a fresh spec when storage is empty and reuses it afterwards', () => {
+    const first = openInitialSpec({ projType: 'Software' });
+    expect(first.name).toBe('Untitled spec');
+    expect(openInitialSpec().id).toBe(first.id);
+    expect(listSpecs()).toHaveLength(1);
+  });
+
+  test('autosave names the spec after the generated title until renamed', () => {
+    const { id } = createSpec();
+    saveSpec(id, { reqJson: { title: 'Recipe Planner', functional: [] }, projDesc: 'Meals', fileName: 'brief.pdf' });
+    expect(loadSpec(id)).toMatchObject({ name: 'Recipe Planner', projDesc: 'Meals', fileName: 'brief.pdf' });
+
+    renameSpec(id, 'Client A');
+    saveSpec(id, { reqJson: { title: 'Other title', functional: [] } });
+    expect(loadSpec(id).name).toBe('Client A');
+  });
+
+  test('duplicate copies content under a new id and delete removes it', () => {
+    const src = createSpec({ name: 'Tracker', md: '# Draft' });
+    const copy = duplicateSpec(src.id);
+    expect(copy.id).not.toBe(src.id);
+    expect(copy).toMatchObject({ name: 'Tracker (copy)', md: '# Draft' });
+
+    deleteSpec(src.id);
+    expect(loadSpec(src.id)).toBeNull();
+    expect(listSpecs().map(s => s.id)).toEqual([copy.id]);
+  });
+
+  test('keeps history and chat under a key per spec and drops old versions when storage is full', () => {
+    const { id } = createSpec();
+    const versions = Array.from({ length: 8 }, (_, i) => ({ id: `v${i + 1}`, n: i + 1, reqJson: { title: 'x'.repeat(400) } }));
+    const history = { versions, currentId: 'v8', past: [], future: [] };
+    expect(saveSpec(id, { history, chat: [{ id: 'm1', role: 'user', text: 'hi' }] })).toEqual({ ok: true });
+    expect(window.localStorage.getItem('maispec.workspace.v1')).not.toContain('"m1"');
+    expect(loadSpec(id).chat).toHaveLength(1);
+
+    const realSetItem = Storage.prototype.setItem;
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      if (value.length > 1500) throw new DOMException('full', 'QuotaExceededError');
+      return realSetItem.call(this, key, value);
+    });
+    const saved = saveSpec(id, { history: { ...history, versions: [...versions] }, md: '# New' });
+    expect(saved.ok).toBe(true);
+    expect(saved.history.versions.map(v => v.id)).toEqual(['v7', 'v8']);
+    expect(loadSpec(id)).toMatchObject({ md: '# New', history: { currentId: 'v8' } });
+
+    setItem.mockImplementation(() => { throw new DOMException('full', 'QuotaExceededError'); });
+    expect(saveSpec(id, { md: '# Newer' }).ok).toBe(false);
+    setItem.mockRestore();
+  });
+
+  test('reads older workspaces that kept history inline and moves it out on save', () => {
+    const history = { versions: [{ id: 'v1' }], currentId: 'v1' };
+    window.localStorage.setItem('maispec.workspace.v1', JSON.stringify({ activeId: 's1', specs: { s1: { id: 's1', name: 'Old', history, chat: [] } } }));
+    expect(openInitialSpec()).toMatchObject({ id: 's1', history });
+    saveSpec('s1', { md: '# Moved' });
+    expect(window.localStorage.getItem('maispec.workspace.v1')).not.toContain('versions');
+    expect(loadSpec('s1')).toMatchObject({ md: '# Moved', history });
+  });
+});
+
+describe('spec files', () => {
+  const reqJson = {
+    title: 'Tracker',
+    functional: [{ id: 'FR007', level: 'COULD', statement: 'Print labels.', acceptance: [{ name: 'Print', given: [], when: ['I print'], then: ['a label comes out'] }], tracesTo: ['UC1'] }],
+    useCases: ['Clerk prints a label'],
+  };
+
+  test('round-trip keeps every field of the record', () => {
+    const rec = { name: 'Client A', projType: 'Civil', projDesc: 'Depot', fileName: '', reqJson, md: '', history: { versions: [{ id: 'v1', spec: reqJson }], currentId: 'v1' }, chat: [{ id: 'm1', role: 'user', text: 'hi' }] };
+    const fields = readSpecFile(specFileJson(rec));
+    expect(fields).toEqual({ name: 'Client A', projType: 'Civil', projDesc: 'Depot', fileName: '', reqJson, md: '', history: rec.history, chat: rec.chat });
+  });
+
+  test('accepts a bare requirements document and rejects anything else', () => {
+    expect(readSpecFile(JSON.stringify(reqJson))).toEqual({ reqJson });
+    expect(() => readSpecFile('not json')).toThrow('not valid JSON');
+    expect(() => readSpecFile('{"title": "No list"}')).toThrow('no functional requirements');
+    expect(() => readSpecFile(JSON.stringify({ format: 'maispec.spec', version: 9, spec: {} }))).toThrow('newer version');
+  });
+});
@@ -0,0 +1,136 @@
+/* ───────── Minimal ZIP writer (stored, no compression) and reader ─────────
+ * Enough for OOXML packages and bundles of small text files.
+ */
+import { inflateRaw } from "./inflate";
+
+// UTF-8 bytes without relying on TextEncoder (missing in some test environments)
+export function utf8Bytes(str = "") {
+  let bin;
+  try { bin = unescape(encodeURIComponent(String(str))); }
+  catch { bin = unescape(encodeURIComponent(String(str).replace(/[\ud800-\udfff]/g, "\ufffd"))); } // lone surrogates
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+// ...and back; invalid sequences come out as U+FFFD rather than throwing
+export function utf8Text(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  try { return decodeURIComponent(escape(bin)); }
+  catch { return bin.replace(/[\x80-\xff]+/g, (run) => { try { return decodeURIComponent(escape(run)); } catch { return "\ufffd"; } }); }
+}
+
+let CRC_TABLE = null;
+function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/* files: [{ name, data }] where data is a string (written as UTF-8) or Uint8Array */
+export function zipFiles(files, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  const header = (size) => {
+    const buf = new Uint8Array(size);
+    return { buf, view: new DataView(buf.buffer) };
+  };
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = utf8Bytes(name);
+    const bytes = typeof data === "string" ? utf8Bytes(data) : data;
+    const crc = crc32(bytes);
+
+    const local = header(30);
+    local.view.setUint32(0, 0x04034b50, true);
+    local.view.setUint16(4, 20, true);           // version needed
+    local.view.setUint16(6, 0x0800, true);       // UTF-8 names
+    local.view.setUint16(8, 0, true);            // stored
+    local.view.setUint16(10, time, true);
+    local.view.setUint16(12, day, true);
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, bytes.length, true);
+    local.view.setUint32(22, bytes.length, true);
+    local.view.setUint16(26, nameBytes.length, true);
+    chunks.push(local.buf, nameBytes, bytes);
+
+    const cd = header(46);
+    cd.view.setUint32(0, 0x02014b50, true);
+    cd.view.setUint16(4, 20, true);              // version made by
+    cd.view.setUint16(6, 20, true);
+    cd.view.setUint16(8, 0x0800, true);
+    cd.view.setUint16(10, 0, true);
+    cd.view.setUint16(12, time, true);
+    cd.view.setUint16(14, day, true);
+    cd.view.setUint32(16, crc, true);
+    cd.view.setUint32(20, bytes.length, true);
+    cd.view.setUint32(24, bytes.length, true);
+    cd.view.setUint16(28, nameBytes.length, true);
+    cd.view.setUint32(42, offset, true);
+    central.push(cd.buf, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+
+  const cdSize = central.reduce((n, c) => n + c.length, 0);
+  const end = header(22);
+  end.view.setUint32(0, 0x06054b50, true);
+  end.view.setUint16(8, files.length, true);
+  end.view.setUint16(10, files.length, true);
+  end.view.setUint32(12, cdSize, true);
+  end.view.setUint32(16, offset, true);
+
+  const all = [...chunks, ...central, end.buf];
+  const out = new Uint8Array(all.reduce((n, c) => n + c.length, 0));
+  let p = 0;
+  all.forEach(c => { out.set(c, p); p += c.length; });
+  return out;
+}
+
+/* { name: Uint8Array } for the stored and deflated entries of a ZIP archive */
+export function unzipFiles(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive.");
+
+  const files = {};
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Damaged ZIP archive.");
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const skip = nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const name = utf8Text(bytes.subarray(p + 46, p + 46 + nameLen));
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) files[name] = data;
+    else if (method === 8) files[name] = inflateRaw(data);
+    p += 46 + skip;
+  }
+  return files;
+}
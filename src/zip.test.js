@@ -0,0 +1,55 @@
+//zip.test.js
+import zlib from 'zlib';
+import { zipFiles, unzipFiles, utf8Bytes, utf8Text } from './zip';
+import { inflate, inflateRaw } from './inflate';
+
+// Deterministic bytes that compress poorly (0..255 all present)
+const noise = (n, seed = 7) => Uint8Array.from({ length: n }, (_, i) => ((seed = (seed * 1103515245 + 12345) & 0x7fffffff) >> 16) & 255);
+
+describe('zip writer', () => {
+  test('round-trips text and binary entries with UTF-8 names', () => {
+    const files = [
+      { name: '[Content_Types].xml', data: '<Types>é — 日本</Types>' },
+      { name: 'media/zdjęcie.bin', data: noise(70000) },
+      { name: 'empty.txt', data: '' },
+    ];
+    const out = unzipFiles(zipFiles(files, new Date(2026, 9, 19, 12, 30)));
+    expect(Object.keys(out)).toEqual(files.map(f => f.name));
+    expect(utf8Text(out['[Content_Types].xml'])).toBe('<Types>é — 日本</Types>');
+    expect(Array.from(out['media/zdjęcie.bin'])).toEqual(Array.from(files[1].data));
+    expect(out['empty.txt']).toHaveLength(0);
+  });
+
+  test('writes stored entries with CRC-32, sizes and a matching central directory', () => {
+    const text = 'The quick brown fox jumps over the lazy dog';
+    const zip = zipFiles([{ name: 'fox.txt', data: text }]);
+    const view = new DataView(zip.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0);                     // stored
+    expect(view.getUint32(14, true)).toBe(0x414fa339);           // CRC-32 of the pangram
+    expect(view.getUint32(18, true)).toBe(text.length);
+    const eocd = zip.length - 22;
+    expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+    const cd = view.getUint32(eocd + 16, true);
+    expect(view.getUint32(cd, true)).toBe(0x02014b50);
+    expect(view.getUint32(cd + 16, true)).toBe(0x414fa339);
+    expect(view.getUint32(eocd + 12, true)).toBe(46 + 'fox.txt'.length);
+  });
+});
+
+describe('inflate', () => {
+  const text = utf8Bytes(Array.from({ length: 400 }, (_, i) => `Requirement ${i % 37}: the system MUST log event ${i}.`).join('\n'));
+
+  test('reads what zlib deflates: stored, fixed and dynamic Huffman blocks', () => {
+    [
+      zlib.deflateRawSync(Buffer.from(text), { level: 0 }),
+      zlib.deflateRawSync(Buffer.from(text), { strategy: zlib.constants.Z_FIXED }),
+      zlib.deflateRawSync(Buffer.from(text), { level: 9 }),
+      zlib.deflateRawSync(Buffer.from(noise(100000))),
+    ].forEach((packed, i) => {
+      const expected = i === 3 ? noise(100000) : text;
+      expect(Array.from(inflateRaw(new Uint8Array(packed)))).toEqual(Array.from(expected));
+    });
+    expect(utf8Text(inflate(new Uint8Array(zlib.deflateSync(Buffer.from(text)))))).toBe(utf8Text(text));
+  });
+});